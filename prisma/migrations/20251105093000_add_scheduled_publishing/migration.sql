@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `news_articles` MODIFY `status` ENUM('DRAFT', 'PENDING', 'APPROVED', 'REJECTED', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED') NOT NULL DEFAULT 'DRAFT';
+
+-- CreateIndex
+CREATE INDEX `news_articles_scheduled_at_idx` ON `news_articles`(`scheduled_at`);
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE `approval_history` ADD COLUMN `revision_id` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `article_revisions` (
+    `id` VARCHAR(191) NOT NULL,
+    `article_id` VARCHAR(191) NOT NULL,
+    `revision_number` INTEGER NOT NULL,
+    `headline` VARCHAR(500) NOT NULL,
+    `brief_content` TEXT NULL,
+    `full_content` LONGTEXT NULL,
+    `category` VARCHAR(191) NOT NULL,
+    `tags` TEXT NULL,
+    `featured_image` VARCHAR(191) NULL,
+    `meta_title` VARCHAR(191) NULL,
+    `meta_description` VARCHAR(191) NULL,
+    `change_type` ENUM('CREATED', 'UPDATED', 'RESTORED') NOT NULL,
+    `change_note` TEXT NULL,
+    `restored_from_id` VARCHAR(191) NULL,
+    `editor_id` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `article_revisions_editor_id_idx`(`editor_id`),
+    UNIQUE INDEX `article_revisions_article_id_revision_number_key`(`article_id`, `revision_number`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `approval_history_revision_id_idx` ON `approval_history`(`revision_id`);
+
+-- AddForeignKey
+ALTER TABLE `article_revisions` ADD CONSTRAINT `article_revisions_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `news_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `article_revisions` ADD CONSTRAINT `article_revisions_editor_id_fkey` FOREIGN KEY (`editor_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `approval_history` ADD CONSTRAINT `approval_history_revision_id_fkey` FOREIGN KEY (`revision_id`) REFERENCES `article_revisions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
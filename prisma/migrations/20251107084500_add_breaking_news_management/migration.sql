@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `breaking_news` ADD COLUMN `is_active` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `expires_at` DATETIME(3) NULL,
+    ADD COLUMN `created_by` VARCHAR(191) NULL,
+    ADD COLUMN `promoted_article_id` VARCHAR(191) NULL,
+    ADD COLUMN `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('ARTICLE_APPROVED', 'ARTICLE_REJECTED', 'ARTICLE_PUBLISHED', 'ARTICLE_CHANGES_REQUESTED', 'SYSTEM_ANNOUNCEMENT', 'ACCOUNT_UPDATE', 'PROMOTIONAL', 'SECURITY_ALERT', 'BREAKING_NEWS') NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `breaking_news_is_active_expires_at_idx` ON `breaking_news`(`is_active`, `expires_at`);
+
+-- CreateIndex
+CREATE INDEX `breaking_news_promoted_article_id_idx` ON `breaking_news`(`promoted_article_id`);
+
+-- AddForeignKey
+ALTER TABLE `breaking_news` ADD CONSTRAINT `breaking_news_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `breaking_news` ADD CONSTRAINT `breaking_news_promoted_article_id_fkey` FOREIGN KEY (`promoted_article_id`) REFERENCES `news_articles`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
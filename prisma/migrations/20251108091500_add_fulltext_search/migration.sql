@@ -0,0 +1,17 @@
+-- CreateIndex
+CREATE FULLTEXT INDEX `news_articles_headline_idx` ON `news_articles`(`headline`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `news_articles_headline_brief_content_full_content_tags_idx` ON `news_articles`(`headline`, `brief_content`, `full_content`, `tags`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `ai_articles_headline_idx` ON `ai_articles`(`headline`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `ai_articles_headline_brief_content_full_content_tags_idx` ON `ai_articles`(`headline`, `brief_content`, `full_content`, `tags`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `time_saver_content_title_idx` ON `time_saver_content`(`title`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `time_saver_content_title_summary_key_points_tags_idx` ON `time_saver_content`(`title`, `summary`, `key_points`, `tags`);
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('ARTICLE_APPROVED', 'ARTICLE_REJECTED', 'ARTICLE_PUBLISHED', 'ARTICLE_CHANGES_REQUESTED', 'SYSTEM_ANNOUNCEMENT', 'ACCOUNT_UPDATE', 'PROMOTIONAL', 'SECURITY_ALERT', 'BREAKING_NEWS', 'SAVED_SEARCH_ALERT') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `saved_searches` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `query` VARCHAR(200) NULL,
+    `filters` JSON NULL,
+    `alert_frequency` ENUM('NONE', 'INSTANT', 'DAILY', 'WEEKLY') NOT NULL DEFAULT 'NONE',
+    `email_alerts` BOOLEAN NOT NULL DEFAULT false,
+    `last_checked_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `last_alerted_at` DATETIME(3) NULL,
+    `last_notified_ids` JSON NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `saved_searches_user_id_idx`(`user_id`),
+    INDEX `saved_searches_alert_frequency_last_checked_at_idx`(`alert_frequency`, `last_checked_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `saved_searches` ADD CONSTRAINT `saved_searches_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
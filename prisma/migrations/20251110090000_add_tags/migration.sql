@@ -0,0 +1,156 @@
+-- CreateTable
+CREATE TABLE `tags` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `slug` VARCHAR(120) NOT NULL,
+    `description` TEXT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `tags_slug_key`(`slug`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `tag_aliases` (
+    `id` VARCHAR(191) NOT NULL,
+    `slug` VARCHAR(120) NOT NULL,
+    `tag_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `tag_aliases_slug_key`(`slug`),
+    INDEX `tag_aliases_tag_id_idx`(`tag_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `news_article_tags` (
+    `article_id` VARCHAR(191) NOT NULL,
+    `tag_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `news_article_tags_tag_id_idx`(`tag_id`),
+    PRIMARY KEY (`article_id`, `tag_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ai_article_tags` (
+    `article_id` VARCHAR(191) NOT NULL,
+    `tag_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `ai_article_tags_tag_id_idx`(`tag_id`),
+    PRIMARY KEY (`article_id`, `tag_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `time_saver_content_tags` (
+    `content_id` VARCHAR(191) NOT NULL,
+    `tag_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `time_saver_content_tags_tag_id_idx`(`tag_id`),
+    PRIMARY KEY (`content_id`, `tag_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `breaking_news_tags` (
+    `breaking_news_id` VARCHAR(191) NOT NULL,
+    `tag_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `breaking_news_tags_tag_id_idx`(`tag_id`),
+    PRIMARY KEY (`breaking_news_id`, `tag_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `tag_aliases` ADD CONSTRAINT `tag_aliases_tag_id_fkey` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `news_article_tags` ADD CONSTRAINT `news_article_tags_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `news_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `news_article_tags` ADD CONSTRAINT `news_article_tags_tag_id_fkey` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ai_article_tags` ADD CONSTRAINT `ai_article_tags_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `ai_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ai_article_tags` ADD CONSTRAINT `ai_article_tags_tag_id_fkey` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `time_saver_content_tags` ADD CONSTRAINT `time_saver_content_tags_content_id_fkey` FOREIGN KEY (`content_id`) REFERENCES `time_saver_content`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `time_saver_content_tags` ADD CONSTRAINT `time_saver_content_tags_tag_id_fkey` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `breaking_news_tags` ADD CONSTRAINT `breaking_news_tags_breaking_news_id_fkey` FOREIGN KEY (`breaking_news_id`) REFERENCES `breaking_news`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `breaking_news_tags` ADD CONSTRAINT `breaking_news_tags_tag_id_fkey` FOREIGN KEY (`tag_id`) REFERENCES `tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: split the existing comma-separated tag strings into one row per tag.
+-- Slugs follow the same rule as slugifyTag() in src/services/tagService.js.
+CREATE TABLE `_tag_backfill` (
+    `content_type` VARCHAR(20) NOT NULL,
+    `content_id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `slug` VARCHAR(120) NOT NULL,
+
+    INDEX `_tag_backfill_slug_idx`(`slug`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+INSERT INTO `_tag_backfill` (`content_type`, `content_id`, `name`, `slug`)
+WITH RECURSIVE `split` (`content_type`, `content_id`, `item`, `rest`) AS (
+    SELECT CAST('news' AS CHAR(20)), `id`, SUBSTRING_INDEX(`tags`, ',', 1),
+           IF(LOCATE(',', `tags`) > 0, SUBSTRING(`tags`, LOCATE(',', `tags`) + 1), NULL)
+    FROM `news_articles` WHERE `tags` IS NOT NULL AND TRIM(`tags`) <> ''
+    UNION ALL
+    SELECT CAST('ai' AS CHAR(20)), `id`, SUBSTRING_INDEX(`tags`, ',', 1),
+           IF(LOCATE(',', `tags`) > 0, SUBSTRING(`tags`, LOCATE(',', `tags`) + 1), NULL)
+    FROM `ai_articles` WHERE `tags` IS NOT NULL AND TRIM(`tags`) <> ''
+    UNION ALL
+    SELECT CAST('timesaver' AS CHAR(20)), `id`, SUBSTRING_INDEX(`tags`, ',', 1),
+           IF(LOCATE(',', `tags`) > 0, SUBSTRING(`tags`, LOCATE(',', `tags`) + 1), NULL)
+    FROM `time_saver_content` WHERE `tags` IS NOT NULL AND TRIM(`tags`) <> ''
+    UNION ALL
+    SELECT CAST('breaking' AS CHAR(20)), `id`, SUBSTRING_INDEX(`tags`, ',', 1),
+           IF(LOCATE(',', `tags`) > 0, SUBSTRING(`tags`, LOCATE(',', `tags`) + 1), NULL)
+    FROM `breaking_news` WHERE `tags` IS NOT NULL AND TRIM(`tags`) <> ''
+    UNION ALL
+    SELECT `content_type`, `content_id`, SUBSTRING_INDEX(`rest`, ',', 1),
+           IF(LOCATE(',', `rest`) > 0, SUBSTRING(`rest`, LOCATE(',', `rest`) + 1), NULL)
+    FROM `split` WHERE `rest` IS NOT NULL
+)
+SELECT `content_type`, `content_id`, `name`, `slug`
+FROM (
+    SELECT `content_type`, `content_id`,
+           LEFT(TRIM(`item`), 100) AS `name`,
+           LEFT(TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(`item`)), '[^[:alnum:]]+', '-')), 120) AS `slug`
+    FROM `split`
+) AS `parsed`
+WHERE `slug` <> '';
+
+INSERT INTO `tags` (`id`, `name`, `slug`, `created_at`, `updated_at`)
+SELECT UUID(), MIN(`name`), `slug`, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM `_tag_backfill`
+GROUP BY `slug`;
+
+INSERT IGNORE INTO `news_article_tags` (`article_id`, `tag_id`)
+SELECT b.`content_id`, t.`id` FROM `_tag_backfill` b JOIN `tags` t ON t.`slug` = b.`slug`
+WHERE b.`content_type` = 'news';
+
+INSERT IGNORE INTO `ai_article_tags` (`article_id`, `tag_id`)
+SELECT b.`content_id`, t.`id` FROM `_tag_backfill` b JOIN `tags` t ON t.`slug` = b.`slug`
+WHERE b.`content_type` = 'ai';
+
+INSERT IGNORE INTO `time_saver_content_tags` (`content_id`, `tag_id`)
+SELECT b.`content_id`, t.`id` FROM `_tag_backfill` b JOIN `tags` t ON t.`slug` = b.`slug`
+WHERE b.`content_type` = 'timesaver';
+
+INSERT IGNORE INTO `breaking_news_tags` (`breaking_news_id`, `tag_id`)
+SELECT b.`content_id`, t.`id` FROM `_tag_backfill` b JOIN `tags` t ON t.`slug` = b.`slug`
+WHERE b.`content_type` = 'breaking';
+
+DROP TABLE `_tag_backfill`;
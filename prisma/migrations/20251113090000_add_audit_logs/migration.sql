@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `audit_logs` (
+    `id` VARCHAR(191) NOT NULL,
+    `actor_id` VARCHAR(191) NULL,
+    `actor_email` VARCHAR(191) NULL,
+    `actor_role` VARCHAR(20) NULL,
+    `action` VARCHAR(100) NOT NULL,
+    `entity_type` VARCHAR(50) NOT NULL,
+    `entity_id` VARCHAR(191) NULL,
+    `before` JSON NULL,
+    `after` JSON NULL,
+    `metadata` JSON NULL,
+    `ip_address` VARCHAR(45) NULL,
+    `user_agent` VARCHAR(500) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `audit_logs_actor_id_idx`(`actor_id`),
+    INDEX `audit_logs_action_idx`(`action`),
+    INDEX `audit_logs_entity_type_entity_id_idx`(`entity_type`, `entity_id`),
+    INDEX `audit_logs_created_at_idx`(`created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `audit_logs` ADD CONSTRAINT `audit_logs_actor_id_fkey` FOREIGN KEY (`actor_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
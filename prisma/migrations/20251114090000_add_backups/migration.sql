@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `backups` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` ENUM('FULL', 'DATABASE', 'UPLOADS') NOT NULL DEFAULT 'FULL',
+    `status` ENUM('PENDING', 'RUNNING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `trigger` VARCHAR(20) NOT NULL DEFAULT 'manual',
+    `file_name` VARCHAR(191) NULL,
+    `size_bytes` BIGINT NULL,
+    `checksum` VARCHAR(64) NULL,
+    `manifest` JSON NULL,
+    `error` TEXT NULL,
+    `created_by` VARCHAR(191) NULL,
+    `started_at` DATETIME(3) NULL,
+    `completed_at` DATETIME(3) NULL,
+    `restored_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `backups_status_idx`(`status`),
+    INDEX `backups_created_at_idx`(`created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `backups` ADD CONSTRAINT `backups_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
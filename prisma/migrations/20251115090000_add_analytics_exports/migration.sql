@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('ARTICLE_APPROVED', 'ARTICLE_REJECTED', 'ARTICLE_PUBLISHED', 'ARTICLE_CHANGES_REQUESTED', 'SYSTEM_ANNOUNCEMENT', 'ACCOUNT_UPDATE', 'PROMOTIONAL', 'SECURITY_ALERT', 'BREAKING_NEWS', 'SAVED_SEARCH_ALERT', 'EXPORT_READY') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `analytics_exports` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(20) NOT NULL,
+    `format` VARCHAR(10) NOT NULL,
+    `status` ENUM('PENDING', 'RUNNING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `date_from` DATETIME(3) NOT NULL,
+    `date_to` DATETIME(3) NOT NULL,
+    `file_name` VARCHAR(191) NULL,
+    `size_bytes` INTEGER NULL,
+    `row_count` INTEGER NULL,
+    `error` TEXT NULL,
+    `expires_at` DATETIME(3) NULL,
+    `completed_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `analytics_exports_user_id_idx`(`user_id`),
+    INDEX `analytics_exports_status_idx`(`status`),
+    INDEX `analytics_exports_expires_at_idx`(`expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `analytics_exports` ADD CONSTRAINT `analytics_exports_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
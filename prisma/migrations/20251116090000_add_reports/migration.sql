@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE `reports` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(20) NOT NULL,
+    `format` VARCHAR(10) NOT NULL DEFAULT 'json',
+    `title` VARCHAR(191) NOT NULL,
+    `date_from` DATETIME(3) NOT NULL,
+    `date_to` DATETIME(3) NOT NULL,
+    `sections` JSON NOT NULL,
+    `generated_by` VARCHAR(191) NULL,
+    `schedule_id` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `reports_type_idx`(`type`),
+    INDEX `reports_schedule_id_idx`(`schedule_id`),
+    INDEX `reports_created_at_idx`(`created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `report_schedules` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(20) NOT NULL,
+    `format` VARCHAR(10) NOT NULL DEFAULT 'pdf',
+    `frequency` ENUM('DAILY', 'WEEKLY', 'MONTHLY') NOT NULL,
+    `hour` INTEGER NOT NULL DEFAULT 6,
+    `day_of_week` INTEGER NOT NULL DEFAULT 1,
+    `day_of_month` INTEGER NOT NULL DEFAULT 1,
+    `recipients` JSON NOT NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `next_run_at` DATETIME(3) NOT NULL,
+    `last_run_at` DATETIME(3) NULL,
+    `last_error` TEXT NULL,
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `report_schedules_is_active_next_run_at_idx`(`is_active`, `next_run_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `reports` ADD CONSTRAINT `reports_generated_by_fkey` FOREIGN KEY (`generated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `reports` ADD CONSTRAINT `reports_schedule_id_fkey` FOREIGN KEY (`schedule_id`) REFERENCES `report_schedules`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `report_schedules` ADD CONSTRAINT `report_schedules_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
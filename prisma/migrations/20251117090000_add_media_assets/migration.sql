@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `media_assets` (
+    `id` VARCHAR(191) NOT NULL,
+    `filename` VARCHAR(191) NOT NULL,
+    `original_name` VARCHAR(191) NOT NULL,
+    `url` VARCHAR(191) NOT NULL,
+    `mime_type` VARCHAR(100) NOT NULL,
+    `size` INTEGER NOT NULL,
+    `width` INTEGER NULL,
+    `height` INTEGER NULL,
+    `hash` VARCHAR(64) NOT NULL,
+    `alt_text` VARCHAR(500) NULL,
+    `caption` TEXT NULL,
+    `credit` VARCHAR(255) NULL,
+    `variants` JSON NULL,
+    `uploaded_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `media_assets_filename_key`(`filename`),
+    UNIQUE INDEX `media_assets_hash_key`(`hash`),
+    INDEX `media_assets_uploaded_by_idx`(`uploaded_by`),
+    INDEX `media_assets_mime_type_idx`(`mime_type`),
+    INDEX `media_assets_created_at_idx`(`created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `media_assets` ADD CONSTRAINT `media_assets_uploaded_by_fkey` FOREIGN KEY (`uploaded_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `media_assets` ADD COLUMN `is_private` BOOLEAN NOT NULL DEFAULT false;
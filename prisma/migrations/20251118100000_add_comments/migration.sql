@@ -0,0 +1,97 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `comment_banned_at` DATETIME(3) NULL,
+    ADD COLUMN `comment_ban_expires_at` DATETIME(3) NULL,
+    ADD COLUMN `comment_ban_reason` VARCHAR(500) NULL;
+
+-- AlterTable
+ALTER TABLE `notifications` MODIFY `type` ENUM('ARTICLE_APPROVED', 'ARTICLE_REJECTED', 'ARTICLE_PUBLISHED', 'ARTICLE_CHANGES_REQUESTED', 'SYSTEM_ANNOUNCEMENT', 'ACCOUNT_UPDATE', 'PROMOTIONAL', 'SECURITY_ALERT', 'BREAKING_NEWS', 'SAVED_SEARCH_ALERT', 'EXPORT_READY', 'COMMENT_REPLY') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `comments` (
+    `id` VARCHAR(191) NOT NULL,
+    `article_id` VARCHAR(191) NULL,
+    `ai_article_id` VARCHAR(191) NULL,
+    `parent_id` VARCHAR(191) NULL,
+    `root_id` VARCHAR(191) NULL,
+    `depth` INTEGER NOT NULL DEFAULT 0,
+    `author_id` VARCHAR(191) NOT NULL,
+    `content` TEXT NOT NULL,
+    `status` ENUM('VISIBLE', 'PENDING', 'HIDDEN') NOT NULL DEFAULT 'VISIBLE',
+    `upvote_count` INTEGER NOT NULL DEFAULT 0,
+    `reply_count` INTEGER NOT NULL DEFAULT 0,
+    `report_count` INTEGER NOT NULL DEFAULT 0,
+    `edited_at` DATETIME(3) NULL,
+    `deleted_at` DATETIME(3) NULL,
+    `moderated_by` VARCHAR(191) NULL,
+    `moderated_at` DATETIME(3) NULL,
+    `moderation_note` VARCHAR(500) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `comments_article_id_parent_id_created_at_idx`(`article_id`, `parent_id`, `created_at`),
+    INDEX `comments_ai_article_id_parent_id_created_at_idx`(`ai_article_id`, `parent_id`, `created_at`),
+    INDEX `comments_root_id_idx`(`root_id`),
+    INDEX `comments_parent_id_idx`(`parent_id`),
+    INDEX `comments_author_id_idx`(`author_id`),
+    INDEX `comments_status_report_count_idx`(`status`, `report_count`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `comment_votes` (
+    `id` VARCHAR(191) NOT NULL,
+    `comment_id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `comment_votes_user_id_idx`(`user_id`),
+    UNIQUE INDEX `comment_votes_comment_id_user_id_key`(`comment_id`, `user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `comment_reports` (
+    `id` VARCHAR(191) NOT NULL,
+    `comment_id` VARCHAR(191) NOT NULL,
+    `reporter_id` VARCHAR(191) NOT NULL,
+    `reason` ENUM('SPAM', 'ABUSE', 'HARASSMENT', 'MISINFORMATION', 'OFF_TOPIC', 'OTHER') NOT NULL,
+    `details` VARCHAR(500) NULL,
+    `resolved_at` DATETIME(3) NULL,
+    `resolved_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `comment_reports_reporter_id_idx`(`reporter_id`),
+    INDEX `comment_reports_resolved_by_idx`(`resolved_by`),
+    UNIQUE INDEX `comment_reports_comment_id_reporter_id_key`(`comment_id`, `reporter_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `comments` ADD CONSTRAINT `comments_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `news_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comments` ADD CONSTRAINT `comments_ai_article_id_fkey` FOREIGN KEY (`ai_article_id`) REFERENCES `ai_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comments` ADD CONSTRAINT `comments_parent_id_fkey` FOREIGN KEY (`parent_id`) REFERENCES `comments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comments` ADD CONSTRAINT `comments_author_id_fkey` FOREIGN KEY (`author_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comments` ADD CONSTRAINT `comments_moderated_by_fkey` FOREIGN KEY (`moderated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comment_votes` ADD CONSTRAINT `comment_votes_comment_id_fkey` FOREIGN KEY (`comment_id`) REFERENCES `comments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comment_votes` ADD CONSTRAINT `comment_votes_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comment_reports` ADD CONSTRAINT `comment_reports_comment_id_fkey` FOREIGN KEY (`comment_id`) REFERENCES `comments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comment_reports` ADD CONSTRAINT `comment_reports_reporter_id_fkey` FOREIGN KEY (`reporter_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `comment_reports` ADD CONSTRAINT `comment_reports_resolved_by_fkey` FOREIGN KEY (`resolved_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `feed_feedback` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `content_type` ENUM('NEWS', 'AI', 'TIMESAVER') NOT NULL,
+    `content_id` VARCHAR(191) NOT NULL,
+    `scope` ENUM('ITEM', 'CATEGORY', 'AUTHOR') NOT NULL DEFAULT 'ITEM',
+    `category` VARCHAR(191) NULL,
+    `author_id` VARCHAR(191) NULL,
+    `tag_ids` JSON NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `feed_feedback_user_id_created_at_idx`(`user_id`, `created_at`),
+    UNIQUE INDEX `feed_feedback_user_id_content_type_content_id_key`(`user_id`, `content_type`, `content_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `feed_feedback` ADD CONSTRAINT `feed_feedback_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
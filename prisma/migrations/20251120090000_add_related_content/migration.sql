@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE `news_articles` ADD COLUMN `related_computed_at` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `related_content` (
+    `id` VARCHAR(191) NOT NULL,
+    `article_id` VARCHAR(191) NOT NULL,
+    `target_type` ENUM('NEWS', 'AI', 'TIMESAVER') NOT NULL,
+    `target_id` VARCHAR(191) NOT NULL,
+    `score` DOUBLE NOT NULL,
+    `shared_tags` INTEGER NOT NULL DEFAULT 0,
+    `computed_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `related_content_article_id_score_idx`(`article_id`, `score`),
+    UNIQUE INDEX `related_content_article_id_target_type_target_id_key`(`article_id`, `target_type`, `target_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `related_content_overrides` (
+    `id` VARCHAR(191) NOT NULL,
+    `article_id` VARCHAR(191) NOT NULL,
+    `target_type` ENUM('NEWS', 'AI', 'TIMESAVER') NOT NULL,
+    `target_id` VARCHAR(191) NOT NULL,
+    `action` ENUM('PIN', 'EXCLUDE') NOT NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `related_content_overrides_created_by_idx`(`created_by`),
+    UNIQUE INDEX `related_content_overrides_article_id_target_type_target_id_key`(`article_id`, `target_type`, `target_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `related_content` ADD CONSTRAINT `related_content_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `news_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `related_content_overrides` ADD CONSTRAINT `related_content_overrides_article_id_fkey` FOREIGN KEY (`article_id`) REFERENCES `news_articles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `related_content_overrides` ADD CONSTRAINT `related_content_overrides_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
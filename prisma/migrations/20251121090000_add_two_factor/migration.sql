@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `two_factor_enabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `two_factor_secret` VARCHAR(255) NULL,
+    ADD COLUMN `two_factor_enabled_at` DATETIME(3) NULL,
+    ADD COLUMN `two_factor_last_step` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `two_factor_recovery_codes` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `code_hash` VARCHAR(64) NOT NULL,
+    `used_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `two_factor_recovery_codes_user_id_code_hash_idx`(`user_id`, `code_hash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `two_factor_recovery_codes` ADD CONSTRAINT `two_factor_recovery_codes_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
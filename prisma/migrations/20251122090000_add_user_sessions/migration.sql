@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE `user_sessions` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `user_agent` VARCHAR(500) NULL,
+    `ip_address` VARCHAR(45) NULL,
+    `last_used_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expires_at` DATETIME(3) NOT NULL,
+    `revoked_at` DATETIME(3) NULL,
+    `revoked_reason` VARCHAR(50) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `user_sessions_user_id_revoked_at_idx`(`user_id`, `revoked_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Existing refresh tokens each become a session of their own
+INSERT INTO `user_sessions` (`id`, `user_id`, `last_used_at`, `expires_at`, `created_at`)
+SELECT CONCAT('legacy_', `id`), `user_id`, `created_at`, `expires_at`, `created_at`
+FROM `refresh_tokens`;
+
+-- AlterTable
+ALTER TABLE `refresh_tokens` ADD COLUMN `session_id` VARCHAR(191) NULL,
+    ADD COLUMN `rotated_at` DATETIME(3) NULL;
+
+UPDATE `refresh_tokens` SET `session_id` = CONCAT('legacy_', `id`);
+
+ALTER TABLE `refresh_tokens` MODIFY `session_id` VARCHAR(191) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `refresh_tokens_session_id_idx` ON `refresh_tokens`(`session_id`);
+
+-- AddForeignKey
+ALTER TABLE `user_sessions` ADD CONSTRAINT `user_sessions_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `refresh_tokens` ADD CONSTRAINT `refresh_tokens_session_id_fkey` FOREIGN KEY (`session_id`) REFERENCES `user_sessions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
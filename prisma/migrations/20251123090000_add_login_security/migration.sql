@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `failed_login_attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `last_failed_login_at` DATETIME(3) NULL,
+    ADD COLUMN `locked_until` DATETIME(3) NULL,
+    ADD COLUMN `lockout_count` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `known_devices` (
+    `id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `fingerprint` VARCHAR(64) NOT NULL,
+    `ip_network` VARCHAR(64) NOT NULL,
+    `user_agent` VARCHAR(500) NULL,
+    `last_ip_address` VARCHAR(45) NULL,
+    `first_seen_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `last_seen_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `known_devices_user_id_fingerprint_ip_network_key`(`user_id`, `fingerprint`, `ip_network`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `known_devices` ADD CONSTRAINT `known_devices_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
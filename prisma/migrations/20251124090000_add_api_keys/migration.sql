@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE `api_keys` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `description` VARCHAR(500) NULL,
+    `prefix` VARCHAR(16) NOT NULL,
+    `key_hash` VARCHAR(64) NOT NULL,
+    `scopes` JSON NOT NULL,
+    `rate_limit_per_minute` INTEGER NOT NULL DEFAULT 60,
+    `daily_quota` INTEGER NULL,
+    `expires_at` DATETIME(3) NULL,
+    `revoked_at` DATETIME(3) NULL,
+    `last_used_at` DATETIME(3) NULL,
+    `last_used_ip` VARCHAR(45) NULL,
+    `created_by` VARCHAR(191) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `api_keys_key_hash_key`(`key_hash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `api_key_usage` (
+    `id` VARCHAR(191) NOT NULL,
+    `api_key_id` VARCHAR(191) NOT NULL,
+    `date` DATE NOT NULL,
+    `request_count` INTEGER NOT NULL DEFAULT 0,
+    `denied_count` INTEGER NOT NULL DEFAULT 0,
+
+    UNIQUE INDEX `api_key_usage_api_key_id_date_key`(`api_key_id`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `api_keys` ADD CONSTRAINT `api_keys_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `api_key_usage` ADD CONSTRAINT `api_key_usage_api_key_id_fkey` FOREIGN KEY (`api_key_id`) REFERENCES `api_keys`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE `roles` (
+    `id` VARCHAR(191) NOT NULL,
+    `key` VARCHAR(50) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `description` VARCHAR(500) NULL,
+    `is_system` BOOLEAN NOT NULL DEFAULT false,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `roles_key_key`(`key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `role_permissions` (
+    `id` VARCHAR(191) NOT NULL,
+    `role_id` VARCHAR(191) NOT NULL,
+    `permission` VARCHAR(100) NOT NULL,
+
+    UNIQUE INDEX `role_permissions_role_id_permission_key`(`role_id`, `permission`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `custom_role_id` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `users` ADD CONSTRAINT `users_custom_role_id_fkey` FOREIGN KEY (`custom_role_id`) REFERENCES `roles`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `role_permissions` ADD CONSTRAINT `role_permissions_role_id_fkey` FOREIGN KEY (`role_id`) REFERENCES `roles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Map the UserRole values onto system roles, granting what each role could
+-- do before permissions existed. ADMIN holds every permission in code, so it
+-- has no rows.
+INSERT INTO `roles` (`id`, `key`, `name`, `description`, `is_system`, `updated_at`) VALUES
+    ('role_user', 'USER', 'User', 'Readers; no staff permissions', true, CURRENT_TIMESTAMP(3)),
+    ('role_editor', 'EDITOR', 'Editor', 'Writes articles, AI/ML, time saver and breaking news content', true, CURRENT_TIMESTAMP(3)),
+    ('role_ad_manager', 'AD_MANAGER', 'Ad Manager', 'Approves articles, manages categories and advertisements', true, CURRENT_TIMESTAMP(3)),
+    ('role_admin', 'ADMIN', 'Administrator', 'Every permission; cannot be edited', true, CURRENT_TIMESTAMP(3));
+
+INSERT INTO `role_permissions` (`id`, `role_id`, `permission`) VALUES
+    (UUID(), 'role_editor', 'article.create'),
+    (UUID(), 'role_editor', 'article.related'),
+    (UUID(), 'role_editor', 'ai_ml.manage'),
+    (UUID(), 'role_editor', 'time_saver.manage'),
+    (UUID(), 'role_editor', 'breaking_news.manage'),
+    (UUID(), 'role_editor', 'media.upload'),
+    (UUID(), 'role_editor', 'analytics.export'),
+    (UUID(), 'role_ad_manager', 'article.create'),
+    (UUID(), 'role_ad_manager', 'article.edit_any'),
+    (UUID(), 'role_ad_manager', 'article.publish'),
+    (UUID(), 'role_ad_manager', 'article.related'),
+    (UUID(), 'role_ad_manager', 'ai_ml.manage'),
+    (UUID(), 'role_ad_manager', 'ai_ml_category.edit'),
+    (UUID(), 'role_ad_manager', 'time_saver.manage'),
+    (UUID(), 'role_ad_manager', 'breaking_news.manage'),
+    (UUID(), 'role_ad_manager', 'category.edit'),
+    (UUID(), 'role_ad_manager', 'media.upload'),
+    (UUID(), 'role_ad_manager', 'ad.manage'),
+    (UUID(), 'role_ad_manager', 'analytics.view'),
+    (UUID(), 'role_ad_manager', 'analytics.export'),
+    (UUID(), 'role_ad_manager', 'notification.send');
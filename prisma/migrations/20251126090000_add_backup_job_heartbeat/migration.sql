@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `backups` ADD COLUMN `heartbeat_at` DATETIME(3) NULL,
+    ADD COLUMN `owner` VARCHAR(255) NULL;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `stream_tickets` (
+    `id` VARCHAR(191) NOT NULL,
+    `token_hash` VARCHAR(64) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `session_id` VARCHAR(191) NULL,
+    `expires_at` DATETIME(3) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `stream_tickets_token_hash_key`(`token_hash`),
+    INDEX `stream_tickets_expires_at_idx`(`expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `stream_tickets` ADD CONSTRAINT `stream_tickets_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE `job_locks` (
+    `id` VARCHAR(100) NOT NULL,
+    `owner` VARCHAR(255) NOT NULL,
+    `heartbeat_at` DATETIME(3) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
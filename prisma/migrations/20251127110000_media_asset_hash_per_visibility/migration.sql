@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX `media_assets_hash_key` ON `media_assets`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `media_assets_hash_is_private_key` ON `media_assets`(`hash`, `is_private`);
@@ -3,10 +3,12 @@
 // COMPREHENSIVE SEED WITH FACT CHECKING, POLLS, COMMENTS & REAL IMAGES
 // ============================================
 
-const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 
-const prisma = new PrismaClient();
+// Shared client, the tag service below uses it as well
+const prisma = require('../src/config/database');
+const { syncTagLinks, TAG_CONTENT_TYPES } = require('../src/services/tagService');
+const { SYSTEM_ROLES, SUPER_ROLE, SYSTEM_ROLE_PERMISSIONS } = require('../src/services/permissions');
 
 // ==================== REAL WORKING IMAGE URLS ====================
 // All images from Unsplash - guaranteed to work
@@ -105,6 +107,7 @@ async function main() {
     await prisma.approvalHistory.deleteMany();
     await prisma.notification.deleteMany();
     await prisma.advertisement.deleteMany();
+    await prisma.tag.deleteMany();
     await prisma.breakingNews.deleteMany();
     await prisma.timeSaverContent.deleteMany();
     await prisma.aiArticle.deleteMany();
@@ -112,6 +115,7 @@ async function main() {
     await prisma.newsArticle.deleteMany();
     await prisma.category.deleteMany();
     await prisma.refreshToken.deleteMany();
+    await prisma.userSession.deleteMany();
     await prisma.passwordReset.deleteMany();
     await prisma.pendingRegistration.deleteMany();
     await prisma.systemSettings.deleteMany();
@@ -119,6 +123,30 @@ async function main() {
 
     console.log('✅ Existing data cleared\n');
 
+    // ==================== SYSTEM ROLES ====================
+    // The add_roles_permissions migration creates these; databases set up
+    // with `prisma db push` get them here. Existing roles are left as edited.
+    console.log('🔑 Ensuring system roles...');
+
+    const roleNames = { USER: 'User', EDITOR: 'Editor', AD_MANAGER: 'Ad Manager', ADMIN: 'Administrator' };
+
+    for (const key of SYSTEM_ROLES) {
+      await prisma.role.upsert({
+        where: { key },
+        update: {},
+        create: {
+          key,
+          name: roleNames[key],
+          isSystem: true,
+          permissions: {
+            create: key === SUPER_ROLE ? [] : SYSTEM_ROLE_PERMISSIONS[key].map(permission => ({ permission }))
+          }
+        }
+      });
+    }
+
+    console.log('✅ System roles ready\n');
+
     // ==================== CREATE USERS ====================
     console.log('👥 Creating users...');
 
@@ -1571,12 +1599,23 @@ Next-generation tools will feature:
         { key: 'maintenance_mode', value: 'false', type: 'boolean', category: 'system' },
         { key: 'api_rate_limit', value: '100', type: 'number', category: 'system' },
         { key: 'session_timeout', value: '3600', type: 'number', category: 'security' },
-        { key: 'password_min_length', value: '8', type: 'number', category: 'security' }
+        { key: 'password_min_length', value: '8', type: 'number', category: 'security' },
+        { key: 'two_factor_required_roles', value: '', type: 'string', category: 'security' }
       ]
     });
 
     console.log('✅ Created system settings\n');
 
+    // ==================== LINK TAGS ====================
+    console.log('🏷️  Linking tags...');
+
+    for (const type of TAG_CONTENT_TYPES) {
+      await syncTagLinks(type);
+    }
+    const tagCount = await prisma.tag.count();
+
+    console.log(`✅ Linked content to ${tagCount} tags\n`);
+
     // ==================== SUMMARY ====================
     console.log('\n' + '='.repeat(70));
     console.log('📊 DATABASE SEEDING SUMMARY');
@@ -1591,6 +1630,7 @@ Next-generation tools will feature:
     console.log(`   - Linked to AI/ML:      3`);
     console.log(`   - Standalone:           2`);
     console.log(`✅ Breaking News:          3`);
+    console.log(`✅ Tags:                   ${tagCount}`);
     console.log(`✅ Advertisements:         3`);
     console.log(`✅ Approval History:       5 records`);
     console.log(`✅ User Favorites:         9 saved articles`);
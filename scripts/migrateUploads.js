@@ -0,0 +1,88 @@
+// ============================================
+// FILE: scripts/migrateUploads.js
+// Move existing uploads into the configured storage backend
+//
+//   npm run storage:migrate -- [options]
+//
+//   --from <adapter>    Source adapter (default: local)
+//   --from-dir <path>   Source directory for the local adapter (default: UPLOAD_DIR)
+//   --to <adapter>      Target adapter (default: STORAGE_ADAPTER)
+//   --overwrite         Copy files the target already has with the same size
+//   --delete-source     Remove each file from the source once it is copied
+//   --dry-run           Only list what would be copied
+// ============================================
+
+require('dotenv').config();
+
+const path = require('path');
+const { loadAdapter, LocalStorageAdapter } = require('../src/services/storage');
+const { migrateUploads } = require('../src/services/storage/migrate');
+
+const FLAGS = ['--overwrite', '--delete-source', '--dry-run'];
+const OPTIONS = ['--from', '--from-dir', '--to'];
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const eq = argv[i].indexOf('=');
+    const name = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+    const inlineValue = eq === -1 ? undefined : argv[i].slice(eq + 1);
+    if (FLAGS.includes(name)) {
+      args[name.slice(2)] = true;
+    } else if (OPTIONS.includes(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (!value) throw new Error(`${name} needs a value`);
+      args[name.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const fromName = args.from || 'local';
+  const toName = args.to || process.env.STORAGE_ADAPTER || 'local';
+
+  const source = fromName === 'local' && args['from-dir']
+    ? new LocalStorageAdapter({ root: path.resolve(args['from-dir']) })
+    : loadAdapter(fromName);
+  const target = loadAdapter(toName);
+
+  if (source.root && target.root && source.root === target.root) {
+    throw new Error(`Source and target are the same directory (${source.root}); set STORAGE_ADAPTER or --to`);
+  }
+
+  console.log(`\n📦 Migrating uploads: ${fromName}${source.root ? ` (${source.root})` : ''} → ${toName}`);
+  if (args['dry-run']) console.log('   Dry run, nothing is copied or deleted');
+
+  const summary = await migrateUploads(source, target, {
+    overwrite: args.overwrite,
+    deleteSource: args['delete-source'],
+    dryRun: args['dry-run'],
+    onFile: (status, object, error) => {
+      if (status === 'copied') console.log(`   ✅ ${object.key} (${object.size} bytes)`);
+      if (status === 'failed') console.error(`   ❌ ${object.key}: ${error.message}`);
+    }
+  });
+
+  console.log('='.repeat(70));
+  console.log(`Copied:  ${summary.copied} files, ${Math.round(summary.bytes / 1024)} KB`);
+  console.log(`Skipped: ${summary.skipped} (already in ${toName})`);
+  console.log(`Deleted: ${summary.deleted} from ${fromName}`);
+  console.log(`Failed:  ${summary.failed}`);
+  console.log('='.repeat(70) + '\n');
+
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Upload migration failed:', error.message);
+  process.exit(1);
+});
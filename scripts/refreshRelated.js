@@ -0,0 +1,35 @@
+// ============================================
+// FILE: scripts/refreshRelated.js
+// Precompute related content for news articles
+//
+//   npm run related:refresh -- [--all]
+//
+//   --all   Recompute every published article instead of only stale ones
+// ============================================
+
+require('dotenv').config();
+
+const prisma = require('../src/config/database');
+const { refreshRelatedContent } = require('../src/services/relatedContent');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--all');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: ${unknown[0]}`);
+  }
+
+  const all = args.includes('--all');
+  console.log(`\n🔗 Refreshing related content${all ? ' for all published articles' : ' for stale articles'}`);
+
+  const { articles, suggestions } = await refreshRelatedContent({ all });
+
+  console.log(`   ${articles} articles, ${suggestions} suggestions stored\n`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Related content refresh failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -7,13 +7,23 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const fs = require('fs');
 const cron = require('node-cron');
 
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/middleware/errorHandler');
+const { serveUploads } = require('./src/middleware/uploads');
+const { createGeneralLimiter } = require('./src/middleware/rateLimits');
 const { cleanupOldNotifications } = require('./src/utils/notifications');
+const { publishDueArticles } = require('./src/services/publishingScheduler');
+const { closeAllStreams } = require('./src/services/eventStream');
+const { runSavedSearchAlerts } = require('./src/services/savedSearchAlerts');
+const { runScheduledBackup, failInterruptedBackups } = require('./src/services/backupService');
+const { cleanupExpiredExports, failInterruptedExports } = require('./src/services/analyticsExport');
+const { runDueReportSchedules } = require('./src/services/reportService');
+const { refreshRelatedContent } = require('./src/services/relatedContent');
+const { cleanupSessions } = require('./src/services/sessionService');
+const { cleanupStreamTickets } = require('./src/services/streamTickets');
 
 // Import existing routes
 const authRoutes = require('./src/routes/auth');
@@ -32,6 +42,11 @@ const dashboardRoutes = require('./src/routes/dashboard');
 // Import new routes
 const aiMlRoutes = require('./src/routes/ai-ml');
 const timeSaverRoutes = require('./src/routes/time-saver');
+const breakingNewsRoutes = require('./src/routes/breaking-news');
+const streamRoutes = require('./src/routes/stream');
+const tagRoutes = require('./src/routes/tags');
+const commentRoutes = require('./src/routes/comments');
+const feedRoutes = require('./src/routes/feed');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,16 +67,7 @@ if (process.env.NODE_ENV === 'production') {
   console.log('🔒 Rate limiting ENABLED for production');
   
   // General API rate limiter for production
-  const generalLimiter = rateLimit({
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    message: {
-      success: false,
-      error: 'Too many requests from this IP, please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
+  const generalLimiter = createGeneralLimiter();
 
   // Auth-specific rate limiter for production
   const authLimiter = rateLimit({
@@ -136,7 +142,8 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'X-API-Key'
   ],
   optionsSuccessStatus: 200
 };
@@ -169,7 +176,9 @@ if (process.env.NODE_ENV !== 'production') {
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware. Credentials in query strings (stream tickets, and
+// access tokens from clients still sending the old ?token=) are masked.
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:token|ticket)=)[^&]*/gi, '$1[REDACTED]'));
 app.use(morgan('combined', {
   stream: {
     write: (message) => logger.info(message.trim())
@@ -180,8 +189,8 @@ app.use(morgan('combined', {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files, from whichever storage backend is configured
+app.use('/uploads', serveUploads);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -232,6 +241,11 @@ app.use('/api/dashboard', dashboardRoutes);
 // New AI/ML and Time Saver API routes
 app.use('/api/ai-ml', aiMlRoutes);
 app.use('/api/time-saver', timeSaverRoutes);
+app.use('/api/breaking-news', breakingNewsRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/feed', feedRoutes);
 
 // ===========================================
 // BASIC FALLBACK ROUTES (for missing endpoints)
@@ -517,6 +531,33 @@ app.get('/api', (req, res) => {
         analytics: '/api/time-saver/analytics',
         search: '/api/time-saver/search',
         categories: '/api/time-saver/categories'
+      },
+      breakingNews: {
+        base: '/api/breaking-news',
+        manage: '/api/breaking-news/manage/list',
+        promote: '/api/breaking-news/:id/promote'
+      },
+      stream: {
+        base: '/api/stream',
+        ticket: '/api/stream/ticket',
+        public: '/api/stream/public',
+        stats: '/api/stream/stats'
+      },
+      tags: {
+        base: '/api/tags',
+        landing: '/api/tags/:slug',
+        merge: '/api/tags/:slug/merge',
+        aliases: '/api/tags/:slug/aliases'
+      },
+      comments: {
+        base: '/api/comments',
+        article: '/api/articles/:id/comments',
+        aiArticle: '/api/ai-ml/news/:id/comments',
+        moderation: '/api/admin/moderation?type=comments'
+      },
+      feed: {
+        personal: '/api/feed/personal',
+        feedback: '/api/feed/personal/feedback'
       }
     },
     features: {
@@ -549,6 +590,38 @@ app.get('/api', (req, res) => {
   });
 });
 
+// Scheduled publishing - runs in every environment so SCHEDULED articles go live on time
+cron.schedule('* * * * *', async () => {
+  try {
+    const publishedCount = await publishDueArticles();
+    if (publishedCount > 0) {
+      logger.info(`Scheduled publishing completed: ${publishedCount} articles published`);
+    }
+  } catch (error) {
+    logger.error('Scheduled publishing failed:', error);
+  }
+});
+
+// Nightly backups - opt in with a cron expression, e.g. BACKUP_CRON="30 1 * * *"
+if (process.env.BACKUP_CRON) {
+  if (cron.validate(process.env.BACKUP_CRON)) {
+    cron.schedule(process.env.BACKUP_CRON, async () => {
+      try {
+        const backup = await runScheduledBackup(process.env.BACKUP_TYPE || 'FULL');
+        if (!backup) {
+          logger.info('Scheduled backup skipped: another backup or restore is in progress');
+        } else if (backup.status === 'FAILED') {
+          logger.error(`Scheduled backup failed: ${backup.error}`);
+        }
+      } catch (error) {
+        logger.error('Scheduled backup failed:', error);
+      }
+    });
+  } else {
+    logger.error(`Invalid BACKUP_CRON expression: ${process.env.BACKUP_CRON}`);
+  }
+}
+
 // Scheduled tasks - Only in production
 if (process.env.NODE_ENV === 'production') {
   // Clean up old notifications daily at 2 AM
@@ -562,19 +635,96 @@ if (process.env.NODE_ENV === 'production') {
     }
   });
 
-  // Clean up old refresh tokens weekly
+  // Remove expired analytics exports daily at 2:30 AM
+  cron.schedule('30 2 * * *', async () => {
+    try {
+      const removedCount = await cleanupExpiredExports();
+      logger.info(`Scheduled export cleanup completed: ${removedCount} exports removed`);
+    } catch (error) {
+      logger.error('Scheduled export cleanup failed:', error);
+    }
+  });
+
+  // Fail exports whose instance stopped sending heartbeats
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const failedCount = await failInterruptedExports();
+      if (failedCount > 0) {
+        logger.warn(`${failedCount} stale analytics export(s) marked as failed`);
+      }
+    } catch (error) {
+      logger.error('Stale export check failed:', error);
+    }
+  });
+
+  // Email scheduled reports that are due
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const sentCount = await runDueReportSchedules();
+      if (sentCount > 0) {
+        logger.info(`Scheduled reports sent: ${sentCount}`);
+      }
+    } catch (error) {
+      logger.error('Scheduled reports failed:', error);
+    }
+  });
+
+  // Clean up expired and long-revoked sessions (with their refresh tokens) weekly
   cron.schedule('0 3 * * 0', async () => {
+    try {
+      logger.info('Starting scheduled cleanup of expired sessions');
+      const count = await cleanupSessions();
+      const tickets = await cleanupStreamTickets();
+      logger.info(`Scheduled session cleanup completed: ${count} sessions, ${tickets} stream tickets cleaned`);
+    } catch (error) {
+      logger.error('Scheduled token cleanup failed:', error);
+    }
+  });
+
+  // Deactivate expired breaking news every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
     try {
       const prisma = require('./src/config/database');
-      logger.info('Starting scheduled cleanup of expired refresh tokens');
-      const result = await prisma.refreshToken.deleteMany({
+      const result = await prisma.breakingNews.updateMany({
         where: {
-          expiresAt: { lt: new Date() }
-        }
+          isActive: true,
+          expiresAt: { lte: new Date() }
+        },
+        data: { isActive: false }
       });
-      logger.info(`Scheduled token cleanup completed: ${result.count} tokens cleaned`);
+      if (result.count > 0) {
+        logger.info(`Breaking news expiry completed: ${result.count} items expired`);
+      }
     } catch (error) {
-      logger.error('Scheduled token cleanup failed:', error);
+      logger.error('Breaking news expiry failed:', error);
+    }
+  });
+
+  // Saved search alerts: instant every 5 minutes, daily at 7 AM, weekly on Monday at 7 AM
+  const savedSearchAlertJobs = {
+    INSTANT: '*/5 * * * *',
+    DAILY: '0 7 * * *',
+    WEEKLY: '0 7 * * 1'
+  };
+  Object.entries(savedSearchAlertJobs).forEach(([frequency, schedule]) => {
+    cron.schedule(schedule, async () => {
+      try {
+        const { checked, alerted } = await runSavedSearchAlerts(frequency);
+        if (checked > 0) {
+          logger.info(`Saved search alerts (${frequency}): ${checked} checked, ${alerted} alerted`);
+        }
+      } catch (error) {
+        logger.error(`Saved search alerts (${frequency}) failed:`, error);
+      }
+    });
+  });
+
+  // Precompute related content for new, edited and outdated articles every hour
+  cron.schedule('20 * * * *', async () => {
+    try {
+      await refreshRelatedContent();
+    } catch (error) {
+      logger.error('Related content refresh failed:', error);
     }
   });
 
@@ -634,6 +784,9 @@ app.use(errorHandler);
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
+
+  // Open event streams would otherwise keep server.close() waiting
+  closeAllStreams();
   
   // Close server
   server.close(() => {
@@ -693,6 +846,9 @@ const server = app.listen(PORT, () => {
   console.log('\n🚀 New Features Available:');
   console.log('📰 AI/ML News: /api/ai-ml/*');
   console.log('⏰ Time Saver: /api/time-saver/*');
+  console.log('🚨 Breaking News: /api/breaking-news/*');
+  console.log('📡 Live Stream (SSE): /api/stream');
+  console.log('🏷️  Tags: /api/tags/*');
   console.log('📊 Enhanced Analytics: /api/analytics/*');
   console.log('🔍 Advanced Search: /api/search/advanced');
   
@@ -701,9 +857,36 @@ const server = app.listen(PORT, () => {
   if (process.env.NODE_ENV === 'production') {
     console.log('\n📅 Scheduled tasks enabled for:');
     console.log('- Notification cleanup (daily at 2 AM)');
+    console.log('- Expired analytics export cleanup (daily at 2:30 AM)');
+    console.log('- Stale analytics export check (every 5 minutes)');
+    console.log('- Scheduled report emails (checked every 15 minutes)');
     console.log('- Token cleanup (weekly on Sunday at 3 AM)');
     console.log('- Trending articles update (hourly)');
+    console.log('- Breaking news expiry (every 5 minutes)');
+    console.log('- Saved search alerts (instant every 5 minutes, daily, weekly)');
   }
+  console.log('📅 Scheduled article publishing runs every minute');
+  if (process.env.BACKUP_CRON) {
+    console.log(`💾 Scheduled backups: ${process.env.BACKUP_CRON}`);
+  }
+
+  // Backups cut off by this instance's previous shutdown, or by an instance
+  // that stopped sending heartbeats, can never finish
+  failInterruptedBackups({ restarted: true })
+    .then((count) => {
+      if (count > 0) {
+        logger.warn(`${count} interrupted backup(s) marked as failed`);
+      }
+    })
+    .catch(error => logger.error('Could not check for interrupted backups:', error));
+
+  failInterruptedExports({ restarted: true })
+    .then((count) => {
+      if (count > 0) {
+        logger.warn(`${count} interrupted analytics export(s) marked as failed`);
+      }
+    })
+    .catch(error => logger.error('Could not check for interrupted exports:', error));
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,6 +1,124 @@
 // controllers/adminController.js
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const {
+  recordAudit,
+  recordAudits,
+  pickChanges,
+  listAuditLogs,
+  exportAuditLogs
+} = require('../services/auditLog');
+const {
+  BACKUP_TYPES,
+  openArchive,
+  isRestoring,
+  startBackup,
+  deleteBackup,
+  restoreBackup,
+  importArchive,
+  formatBackup
+} = require('../services/backupService');
+
+const {
+  CONTENT_TYPES: REPORT_CONTENT_TYPES,
+  generateReport,
+  renderReport,
+  reportFileName,
+  computeNextRun,
+  deliverSchedule
+} = require('../services/reportService');
+const { resolveDateRange } = require('../services/analyticsExport');
+const { notifyCommentReply } = require('../utils/notifications');
+const { REQUIRED_ROLES_SETTING, getRequiredRoles } = require('../services/twoFactor');
+const { cleanupSessions } = require('../services/sessionService');
+const { clearedLockout } = require('../services/loginSecurity');
+const {
+  generateApiKey,
+  invalidateApiKeyCache,
+  getUsage: getApiKeyUsage,
+  formatApiKey
+} = require('../services/apiKeyService');
+const {
+  PERMISSIONS,
+  SUPER_ROLE,
+  getUserPermissions,
+  isSuperUser,
+  effectiveRole,
+  roleChangeDenial,
+  roleGrantDenial,
+  holdsRole,
+  invalidateRoleCache,
+  formatRole,
+  rolePermissions
+} = require('../services/permissions');
+
+const SCHEDULE_AUDITED_FIELDS = [
+  'name',
+  'type',
+  'format',
+  'frequency',
+  'hour',
+  'dayOfWeek',
+  'dayOfMonth',
+  'recipients',
+  'isActive'
+];
+
+const reportNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Report not found'
+});
+
+const scheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Report schedule not found'
+});
+
+// Sections are left out of listings; every report can be downloaded in each format
+const formatReport = ({ sections, ...report }, withSections) => ({
+  ...report,
+  ...(withSections && { sections }),
+  downloads: {
+    csv: `/api/admin/reports/${report.id}?format=csv`,
+    pdf: `/api/admin/reports/${report.id}?format=pdf`
+  }
+});
+
+const API_KEY_AUDITED_FIELDS = [
+  'name',
+  'description',
+  'scopes',
+  'rateLimitPerMinute',
+  'dailyQuota',
+  'expiresAt'
+];
+
+const apiKeyNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'API key not found'
+});
+
+const apiKeyCreatorSelect = {
+  select: { id: true, fullName: true, email: true }
+};
+
+const roleNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Role not found'
+});
+
+const roleInclude = {
+  permissions: { select: { permission: true } },
+  _count: { select: { users: true } }
+};
+
+// Permission names that are not in the catalogue
+const unknownPermissions = (permissions = []) => permissions.filter(permission => !PERMISSIONS[permission]);
+
+const backupNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Backup not found'
+});
 
 const adminController = {
   // Get system setting
@@ -57,6 +175,11 @@ const adminController = {
         });
       }
 
+      const previous = await prisma.systemSettings.findUnique({
+        where: { key },
+        select: { value: true, type: true, category: true }
+      });
+
       const setting = await prisma.systemSettings.upsert({
         where: { key },
         update: { value, type, category },
@@ -65,6 +188,14 @@ const adminController = {
 
       logger.info(`System setting updated: ${key} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: 'setting.update',
+        entityType: 'setting',
+        entityId: key,
+        before: previous,
+        after: { value, type, category }
+      });
+
       res.json({
         success: true,
         message: 'Setting updated successfully',
@@ -133,7 +264,7 @@ const adminController = {
             (SELECT COUNT(*) FROM advertisements WHERE is_active = true) as active_ads,
             (SELECT SUM(impressions) FROM advertisements) as total_impressions,
             (SELECT SUM(click_count) FROM advertisements) as total_clicks,
-            (SELECT COUNT(*) FROM refresh_tokens) as active_sessions
+            (SELECT COUNT(*) FROM user_sessions WHERE revoked_at IS NULL AND expires_at > NOW()) as active_sessions
         `
       ]);
 
@@ -215,31 +346,26 @@ const adminController = {
   // Get audit logs
   getLogs: async (req, res) => {
     try {
-      const { page = 1, limit = 50, level = 'info', timeframe = '7d' } = req.query;
-
-      // This is a simplified implementation
-      // In a real system, you'd read from log files or a dedicated logging service
-      
-      const logs = {
-        entries: [
-          {
-            timestamp: new Date(),
-            level: 'info',
-            message: 'System health check completed',
-            source: 'admin'
-          }
-        ],
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalCount: 1,
-          totalPages: 1
-        }
-      };
+      const { page = 1, limit = 50, ...filters } = req.query;
+
+      const { entries, totalCount } = await listAuditLogs(filters, { page, limit });
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
 
       res.json({
         success: true,
-        data: { logs }
+        data: {
+          logs: {
+            entries,
+            pagination: {
+              page: parseInt(page),
+              limit: parseInt(limit),
+              totalPages,
+              totalCount,
+              hasNext: parseInt(page) < totalPages,
+              hasPrev: parseInt(page) > 1
+            }
+          }
+        }
       });
     } catch (error) {
       logger.error('Get audit logs error:', error);
@@ -250,20 +376,44 @@ const adminController = {
     }
   },
 
+  // Export audit logs as CSV or JSON
+  exportLogs: async (req, res) => {
+    const { format = 'csv', ...filters } = req.query;
+
+    try {
+      const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      const count = await exportAuditLogs(filters, format, res);
+
+      logger.info(`Audit logs exported: ${count} entries (${format}) by ${req.user.email}`);
+      res.end();
+    } catch (error) {
+      logger.error('Export audit logs error:', error);
+
+      // Once rows are streamed the status is already sent; cut the download short
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export audit logs'
+      });
+    }
+  },
+
   // Cleanup expired tokens
   cleanupTokens: async (req, res) => {
     try {
-      const expiredTokens = await prisma.refreshToken.deleteMany({
-        where: {
-          expiresAt: { lt: new Date() }
-        }
-      });
+      const removedSessions = await cleanupSessions();
 
-      logger.info(`Cleanup completed: ${expiredTokens.count} expired tokens removed by ${req.user.email}`);
+      logger.info(`Cleanup completed: ${removedSessions} expired sessions removed by ${req.user.email}`);
 
       res.json({
         success: true,
-        message: `Cleaned up ${expiredTokens.count} expired tokens`
+        message: `Cleaned up ${removedSessions} expired sessions`
       });
     } catch (error) {
       logger.error('Token cleanup error:', error);
@@ -294,35 +444,33 @@ const adminController = {
       }
 
       let result = { success: 0, failed: 0 };
+      let targetIds = userIds;
+      let changes = {};
 
       switch (action) {
         case 'activate':
-          result = await prisma.user.updateMany({
-            where: { id: { in: userIds } },
-            data: { isActive: true }
-          });
+          changes = { isActive: true };
           break;
         
         case 'deactivate':
           // Prevent admin from deactivating themselves
-          const filteredIds = userIds.filter(id => id !== req.user.id);
-          result = await prisma.user.updateMany({
-            where: { id: { in: filteredIds } },
-            data: { isActive: false }
-          });
+          targetIds = userIds.filter(id => id !== req.user.id);
+          changes = { isActive: false };
           break;
         
         case 'update_role':
-          if (!data.role || !['USER', 'EDITOR', 'AD_MANAGER', 'ADMIN'].includes(data.role)) {
+          if (!data || !data.role || !['USER', 'EDITOR', 'AD_MANAGER', 'ADMIN'].includes(data.role)) {
             return res.status(400).json({
               success: false,
               message: 'Invalid role specified'
             });
           }
-          result = await prisma.user.updateMany({
-            where: { id: { in: userIds } },
-            data: { role: data.role }
-          });
+          changes = { role: data.role };
+          break;
+
+        // Lift a login lockout and forget failed attempts
+        case 'unlock':
+          changes = clearedLockout();
           break;
         
         default:
@@ -332,11 +480,51 @@ const adminController = {
           });
       }
 
+      const previousUsers = await prisma.user.findMany({
+        where: { id: { in: targetIds } },
+        select: { id: true, email: true, role: true, isActive: true, lockedUntil: true, failedLoginAttempts: true }
+      });
+
+      if (action === 'update_role') {
+        const roleDenial = previousUsers
+          .map(user => roleChangeDenial(req.user, user.role, changes.role))
+          .find(Boolean);
+
+        if (roleDenial) {
+          return res.status(403).json({
+            success: false,
+            message: roleDenial
+          });
+        }
+      }
+
+      result = await prisma.user.updateMany({
+        where: { id: { in: targetIds } },
+        data: changes
+      });
+
       logger.info(`Bulk user ${action}: ${result.count} users affected by ${req.user.email}`);
 
+      // One entry per user whose value actually changed
+      const field = action === 'unlock' ? 'lockedUntil' : Object.keys(changes)[0];
+      await recordAudits(req, previousUsers
+        .filter(user => user[field] !== changes[field])
+        .map(user => ({
+          action: action === 'update_role' ? 'user.role_change' : `user.${action}`,
+          entityType: 'user',
+          entityId: user.id,
+          before: action === 'unlock'
+            ? { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts }
+            : { [field]: user[field] },
+          after: changes,
+          metadata: { email: user.email, bulk: true }
+        })));
+
       res.json({
         success: true,
-        message: `Successfully ${action.replace('_', ' ')}d ${result.count} users`,
+        message: action === 'unlock'
+          ? `Successfully unlocked ${result.count} users`
+          : `Successfully ${action.replace('_', ' ')}d ${result.count} users`,
         data: { updatedCount: result.count }
       });
     } catch (error) {
@@ -348,30 +536,41 @@ const adminController = {
     }
   },
 
-  // System backup trigger
+  // Start a backup (runs in the background, poll GET /backups/:id)
   createBackup: async (req, res) => {
     try {
-      const { type = 'full' } = req.body;
+      const type = String(req.body.type || 'full').toUpperCase();
 
-      // In a real implementation, you would:
-      // 1. Create database backup
-      // 2. Backup uploaded files
-      // 3. Store backup metadata
-      
-      const backupId = `backup_${Date.now()}`;
-      
-      // Simulated backup process
-      logger.info(`Backup initiated: ${backupId} (${type}) by ${req.user.email}`);
+      if (!BACKUP_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Backup type must be one of: ${BACKUP_TYPES.join(', ').toLowerCase()}`
+        });
+      }
 
-      res.json({
+      const { backup, running } = await startBackup({ type, userId: req.user.id });
+
+      if (running) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another backup or restore is already in progress',
+          data: { backup: running.id ? formatBackup(running) : null }
+        });
+      }
+
+      logger.info(`Backup initiated: ${backup.id} (${type}) by ${req.user.email}`);
+
+      await recordAudit(req, {
+        action: 'backup.create',
+        entityType: 'backup',
+        entityId: backup.id,
+        after: { type }
+      });
+
+      res.status(202).json({
         success: true,
         message: 'Backup initiated successfully',
-        data: {
-          backupId,
-          type,
-          status: 'in_progress',
-          startedAt: new Date()
-        }
+        data: { backup: formatBackup(backup) }
       });
     } catch (error) {
       logger.error('Backup initiation error:', error);
@@ -382,6 +581,289 @@ const adminController = {
     }
   },
 
+  // List backups, newest first
+  getBackups: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+      const where = status ? { status: String(status).toUpperCase() } : {};
+
+      const [backups, totalCount] = await Promise.all([
+        prisma.backup.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take,
+          include: {
+            creator: {
+              select: { id: true, fullName: true, email: true }
+            }
+          }
+        }),
+        prisma.backup.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          backups: backups.map(formatBackup),
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get backups error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backups'
+      });
+    }
+  },
+
+  // Backup status, for polling after POST /backup
+  getBackup: async (req, res) => {
+    try {
+      const backup = await prisma.backup.findUnique({
+        where: { id: req.params.id },
+        include: {
+          creator: {
+            select: { id: true, fullName: true, email: true }
+          }
+        }
+      });
+
+      if (!backup) {
+        return backupNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: { backup: formatBackup(backup) }
+      });
+    } catch (error) {
+      logger.error('Get backup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backup'
+      });
+    }
+  },
+
+  // Download a completed backup archive
+  downloadBackup: async (req, res) => {
+    try {
+      const backup = await prisma.backup.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!backup) {
+        return backupNotFound(res);
+      }
+
+      if (backup.status !== 'COMPLETED' || !backup.fileName) {
+        return res.status(409).json({
+          success: false,
+          message: `Backup is ${backup.status.toLowerCase()}, only completed backups can be downloaded`
+        });
+      }
+
+      // Archives live in backup storage, so any instance can serve them
+      const archive = await openArchive(backup);
+      if (!archive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Backup archive is missing from backup storage'
+        });
+      }
+
+      logger.info(`Backup downloaded: ${backup.fileName} by ${req.user.email}`);
+
+      res.attachment(backup.fileName);
+      if (backup.sizeBytes !== null) {
+        res.set('Content-Length', backup.sizeBytes.toString());
+      }
+      archive.on('error', (error) => {
+        logger.error('Backup download error:', error);
+        res.destroy(error);
+      });
+      archive.pipe(res);
+    } catch (error) {
+      logger.error('Download backup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download backup'
+      });
+    }
+  },
+
+  // Delete a backup and its archive
+  deleteBackup: async (req, res) => {
+    try {
+      const backup = await prisma.backup.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!backup) {
+        return backupNotFound(res);
+      }
+
+      if (['PENDING', 'RUNNING'].includes(backup.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A running backup cannot be deleted'
+        });
+      }
+
+      await deleteBackup(backup);
+
+      logger.info(`Backup deleted: ${backup.fileName || backup.id} by ${req.user.email}`);
+
+      await recordAudit(req, {
+        action: 'backup.delete',
+        entityType: 'backup',
+        entityId: backup.id,
+        before: formatBackup(backup)
+      });
+
+      res.json({
+        success: true,
+        message: 'Backup deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete backup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete backup'
+      });
+    }
+  },
+
+  // Validate a backup and restore it; dryRun only runs the archive and schema checks
+  restoreBackup: async (req, res) => {
+    try {
+      const { dryRun = false, database = true, uploads = true } = req.body;
+
+      const backup = await prisma.backup.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!backup) {
+        return backupNotFound(res);
+      }
+
+      if (backup.status !== 'COMPLETED' || !backup.fileName) {
+        return res.status(409).json({
+          success: false,
+          message: `Backup is ${backup.status.toLowerCase()}, only completed backups can be restored`
+        });
+      }
+
+      const running = await prisma.backup.count({
+        where: { status: { in: ['PENDING', 'RUNNING'] } }
+      });
+      if (running > 0 || await isRestoring()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another backup or restore is already in progress'
+        });
+      }
+
+      const result = await restoreBackup(backup, { dryRun, database, uploads });
+
+      // Another instance started one after the check above
+      if (result.running) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another backup or restore is already in progress'
+        });
+      }
+
+      if (!result.valid) {
+        return res.status(422).json({
+          success: false,
+          message: 'Backup archive failed validation',
+          data: result
+        });
+      }
+
+      if (!dryRun) {
+        logger.info(`Backup restored: ${backup.fileName} by ${req.user.email}`);
+
+        await recordAudit(req, {
+          action: 'backup.restore',
+          entityType: 'backup',
+          entityId: backup.id,
+          metadata: { restored: result.restored, warnings: result.warnings }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Dry run: the backup can be restored' : 'Backup restored successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Restore backup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore backup',
+        error: error.message
+      });
+    }
+  },
+
+  // Upload an archive taken elsewhere so it can be restored here
+  uploadBackup: async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No backup archive uploaded'
+        });
+      }
+
+      const { backup, report } = await importArchive(req.file.path, req.user.id);
+
+      if (!backup) {
+        return res.status(422).json({
+          success: false,
+          message: 'Backup archive failed validation',
+          data: report
+        });
+      }
+
+      logger.info(`Backup uploaded: ${backup.fileName} by ${req.user.email}`);
+
+      await recordAudit(req, {
+        action: 'backup.upload',
+        entityType: 'backup',
+        entityId: backup.id,
+        after: { fileName: backup.fileName, originalName: req.file.originalname }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Backup archive uploaded and validated',
+        data: { backup: formatBackup(backup), report }
+      });
+    } catch (error) {
+      logger.error('Upload backup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload backup'
+      });
+    }
+  },
+
   // Content moderation queue
   getModerationQueue: async (req, res) => {
     try {
@@ -444,107 +926,1051 @@ const adminController = {
             })
           ]);
           break;
-        
-        default:
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid moderation type'
-          });
-      }
 
-      const totalPages = Math.ceil(totalCount / take);
+        case 'comments': {
+          // Held for approval, or still visible with open reports
+          const where = {
+            deletedAt: null,
+            OR: [
+              { status: 'PENDING' },
+              { status: 'VISIBLE', reportCount: { gt: 0 } }
+            ]
+          };
 
-      res.json({
-        success: true,
-        data: {
-          type,
-          items: moderationItems,
-          pagination: {
-            page: parseInt(page),
-            limit: take,
-            totalPages,
-            totalCount,
-            hasNext: parseInt(page) < totalPages,
-            hasPrev: parseInt(page) > 1
-          }
-        }
-      });
-    } catch (error) {
-      logger.error('Get moderation queue error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch moderation queue'
+          [moderationItems, totalCount] = await Promise.all([
+            prisma.comment.findMany({
+              where,
+              skip,
+              take,
+              orderBy: [{ reportCount: 'desc' }, { createdAt: 'asc' }],
+              select: {
+                id: true,
+                content: true,
+                status: true,
+                depth: true,
+                parentId: true,
+                reportCount: true,
+                upvoteCount: true,
+                editedAt: true,
+                createdAt: true,
+                author: {
+                  select: {
+                    id: true,
+                    fullName: true,
+                    email: true,
+                    commentBannedAt: true,
+                    commentBanExpiresAt: true
+                  }
+                },
+                article: {
+                  select: { id: true, headline: true, slug: true }
+                },
+                aiArticle: {
+                  select: { id: true, headline: true }
+                },
+                reports: {
+                  where: { resolvedAt: null },
+                  orderBy: { createdAt: 'desc' },
+                  select: {
+                    id: true,
+                    reason: true,
+                    details: true,
+                    createdAt: true,
+                    reporter: {
+                      select: { id: true, fullName: true }
+                    }
+                  }
+                }
+              }
+            }),
+            prisma.comment.count({ where })
+          ]);
+          break;
+        }
+        
+        default:
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid moderation type'
+          });
+      }
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          type,
+          items: moderationItems,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get moderation queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch moderation queue'
+      });
+    }
+  },
+
+  // Act on a comment from the moderation queue: approve it, hide it, or hide it
+  // and ban its author from commenting (for `days`, or permanently)
+  moderateComment: async (req, res) => {
+    try {
+      const { action, note, days } = req.body;
+
+      const comment = await prisma.comment.findFirst({
+        where: { id: req.params.id, deletedAt: null },
+        include: {
+          author: {
+            select: { id: true, fullName: true, email: true, role: true, customRoleId: true }
+          },
+          _count: {
+            select: { reports: true }
+          }
+        }
+      });
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      // Custom roles with admin permissions count as administrators too
+      if (action === 'ban') {
+        const author = { ...comment.author, permissions: await getUserPermissions(comment.author) };
+
+        if (effectiveRole(author) === SUPER_ROLE) {
+          return res.status(400).json({
+            success: false,
+            message: 'Administrators cannot be banned from commenting'
+          });
+        }
+      }
+
+      const now = new Date();
+      const status = action === 'approve' ? 'VISIBLE' : 'HIDDEN';
+      const ban = action === 'ban'
+        ? {
+          commentBannedAt: now,
+          commentBanExpiresAt: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null,
+          commentBanReason: note || null
+        }
+        : null;
+
+      const [updatedComment, resolved] = await prisma.$transaction([
+        prisma.comment.update({
+          where: { id: comment.id },
+          data: {
+            status,
+            reportCount: 0,
+            moderatedBy: req.user.id,
+            moderatedAt: now,
+            moderationNote: note || null
+          }
+        }),
+        prisma.commentReport.updateMany({
+          where: { commentId: comment.id, resolvedAt: null },
+          data: { resolvedAt: now, resolvedBy: req.user.id }
+        }),
+        ...(ban ? [
+          prisma.user.update({
+            where: { id: comment.authorId },
+            data: ban
+          })
+        ] : [])
+      ]);
+
+      // A reply held for approval from the start has not notified anyone yet
+      if (action === 'approve' && comment.status === 'PENDING' && comment.parentId &&
+          !comment.moderatedAt && comment._count.reports === 0) {
+        const parent = await prisma.comment.findUnique({ where: { id: comment.parentId } });
+        if (parent && !parent.deletedAt && parent.authorId !== comment.authorId) {
+          await notifyCommentReply(parent, comment, comment.author);
+        }
+      }
+
+      await recordAudit(req, {
+        action: `comment.${action}`,
+        entityType: 'comment',
+        entityId: comment.id,
+        before: { status: comment.status, reportCount: comment.reportCount },
+        after: { status: updatedComment.status, reportCount: 0 },
+        metadata: {
+          authorId: comment.authorId,
+          resolvedReports: resolved.count,
+          ...(note && { note }),
+          ...(ban && { banExpiresAt: ban.commentBanExpiresAt })
+        }
+      });
+
+      logger.info(`Comment ${action}: ${comment.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: {
+          approve: 'Comment approved',
+          hide: 'Comment hidden',
+          ban: `Comment hidden and ${comment.author.fullName} banned from commenting`
+        }[action],
+        data: {
+          comment: {
+            id: updatedComment.id,
+            status: updatedComment.status,
+            moderatedAt: updatedComment.moderatedAt,
+            moderationNote: updatedComment.moderationNote
+          },
+          resolvedReports: resolved.count,
+          ...(ban && {
+            ban: {
+              userId: comment.authorId,
+              bannedAt: ban.commentBannedAt,
+              expiresAt: ban.commentBanExpiresAt,
+              reason: ban.commentBanReason
+            }
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('Moderate comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to moderate comment'
+      });
+    }
+  },
+
+  // Let a banned user comment again
+  liftCommentBan: async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: {
+          id: true,
+          email: true,
+          commentBannedAt: true,
+          commentBanExpiresAt: true,
+          commentBanReason: true
+        }
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!user.commentBannedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is not banned from commenting'
+        });
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          commentBannedAt: null,
+          commentBanExpiresAt: null,
+          commentBanReason: null
+        }
+      });
+
+      await recordAudit(req, {
+        action: 'user.comment_unban',
+        entityType: 'user',
+        entityId: user.id,
+        before: {
+          commentBannedAt: user.commentBannedAt,
+          commentBanExpiresAt: user.commentBanExpiresAt,
+          commentBanReason: user.commentBanReason
+        },
+        after: { commentBannedAt: null },
+        metadata: { email: user.email }
+      });
+
+      logger.info(`Comment ban lifted for ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Comment ban lifted'
+      });
+    } catch (error) {
+      logger.error('Lift comment ban error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to lift comment ban'
+      });
+    }
+  },
+
+  // Roles that must use two-factor authentication
+  getTwoFactorPolicy: async (req, res) => {
+    try {
+      const requiredRoles = await getRequiredRoles();
+
+      const enrollment = await prisma.user.groupBy({
+        by: ['role', 'twoFactorEnabled'],
+        where: { isActive: true },
+        _count: { _all: true }
+      });
+
+      const roles = enrollment.reduce((acc, row) => {
+        if (!acc[row.role]) acc[row.role] = { enabled: 0, notEnabled: 0 };
+        acc[row.role][row.twoFactorEnabled ? 'enabled' : 'notEnabled'] += row._count._all;
+        return acc;
+      }, {});
+
+      res.json({
+        success: true,
+        data: { requiredRoles, enrollment: roles }
+      });
+    } catch (error) {
+      logger.error('Get two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch two-factor policy'
+      });
+    }
+  },
+
+  // Set the roles that must use two-factor authentication. Users in those
+  // roles without 2FA have to enroll at their next login.
+  updateTwoFactorPolicy: async (req, res) => {
+    try {
+      const requiredRoles = [...new Set(req.body.requiredRoles)];
+      const previousRoles = await getRequiredRoles();
+      const value = requiredRoles.join(',');
+
+      await prisma.systemSettings.upsert({
+        where: { key: REQUIRED_ROLES_SETTING },
+        update: { value },
+        create: { key: REQUIRED_ROLES_SETTING, value, type: 'string', category: 'security' }
+      });
+
+      await recordAudit(req, {
+        action: 'setting.update',
+        entityType: 'setting',
+        entityId: REQUIRED_ROLES_SETTING,
+        before: { value: previousRoles.join(',') },
+        after: { value }
+      });
+
+      logger.info(`Two-factor required roles set to [${value}] by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor policy updated',
+        data: { requiredRoles }
+      });
+    } catch (error) {
+      logger.error('Update two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update two-factor policy'
+      });
+    }
+  },
+
+  // Reset a user's 2FA (lost device); they enroll again on their next login
+  // if their role requires it
+  resetUserTwoFactor: async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, email: true, twoFactorEnabled: true, twoFactorEnabledAt: true }
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'User does not have two-factor authentication enabled'
+        });
+      }
+
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: user.id },
+          data: {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorEnabledAt: null,
+            twoFactorLastStep: null
+          }
+        }),
+        prisma.twoFactorRecoveryCode.deleteMany({
+          where: { userId: user.id }
+        }),
+        prisma.userSession.updateMany({
+          where: { userId: user.id, revokedAt: null },
+          data: { revokedAt: new Date(), revokedReason: 'two_factor_reset' }
+        })
+      ]);
+
+      await recordAudit(req, {
+        action: 'user.2fa_reset',
+        entityType: 'user',
+        entityId: user.id,
+        before: { twoFactorEnabled: true, twoFactorEnabledAt: user.twoFactorEnabledAt },
+        after: { twoFactorEnabled: false },
+        metadata: { email: user.email }
+      });
+
+      logger.info(`Two-factor authentication reset for ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The user has been signed out.'
+      });
+    } catch (error) {
+      logger.error('Reset user two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset two-factor authentication'
+      });
+    }
+  },
+
+  // List partner API keys with today's usage
+  getApiKeys: async (req, res) => {
+    try {
+      const { status } = req.query;
+      const now = new Date();
+
+      const where = {};
+      if (status === 'active') {
+        where.revokedAt = null;
+        where.OR = [{ expiresAt: null }, { expiresAt: { gt: now } }];
+      } else if (status === 'revoked') {
+        where.revokedAt = { not: null };
+      } else if (status === 'expired') {
+        where.revokedAt = null;
+        where.expiresAt = { lte: now };
+      }
+
+      const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+      const apiKeys = await prisma.apiKey.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          creator: apiKeyCreatorSelect,
+          usage: {
+            where: { date: today },
+            select: { requestCount: true, deniedCount: true }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map(({ usage, ...apiKey }) => ({
+            ...formatApiKey(apiKey),
+            usageToday: usage[0] || { requestCount: 0, deniedCount: 0 }
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Get API keys error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch API keys'
+      });
+    }
+  },
+
+  // Issue a partner API key; the key itself is only returned here
+  createApiKey: async (req, res) => {
+    try {
+      const { name, description, scopes, rateLimitPerMinute, dailyQuota, expiresAt } = req.body;
+      const { key, prefix, keyHash } = generateApiKey();
+
+      const data = {
+        name,
+        description: description || null,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        dailyQuota: dailyQuota ?? null,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        createdBy: req.user.id
+      };
+      if (rateLimitPerMinute !== undefined) data.rateLimitPerMinute = rateLimitPerMinute;
+
+      const apiKey = await prisma.apiKey.create({
+        data,
+        include: { creator: apiKeyCreatorSelect }
+      });
+
+      await recordAudit(req, {
+        action: 'api_key.create',
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        after: pickChanges({}, apiKey, API_KEY_AUDITED_FIELDS).after,
+        metadata: { prefix }
+      });
+
+      logger.info(`API key created: ${apiKey.name} (${prefix}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store the key now; it will not be shown again.',
+        data: {
+          apiKey: formatApiKey(apiKey),
+          key
+        }
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create API key'
+      });
+    }
+  },
+
+  // Get an API key with its daily usage for the last 30 days
+  getApiKey: async (req, res) => {
+    try {
+      const apiKey = await prisma.apiKey.findUnique({
+        where: { id: req.params.id },
+        include: { creator: apiKeyCreatorSelect }
+      });
+
+      if (!apiKey) {
+        return apiKeyNotFound(res);
+      }
+
+      const usage = await getApiKeyUsage(apiKey.id, 30);
+
+      res.json({
+        success: true,
+        data: {
+          apiKey: formatApiKey(apiKey),
+          usage
+        }
+      });
+    } catch (error) {
+      logger.error('Get API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch API key'
+      });
+    }
+  },
+
+  // Change an API key's name, scopes, limits or expiry
+  updateApiKey: async (req, res) => {
+    try {
+      const existing = await prisma.apiKey.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return apiKeyNotFound(res);
+      }
+
+      if (existing.revokedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Revoked API keys cannot be changed'
+        });
+      }
+
+      const data = {};
+      for (const field of API_KEY_AUDITED_FIELDS) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+      if (data.scopes) data.scopes = [...new Set(data.scopes)];
+      if (data.expiresAt) data.expiresAt = new Date(data.expiresAt);
+
+      const apiKey = await prisma.apiKey.update({
+        where: { id: existing.id },
+        data,
+        include: { creator: apiKeyCreatorSelect }
+      });
+
+      invalidateApiKeyCache();
+
+      const changes = pickChanges(existing, data, API_KEY_AUDITED_FIELDS);
+      await recordAudit(req, {
+        action: 'api_key.update',
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        before: changes.before,
+        after: changes.after
+      });
+
+      res.json({
+        success: true,
+        message: 'API key updated successfully',
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+    } catch (error) {
+      logger.error('Update API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update API key'
+      });
+    }
+  },
+
+  // Revoke an API key; it stops working at once and its usage history is kept
+  revokeApiKey: async (req, res) => {
+    try {
+      const existing = await prisma.apiKey.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return apiKeyNotFound(res);
+      }
+
+      if (existing.revokedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'API key is already revoked'
+        });
+      }
+
+      const apiKey = await prisma.apiKey.update({
+        where: { id: existing.id },
+        data: { revokedAt: new Date() }
+      });
+
+      invalidateApiKeyCache();
+
+      await recordAudit(req, {
+        action: 'api_key.revoke',
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        before: { revokedAt: null },
+        after: { revokedAt: apiKey.revokedAt },
+        metadata: { name: apiKey.name, prefix: apiKey.prefix }
+      });
+
+      logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API key'
+      });
+    }
+  },
+
+  // Every permission a role can grant
+  getPermissions: async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+      }
+    });
+  },
+
+  // List roles with their permissions and how many users have each
+  getRoles: async (req, res) => {
+    try {
+      const [roles, baseRoleCounts] = await Promise.all([
+        prisma.role.findMany({
+          orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+          include: roleInclude
+        }),
+        // System roles apply to users of that role without a custom role
+        prisma.user.groupBy({
+          by: ['role'],
+          where: { customRoleId: null },
+          _count: { _all: true }
+        })
+      ]);
+
+      const systemCounts = Object.fromEntries(baseRoleCounts.map(row => [row.role, row._count._all]));
+
+      res.json({
+        success: true,
+        data: {
+          roles: roles.map(role => {
+            const formatted = formatRole(role);
+            if (role.isSystem) formatted.userCount = systemCounts[role.key] || 0;
+            return formatted;
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch roles'
+      });
+    }
+  },
+
+  // Create a custom role
+  createRole: async (req, res) => {
+    try {
+      const { key, name, description } = req.body;
+      const permissions = [...new Set(req.body.permissions)];
+
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${unknown.join(', ')}`
+        });
+      }
+
+      const denial = roleGrantDenial(req.user, permissions);
+      if (denial) {
+        return res.status(403).json({
+          success: false,
+          message: denial
+        });
+      }
+
+      const existing = await prisma.role.findUnique({ where: { key } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `A role with key ${key} already exists`
+        });
+      }
+
+      const role = await prisma.role.create({
+        data: {
+          key,
+          name,
+          description: description || null,
+          permissions: {
+            create: permissions.map(permission => ({ permission }))
+          }
+        },
+        include: roleInclude
+      });
+
+      invalidateRoleCache();
+
+      await recordAudit(req, {
+        action: 'role.create',
+        entityType: 'role',
+        entityId: role.id,
+        after: { key, name, permissions }
+      });
+
+      logger.info(`Role created: ${key} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role: formatRole(role) }
+      });
+    } catch (error) {
+      logger.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create role'
+      });
+    }
+  },
+
+  // Rename a role or change its permissions. The ADMIN role always has every
+  // permission and cannot be changed.
+  updateRole: async (req, res) => {
+    try {
+      const existing = await prisma.role.findUnique({
+        where: { id: req.params.id },
+        include: { permissions: { select: { permission: true } } }
+      });
+
+      if (!existing) {
+        return roleNotFound(res);
+      }
+
+      if (existing.isSystem && existing.key === SUPER_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${SUPER_ROLE} role always has every permission and cannot be changed`
+        });
+      }
+
+      if (holdsRole(req.user, existing)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot change the role you hold'
+        });
+      }
+
+      const { name, description } = req.body;
+      const permissions = req.body.permissions ? [...new Set(req.body.permissions)] : undefined;
+
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${unknown.join(', ')}`
+        });
+      }
+
+      // What the role grants now counts too: taking permissions away from its users is also managing them
+      const denial = roleGrantDenial(req.user, [...rolePermissions(existing), ...(permissions || [])]);
+      if (denial) {
+        return res.status(403).json({
+          success: false,
+          message: denial
+        });
+      }
+
+      const data = {};
+      if (name !== undefined) data.name = name;
+      if (description !== undefined) data.description = description || null;
+
+      const role = await prisma.$transaction(async (tx) => {
+        if (permissions) {
+          await tx.rolePermission.deleteMany({ where: { roleId: existing.id } });
+          await tx.rolePermission.createMany({
+            data: permissions.map(permission => ({ roleId: existing.id, permission }))
+          });
+        }
+
+        return tx.role.update({
+          where: { id: existing.id },
+          data,
+          include: roleInclude
+        });
+      });
+
+      invalidateRoleCache();
+
+      const before = { ...existing, permissions: existing.permissions.map(row => row.permission) };
+      const changes = pickChanges(before, { ...data, ...(permissions && { permissions }) }, ['name', 'description', 'permissions']);
+      await recordAudit(req, {
+        action: 'role.update',
+        entityType: 'role',
+        entityId: existing.id,
+        before: changes.before,
+        after: changes.after,
+        metadata: { key: existing.key }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role: formatRole(role) }
+      });
+    } catch (error) {
+      logger.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role'
       });
     }
   },
 
-  // Generate system report
-  generateReport: async (req, res) => {
+  // Delete a custom role that nobody has any more
+  deleteRole: async (req, res) => {
     try {
-      const { type, timeframe = '30d', format = 'json' } = req.body;
+      const existing = await prisma.role.findUnique({
+        where: { id: req.params.id },
+        include: roleInclude
+      });
+
+      if (!existing) {
+        return roleNotFound(res);
+      }
 
-      const validTypes = ['users', 'content', 'engagement', 'system'];
-      if (!validTypes.includes(type)) {
+      if (existing.isSystem) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid report type'
+          message: 'System roles cannot be deleted'
+        });
+      }
+
+      if (existing._count.users > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${existing._count.users} users; assign them another role first`
         });
       }
 
-      const days = { '7d': 7, '30d': 30, '90d': 90 }[timeframe] || 30;
-      const fromDate = new Date();
-      fromDate.setDate(fromDate.getDate() - days);
+      await prisma.role.delete({ where: { id: existing.id } });
 
-      // Generate report based on type
-      let reportData = {};
-      
-      switch (type) {
-        case 'users':
-          reportData = await generateUserReport(fromDate);
-          break;
-        case 'content':
-          reportData = await generateContentReport(fromDate);
-          break;
-        case 'engagement':
-          reportData = await generateEngagementReport(fromDate);
-          break;
-        case 'system':
-          reportData = await generateSystemReport(fromDate);
-          break;
+      invalidateRoleCache();
+
+      await recordAudit(req, {
+        action: 'role.delete',
+        entityType: 'role',
+        entityId: existing.id,
+        before: { key: existing.key, name: existing.name, permissions: formatRole(existing).permissions }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete role'
+      });
+    }
+  },
+
+  // Give a user a custom role, or clear it (roleId null) so their system
+  // role applies again
+  assignUserRole: async (req, res) => {
+    try {
+      const roleId = req.body.roleId || null;
+
+      // An admin could otherwise remove their own access to roles
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
       }
 
-      const report = {
-        id: `report_${Date.now()}`,
-        type,
-        timeframe,
-        generatedAt: new Date(),
-        generatedBy: {
-          id: req.user.id,
-          name: req.user.fullName,
-          email: req.user.email
-        },
-        dateRange: {
-          from: fromDate,
-          to: new Date()
-        },
-        data: reportData
-      };
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, email: true, role: true, customRoleId: true }
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Any custom role would take an admin's super role away, and clearing
+      // one from a demoted admin gives it back
+      if (user.role === SUPER_ROLE && !isSuperUser(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: `Only ${SUPER_ROLE} users can change the roles of ${SUPER_ROLE} users`
+        });
+      }
 
-      logger.info(`System report generated: ${type} by ${req.user.email}`);
+      const granted = [];
 
-      if (format === 'json') {
-        res.json({
-          success: true,
-          data: { report }
+      if (roleId) {
+        const role = await prisma.role.findUnique({
+          where: { id: roleId },
+          include: { permissions: { select: { permission: true } } }
         });
-      } else {
-        // For other formats, you could generate PDF, CSV, etc.
-        res.json({
-          success: true,
-          message: 'Report generated successfully',
-          data: { reportId: report.id }
+
+        if (!role) {
+          return roleNotFound(res);
+        }
+
+        if (role.isSystem) {
+          return res.status(400).json({
+            success: false,
+            message: 'System roles are set through the user\'s role; assign a custom role here'
+          });
+        }
+
+        granted.push(...rolePermissions(role));
+      }
+
+      // The role being replaced counts too, so nobody strips permissions they could not grant
+      if (user.customRoleId && user.customRoleId !== roleId) {
+        const previous = await prisma.role.findUnique({
+          where: { id: user.customRoleId },
+          include: { permissions: { select: { permission: true } } }
+        });
+        if (previous) granted.push(...rolePermissions(previous));
+      }
+
+      const denial = roleGrantDenial(req.user, granted);
+      if (denial) {
+        return res.status(403).json({
+          success: false,
+          message: denial
+        });
+      }
+
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: { customRoleId: roleId },
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          customRole: { select: { id: true, key: true, name: true } }
+        }
+      });
+
+      await recordAudit(req, {
+        action: 'user.custom_role_change',
+        entityType: 'user',
+        entityId: user.id,
+        before: { customRoleId: user.customRoleId },
+        after: { customRoleId: roleId },
+        metadata: { email: user.email }
+      });
+
+      res.json({
+        success: true,
+        message: roleId ? 'Custom role assigned' : 'Custom role removed',
+        data: { user: updated }
+      });
+    } catch (error) {
+      logger.error('Assign user role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign role'
+      });
+    }
+  },
+
+  // Generate system report
+  generateReport: async (req, res) => {
+    try {
+      const { type, timeframe = '30d', dateFrom, dateTo, format = 'json' } = req.body;
+
+      const range = resolveDateRange({ timeframe, dateFrom, dateTo });
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
         });
       }
+
+      const report = await generateReport({ type, range, format, userId: req.user.id });
+
+      logger.info(`System report generated: ${type} (${report.id}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Report generated successfully',
+        data: { report: formatReport(report, format === 'json') }
+      });
     } catch (error) {
       logger.error('Generate report error:', error);
       res.status(500).json({
@@ -552,60 +1978,321 @@ const adminController = {
         message: 'Failed to generate report'
       });
     }
+  },
+
+  // List stored reports (without their sections)
+  getReports: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, type, scheduleId } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = {};
+      if (type) where.type = type;
+      if (scheduleId) where.scheduleId = scheduleId;
+
+      const [reports, totalCount] = await Promise.all([
+        prisma.report.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take,
+          include: {
+            generator: {
+              select: { id: true, fullName: true, email: true }
+            }
+          }
+        }),
+        prisma.report.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          reports: reports.map(report => formatReport(report, false)),
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get reports error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reports'
+      });
+    }
+  },
+
+  // Get a stored report as JSON, or download it as CSV/PDF (?format=, defaults to the format it was generated for)
+  getReport: async (req, res) => {
+    try {
+      const report = await prisma.report.findUnique({
+        where: { id: req.params.id },
+        include: {
+          generator: {
+            select: { id: true, fullName: true, email: true }
+          }
+        }
+      });
+
+      if (!report) {
+        return reportNotFound(res);
+      }
+
+      const format = req.query.format || report.format;
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          data: { report: formatReport(report, true) }
+        });
+      }
+
+      const content = renderReport(report, format);
+
+      logger.info(`Report downloaded: ${report.id} (${format}) by ${req.user.email}`);
+
+      res.setHeader('Content-Type', REPORT_CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(report, format)}"`);
+      res.send(content);
+    } catch (error) {
+      logger.error('Get report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report'
+      });
+    }
+  },
+
+  // Delete a stored report
+  deleteReport: async (req, res) => {
+    try {
+      const report = await prisma.report.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, type: true, dateFrom: true, dateTo: true }
+      });
+
+      if (!report) {
+        return reportNotFound(res);
+      }
+
+      await prisma.report.delete({ where: { id: report.id } });
+
+      await recordAudit(req, {
+        action: 'report.delete',
+        entityType: 'report',
+        entityId: report.id,
+        before: report
+      });
+
+      res.json({
+        success: true,
+        message: 'Report deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete report'
+      });
+    }
+  },
+
+  // List report schedules
+  getReportSchedules: async (req, res) => {
+    try {
+      const schedules = await prisma.reportSchedule.findMany({
+        orderBy: { createdAt: 'desc' },
+        include: {
+          creator: {
+            select: { id: true, fullName: true, email: true }
+          },
+          _count: { select: { reports: true } }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: { schedules }
+      });
+    } catch (error) {
+      logger.error('Get report schedules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report schedules'
+      });
+    }
+  },
+
+  // Create a recurring emailed report
+  createReportSchedule: async (req, res) => {
+    try {
+      const { name, type, format = 'pdf', frequency, hour, dayOfWeek, dayOfMonth, recipients, isActive = true } = req.body;
+
+      const data = {
+        name,
+        type,
+        format,
+        frequency,
+        recipients: [...new Set(recipients.map(email => email.toLowerCase()))],
+        isActive,
+        createdBy: req.user.id
+      };
+      if (hour !== undefined) data.hour = hour;
+      if (dayOfWeek !== undefined) data.dayOfWeek = dayOfWeek;
+      if (dayOfMonth !== undefined) data.dayOfMonth = dayOfMonth;
+
+      const schedule = await prisma.reportSchedule.create({
+        data: {
+          ...data,
+          nextRunAt: computeNextRun({ hour: 6, dayOfWeek: 1, dayOfMonth: 1, ...data })
+        }
+      });
+
+      await recordAudit(req, {
+        action: 'report.schedule_create',
+        entityType: 'report_schedule',
+        entityId: schedule.id,
+        after: pickChanges({}, schedule, SCHEDULE_AUDITED_FIELDS).after
+      });
+
+      logger.info(`Report schedule created: ${schedule.name} (${frequency} ${type}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Report schedule created successfully',
+        data: { schedule }
+      });
+    } catch (error) {
+      logger.error('Create report schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create report schedule'
+      });
+    }
+  },
+
+  // Update a report schedule; timing changes move the next run
+  updateReportSchedule: async (req, res) => {
+    try {
+      const existing = await prisma.reportSchedule.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return scheduleNotFound(res);
+      }
+
+      const data = {};
+      for (const field of SCHEDULE_AUDITED_FIELDS) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+      if (data.recipients) {
+        data.recipients = [...new Set(data.recipients.map(email => email.toLowerCase()))];
+      }
+
+      const timing = ['frequency', 'hour', 'dayOfWeek', 'dayOfMonth'];
+      if (timing.some(field => data[field] !== undefined) || (data.isActive && !existing.isActive)) {
+        data.nextRunAt = computeNextRun({ ...existing, ...data });
+      }
+
+      const schedule = await prisma.reportSchedule.update({
+        where: { id: existing.id },
+        data
+      });
+
+      const changes = pickChanges(existing, data, SCHEDULE_AUDITED_FIELDS);
+      await recordAudit(req, {
+        action: 'report.schedule_update',
+        entityType: 'report_schedule',
+        entityId: schedule.id,
+        before: changes.before,
+        after: changes.after
+      });
+
+      res.json({
+        success: true,
+        message: 'Report schedule updated successfully',
+        data: { schedule }
+      });
+    } catch (error) {
+      logger.error('Update report schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update report schedule'
+      });
+    }
+  },
+
+  // Delete a report schedule; reports it produced are kept
+  deleteReportSchedule: async (req, res) => {
+    try {
+      const existing = await prisma.reportSchedule.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!existing) {
+        return scheduleNotFound(res);
+      }
+
+      await prisma.reportSchedule.delete({ where: { id: existing.id } });
+
+      await recordAudit(req, {
+        action: 'report.schedule_delete',
+        entityType: 'report_schedule',
+        entityId: existing.id,
+        before: pickChanges({}, existing, SCHEDULE_AUDITED_FIELDS).after
+      });
+
+      res.json({
+        success: true,
+        message: 'Report schedule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete report schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete report schedule'
+      });
+    }
+  },
+
+  // Generate and email a scheduled report now, without moving its next run
+  runReportSchedule: async (req, res) => {
+    try {
+      const schedule = await prisma.reportSchedule.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!schedule) {
+        return scheduleNotFound(res);
+      }
+
+      const report = await deliverSchedule(schedule);
+
+      logger.info(`Report schedule run manually: ${schedule.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Report sent to ${schedule.recipients.length} recipient(s)`,
+        data: { report: formatReport(report, false) }
+      });
+    } catch (error) {
+      logger.error('Run report schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send scheduled report'
+      });
+    }
   }
 };
 
-// Helper functions for report generation
-async function generateUserReport(fromDate) {
-  const userStats = await prisma.user.groupBy({
-    by: ['role'],
-    where: { createdAt: { gte: fromDate } },
-    _count: { id: true }
-  });
-
-  return {
-    newUsers: userStats,
-    summary: 'User registration and activity report'
-  };
-}
-
-async function generateContentReport(fromDate) {
-  const contentStats = await prisma.newsArticle.groupBy({
-    by: ['category', 'status'],
-    where: { createdAt: { gte: fromDate } },
-    _count: { id: true }
-  });
-
-  return {
-    contentByCategory: contentStats,
-    summary: 'Content creation and publishing report'
-  };
-}
-
-async function generateEngagementReport(fromDate) {
-  const engagementStats = await prisma.newsArticle.aggregate({
-    where: { publishedAt: { gte: fromDate } },
-    _sum: { viewCount: true, shareCount: true },
-    _avg: { viewCount: true, shareCount: true }
-  });
-
-  return {
-    engagement: engagementStats,
-    summary: 'User engagement and interaction report'
-  };
-}
-
-async function generateSystemReport(fromDate) {
-  const systemStats = {
-    uptime: process.uptime(),
-    memoryUsage: process.memoryUsage(),
-    timestamp: new Date()
-  };
-
-  return {
-    system: systemStats,
-    summary: 'System performance and health report'
-  };
-}
-
 module.exports = adminController;
\ No newline at end of file
@@ -1,6 +1,7 @@
 // controllers/advertisementController.js
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { recordAudit, recordAudits, pickChanges } = require('../services/auditLog');
 
 const advertisementController = {
   // Get active advertisements for display
@@ -190,6 +191,19 @@ const advertisementController = {
         }
       });
       logger.info(`Advertisement created: ${title} by ${req.user.email}`);
+      await recordAudit(req, {
+        action: 'advertisement.create',
+        entityType: 'advertisement',
+        entityId: advertisement.id,
+        after: {
+          title,
+          targetUrl,
+          position,
+          startDate: advertisement.startDate,
+          endDate: advertisement.endDate,
+          budget: advertisement.budget
+        }
+      });
       res.status(201).json({
         success: true,
         message: 'Advertisement created successfully',
@@ -210,12 +224,7 @@ const advertisementController = {
       const { id } = req.params;
       const updateData = { ...req.body };
       const existingAd = await prisma.advertisement.findUnique({
-        where: { id },
-        select: {
-          id: true,
-          title: true,
-          createdBy: true
-        }
+        where: { id }
       });
       if (!existingAd) {
         return res.status(404).json({
@@ -240,6 +249,12 @@ const advertisementController = {
         }
       });
       logger.info(`Advertisement updated: ${existingAd.title} by ${req.user.email}`);
+      await recordAudit(req, {
+        action: 'advertisement.update',
+        entityType: 'advertisement',
+        entityId: id,
+        ...pickChanges(existingAd, updateData)
+      });
       res.json({
         success: true,
         message: 'Advertisement updated successfully',
@@ -259,8 +274,7 @@ const advertisementController = {
     try {
       const { id } = req.params;
       const advertisement = await prisma.advertisement.findUnique({
-        where: { id },
-        select: { title: true }
+        where: { id }
       });
       if (!advertisement) {
         return res.status(404).json({
@@ -272,6 +286,12 @@ const advertisementController = {
         where: { id }
       });
       logger.info(`Advertisement deleted: ${advertisement.title} by ${req.user.email}`);
+      await recordAudit(req, {
+        action: 'advertisement.delete',
+        entityType: 'advertisement',
+        entityId: id,
+        before: advertisement
+      });
       res.json({
         success: true,
         message: 'Advertisement deleted successfully'
@@ -314,6 +334,13 @@ const advertisementController = {
         }
       });
       logger.info(`Advertisement ${updatedAd.isActive ? 'activated' : 'deactivated'}: ${advertisement.title} by ${req.user.email}`);
+      await recordAudit(req, {
+        action: updatedAd.isActive ? 'advertisement.activate' : 'advertisement.deactivate',
+        entityType: 'advertisement',
+        entityId: id,
+        before: { isActive: advertisement.isActive },
+        after: { isActive: updatedAd.isActive }
+      });
       res.json({
         success: true,
         message: `Advertisement ${updatedAd.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -524,11 +551,23 @@ const advertisementController = {
           message: 'Cannot update more than 50 advertisements at once'
         });
       }
+      const changedAds = await prisma.advertisement.findMany({
+        where: { id: { in: advertisementIds }, isActive: !isActive },
+        select: { id: true, title: true }
+      });
       const result = await prisma.advertisement.updateMany({
         where: { id: { in: advertisementIds } },
         data: { isActive }
       });
       logger.info(`Bulk advertisement status update: ${result.count} ads ${isActive ? 'activated' : 'deactivated'} by ${req.user.email}`);
+      await recordAudits(req, changedAds.map(ad => ({
+        action: isActive ? 'advertisement.activate' : 'advertisement.deactivate',
+        entityType: 'advertisement',
+        entityId: ad.id,
+        before: { isActive: !isActive },
+        after: { isActive },
+        metadata: { title: ad.title, bulk: true }
+      })));
       res.json({
         success: true,
         message: `Successfully ${isActive ? 'activated' : 'deactivated'} ${result.count} advertisements`,
@@ -1,6 +1,8 @@
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
 const slugify = require('slugify');
+const { createHighlighter } = require('../utils/snippets');
+const { prepareTags, tagLinksCreate, tagLinksReplace, getPopularTags } = require('../services/tagService');
 
 const aiMlController = {
   // Get AI/ML news articles with filtering and pagination - ENHANCED
@@ -323,7 +325,8 @@ const aiMlController = {
         limit = 10,
         category,
         sortBy = 'relevance',
-        order = 'desc'
+        order = 'desc',
+        highlight = 'html'
       } = req.query;
 
       if (!query || query.trim().length === 0) {
@@ -385,18 +388,33 @@ const aiMlController = {
             viewCount: true,
             shareCount: true,
             relevanceScore: true,
-            publishedAt: true
+            publishedAt: true,
+            fullContent: highlight !== 'none'
           }
         }),
         prisma.aiArticle.count({ where })
       ]);
 
+      // Full content is only loaded to cut the snippet from
+      const highlighter = createHighlighter(query, { mode: highlight });
+      const results = articles.map(({ fullContent, ...article }) => (
+        highlight === 'none'
+          ? article
+          : {
+            ...article,
+            highlights: {
+              title: highlighter.field(article.headline),
+              snippet: highlighter.snippet(fullContent, article.briefContent)
+            }
+          }
+      ));
+
       const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
         data: {
-          articles,
+          articles: results,
           searchQuery: query,
           pagination: {
             page: parseInt(page),
@@ -544,33 +562,17 @@ getAiMlCategories: async (req, res) => {
     try {
       const { limit = 20 } = req.query;
 
-      const articles = await prisma.aiArticle.findMany({
-        where: {
-          tags: { not: null },
-          publishedAt: {
-            gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-          }
-        },
-        select: { tags: true, viewCount: true }
-      });
-
-      const topicCounts = {};
-      
-      articles.forEach(article => {
-        if (article.tags) {
-          const tags = article.tags.split(',').map(tag => tag.trim().toLowerCase());
-          tags.forEach(tag => {
-            if (tag) {
-              topicCounts[tag] = (topicCounts[tag] || 0) + (article.viewCount || 1);
-            }
-          });
-        }
+      const tags = await getPopularTags('ai', {
+        since: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        limit: parseInt(limit)
       });
 
-      const popularTopics = Object.entries(topicCounts)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, parseInt(limit))
-        .map(([topic, score]) => ({ topic, score }));
+      const popularTopics = tags.map(tag => ({
+        topic: tag.name,
+        slug: tag.slug,
+        score: tag.score,
+        articleCount: tag.count
+      }));
 
       res.json({
         success: true,
@@ -861,6 +863,8 @@ getAiMlCategories: async (req, res) => {
       });
     }
 
+    const tagSet = await prepareTags(tags);
+
     const article = await prisma.aiArticle.create({
       data: {
         headline,
@@ -868,7 +872,8 @@ getAiMlCategories: async (req, res) => {
         fullContent,
         category,
         featuredImage,
-        tags,
+        tags: tagSet.value,
+        tagLinks: tagLinksCreate(tagSet.tags),
         aiModel,
         aiApplication,
         companyMentioned,
@@ -992,11 +997,11 @@ getAiMlCategories: async (req, res) => {
       if (fullContent !== undefined) updateData.fullContent = fullContent;
       if (category !== undefined) updateData.category = category;
       if (featuredImage !== undefined) updateData.featuredImage = featuredImage;
-      // Convert tags array to comma-separated string
+      // Tags may be an array or a comma-separated string
       if (tags !== undefined) {
-        updateData.tags = Array.isArray(tags) 
-          ? tags.filter(Boolean).join(',') 
-          : tags;
+        const tagSet = await prepareTags(tags);
+        updateData.tags = tagSet.value;
+        updateData.tagLinks = tagLinksReplace(tagSet.tags);
       }
       if (aiModel !== undefined) updateData.aiModel = aiModel;
       if (aiApplication !== undefined) updateData.aiApplication = aiApplication;
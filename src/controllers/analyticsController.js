@@ -1,6 +1,17 @@
 // controllers/analyticsController.js - COMPLETE VERSION
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const {
+  EXPORT_ACCESS,
+  SYNC_MAX_DAYS,
+  CONTENT_TYPES,
+  resolveDateRange,
+  writeExport,
+  exportFileName,
+  openExport,
+  startExportJob
+} = require('../services/analyticsExport');
+const { hasPermission } = require('../services/permissions');
 
 function convertBigIntToNumber(obj) {
   if (obj === null || obj === undefined) return obj;
@@ -16,6 +27,28 @@ function convertBigIntToNumber(obj) {
   return obj;
 }
 
+// Owners see their own exports; user analytics access opens anyone's
+const findOwnExport = async (req) => {
+  const job = await prisma.analyticsExport.findUnique({
+    where: { id: req.params.id }
+  });
+
+  if (!job || (job.userId !== req.user.id && !hasPermission(req.user, 'analytics.users'))) {
+    return null;
+  }
+  return job;
+};
+
+const exportNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Export not found'
+});
+
+const formatExport = (job) => ({
+  ...job,
+  downloadUrl: job.status === 'COMPLETED' ? `/api/analytics/exports/${job.id}/download` : null
+});
+
 const analyticsController = {
   // Get dashboard analytics - REAL DATA ONLY
   getDashboardAnalytics: async (req, res) => {
@@ -640,29 +673,175 @@ const analyticsController = {
     }
   },
 
-  // Export analytics
+  // Export analytics as CSV, JSON or XLSX; large ranges or ?async=true run as a background job
   exportAnalytics: async (req, res) => {
+    const { type = 'overview', format = 'csv', timeframe, dateFrom, dateTo } = req.query;
+
     try {
-      const { type = 'overview', timeframe = '30d', format = 'json' } = req.query;
-      const days = { '7d': 7, '30d': 30, '90d': 90 }[timeframe] || 30;
-      const fromDate = new Date();
-      fromDate.setDate(fromDate.getDate() - days);
+      if (!hasPermission(req.user, EXPORT_ACCESS[type])) {
+        return res.status(403).json({
+          success: false,
+          message: `Your role cannot export ${type} analytics`
+        });
+      }
+
+      const range = resolveDateRange({ timeframe, dateFrom, dateTo });
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
 
-      let exportData = {};
-      // ... export logic here
+      if (req.query.async === true || range.days > SYNC_MAX_DAYS) {
+        const job = await startExportJob({ userId: req.user.id, type, format, range });
+
+        logger.info(`Analytics export queued: ${type} (${format}) by ${req.user.email}`);
+
+        return res.status(202).json({
+          success: true,
+          message: 'Export started, you will be notified when it is ready to download',
+          data: { export: formatExport(job) }
+        });
+      }
+
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(type, range, format)}"`);
+
+      const count = await writeExport(type, range, format, res);
+
+      logger.info(`Analytics exported: ${type} ${count} rows (${format}) by ${req.user.email}`);
+      res.end();
+    } catch (error) {
+      logger.error('Export analytics error:', error);
+
+      // Once rows are streamed the status is already sent; cut the download short
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export analytics data'
+      });
+    }
+  },
+
+  // List the current user's background exports
+  getExports: async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+      const where = { userId: req.user.id };
+
+      const [exports, totalCount] = await Promise.all([
+        prisma.analyticsExport.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take
+        }),
+        prisma.analyticsExport.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
-        message: 'Export functionality coming soon'
+        data: {
+          exports: exports.map(formatExport),
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
       });
     } catch (error) {
-      logger.error('Export analytics error:', error);
+      logger.error('Get exports error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to export analytics data'
+        message: 'Failed to fetch exports'
+      });
+    }
+  },
+
+  // Get one background export
+  getExport: async (req, res) => {
+    try {
+      const job = await findOwnExport(req);
+
+      if (!job) {
+        return exportNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: { export: formatExport(job) }
+      });
+    } catch (error) {
+      logger.error('Get export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch export'
+      });
+    }
+  },
+
+  // Download a finished background export
+  downloadExport: async (req, res) => {
+    try {
+      const job = await findOwnExport(req);
+
+      if (!job) {
+        return exportNotFound(res);
+      }
+
+      if (job.status !== 'COMPLETED' || !job.fileName) {
+        return res.status(409).json({
+          success: false,
+          message: `Export is ${job.status.toLowerCase()}, only completed exports can be downloaded`
+        });
+      }
+
+      if (job.expiresAt && job.expiresAt < new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: 'Export has expired, please request a new one'
+        });
+      }
+
+      // Files live in export storage, so any instance can serve them
+      const file = await openExport(job);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export file is missing from export storage'
+        });
+      }
+
+      res.attachment(job.fileName);
+      res.setHeader('Content-Type', CONTENT_TYPES[job.format]);
+      if (job.sizeBytes !== null) {
+        res.set('Content-Length', String(job.sizeBytes));
+      }
+      file.on('error', (error) => {
+        logger.error('Export download error:', error);
+        res.destroy(error);
+      });
+      file.pipe(res);
+    } catch (error) {
+      logger.error('Download export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download export'
       });
     }
   }
 };
 
-module.exports = analyticsController;
\ No newline at end of file
+module.exports = analyticsController;
@@ -2,6 +2,81 @@
 
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { resolvePublishState, announcePublishedArticle } = require('../services/publishingScheduler');
+const {
+  REVISION_FIELDS,
+  pickRevisionFields,
+  getLatestRevision,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions
+} = require('../services/articleRevisions');
+const { prepareTags, tagLinksCreate, tagLinksReplace } = require('../services/tagService');
+const {
+  loadCategoryIndex,
+  getBreadcrumbs,
+  getDescendants,
+  getCategoryBreadcrumbs
+} = require('../services/categoryTree');
+const { resolveCategoryRedirect } = require('../services/categoryMigration');
+const { recordAudit } = require('../services/auditLog');
+const { hasPermission } = require('../services/permissions');
+const {
+  RELATED_CONTENT_TYPES,
+  RELATED_SOURCES,
+  loadRelatedItems,
+  getRelatedContent
+} = require('../services/relatedContent');
+
+// Select object for every snapshotted field of an article
+const revisionFieldSelect = REVISION_FIELDS.reduce((acc, field) => {
+  acc[field] = true;
+  return acc;
+}, {});
+
+// Whether an edit or restore by a user without article.publish sends the
+// article to the approval queue. Authors resubmit drafts and rejected
+// articles themselves; changed content never replaces approved content
+// without review, whether it was edited or restored.
+const submitsForReview = (user, status, submitForReview) => {
+  if (hasPermission(user, 'article.publish')) return false;
+
+  if (['APPROVED', 'SCHEDULED', 'PUBLISHED'].includes(status)) return true;
+
+  return (submitForReview === true || submitForReview === 'true')
+    && ['DRAFT', 'REJECTED'].includes(status);
+};
+
+// Article whose related items the current user may curate, or an error response
+const findCuratableArticle = async (req, res) => {
+  const article = await prisma.newsArticle.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, headline: true, authorId: true }
+  });
+
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      message: 'Article not found'
+    });
+    return null;
+  }
+
+  const canEdit = hasPermission(req.user, 'article.edit_any')
+    || req.user.id === article.authorId;
+
+  if (!canEdit) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return article;
+};
+
+const typeOfRelated = (enumValue) => Object.keys(RELATED_CONTENT_TYPES).find(key => RELATED_CONTENT_TYPES[key] === enumValue);
 
 // Helper function to generate slug
 const generateSlug = (headline) => {
@@ -15,13 +90,21 @@ const generateSlug = (headline) => {
 };
 
 // Helper function to validate category exists in Category table
+// Old names of renamed or merged categories resolve to the current category
 const validateCategory = async (categoryName) => {
-  const category = await prisma.category.findFirst({
+  let category = await prisma.category.findFirst({
     where: {
       name: categoryName.toUpperCase(),
       isActive: true
     }
   });
+
+  if (!category) {
+    const redirect = await resolveCategoryRedirect(categoryName);
+    if (redirect && redirect.category.isActive) {
+      category = redirect.category;
+    }
+  }
   
   if (!category) {
     logger.warn(`Category validation failed for: ${categoryName}`);
@@ -57,7 +140,8 @@ const articlesController = {
         sortBy = 'publishedAt',
         order = 'desc',
         featured = false,
-        includeTimeSaver = 'false'
+        includeTimeSaver = 'false',
+        includeSubcategories = 'false'
       } = req.query;
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -87,7 +171,15 @@ const articlesController = {
           });
         }
         
-        where.category = upperCategory;
+        where.category = categoryExists.name;
+
+        // Category pages can include articles filed under sub-categories
+        if (includeSubcategories === 'true') {
+          const index = await loadCategoryIndex({ includeInactive: false });
+          where.category = {
+            in: getDescendants(index, categoryExists.id).map(item => item.name)
+          };
+        }
         logger.info(`Filtering by category: ${upperCategory}`);
       }
 
@@ -152,12 +244,14 @@ const articlesController = {
       logger.info(`Found ${articles.length} articles, total count: ${totalCount}`);
 
       // FIXED: Add category display names to articles
+      const categoryIndex = await loadCategoryIndex();
       const articlesWithCategory = await Promise.all(
         articles.map(async (article) => {
           const categoryDisplayName = await getCategoryDisplayName(article.category);
           return {
             ...article,
-            categoryDisplayName
+            categoryDisplayName,
+            categoryBreadcrumbs: getBreadcrumbs(categoryIndex, article.category)
           };
         })
       );
@@ -299,8 +393,7 @@ const articlesController = {
           });
         }
 
-        const canView = req.user.role === 'ADMIN'
-          || req.user.role === 'AD_MANAGER'
+        const canView = hasPermission(req.user, 'article.edit_any')
           || req.user.id === article.author.id
           || (article.approver && req.user.id === article.approver.id);
 
@@ -353,6 +446,7 @@ const articlesController = {
 
       // FIXED: Add category display name
       const categoryDisplayName = await getCategoryDisplayName(article.category);
+      const categoryBreadcrumbs = await getCategoryBreadcrumbs(article.category);
 
       res.json({
         success: true,
@@ -360,6 +454,7 @@ const articlesController = {
           article: {
             ...article,
             categoryDisplayName,
+            categoryBreadcrumbs,
             isFavorite,
             timeSaverCount: article.timeSaverReferences?.length || 0
           }
@@ -436,24 +531,26 @@ const articlesController = {
       slug = `${slug}-${Date.now()}`;
     }
 
-    // Determine status based on role
+    // Determine status based on role - approvers publish directly unless scheduledAt is in the future
     let status = 'DRAFT';
     let publishedAt = null;
     
-    if (req.user.role === 'AD_MANAGER' || req.user.role === 'ADMIN') {
-      status = 'PUBLISHED';
-      publishedAt = scheduledAt ? new Date(scheduledAt) : new Date();
+    if (hasPermission(req.user, 'article.publish')) {
+      ({ status, publishedAt } = resolvePublishState(scheduledAt));
     } else {
       status = 'PENDING';
     }
 
+    const tagSet = await prepareTags(tags);
+
     const article = await prisma.newsArticle.create({
       data: {
         headline,
         briefContent,
         fullContent,
-        category: upperCategory,
-        tags,
+        category: categoryRecord.name,
+        tags: tagSet.value,
+        tagLinks: tagLinksCreate(tagSet.tags),
         priorityLevel,
         featuredImage,
         metaTitle: metaTitle || headline,
@@ -461,7 +558,7 @@ const articlesController = {
         slug,
         status,
         authorId: req.user.id,
-        approvedBy: (req.user.role === 'AD_MANAGER' || req.user.role === 'ADMIN') ? req.user.id : null,
+        approvedBy: hasPermission(req.user, 'article.publish') ? req.user.id : null,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
         publishedAt
       },
@@ -476,6 +573,13 @@ const articlesController = {
       }
     });
 
+    // Initial revision so the first edit can be diffed
+    try {
+      await recordRevision(article, req.user.id, { changeType: 'CREATED' });
+    } catch (revisionError) {
+      logger.error('Failed to record initial article revision:', revisionError);
+    }
+
     // Automatically create TimeSaver content if enabled
     let timeSaver = null;
     if (createTimeSaver && (status === 'PUBLISHED' || status === 'APPROVED')) {
@@ -494,7 +598,7 @@ const articlesController = {
           data: {
             title: timeSaverTitle || headline,
             summary: timeSaverSummary || briefContent.substring(0, 300),
-            category: upperCategory,
+            category: categoryRecord.name,
             imageUrl: featuredImage,
             iconName: timeSaverIconName || 'Newspaper',
             bgColor: timeSaverBgColor || '#3B82F6',
@@ -516,9 +620,14 @@ const articlesController = {
 
     // Add category display name
     const categoryDisplayName = await getCategoryDisplayName(article.category);
+    const categoryBreadcrumbs = await getCategoryBreadcrumbs(article.category);
 
     logger.info(`Article created: ${article.headline} by ${req.user.email} with status ${status}, category: ${article.category}`);
 
+    if (status === 'PUBLISHED') {
+      announcePublishedArticle(article.id);
+    }
+
     res.status(201).json({
       success: true,
       message: timeSaver 
@@ -527,7 +636,8 @@ const articlesController = {
       data: { 
         article: {
           ...article,
-          categoryDisplayName
+          categoryDisplayName,
+          categoryBreadcrumbs
         },
         timeSaver: timeSaver ? {
           id: timeSaver.id,
@@ -561,6 +671,8 @@ const articlesController = {
       metaTitle,
       metaDescription,
       scheduledAt,
+      revisionNote,
+      submitForReview,
       
       // ⭐ Extract TimeSaver fields (don't pass to Prisma)
       createTimeSaver,
@@ -583,7 +695,7 @@ const articlesController = {
         id: true, 
         authorId: true, 
         status: true,
-        category: true
+        ...revisionFieldSelect
       }
     });
 
@@ -595,8 +707,7 @@ const articlesController = {
     }
 
     // Check permissions
-    const canEdit = req.user.role === 'ADMIN' 
-      || req.user.role === 'AD_MANAGER' 
+    const canEdit = hasPermission(req.user, 'article.edit_any')
       || req.user.id === existingArticle.authorId;
 
     if (!canEdit) {
@@ -607,9 +718,10 @@ const articlesController = {
     }
 
     // Validate category if provided
+    let categoryRecord = null;
     if (category) {
       const upperCategory = category.toUpperCase();
-      const categoryRecord = await validateCategory(upperCategory);
+      categoryRecord = await validateCategory(upperCategory);
       
       if (!categoryRecord) {
         const availableCategories = await prisma.category.findMany({
@@ -631,14 +743,33 @@ const articlesController = {
     if (headline !== undefined) updateData.headline = headline;
     if (briefContent !== undefined) updateData.briefContent = briefContent;
     if (fullContent !== undefined) updateData.fullContent = fullContent;
-    if (category !== undefined) updateData.category = category.toUpperCase();
+    if (categoryRecord) updateData.category = categoryRecord.name;
     if (priorityLevel !== undefined) updateData.priorityLevel = parseInt(priorityLevel);
-    if (tags !== undefined) updateData.tags = tags;
+    if (tags !== undefined) {
+      const tagSet = await prepareTags(tags);
+      updateData.tags = tagSet.value;
+      updateData.tagLinks = tagLinksReplace(tagSet.tags);
+    }
     if (featuredImage !== undefined) updateData.featuredImage = featuredImage;
     if (metaTitle !== undefined) updateData.metaTitle = metaTitle;
     if (metaDescription !== undefined) updateData.metaDescription = metaDescription;
     if (scheduledAt !== undefined) updateData.scheduledAt = scheduledAt ? new Date(scheduledAt) : null;
 
+    // Clearing the schedule of a SCHEDULED article takes it back to draft
+    if (existingArticle.status === 'SCHEDULED' && scheduledAt !== undefined && !scheduledAt) {
+      updateData.status = 'DRAFT';
+    }
+
+    // Authors resubmit a draft or rejected article, and approved content goes back for review
+    const resubmitting = submitsForReview(req.user, existingArticle.status, submitForReview);
+
+    if (resubmitting) {
+      updateData.status = 'PENDING';
+    }
+
+    // Legacy articles get their pre-edit state stored before it is overwritten
+    await ensureBaselineRevision(existingArticle);
+
     // Auto-generate metaTitle if not provided
     if (!updateData.metaTitle && updateData.headline) {
       updateData.metaTitle = updateData.headline;
@@ -667,6 +798,24 @@ const articlesController = {
       }
     });
 
+    const revision = await recordRevision(article, req.user.id, {
+      changeType: 'UPDATED',
+      changeNote: revisionNote || null
+    });
+
+    if (resubmitting) {
+      await prisma.approvalHistory.create({
+        data: {
+          newsId: id,
+          approverId: req.user.id,
+          action: 'REVISION_SUBMITTED',
+          comments: revisionNote || null,
+          revisionId: revision.id
+        }
+      });
+      logger.info(`Article revision submitted for review: ${article.headline} by ${req.user.email}`);
+    }
+
     // ⭐ Handle TimeSaver creation/update separately
     let timeSaver = null;
     if (createTimeSaver && (article.status === 'PUBLISHED' || article.status === 'APPROVED')) {
@@ -721,6 +870,7 @@ const articlesController = {
 
     // Add category display name
     const categoryDisplayName = await getCategoryDisplayName(article.category);
+    const categoryBreadcrumbs = await getCategoryBreadcrumbs(article.category);
 
     logger.info(`Article updated: ${article.headline} by ${req.user.email}`);
 
@@ -732,7 +882,12 @@ const articlesController = {
       data: { 
         article: {
           ...article,
-          categoryDisplayName
+          categoryDisplayName,
+          categoryBreadcrumbs
+        },
+        revision: {
+          id: revision.id,
+          revisionNumber: revision.revisionNumber
         },
         timeSaver: timeSaver ? {
           id: timeSaver.id,
@@ -772,8 +927,7 @@ const articlesController = {
         });
       }
 
-      const canDelete = req.user.role === 'ADMIN'
-        || req.user.role === 'AD_MANAGER'
+      const canDelete = hasPermission(req.user, 'article.edit_any')
         || req.user.id === existingArticle.authorId;
 
       if (!canDelete) {
@@ -815,7 +969,7 @@ const articlesController = {
         order = 'desc'
       } = req.query;
 
-      if (req.user.id !== authorId && !['AD_MANAGER', 'ADMIN'].includes(req.user.role)) {
+      if (req.user.id !== authorId && !hasPermission(req.user, 'article.edit_any')) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
@@ -906,7 +1060,9 @@ const articlesController = {
           id: true,
           headline: true,
           status: true,
-          authorId: true
+          authorId: true,
+          scheduledAt: true,
+          ...revisionFieldSelect
         }
       });
 
@@ -930,9 +1086,14 @@ const articlesController = {
       };
 
       if (action === 'APPROVED') {
-        updateData.publishedAt = new Date();
+        const publishState = resolvePublishState(article.scheduledAt);
+        updateData.status = publishState.status;
+        updateData.publishedAt = publishState.publishedAt;
       }
 
+      // Link the decision to the revision the approver reviewed
+      const reviewedRevision = await ensureBaselineRevision(article);
+
       await Promise.all([
         prisma.newsArticle.update({
           where: { id },
@@ -943,13 +1104,27 @@ const articlesController = {
             newsId: id,
             approverId: req.user.id,
             action,
-            comments
+            comments,
+            revisionId: reviewedRevision.id
           }
         })
       ]);
 
       logger.info(`Article ${action.toLowerCase()}: ${article.headline} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: `article.${action.toLowerCase()}`,
+        entityType: 'article',
+        entityId: id,
+        before: { status: article.status },
+        after: { status: updateData.status, publishedAt: updateData.publishedAt },
+        metadata: { headline: article.headline, comments, revisionId: reviewedRevision.id }
+      });
+
+      if (updateData.status === 'PUBLISHED') {
+        announcePublishedArticle(id);
+      }
+
       res.json({
         success: true,
         message: `Article ${action.toLowerCase()} successfully`
@@ -1049,96 +1224,185 @@ const articlesController = {
     }
   },
 
-  // Get approval history
-  getApprovalHistory: async (req, res) => {
+  // Get scheduled articles
+  getScheduledArticles: async (req, res) => {
     try {
-      const { id } = req.params;
+      const {
+        page = 1,
+        limit = 10,
+        category,
+        from,
+        to
+      } = req.query;
 
-      const article = await prisma.newsArticle.findUnique({
-        where: { id },
-        select: { authorId: true }
-      });
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
 
-      if (!article) {
-        return res.status(404).json({
-          success: false,
-          message: 'Article not found'
-        });
+      const where = { status: 'SCHEDULED' };
+
+      // Editors only see their own queue
+      if (!hasPermission(req.user, 'article.edit_any')) {
+        where.authorId = req.user.id;
       }
 
-      const canView = req.user.role === 'ADMIN'
-        || req.user.role === 'AD_MANAGER'
-        || req.user.id === article.authorId;
+      if (category && category.toUpperCase() !== 'ALL') {
+        where.category = category.toUpperCase();
+      }
 
-      if (!canView) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
+      if (from || to) {
+        where.scheduledAt = {};
+        if (from) where.scheduledAt.gte = new Date(from);
+        if (to) where.scheduledAt.lte = new Date(to);
       }
 
-      const approvalHistory = await prisma.approvalHistory.findMany({
-        where: { newsId: id },
-        orderBy: { createdAt: 'desc' },
-        include: {
-          approver: {
-            select: {
-              id: true,
-              fullName: true,
-              avatar: true
+      const [articles, totalCount] = await Promise.all([
+        prisma.newsArticle.findMany({
+          where,
+          skip,
+          take,
+          orderBy: { scheduledAt: 'asc' },
+          select: {
+            id: true,
+            headline: true,
+            briefContent: true,
+            category: true,
+            status: true,
+            priorityLevel: true,
+            featuredImage: true,
+            scheduledAt: true,
+            createdAt: true,
+            author: {
+              select: {
+                id: true,
+                fullName: true,
+                avatar: true
+              }
+            },
+            approver: {
+              select: {
+                id: true,
+                fullName: true
+              }
             }
           }
-        }
-      });
+        }),
+        prisma.newsArticle.count({ where })
+      ]);
+
+      const articlesWithCategory = await Promise.all(
+        articles.map(async (article) => {
+          const categoryDisplayName = await getCategoryDisplayName(article.category);
+          return {
+            ...article,
+            categoryDisplayName
+          };
+        })
+      );
+
+      const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
-        data: { approvalHistory }
+        data: {
+          articles: articlesWithCategory,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
       });
     } catch (error) {
-      logger.error('Get approval history error:', error);
+      logger.error('Get scheduled articles error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to fetch approval history'
+        message: 'Failed to fetch scheduled articles'
       });
     }
   },
 
-  // Update share count
-  updateShareCount: async (req, res) => {
+  // Reschedule a scheduled article
+  rescheduleArticle: async (req, res) => {
     try {
       const { id } = req.params;
+      const { scheduledAt } = req.body;
 
-      await prisma.newsArticle.update({
+      const article = await prisma.newsArticle.findUnique({
         where: { id },
-        data: { shareCount: { increment: 1 } }
+        select: {
+          id: true,
+          headline: true,
+          status: true,
+          authorId: true
+        }
+      });
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      const canEdit = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === article.authorId;
+
+      if (!canEdit) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (article.status !== 'SCHEDULED') {
+        return res.status(400).json({
+          success: false,
+          message: `Only scheduled articles can be rescheduled (current status: ${article.status})`
+        });
+      }
+
+      const updatedArticle = await prisma.newsArticle.update({
+        where: { id },
+        data: { scheduledAt: new Date(scheduledAt) },
+        select: {
+          id: true,
+          headline: true,
+          status: true,
+          scheduledAt: true
+        }
       });
 
+      logger.info(`Article rescheduled: ${article.headline} to ${updatedArticle.scheduledAt.toISOString()} by ${req.user.email}`);
+
       res.json({
         success: true,
-        message: 'Share count updated'
+        message: 'Article rescheduled successfully',
+        data: { article: updatedArticle }
       });
     } catch (error) {
-      logger.error('Update share count error:', error);
+      logger.error('Reschedule article error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update share count'
+        message: 'Failed to reschedule article'
       });
     }
   },
 
-  // Track article view
-  trackArticleView: async (req, res) => {
+  // Cancel a scheduled article (moves it back to draft)
+  cancelScheduledArticle: async (req, res) => {
     try {
       const { id } = req.params;
-      const { timestamp = new Date() } = req.body || {};
 
       const article = await prisma.newsArticle.findUnique({
         where: { id },
         select: {
           id: true,
+          headline: true,
           status: true,
-          viewCount: true
+          authorId: true
         }
       });
 
@@ -1149,60 +1413,585 @@ const articlesController = {
         });
       }
 
-      if (article.status === 'PUBLISHED' || article.status === 'APPROVED') {
-        await prisma.newsArticle.update({
-          where: { id },
-          data: { viewCount: { increment: 1 } }
+      const canEdit = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === article.authorId;
+
+      if (!canEdit) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
         });
+      }
 
-        if (req.user) {
-          await prisma.readingHistory.upsert({
-            where: {
-              userId_articleId: {
-                userId: req.user.id,
-                articleId: id
-              }
-            },
-            update: { updatedAt: new Date(timestamp) },
-            create: {
-              userId: req.user.id,
-              articleId: id
-            }
-          }).catch(() => {});
+      // Conditional update so a concurrent publish run cannot be overwritten
+      const result = await prisma.newsArticle.updateMany({
+        where: { id, status: 'SCHEDULED' },
+        data: {
+          status: 'DRAFT',
+          scheduledAt: null
         }
+      });
+
+      if (result.count === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Article is not scheduled'
+        });
       }
 
+      logger.info(`Scheduled publishing cancelled: ${article.headline} by ${req.user.email}`);
+
       res.json({
         success: true,
-        message: 'View tracked successfully'
+        message: 'Scheduled publishing cancelled, article moved to draft'
       });
     } catch (error) {
-      logger.error('Track article view error:', error);
+      logger.error('Cancel scheduled article error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to track view'
+        message: 'Failed to cancel scheduled article'
       });
     }
   },
 
-  // Get trending articles
-  getTrendingArticles: async (req, res) => {
+  // Get approval history
+  getApprovalHistory: async (req, res) => {
     try {
-      const { limit = 10, timeframe = '7d' } = req.query;
+      const { id } = req.params;
 
-      const timeframes = {
-        '1d': 1,
-        '7d': 7,
-        '30d': 30
-      };
+      const article = await prisma.newsArticle.findUnique({
+        where: { id },
+        select: { authorId: true }
+      });
 
-      const days = timeframes[timeframe] || 7;
-      const fromDate = new Date();
-      fromDate.setDate(fromDate.getDate() - days);
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
 
-      const articles = await prisma.newsArticle.findMany({
-        where: {
-          status: { in: ['PUBLISHED', 'APPROVED'] },
+      const canView = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === article.authorId;
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const approvalHistory = await prisma.approvalHistory.findMany({
+        where: { newsId: id },
+        orderBy: { createdAt: 'desc' },
+        include: {
+          approver: {
+            select: {
+              id: true,
+              fullName: true,
+              avatar: true
+            }
+          },
+          revision: {
+            select: {
+              id: true,
+              revisionNumber: true
+            }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: { approvalHistory }
+      });
+    } catch (error) {
+      logger.error('Get approval history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch approval history'
+      });
+    }
+  },
+
+  // Get article revision history
+  getRevisions: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const article = await prisma.newsArticle.findUnique({
+        where: { id },
+        select: { authorId: true }
+      });
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      const canView = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === article.authorId;
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const [revisions, totalCount] = await Promise.all([
+        prisma.articleRevision.findMany({
+          where: { articleId: id },
+          skip,
+          take,
+          orderBy: { revisionNumber: 'desc' },
+          select: {
+            id: true,
+            revisionNumber: true,
+            headline: true,
+            category: true,
+            changeType: true,
+            changeNote: true,
+            restoredFromId: true,
+            createdAt: true,
+            editor: {
+              select: {
+                id: true,
+                fullName: true,
+                avatar: true
+              }
+            },
+            approvalHistory: {
+              orderBy: { createdAt: 'asc' },
+              select: {
+                id: true,
+                action: true,
+                createdAt: true
+              }
+            }
+          }
+        }),
+        prisma.articleRevision.count({ where: { articleId: id } })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          revisions,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get article revisions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch article revisions'
+      });
+    }
+  },
+
+  // Get a single revision snapshot
+  getRevisionById: async (req, res) => {
+    try {
+      const { id, revId } = req.params;
+
+      const revision = await prisma.articleRevision.findFirst({
+        where: { id: revId, articleId: id },
+        include: {
+          article: { select: { authorId: true } },
+          editor: {
+            select: {
+              id: true,
+              fullName: true,
+              avatar: true
+            }
+          }
+        }
+      });
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const canView = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === revision.article.authorId;
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const { article, ...revisionData } = revision;
+
+      res.json({
+        success: true,
+        data: { revision: revisionData }
+      });
+    } catch (error) {
+      logger.error('Get article revision error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch article revision'
+      });
+    }
+  },
+
+  // Diff two revisions
+  // Without from/to, compares the latest revision against the one the approver
+  // last reviewed (basis=review) or the last resubmission (basis=submission)
+  getRevisionDiff: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { from, to, basis = 'review' } = req.query;
+
+      const article = await prisma.newsArticle.findUnique({
+        where: { id },
+        select: { authorId: true }
+      });
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      const canView = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === article.authorId;
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      let fromRevision = null;
+      let toRevision = null;
+      let resolvedBasis = 'explicit';
+
+      if (to) {
+        toRevision = await prisma.articleRevision.findFirst({ where: { id: to, articleId: id } });
+      } else {
+        toRevision = await getLatestRevision(id);
+      }
+
+      if (!toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: to ? 'Revision not found' : 'Article has no revisions yet'
+        });
+      }
+
+      if (from) {
+        fromRevision = await prisma.articleRevision.findFirst({ where: { id: from, articleId: id } });
+      } else {
+        const actions = basis === 'submission'
+          ? ['REVISION_SUBMITTED']
+          : ['APPROVED', 'REJECTED', 'CHANGES_REQUESTED'];
+
+        const lastEntry = await prisma.approvalHistory.findFirst({
+          where: {
+            newsId: id,
+            action: { in: actions },
+            revisionId: { not: null },
+            revision: { revisionNumber: { lt: toRevision.revisionNumber } }
+          },
+          orderBy: { createdAt: 'desc' },
+          include: { revision: true }
+        });
+
+        if (lastEntry) {
+          fromRevision = lastEntry.revision;
+          resolvedBasis = basis === 'submission' ? 'last_submission' : 'last_review';
+        } else {
+          fromRevision = await prisma.articleRevision.findFirst({
+            where: { articleId: id, revisionNumber: { lt: toRevision.revisionNumber } },
+            orderBy: { revisionNumber: 'desc' }
+          });
+          resolvedBasis = 'previous_revision';
+        }
+      }
+
+      if (!fromRevision) {
+        return res.status(from ? 404 : 400).json({
+          success: false,
+          message: from ? 'Revision not found' : 'No earlier revision to compare against'
+        });
+      }
+
+      const changes = diffRevisions(fromRevision, toRevision);
+
+      res.json({
+        success: true,
+        data: {
+          basis: resolvedBasis,
+          from: {
+            id: fromRevision.id,
+            revisionNumber: fromRevision.revisionNumber,
+            createdAt: fromRevision.createdAt
+          },
+          to: {
+            id: toRevision.id,
+            revisionNumber: toRevision.revisionNumber,
+            createdAt: toRevision.createdAt
+          },
+          changedFields: changes.map(change => change.field),
+          changes
+        }
+      });
+    } catch (error) {
+      logger.error('Get article revision diff error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compare article revisions'
+      });
+    }
+  },
+
+  // Restore an article to a previous revision
+  restoreRevision: async (req, res) => {
+    try {
+      const { id, revId } = req.params;
+      const { revisionNote, submitForReview } = req.body || {};
+
+      const existingArticle = await prisma.newsArticle.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          authorId: true,
+          status: true,
+          ...revisionFieldSelect
+        }
+      });
+
+      if (!existingArticle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      const canEdit = hasPermission(req.user, 'article.edit_any')
+        || req.user.id === existingArticle.authorId;
+
+      if (!canEdit) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const revision = await prisma.articleRevision.findFirst({
+        where: { id: revId, articleId: id }
+      });
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      // The category may have been removed since this revision was saved
+      const categoryRecord = await validateCategory(revision.category);
+      if (!categoryRecord) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot restore: category "${revision.category}" no longer exists or is inactive`
+        });
+      }
+
+      // Same approval path as an edit, see submitsForReview
+      const resubmitting = submitsForReview(req.user, existingArticle.status, submitForReview);
+
+      await ensureBaselineRevision(existingArticle);
+
+      const restoredTags = await prepareTags(revision.tags);
+
+      const article = await prisma.newsArticle.update({
+        where: { id },
+        data: {
+          ...pickRevisionFields(revision),
+          category: categoryRecord.name,
+          tags: restoredTags.value,
+          tagLinks: tagLinksReplace(restoredTags.tags),
+          ...(resubmitting && { status: 'PENDING' })
+        },
+        include: {
+          author: {
+            select: {
+              id: true,
+              fullName: true,
+              avatar: true
+            }
+          }
+        }
+      });
+
+      const restored = await recordRevision(article, req.user.id, {
+        changeType: 'RESTORED',
+        changeNote: revisionNote || `Restored from revision ${revision.revisionNumber}`,
+        restoredFromId: revision.id
+      });
+
+      if (resubmitting) {
+        await prisma.approvalHistory.create({
+          data: {
+            newsId: id,
+            approverId: req.user.id,
+            action: 'REVISION_SUBMITTED',
+            comments: revisionNote || null,
+            revisionId: restored.id
+          }
+        });
+        logger.info(`Restored article revision submitted for review: ${article.headline} by ${req.user.email}`);
+      }
+
+      logger.info(`Article restored to revision ${revision.revisionNumber}: ${article.headline} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: resubmitting
+          ? `Article restored to revision ${revision.revisionNumber} and submitted for review`
+          : `Article restored to revision ${revision.revisionNumber}`,
+        data: {
+          article,
+          revision: {
+            id: restored.id,
+            revisionNumber: restored.revisionNumber,
+            restoredFromId: restored.restoredFromId
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Restore article revision error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore article revision'
+      });
+    }
+  },
+
+  // Update share count
+  updateShareCount: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await prisma.newsArticle.update({
+        where: { id },
+        data: { shareCount: { increment: 1 } }
+      });
+
+      res.json({
+        success: true,
+        message: 'Share count updated'
+      });
+    } catch (error) {
+      logger.error('Update share count error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update share count'
+      });
+    }
+  },
+
+  // Track article view
+  trackArticleView: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { timestamp = new Date() } = req.body || {};
+
+      const article = await prisma.newsArticle.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          status: true,
+          viewCount: true
+        }
+      });
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      if (article.status === 'PUBLISHED' || article.status === 'APPROVED') {
+        await prisma.newsArticle.update({
+          where: { id },
+          data: { viewCount: { increment: 1 } }
+        });
+
+        if (req.user) {
+          await prisma.readingHistory.upsert({
+            where: {
+              userId_articleId: {
+                userId: req.user.id,
+                articleId: id
+              }
+            },
+            update: { updatedAt: new Date(timestamp) },
+            create: {
+              userId: req.user.id,
+              articleId: id
+            }
+          }).catch(() => {});
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'View tracked successfully'
+      });
+    } catch (error) {
+      logger.error('Track article view error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to track view'
+      });
+    }
+  },
+
+  // Get trending articles
+  getTrendingArticles: async (req, res) => {
+    try {
+      const { limit = 10, timeframe = '7d' } = req.query;
+
+      const timeframes = {
+        '1d': 1,
+        '7d': 7,
+        '30d': 30
+      };
+
+      const days = timeframes[timeframe] || 7;
+      const fromDate = new Date();
+      fromDate.setDate(fromDate.getDate() - days);
+
+      const articles = await prisma.newsArticle.findMany({
+        where: {
+          status: { in: ['PUBLISHED', 'APPROVED'] },
           publishedAt: {
             gte: fromDate,
             lte: new Date()
@@ -1259,6 +2048,206 @@ const articlesController = {
     }
   },
 
+  // "Read next" items for a published article: editor pins, then precomputed suggestions
+  getRelatedArticles: async (req, res) => {
+    try {
+      const { limit = 6 } = req.query;
+
+      const article = await prisma.newsArticle.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, status: true, category: true, relatedComputedAt: true }
+      });
+
+      if (!article || article.status !== 'PUBLISHED') {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found'
+        });
+      }
+
+      const related = await getRelatedContent(article, parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          related,
+          computedAt: article.relatedComputedAt
+        }
+      });
+    } catch (error) {
+      logger.error('Get related articles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch related articles'
+      });
+    }
+  },
+
+  // List the pinned and excluded related items of an article
+  getRelatedOverrides: async (req, res) => {
+    try {
+      const article = await findCuratableArticle(req, res);
+      if (!article) return;
+
+      const overrides = await prisma.relatedContentOverride.findMany({
+        where: { articleId: article.id },
+        orderBy: [{ action: 'asc' }, { position: 'asc' }, { createdAt: 'asc' }],
+        include: {
+          creator: {
+            select: { id: true, fullName: true }
+          }
+        }
+      });
+
+      const items = await loadRelatedItems(overrides.map(override => ({
+        type: typeOfRelated(override.targetType),
+        id: override.targetId
+      })));
+
+      res.json({
+        success: true,
+        data: {
+          overrides: overrides.map(override => {
+            const type = typeOfRelated(override.targetType);
+            return {
+              id: override.id,
+              type,
+              targetId: override.targetId,
+              action: override.action,
+              position: override.position,
+              creator: override.creator,
+              createdAt: override.createdAt,
+              // null while the item is unpublished or deleted
+              item: items.get(`${type}:${override.targetId}`) || null
+            };
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('Get related overrides error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch related overrides'
+      });
+    }
+  },
+
+  // Pin a related item or exclude it (replaces an earlier choice for the same item)
+  setRelatedOverride: async (req, res) => {
+    try {
+      const { type, targetId, action, position = 0 } = req.body;
+
+      const article = await findCuratableArticle(req, res);
+      if (!article) return;
+
+      if (type === 'news' && targetId === article.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'An article cannot be related to itself'
+        });
+      }
+
+      const target = await prisma[RELATED_SOURCES[type].model].findUnique({
+        where: { id: targetId },
+        select: { id: true }
+      });
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Related item not found'
+        });
+      }
+
+      const key = {
+        articleId: article.id,
+        targetType: RELATED_CONTENT_TYPES[type],
+        targetId
+      };
+
+      const existing = await prisma.relatedContentOverride.findUnique({
+        where: { articleId_targetType_targetId: key }
+      });
+
+      const override = await prisma.relatedContentOverride.upsert({
+        where: { articleId_targetType_targetId: key },
+        update: { action, position, createdBy: req.user.id },
+        create: { ...key, action, position, createdBy: req.user.id }
+      });
+
+      await recordAudit(req, {
+        action: `article.related_${action.toLowerCase()}`,
+        entityType: 'article',
+        entityId: article.id,
+        before: existing ? { action: existing.action, position: existing.position } : undefined,
+        after: { action, position },
+        metadata: { headline: article.headline, type, targetId }
+      });
+
+      logger.info(`Related ${action.toLowerCase()}: ${type} ${targetId} on article ${article.id} by ${req.user.email}`);
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: action === 'PIN' ? 'Related item pinned' : 'Related item excluded',
+        data: {
+          override: {
+            id: override.id,
+            type,
+            targetId: override.targetId,
+            action: override.action,
+            position: override.position
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Set related override error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update related items'
+      });
+    }
+  },
+
+  // Remove a pin or exclusion
+  removeRelatedOverride: async (req, res) => {
+    try {
+      const article = await findCuratableArticle(req, res);
+      if (!article) return;
+
+      const override = await prisma.relatedContentOverride.findFirst({
+        where: { id: req.params.overrideId, articleId: article.id }
+      });
+
+      if (!override) {
+        return res.status(404).json({
+          success: false,
+          message: 'Related override not found'
+        });
+      }
+
+      await prisma.relatedContentOverride.delete({ where: { id: override.id } });
+
+      await recordAudit(req, {
+        action: 'article.related_override_remove',
+        entityType: 'article',
+        entityId: article.id,
+        before: { action: override.action, position: override.position },
+        metadata: { headline: article.headline, type: typeOfRelated(override.targetType), targetId: override.targetId }
+      });
+
+      res.json({
+        success: true,
+        message: 'Related override removed'
+      });
+    } catch (error) {
+      logger.error('Remove related override error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove related override'
+      });
+    }
+  },
+
   // Get TimeSaver content linked to an article
   getArticleTimeSavers: async (req, res) => {
     try {
@@ -1,33 +1,95 @@
 // controllers/authController.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
 const emailService = require('../services/emailService');
+const { recordAudit } = require('../services/auditLog');
+const {
+  CHALLENGE_TTL_SECONDS,
+  CHALLENGE_PURPOSES,
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  verifyCode,
+  provisioningUri,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  isRequiredForUser,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
+const {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  listSessions
+} = require('../services/sessionService');
+const {
+  activeLockout,
+  recordFailedLogin,
+  clearedLockout,
+  checkLoginDevice
+} = require('../services/loginSecurity');
 
 // Generate random 6-digit OTP
 const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
 };
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-  );
+const loginUserSelect = {
+  id: true,
+  email: true,
+  fullName: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  avatar: true,
+  preferences: true,
+  lastLogin: true,
+  createdAt: true
+};
+
+// Issue tokens for a user who has passed every login check
+const startSession = async (user, req) => {
+  const { accessToken, refreshToken, sessionId } = await createSession(user.id, req);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date(), ...clearedLockout() }
+  });
 
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
+  await checkLoginDevice(user, req, sessionId);
 
   return { accessToken, refreshToken };
 };
 
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: `Too many failed login attempts. Your account is locked until ${lockedUntil.toISOString()}.`,
+  code: 'ACCOUNT_LOCKED',
+  data: { lockedUntil }
+});
+
+// Count a failed check; answers 423 if it locked the account, otherwise sends the given failure
+const failLogin = async (user, req, res, status, message) => {
+  const { locked, lockedUntil } = await recordFailedLogin(user, req);
+  if (locked) {
+    return lockedResponse(res, lockedUntil);
+  }
+
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+const invalidCode = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid authentication code'
+});
+
 const authController = {
   // Step 1: Request OTP for registration
   requestOTP: async (req, res) => {
@@ -173,18 +235,9 @@ const authController = {
         where: { email }
       });
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user.id);
-
-      // Store refresh token
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      await prisma.refreshToken.create({
-        data: {
-          token: refreshToken,
-          userId: user.id,
-          expiresAt
-        }
-      });
+      // Start a session for the new account
+      const { accessToken, refreshToken, sessionId } = await createSession(user.id, req);
+      await checkLoginDevice(user, req, sessionId);
 
       // Send welcome email (non-blocking)
       emailService.sendWelcomeEmail(user.email, user.fullName).catch(err => {
@@ -271,17 +324,11 @@ const authController = {
       const user = await prisma.user.findUnique({
         where: { email },
         select: {
-          id: true,
-          email: true,
+          ...loginUserSelect,
           passwordHash: true,
-          fullName: true,
-          role: true,
-          isActive: true,
-          emailVerified: true,
-          avatar: true,
-          preferences: true,
-          lastLogin: true,
-          createdAt: true
+          twoFactorEnabled: true,
+          lockedUntil: true,
+          customRoleId: true
         }
       });
 
@@ -306,45 +353,147 @@ const authController = {
         });
       }
 
+      const lockout = activeLockout(user);
+      if (lockout) {
+        return lockedResponse(res, lockout);
+      }
+
       const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
       if (!isPasswordValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
+        return failLogin(user, req, res, 401, 'Invalid credentials');
+      }
+
+      const { passwordHash, twoFactorEnabled, lockedUntil, customRoleId, ...userWithoutPassword } = user;
+
+      // Second step: no tokens until the user proves the second factor
+      // (or, when their role requires 2FA, sets it up)
+      if (twoFactorEnabled || await isRequiredForUser(user)) {
+        const enrollmentRequired = !twoFactorEnabled;
+
+        logger.info(`Login awaiting two-factor ${enrollmentRequired ? 'enrollment' : 'verification'}: ${email}`);
+
+        return res.json({
+          success: true,
+          message: enrollmentRequired
+            ? 'Two-factor authentication must be set up for your account'
+            : 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            enrollmentRequired,
+            challengeToken: createChallengeToken(
+              user.id,
+              enrollmentRequired ? CHALLENGE_PURPOSES.ENROLL : CHALLENGE_PURPOSES.LOGIN
+            ),
+            expiresIn: CHALLENGE_TTL_SECONDS
+          }
         });
       }
 
-      const { accessToken, refreshToken } = generateTokens(user.id);
+      const { accessToken, refreshToken } = await startSession(user, req);
+
+      logger.info(`User logged in: ${email}`);
 
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      await prisma.refreshToken.create({
+      res.json({
+        success: true,
+        message: 'Login successful',
         data: {
-          token: refreshToken,
-          userId: user.id,
-          expiresAt
+          user: userWithoutPassword,
+          accessToken,
+          refreshToken
         }
       });
+    } catch (error) {
+      logger.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Login failed'
+      });
+    }
+  },
 
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() }
+  // Complete a two-step login with a TOTP code or a recovery code
+  verifyTwoFactorLogin: async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const challenge = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.LOGIN);
+      if (!challenge) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge. Please login again.'
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: challenge.userId },
+        select: {
+          ...loginUserSelect,
+          twoFactorEnabled: true,
+          twoFactorSecret: true,
+          twoFactorLastStep: true,
+          lockedUntil: true
+        }
       });
 
-      const { passwordHash, ...userWithoutPassword } = user;
+      if (!user || !user.isActive || !user.twoFactorEnabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge. Please login again.'
+        });
+      }
+
+      const lockout = activeLockout(user);
+      if (lockout) {
+        return lockedResponse(res, lockout);
+      }
 
-      logger.info(`User logged in: ${email}`);
+      // Wrong codes count towards the lockout just like wrong passwords
+      const method = await verifySecondFactor(user, { code, recoveryCode });
+      if (!method) {
+        logger.warn(`Failed two-factor login for ${user.email}`);
+        return failLogin(user, req, res, 401, 'Invalid authentication code');
+      }
+
+      const { accessToken, refreshToken } = await startSession(user, req);
+
+      const {
+        twoFactorEnabled,
+        twoFactorSecret,
+        twoFactorLastStep,
+        lockedUntil,
+        ...userWithoutSecrets
+      } = user;
+
+      let recoveryCodesRemaining;
+      if (method === 'recovery') {
+        recoveryCodesRemaining = await prisma.twoFactorRecoveryCode.count({
+          where: { userId: user.id, usedAt: null }
+        });
+
+        // The request is authenticated from here on; attribute the entry to the user
+        req.user = userWithoutSecrets;
+        await recordAudit(req, {
+          action: 'user.2fa_recovery_code_used',
+          entityType: 'user',
+          entityId: user.id,
+          metadata: { recoveryCodesRemaining }
+        });
+      }
+
+      logger.info(`User logged in with two-factor (${method}): ${user.email}`);
 
       res.json({
         success: true,
         message: 'Login successful',
         data: {
-          user: userWithoutPassword,
+          user: userWithoutSecrets,
           accessToken,
-          refreshToken
+          refreshToken,
+          ...(recoveryCodesRemaining !== undefined && { recoveryCodesRemaining })
         }
       });
     } catch (error) {
-      logger.error('Login error:', error);
+      logger.error('Two-factor login error:', error);
       res.status(500).json({
         success: false,
         message: 'Login failed'
@@ -352,7 +501,8 @@ const authController = {
     }
   },
 
-  // Refresh access token
+  // Refresh access token. Refresh tokens rotate on every use; a token that
+  // was already rotated signs its session out everywhere (see sessionService).
   refreshToken: async (req, res) => {
     try {
       const { refreshToken } = req.body;
@@ -364,72 +514,37 @@ const authController = {
         });
       }
 
-      let decoded;
-      try {
-        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      } catch (error) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token'
-        });
-      }
-
-      const storedToken = await prisma.refreshToken.findUnique({
-        where: { token: refreshToken },
-        include: {
-          user: {
-            select: {
-              id: true,
-              email: true,
-              fullName: true,
-              role: true,
-              isActive: true,
-              emailVerified: true,
-              avatar: true,
-              preferences: true
-            }
-          }
-        }
-      });
-
-      if (!storedToken || storedToken.expiresAt < new Date()) {
-        if (storedToken) {
-          await prisma.refreshToken.delete({
-            where: { token: refreshToken }
-          });
-        }
+      const result = await rotateRefreshToken(refreshToken, req);
 
+      if (result.status === 'reused') {
         return res.status(401).json({
           success: false,
-          message: 'Invalid or expired refresh token'
+          message: 'Refresh token has already been used. This session has been signed out for your security.',
+          code: 'TOKEN_REUSED'
         });
       }
 
-      if (!storedToken.user.isActive) {
+      if (result.status === 'inactive') {
         return res.status(401).json({
           success: false,
           message: 'User account is deactivated'
         });
       }
 
-      const { accessToken, refreshToken: newRefreshToken } = generateTokens(storedToken.user.id);
-
-      const newExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      await prisma.refreshToken.update({
-        where: { token: refreshToken },
-        data: {
-          token: newRefreshToken,
-          expiresAt: newExpiresAt
-        }
-      });
+      if (result.status !== 'ok') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
 
       res.json({
         success: true,
         message: 'Token refreshed successfully',
         data: {
-          user: storedToken.user,
-          accessToken,
-          refreshToken: newRefreshToken
+          user: result.user,
+          accessToken: result.accessToken,
+          refreshToken: result.refreshToken
         }
       });
     } catch (error) {
@@ -441,24 +556,27 @@ const authController = {
     }
   },
 
-  // Logout user
+  // Logout user (ends the current session)
   logout: async (req, res) => {
     try {
       const { refreshToken } = req.body;
 
-      if (refreshToken) {
-        await prisma.refreshToken.deleteMany({
-          where: {
-            OR: [
-              { token: refreshToken },
-              { userId: req.user.id }
-            ]
-          }
+      let sessionId = req.sessionId;
+      if (!sessionId && refreshToken) {
+        const storedToken = await prisma.refreshToken.findUnique({
+          where: { token: refreshToken },
+          select: { userId: true, sessionId: true }
         });
+        if (storedToken && storedToken.userId === req.user.id) {
+          sessionId = storedToken.sessionId;
+        }
+      }
+
+      // Tokens from before sessions existed cannot name theirs; sign out everywhere
+      if (sessionId) {
+        await revokeSession(sessionId, 'logout');
       } else {
-        await prisma.refreshToken.deleteMany({
-          where: { userId: req.user.id }
-        });
+        await revokeUserSessions(req.user.id, 'logout');
       }
 
       logger.info(`User logged out: ${req.user.email}`);
@@ -479,9 +597,7 @@ const authController = {
   // Logout from all devices
   logoutAll: async (req, res) => {
     try {
-      await prisma.refreshToken.deleteMany({
-        where: { userId: req.user.id }
-      });
+      await revokeUserSessions(req.user.id, 'logout_all');
 
       logger.info(`User logged out from all devices: ${req.user.email}`);
 
@@ -498,6 +614,69 @@ const authController = {
     }
   },
 
+  // Signed-in devices of the current user
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await listSessions(req.user.id, req.sessionId || null);
+
+      res.json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sessions'
+      });
+    }
+  },
+
+  // Sign out one device
+  revokeSession: async (req, res) => {
+    try {
+      const session = await prisma.userSession.findFirst({
+        where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+        select: { id: true, userAgent: true, ipAddress: true }
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await revokeSession(session.id, 'revoked');
+
+      await recordAudit(req, {
+        action: 'user.session_revoke',
+        entityType: 'user',
+        entityId: req.user.id,
+        metadata: {
+          sessionId: session.id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress
+        }
+      });
+
+      logger.info(`Session ${session.id} revoked by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: session.id === req.sessionId
+          ? 'Session revoked. You have been signed out on this device.'
+          : 'Session revoked'
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session'
+      });
+    }
+  },
+
   // Get current user
   getCurrentUser: async (req, res) => {
     try {
@@ -514,13 +693,18 @@ const authController = {
           preferences: true,
           lastLogin: true,
           createdAt: true,
-          updatedAt: true
+          updatedAt: true,
+          customRole: {
+            select: { id: true, key: true, name: true }
+          }
         }
       });
 
       res.json({
         success: true,
-        data: { user }
+        data: {
+          user: { ...user, permissions: req.user.permissions }
+        }
       });
     } catch (error) {
       logger.error('Get current user error:', error);
@@ -557,9 +741,7 @@ const authController = {
         data: { passwordHash: newPasswordHash }
       });
 
-      await prisma.refreshToken.deleteMany({
-        where: { userId: req.user.id }
-      });
+      await revokeUserSessions(req.user.id, 'password_change');
 
       logger.info(`Password changed for user: ${req.user.email}`);
 
@@ -742,9 +924,7 @@ const authController = {
         where: { email }
       });
 
-      await prisma.refreshToken.deleteMany({
-        where: { userId: user.id }
-      });
+      await revokeUserSessions(user.id, 'password_reset');
 
       logger.info(`Password reset successful for ${email}`);
 
@@ -759,6 +939,285 @@ const authController = {
         message: 'Failed to reset password'
       });
     }
+  },
+
+  // Two-factor status of the current user
+  getTwoFactorStatus: async (req, res) => {
+    try {
+      const [user, recoveryCodesRemaining, required] = await Promise.all([
+        prisma.user.findUnique({
+          where: { id: req.user.id },
+          select: { twoFactorEnabled: true, twoFactorEnabledAt: true }
+        }),
+        prisma.twoFactorRecoveryCode.count({
+          where: { userId: req.user.id, usedAt: null }
+        }),
+        isRequiredForUser(req.user)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          enabled: user.twoFactorEnabled,
+          enabledAt: user.twoFactorEnabledAt,
+          required,
+          recoveryCodesRemaining: user.twoFactorEnabled ? recoveryCodesRemaining : 0
+        }
+      });
+    } catch (error) {
+      logger.error('Get two-factor status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get two-factor status'
+      });
+    }
+  },
+
+  // Start 2FA enrollment: a new secret to add to an authenticator app.
+  // Nothing changes for login until the secret is confirmed with a code.
+  setupTwoFactor: async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { email: true, twoFactorEnabled: true }
+      });
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = generateSecret();
+
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: {
+          twoFactorSecret: encryptSecret(secret),
+          twoFactorLastStep: null
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUrl: provisioningUri(secret, user.email)
+        }
+      });
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor setup'
+      });
+    }
+  },
+
+  // Confirm enrollment with a code from the app; returns the recovery codes once.
+  // During a login enrollment challenge this also completes the login.
+  enableTwoFactor: async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { twoFactorEnabled: true, twoFactorSecret: true }
+      });
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactorSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      const step = verifyCode(decryptSecret(user.twoFactorSecret), req.body.code);
+      if (step === null) {
+        return invalidCode(res);
+      }
+
+      const enabledAt = new Date();
+      const recoveryCodes = await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: req.user.id },
+          data: {
+            twoFactorEnabled: true,
+            twoFactorEnabledAt: enabledAt,
+            twoFactorLastStep: step
+          }
+        });
+
+        return regenerateRecoveryCodes(req.user.id, tx);
+      });
+
+      await recordAudit(req, {
+        action: 'user.2fa_enable',
+        entityType: 'user',
+        entityId: req.user.id,
+        before: { twoFactorEnabled: false },
+        after: { twoFactorEnabled: true, twoFactorEnabledAt: enabledAt }
+      });
+
+      logger.info(`Two-factor authentication enabled for ${req.user.email}`);
+
+      const data = { recoveryCodes };
+
+      if (req.twoFactorEnrollment) {
+        const [tokens, sessionUser] = await Promise.all([
+          startSession(req.user, req),
+          prisma.user.findUnique({ where: { id: req.user.id }, select: loginUserSelect })
+        ]);
+        Object.assign(data, { user: sessionUser, ...tokens });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data
+      });
+    } catch (error) {
+      logger.error('Enable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enable two-factor authentication'
+      });
+    }
+  },
+
+  // Turn 2FA off (password plus a code or recovery code)
+  disableTwoFactor: async (req, res) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: {
+          id: true,
+          passwordHash: true,
+          twoFactorEnabled: true,
+          twoFactorSecret: true,
+          twoFactorLastStep: true
+        }
+      });
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (await isRequiredForUser(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role'
+        });
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      if (!await verifySecondFactor(user, { code, recoveryCode })) {
+        return invalidCode(res);
+      }
+
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: user.id },
+          data: {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorEnabledAt: null,
+            twoFactorLastStep: null
+          }
+        }),
+        prisma.twoFactorRecoveryCode.deleteMany({
+          where: { userId: user.id }
+        })
+      ]);
+
+      await recordAudit(req, {
+        action: 'user.2fa_disable',
+        entityType: 'user',
+        entityId: user.id,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false }
+      });
+
+      logger.info(`Two-factor authentication disabled for ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      logger.error('Disable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable two-factor authentication'
+      });
+    }
+  },
+
+  // Replace all recovery codes (confirmed with a current code)
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: {
+          id: true,
+          twoFactorEnabled: true,
+          twoFactorSecret: true,
+          twoFactorLastStep: true
+        }
+      });
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!await verifySecondFactor(user, { code: req.body.code })) {
+        return invalidCode(res);
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+      await recordAudit(req, {
+        action: 'user.2fa_recovery_codes_regenerate',
+        entityType: 'user',
+        entityId: user.id
+      });
+
+      logger.info(`Recovery codes regenerated for ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to regenerate recovery codes'
+      });
+    }
   }
 };
 
@@ -0,0 +1,606 @@
+// controllers/breakingNewsController.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { notifyBreakingNews } = require('../utils/notifications');
+const { resolvePublishState, announcePublishedArticle } = require('../services/publishingScheduler');
+const { publishEvent, CHANNELS } = require('../services/eventStream');
+const { recordRevision } = require('../services/articleRevisions');
+const { prepareTags, tagLinksCreate, tagLinksReplace } = require('../services/tagService');
+const { hasPermission } = require('../services/permissions');
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Default lifetime of a breaking item when no expiresAt is given
+const DEFAULT_EXPIRY_HOURS = {
+  LOW: 48,
+  MEDIUM: 24,
+  HIGH: 12,
+  CRITICAL: 6
+};
+
+const breakingNewsSelect = {
+  id: true,
+  title: true,
+  brief: true,
+  imageUrl: true,
+  sourceUrl: true,
+  priority: true,
+  location: true,
+  tags: true,
+  timestamp: true,
+  contentGroup: true,
+  isActive: true,
+  expiresAt: true,
+  promotedArticleId: true,
+  createdAt: true,
+  creator: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  },
+  promotedArticle: {
+    select: {
+      id: true,
+      headline: true,
+      slug: true,
+      status: true
+    }
+  }
+};
+
+// Active and not yet expired
+const liveWhere = () => ({
+  isActive: true,
+  OR: [
+    { expiresAt: null },
+    { expiresAt: { gt: new Date() } }
+  ]
+});
+
+const defaultExpiry = (priority) => {
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + DEFAULT_EXPIRY_HOURS[priority]);
+  return expiresAt;
+};
+
+const breakingNewsController = {
+  // Get live breaking news feed (public)
+  getFeed: async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        minPriority,
+        location
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = liveWhere();
+
+      if (minPriority) {
+        const upperPriority = minPriority.toUpperCase();
+        if (!PRIORITIES.includes(upperPriority)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`
+          });
+        }
+        where.priority = { in: PRIORITIES.slice(PRIORITIES.indexOf(upperPriority)) };
+      }
+
+      if (location) {
+        where.location = { contains: location };
+      }
+
+      // MySQL sorts enums by declaration order, so desc puts CRITICAL first
+      const [items, totalCount] = await Promise.all([
+        prisma.breakingNews.findMany({
+          where,
+          skip,
+          take,
+          orderBy: [
+            { priority: 'desc' },
+            { timestamp: 'desc' }
+          ],
+          select: breakingNewsSelect
+        }),
+        prisma.breakingNews.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          breakingNews: items,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get breaking news feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch breaking news'
+      });
+    }
+  },
+
+  // Get all breaking news including expired items (staff)
+  getAllBreakingNews: async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = 'all',
+        priority
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      let where = {};
+      if (status === 'live') {
+        where = liveWhere();
+      } else if (status === 'expired') {
+        where = {
+          OR: [
+            { isActive: false },
+            { expiresAt: { lte: new Date() } }
+          ]
+        };
+      }
+
+      if (priority && PRIORITIES.includes(priority.toUpperCase())) {
+        where.priority = priority.toUpperCase();
+      }
+
+      const [items, totalCount] = await Promise.all([
+        prisma.breakingNews.findMany({
+          where,
+          skip,
+          take,
+          orderBy: { timestamp: 'desc' },
+          select: breakingNewsSelect
+        }),
+        prisma.breakingNews.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          breakingNews: items,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get all breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch breaking news'
+      });
+    }
+  },
+
+  // Get single breaking news item
+  getBreakingNewsById: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const item = await prisma.breakingNews.findUnique({
+        where: { id },
+        select: breakingNewsSelect
+      });
+
+      const isStaff = hasPermission(req.user, 'breaking_news.manage');
+      const isLive = item && item.isActive && (!item.expiresAt || item.expiresAt > new Date());
+
+      if (!item || (!isLive && !isStaff)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Breaking news not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { breakingNews: item }
+      });
+    } catch (error) {
+      logger.error('Get breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch breaking news'
+      });
+    }
+  },
+
+  // Create breaking news
+  createBreakingNews: async (req, res) => {
+    try {
+      const {
+        title,
+        brief,
+        imageUrl,
+        sourceUrl,
+        priority,
+        location,
+        tags,
+        contentGroup,
+        expiresAt
+      } = req.body;
+
+      const upperPriority = priority.toUpperCase();
+      const tagSet = await prepareTags(tags);
+
+      const item = await prisma.breakingNews.create({
+        data: {
+          title,
+          brief,
+          imageUrl,
+          sourceUrl,
+          priority: upperPriority,
+          location,
+          tags: tagSet.value,
+          tagLinks: tagLinksCreate(tagSet.tags),
+          contentGroup: contentGroup || 'breaking_critical',
+          expiresAt: expiresAt ? new Date(expiresAt) : defaultExpiry(upperPriority),
+          createdBy: req.user.id
+        },
+        select: breakingNewsSelect
+      });
+
+      logger.info(`Breaking news created: ${item.title} (${item.priority}) by ${req.user.email}`);
+
+      publishEvent(CHANNELS.BREAKING_NEWS, 'breaking-news.created', item);
+
+      // CRITICAL alerts go to every user, without holding up the response
+      if (item.priority === 'CRITICAL') {
+        notifyBreakingNews(item, req.user.id);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Breaking news created successfully',
+        data: { breakingNews: item }
+      });
+    } catch (error) {
+      logger.error('Create breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create breaking news'
+      });
+    }
+  },
+
+  // Update breaking news
+  updateBreakingNews: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        title,
+        brief,
+        imageUrl,
+        sourceUrl,
+        priority,
+        location,
+        tags,
+        contentGroup,
+        expiresAt,
+        isActive
+      } = req.body;
+
+      const existing = await prisma.breakingNews.findUnique({
+        where: { id },
+        select: { id: true, priority: true }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Breaking news not found'
+        });
+      }
+
+      const updateData = {};
+      if (title !== undefined) updateData.title = title;
+      if (brief !== undefined) updateData.brief = brief;
+      if (imageUrl !== undefined) updateData.imageUrl = imageUrl;
+      if (sourceUrl !== undefined) updateData.sourceUrl = sourceUrl;
+      if (priority !== undefined) updateData.priority = priority.toUpperCase();
+      if (location !== undefined) updateData.location = location;
+      if (tags !== undefined) {
+        const tagSet = await prepareTags(tags);
+        updateData.tags = tagSet.value;
+        updateData.tagLinks = tagLinksReplace(tagSet.tags);
+      }
+      if (contentGroup !== undefined) updateData.contentGroup = contentGroup;
+      if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
+      if (isActive !== undefined) updateData.isActive = isActive === true || isActive === 'true';
+
+      const item = await prisma.breakingNews.update({
+        where: { id },
+        data: updateData,
+        select: breakingNewsSelect
+      });
+
+      logger.info(`Breaking news updated: ${item.title} by ${req.user.email}`);
+
+      publishEvent(CHANNELS.BREAKING_NEWS, 'breaking-news.updated', item);
+
+      // Escalation to CRITICAL triggers the same fan-out as creating a CRITICAL item
+      if (existing.priority !== 'CRITICAL' && item.priority === 'CRITICAL' && item.isActive) {
+        notifyBreakingNews(item, req.user.id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Breaking news updated successfully',
+        data: { breakingNews: item }
+      });
+    } catch (error) {
+      logger.error('Update breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update breaking news'
+      });
+    }
+  },
+
+  // Expire breaking news immediately
+  expireBreakingNews: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const item = await prisma.breakingNews.update({
+        where: { id },
+        data: {
+          isActive: false,
+          expiresAt: new Date()
+        },
+        select: breakingNewsSelect
+      });
+
+      logger.info(`Breaking news expired: ${item.title} by ${req.user.email}`);
+
+      publishEvent(CHANNELS.BREAKING_NEWS, 'breaking-news.expired', { id: item.id });
+
+      res.json({
+        success: true,
+        message: 'Breaking news expired successfully',
+        data: { breakingNews: item }
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({
+          success: false,
+          message: 'Breaking news not found'
+        });
+      }
+      logger.error('Expire breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to expire breaking news'
+      });
+    }
+  },
+
+  // Delete breaking news
+  deleteBreakingNews: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const existing = await prisma.breakingNews.findUnique({
+        where: { id },
+        select: { id: true, title: true }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Breaking news not found'
+        });
+      }
+
+      await prisma.breakingNews.delete({
+        where: { id }
+      });
+
+      logger.info(`Breaking news deleted: ${existing.title} by ${req.user.email}`);
+
+      publishEvent(CHANNELS.BREAKING_NEWS, 'breaking-news.deleted', { id: existing.id });
+
+      res.json({
+        success: true,
+        message: 'Breaking news deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete breaking news'
+      });
+    }
+  },
+
+  // Promote breaking news into a full NewsArticle
+  promoteToArticle: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        headline,
+        briefContent,
+        fullContent,
+        category,
+        tags,
+        priorityLevel
+      } = req.body;
+
+      const item = await prisma.breakingNews.findUnique({
+        where: { id }
+      });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Breaking news not found'
+        });
+      }
+
+      if (item.promotedArticleId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Breaking news has already been promoted to an article',
+          data: { articleId: item.promotedArticleId }
+        });
+      }
+
+      const upperCategory = category.toUpperCase();
+      const categoryRecord = await prisma.category.findFirst({
+        where: { name: upperCategory, isActive: true }
+      });
+
+      if (!categoryRecord) {
+        return res.status(400).json({
+          success: false,
+          message: `Category "${category}" does not exist or is inactive.`
+        });
+      }
+
+      const articleHeadline = headline || item.title;
+
+      let slug = articleHeadline
+        .toLowerCase()
+        .replace(/[^a-z0-9 -]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .substring(0, 100);
+
+      const existingSlug = await prisma.newsArticle.findUnique({ where: { slug } });
+      if (existingSlug) {
+        slug = `${slug}-${Date.now()}`;
+      }
+
+      // Same status rules as createArticle: approvers publish, editors submit for review
+      const isApprover = hasPermission(req.user, 'article.publish');
+      const { status, publishedAt } = isApprover
+        ? resolvePublishState(null)
+        : { status: 'PENDING', publishedAt: null };
+
+      const tagSet = await prepareTags(tags !== undefined ? tags : item.tags);
+
+      // Lock the item and check again, so of two promotes running at the
+      // same time only the first creates an article
+      const article = await prisma.$transaction(async (tx) => {
+        const [locked] = await tx.$queryRaw`
+          SELECT promoted_article_id AS promotedArticleId
+          FROM breaking_news
+          WHERE id = ${id}
+          FOR UPDATE
+        `;
+
+        if (locked?.promotedArticleId) {
+          const error = new Error('Breaking news has already been promoted to an article');
+          error.code = 'ALREADY_PROMOTED';
+          error.articleId = locked.promotedArticleId;
+          throw error;
+        }
+
+        const created = await tx.newsArticle.create({
+          data: {
+            headline: articleHeadline,
+            briefContent: briefContent || item.brief,
+            fullContent: fullContent || item.brief,
+            category: upperCategory,
+            tags: tagSet.value,
+            tagLinks: tagLinksCreate(tagSet.tags),
+            priorityLevel: priorityLevel !== undefined
+              ? parseInt(priorityLevel)
+              : (item.priority === 'CRITICAL' ? 10 : item.priority === 'HIGH' ? 7 : 5),
+            featuredImage: item.imageUrl,
+            metaTitle: articleHeadline,
+            slug,
+            status,
+            publishedAt,
+            authorId: req.user.id,
+            approvedBy: isApprover ? req.user.id : null
+          },
+          include: {
+            author: {
+              select: {
+                id: true,
+                fullName: true,
+                avatar: true
+              }
+            }
+          }
+        });
+
+        await tx.breakingNews.update({
+          where: { id },
+          data: { promotedArticleId: created.id }
+        });
+
+        return created;
+      });
+
+      try {
+        await recordRevision(article, req.user.id, {
+          changeType: 'CREATED',
+          changeNote: `Promoted from breaking news ${item.id}`
+        });
+      } catch (revisionError) {
+        logger.error('Failed to record initial article revision:', revisionError);
+      }
+
+      logger.info(`Breaking news promoted to article: ${article.headline} (${status}) by ${req.user.email}`);
+
+      if (status === 'PUBLISHED') {
+        announcePublishedArticle(article.id);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Breaking news promoted to article successfully',
+        data: {
+          article,
+          breakingNewsId: item.id
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ALREADY_PROMOTED') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { articleId: error.articleId }
+        });
+      }
+
+      logger.error('Promote breaking news error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to promote breaking news'
+      });
+    }
+  }
+};
+
+module.exports = breakingNewsController;
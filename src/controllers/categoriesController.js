@@ -1,6 +1,23 @@
 // controllers/categoriesController.js - FOR DYNAMIC CATEGORIES
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const {
+  COUNTED_STATUSES,
+  loadCategoryIndex,
+  indexCategories,
+  getBreadcrumbs,
+  getDescendants,
+  wouldCreateCycle,
+  countArticlesByCategory,
+  buildCategoryTree
+} = require('../services/categoryTree');
+const {
+  countCategoryContent,
+  renameCategory,
+  mergeCategories,
+  resolveCategoryRedirect
+} = require('../services/categoryMigration');
+const { recordAudit, pickChanges } = require('../services/auditLog');
 
 // Helper function to generate slug
 const generateSlug = (name) => {
@@ -12,6 +29,51 @@ const generateSlug = (name) => {
     .trim();
 };
 
+const creatorInclude = {
+  creator: {
+    select: {
+      id: true,
+      fullName: true,
+      email: true
+    }
+  }
+};
+
+// Validate a requested parent: it must exist and must not sit below the category itself
+const checkParent = async (parentId, categoryId = null) => {
+  const index = await loadCategoryIndex();
+
+  if (!index.byId.has(parentId)) {
+    return 'Parent category not found';
+  }
+  if (categoryId && (parentId === categoryId || wouldCreateCycle(index, categoryId, parentId))) {
+    return 'A category cannot be moved under itself or one of its sub-categories';
+  }
+  return null;
+};
+
+// Category fields kept in audit entries
+const AUDITED_FIELDS = ['name', 'displayName', 'description', 'slug', 'iconUrl', 'color', 'isActive', 'sortOrder', 'parentId'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Validate the category content is merged or reassigned into
+const findMergeTarget = async (source, targetId) => {
+  const index = await loadCategoryIndex();
+  const target = index.byId.get(targetId);
+
+  if (!target) {
+    return { status: 404, error: 'Target category not found' };
+  }
+  if (target.id === source.id) {
+    return { status: 400, error: 'A category cannot be merged into itself' };
+  }
+  if (wouldCreateCycle(index, source.id, target.id)) {
+    return { status: 400, error: 'A category cannot be merged into one of its own sub-categories' };
+  }
+  return { target };
+};
+
 const categoriesController = {
   // ==================== GET ALL CATEGORIES ====================
   getAllCategories: async (req, res) => {
@@ -19,9 +81,28 @@ const categoriesController = {
       const { 
         includeInactive = 'false',
         sortBy = 'sortOrder',
-        order = 'asc'
+        order = 'asc',
+        tree = 'false'
       } = req.query;
 
+      const counts = await countArticlesByCategory();
+
+      // Nested listing, children ordered by sortOrder within each parent
+      if (tree === 'true') {
+        const index = await loadCategoryIndex({
+          includeInactive: includeInactive === 'true',
+          include: creatorInclude
+        });
+
+        return res.json({
+          success: true,
+          data: {
+            categories: buildCategoryTree(index, counts),
+            totalCategories: index.categories.length
+          }
+        });
+      }
+
       const where = {};
       
       if (includeInactive !== 'true') {
@@ -34,40 +115,17 @@ const categoriesController = {
       const categories = await prisma.category.findMany({
         where,
         orderBy,
-        include: {
-          creator: {
-            select: {
-              id: true,
-              fullName: true,
-              email: true
-            }
-          }
-        }
+        include: creatorInclude
       });
 
-      // Get article counts for each category
-      const categoriesWithCounts = await Promise.all(
-        categories.map(async (category) => {
-          let articleCount = 0;
-          
-          try {
-            articleCount = await prisma.newsArticle.count({
-              where: {
-                category: category.name.toUpperCase(),
-                status: { in: ['PUBLISHED', 'APPROVED'] }
-              }
-            });
-          } catch (error) {
-            logger.error(`Error counting articles for category ${category.name}:`, error.message);
-            articleCount = 0;
-          }
-
-          return {
-            ...category,
-            articleCount
-          };
-        })
-      );
+      // Own article count plus a roll-up over every sub-category
+      const index = indexCategories(categories);
+      const categoriesWithCounts = categories.map(category => ({
+        ...category,
+        articleCount: counts.get(category.name) || 0,
+        totalArticleCount: getDescendants(index, category.id)
+          .reduce((sum, item) => sum + (counts.get(item.name) || 0), 0)
+      }));
 
       res.json({
         success: true,
@@ -91,19 +149,24 @@ const categoriesController = {
     try {
       const { id } = req.params;
 
-      const category = await prisma.category.findUnique({
-        where: { id },
-        include: {
-          creator: {
-            select: {
-              id: true,
-              fullName: true,
-              email: true
-            }
-          }
-        }
+      // Accepts an ID or a slug, old slugs of renamed or merged categories redirect
+      let category = await prisma.category.findFirst({
+        where: { OR: [{ id }, { slug: id }] },
+        include: creatorInclude
       });
 
+      let redirectedFrom = null;
+      if (!category) {
+        const redirect = await resolveCategoryRedirect(id);
+        if (redirect) {
+          category = await prisma.category.findUnique({
+            where: { id: redirect.categoryId },
+            include: creatorInclude
+          });
+          redirectedFrom = redirect.slug;
+        }
+      }
+
       if (!category) {
         return res.status(404).json({
           success: false,
@@ -111,26 +174,32 @@ const categoriesController = {
         });
       }
 
-      // Get article count
-      let articleCount = 0;
-      try {
-        articleCount = await prisma.newsArticle.count({
-          where: {
-            category: category.name.toUpperCase(),
-            status: { in: ['PUBLISHED', 'APPROVED'] }
-          }
-        });
-      } catch (error) {
-        logger.error(`Error counting articles for category ${category.name}:`, error.message);
-      }
+      const [index, counts] = await Promise.all([
+        loadCategoryIndex(),
+        countArticlesByCategory()
+      ]);
+
+      const children = (index.children.get(category.id) || []).map(child => ({
+        id: child.id,
+        name: child.name,
+        displayName: child.displayName,
+        slug: child.slug,
+        isActive: child.isActive,
+        articleCount: counts.get(child.name) || 0
+      }));
 
       res.json({
         success: true,
         data: {
           category: {
             ...category,
-            articleCount
-          }
+            articleCount: counts.get(category.name) || 0,
+            totalArticleCount: getDescendants(index, category.id)
+              .reduce((sum, item) => sum + (counts.get(item.name) || 0), 0),
+            breadcrumbs: getBreadcrumbs(index, category.name),
+            children
+          },
+          redirectedFrom
         }
       });
     } catch (error) {
@@ -152,7 +221,8 @@ const categoriesController = {
         description,
         iconUrl,
         color,
-        sortOrder = 0
+        sortOrder = 0,
+        parentId
       } = req.body;
 
       if (!name || !displayName) {
@@ -182,6 +252,19 @@ const categoriesController = {
         });
       }
 
+      if (parentId) {
+        const parentError = await checkParent(parentId);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+
+      // A new category takes precedence over a redirect left on its slug
+      await prisma.categoryRedirect.deleteMany({ where: { slug } });
+
       const category = await prisma.category.create({
         data: {
           name: upperName,
@@ -191,6 +274,7 @@ const categoriesController = {
           iconUrl,
           color,
           sortOrder: parseInt(sortOrder),
+          parentId: parentId || null,
           createdBy: req.user.id
         },
         include: {
@@ -206,6 +290,13 @@ const categoriesController = {
 
       logger.info(`Category created: ${category.name} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: 'category.create',
+        entityType: 'category',
+        entityId: category.id,
+        after: pickChanges({}, category, AUDITED_FIELDS).after
+      });
+
       res.status(201).json({
         success: true,
         message: 'Category created successfully',
@@ -239,13 +330,15 @@ const categoriesController = {
       }
 
       // Check for duplicate name if changing
+      let rename = null;
       if (updateData.name) {
-        const upperName = updateData.name.toUpperCase();
+        const upperName = updateData.name.trim().toUpperCase();
         
         if (upperName !== existingCategory.name) {
+          const slug = generateSlug(upperName);
           const duplicate = await prisma.category.findFirst({
             where: {
-              name: upperName,
+              OR: [{ name: upperName }, { slug }],
               NOT: { id }
             }
           });
@@ -257,15 +350,38 @@ const categoriesController = {
             });
           }
 
-          updateData.name = upperName;
-          updateData.slug = generateSlug(upperName);
+          rename = { name: upperName, slug };
         }
+
+        // Renames go through renameCategory so content follows the new name
+        delete updateData.name;
+        delete updateData.slug;
       }
 
       if (updateData.sortOrder !== undefined) {
         updateData.sortOrder = parseInt(updateData.sortOrder);
       }
 
+      // Moving in the tree, an empty parentId makes it a root category
+      if (updateData.parentId !== undefined) {
+        updateData.parentId = updateData.parentId || null;
+
+        if (updateData.parentId) {
+          const parentError = await checkParent(updateData.parentId, id);
+          if (parentError) {
+            return res.status(400).json({
+              success: false,
+              message: parentError
+            });
+          }
+        }
+      }
+
+      let moved = null;
+      if (rename) {
+        ({ moved } = await renameCategory(existingCategory, rename));
+      }
+
       const category = await prisma.category.update({
         where: { id },
         data: updateData,
@@ -282,10 +398,18 @@ const categoriesController = {
 
       logger.info(`Category updated: ${category.name} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: 'category.update',
+        entityType: 'category',
+        entityId: id,
+        ...pickChanges(existingCategory, category, AUDITED_FIELDS),
+        ...(moved && { metadata: { moved } })
+      });
+
       res.json({
         success: true,
         message: 'Category updated successfully',
-        data: { category }
+        data: { category, ...(moved && { moved }) }
       });
     } catch (error) {
       logger.error('Update category error:', error);
@@ -313,34 +437,91 @@ const categoriesController = {
         });
       }
 
-      // Check if category has articles
-      let articleCount = 0;
-      try {
-        articleCount = await prisma.newsArticle.count({
-          where: {
-            category: existingCategory.name.toUpperCase()
+      const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+      const dryRun = isTrue(req.body?.dryRun) || isTrue(req.query.dryRun);
+
+      // Move all content (and sub-categories) to another category, then delete
+      if (reassignTo) {
+        const { target, status, error } = await findMergeTarget(existingCategory, reassignTo);
+        if (error) {
+          return res.status(status).json({
+            success: false,
+            message: error
+          });
+        }
+
+        const result = await mergeCategories(existingCategory, target, { dryRun });
+
+        if (!dryRun) {
+          logger.info(`Category deleted: ${existingCategory.name}, ${result.moved.total} item(s) reassigned to ${target.name} by ${req.user.email}`);
+
+          await recordAudit(req, {
+            action: 'category.delete',
+            entityType: 'category',
+            entityId: id,
+            before: existingCategory,
+            metadata: { reassignedTo: target.id, moved: result.moved, subcategories: result.subcategories }
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: dryRun
+            ? `Dry run: ${result.moved.total} item(s) would be reassigned to ${target.displayName}`
+            : `Category deleted, ${result.moved.total} item(s) reassigned to ${target.displayName}`,
+          data: {
+            ...result,
+            reassignedTo: { id: target.id, name: target.name, displayName: target.displayName }
           }
         });
-      } catch (error) {
-        logger.error(`Error checking articles for category ${existingCategory.name}:`, error.message);
       }
 
-      if (articleCount > 0) {
+      // Check if category has content
+      const content = await countCategoryContent(existingCategory.name);
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: content.total > 0
+            ? 'Dry run: the category has content, pass reassignTo to move it'
+            : 'Dry run: the category can be deleted',
+          data: { dryRun: true, content }
+        });
+      }
+
+      if (content.total > 0) {
         return res.status(400).json({
           success: false,
-          message: `Cannot delete category. It has ${articleCount} article(s). Please reassign or delete articles first.`
+          message: `Cannot delete category. It has ${content.total} item(s). Pass reassignTo with another category ID to move them first.`,
+          data: { content }
         });
       }
 
-      await prisma.category.delete({
-        where: { id }
-      });
+      // Sub-categories move up to the deleted category's parent
+      const [movedChildren] = await prisma.$transaction([
+        prisma.category.updateMany({
+          where: { parentId: id },
+          data: { parentId: existingCategory.parentId }
+        }),
+        prisma.category.delete({
+          where: { id }
+        })
+      ]);
 
       logger.info(`Category deleted: ${existingCategory.name} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: 'category.delete',
+        entityType: 'category',
+        entityId: id,
+        before: existingCategory,
+        metadata: { movedSubcategories: movedChildren.count }
+      });
+
       res.json({
         success: true,
-        message: 'Category deleted successfully'
+        message: 'Category deleted successfully',
+        data: { movedSubcategories: movedChildren.count }
       });
     } catch (error) {
       logger.error('Delete category error:', error);
@@ -352,6 +533,153 @@ const categoriesController = {
     }
   },
 
+  // ==================== RENAME CATEGORY ====================
+  renameCategory: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, displayName } = req.body;
+      const dryRun = isTrue(req.body.dryRun);
+
+      const category = await prisma.category.findUnique({
+        where: { id }
+      });
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const upperName = name.trim().toUpperCase();
+      const slug = generateSlug(upperName);
+
+      if (!slug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category name must contain letters or numbers'
+        });
+      }
+
+      if (upperName === category.name && slug === category.slug && !displayName) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to rename'
+        });
+      }
+
+      const duplicate = await prisma.category.findFirst({
+        where: {
+          OR: [{ name: upperName }, { slug }],
+          NOT: { id }
+        },
+        select: { id: true, name: true }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          message: `Category ${duplicate.name} already exists. Merge into it instead.`,
+          data: { existingCategoryId: duplicate.id }
+        });
+      }
+
+      const result = await renameCategory(category, { name: upperName, slug, displayName }, { dryRun });
+
+      if (!dryRun) {
+        logger.info(`Category renamed: ${category.name} -> ${upperName}, ${result.moved.total} item(s) updated by ${req.user.email}`);
+
+        await recordAudit(req, {
+          action: 'category.rename',
+          entityType: 'category',
+          entityId: id,
+          ...pickChanges(category, result.category, ['name', 'slug', 'displayName']),
+          metadata: { moved: result.moved }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${result.moved.total} item(s) would move to ${upperName}`
+          : `Category renamed, ${result.moved.total} item(s) updated`,
+        data: {
+          ...result,
+          previous: { name: category.name, slug: category.slug }
+        }
+      });
+    } catch (error) {
+      logger.error('Rename category error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rename category',
+        error: error.message
+      });
+    }
+  },
+
+  // ==================== MERGE CATEGORY ====================
+  mergeCategory: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { targetId } = req.body;
+      const dryRun = isTrue(req.body.dryRun);
+
+      const source = await prisma.category.findUnique({
+        where: { id }
+      });
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const { target, status, error } = await findMergeTarget(source, targetId);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const result = await mergeCategories(source, target, { dryRun });
+
+      if (!dryRun) {
+        logger.info(`Category merged: ${source.name} -> ${target.name}, ${result.moved.total} item(s) moved by ${req.user.email}`);
+
+        await recordAudit(req, {
+          action: 'category.merge',
+          entityType: 'category',
+          entityId: id,
+          before: source,
+          after: { mergedInto: target.id, name: target.name, slug: target.slug },
+          metadata: { moved: result.moved, subcategories: result.subcategories }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${result.moved.total} item(s) would move to ${target.displayName}`
+          : `${source.displayName} merged into ${target.displayName}, ${result.moved.total} item(s) moved`,
+        data: {
+          ...result,
+          source: { id: source.id, name: source.name, slug: source.slug },
+          target: { id: target.id, name: target.name, slug: target.slug }
+        }
+      });
+    } catch (error) {
+      logger.error('Merge category error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to merge categories',
+        error: error.message
+      });
+    }
+  },
+
   // ==================== TOGGLE CATEGORY STATUS ====================
   toggleCategoryStatus: async (req, res) => {
     try {
@@ -377,6 +705,14 @@ const categoriesController = {
 
       logger.info(`Category status toggled: ${updatedCategory.name} - Active: ${updatedCategory.isActive} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: updatedCategory.isActive ? 'category.activate' : 'category.deactivate',
+        entityType: 'category',
+        entityId: id,
+        before: { isActive: category.isActive },
+        after: { isActive: updatedCategory.isActive }
+      });
+
       res.json({
         success: true,
         message: `Category ${updatedCategory.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -401,12 +737,12 @@ const categoriesController = {
         limit = 10,
         sortBy = 'publishedAt',
         order = 'desc',
-        status
+        status,
+        includeDescendants = 'false'
       } = req.query;
 
-      const category = await prisma.category.findUnique({
-        where: { id }
-      });
+      const index = await loadCategoryIndex();
+      const category = index.byId.get(id);
 
       if (!category) {
         return res.status(404).json({
@@ -418,8 +754,12 @@ const categoriesController = {
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const take = parseInt(limit);
 
+      const categoryNames = includeDescendants === 'true'
+        ? getDescendants(index, id).map(item => item.name)
+        : [category.name];
+
       const where = {
-        category: category.name.toUpperCase()
+        category: { in: categoryNames }
       };
 
       if (status) {
@@ -472,9 +812,17 @@ const categoriesController = {
           category: {
             id: category.id,
             name: category.name,
-            displayName: category.displayName
+            displayName: category.displayName,
+            breadcrumbs: getBreadcrumbs(index, category.name),
+            subcategories: (index.children.get(category.id) || []).map(child => ({
+              id: child.id,
+              name: child.name,
+              displayName: child.displayName,
+              slug: child.slug
+            }))
           },
           articles,
+          includeDescendants: includeDescendants === 'true',
           pagination: {
             page: parseInt(page),
             limit: take,
@@ -501,9 +849,8 @@ const categoriesController = {
       const { id } = req.params;
       const { timeframe = '30d' } = req.query;
 
-      const category = await prisma.category.findUnique({
-        where: { id }
-      });
+      const index = await loadCategoryIndex();
+      const category = index.byId.get(id);
 
       if (!category) {
         return res.status(404).json({
@@ -522,56 +869,68 @@ const categoriesController = {
       const fromDate = new Date();
       fromDate.setDate(fromDate.getDate() - days);
 
-      const [
-        totalArticles,
-        recentArticles,
-        totalViews,
-        totalShares
-      ] = await Promise.all([
-        prisma.newsArticle.count({
-          where: {
-            category: category.name.toUpperCase(),
-            status: { in: ['PUBLISHED', 'APPROVED'] }
-          }
-        }),
-        prisma.newsArticle.count({
-          where: {
-            category: category.name.toUpperCase(),
-            status: { in: ['PUBLISHED', 'APPROVED'] },
-            publishedAt: { gte: fromDate }
-          }
-        }),
-        prisma.newsArticle.aggregate({
-          where: {
-            category: category.name.toUpperCase(),
-            status: { in: ['PUBLISHED', 'APPROVED'] }
-          },
-          _sum: { viewCount: true }
+      const descendants = getDescendants(index, id);
+      const where = {
+        category: { in: descendants.map(item => item.name) },
+        status: { in: COUNTED_STATUSES }
+      };
+
+      // One grouped query per measure covers the category and all its sub-categories
+      const [totals, recent] = await Promise.all([
+        prisma.newsArticle.groupBy({
+          by: ['category'],
+          where,
+          _count: { _all: true },
+          _sum: { viewCount: true, shareCount: true }
         }),
-        prisma.newsArticle.aggregate({
-          where: {
-            category: category.name.toUpperCase(),
-            status: { in: ['PUBLISHED', 'APPROVED'] }
-          },
-          _sum: { shareCount: true }
+        prisma.newsArticle.groupBy({
+          by: ['category'],
+          where: { ...where, publishedAt: { gte: fromDate } },
+          _count: { _all: true }
         })
       ]);
 
+      const totalsByName = new Map(totals.map(row => [row.category, row]));
+      const recentByName = new Map(recent.map(row => [row.category, row._count._all]));
+
+      const summarise = (categories) => {
+        const summary = categories.reduce((acc, item) => {
+          const row = totalsByName.get(item.name);
+          acc.totalArticles += row ? row._count._all : 0;
+          acc.recentArticles += recentByName.get(item.name) || 0;
+          acc.totalViews += row ? row._sum.viewCount || 0 : 0;
+          acc.totalShares += row ? row._sum.shareCount || 0 : 0;
+          return acc;
+        }, { totalArticles: 0, recentArticles: 0, totalViews: 0, totalShares: 0 });
+
+        summary.averageViews = summary.totalArticles > 0
+          ? Math.round(summary.totalViews / summary.totalArticles)
+          : 0;
+        return summary;
+      };
+
+      const ownStats = summarise([category]);
+
+      // Roll-up per direct child, each including its own sub-tree
+      const subcategories = (index.children.get(id) || []).map(child => ({
+        id: child.id,
+        name: child.name,
+        displayName: child.displayName,
+        stats: summarise(getDescendants(index, child.id))
+      }));
+
       res.json({
         success: true,
         data: {
           category: {
             id: category.id,
             name: category.name,
-            displayName: category.displayName
-          },
-          stats: {
-            totalArticles,
-            recentArticles,
-            totalViews: totalViews._sum.viewCount || 0,
-            totalShares: totalShares._sum.shareCount || 0,
-            averageViews: totalArticles > 0 ? Math.round((totalViews._sum.viewCount || 0) / totalArticles) : 0
+            displayName: category.displayName,
+            breadcrumbs: getBreadcrumbs(index, category.name)
           },
+          stats: ownStats,
+          rollup: summarise(descendants),
+          subcategories,
           timeframe: {
             period: timeframe,
             fromDate,
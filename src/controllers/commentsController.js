@@ -0,0 +1,486 @@
+// controllers/commentsController.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { notifyCommentReply } = require('../utils/notifications');
+const { recordAudit } = require('../services/auditLog');
+const {
+  EDIT_WINDOW_MINUTES,
+  DELETE_WINDOW_MINUTES,
+  MAX_DEPTH,
+  REPORT_THRESHOLD,
+  REQUIRE_APPROVAL,
+  COMMENT_TARGETS,
+  authorSelect,
+  findTarget,
+  getCommentBan,
+  canEdit,
+  canDelete,
+  formatComment,
+  listThreads
+} = require('../services/commentService');
+
+const articleNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Article not found'
+});
+
+const commentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Comment not found'
+});
+
+const bannedResponse = (res, ban) => res.status(403).json({
+  success: false,
+  message: ban.expiresAt
+    ? `You are banned from commenting until ${ban.expiresAt.toISOString()}`
+    : 'You are banned from commenting',
+  data: { ban }
+});
+
+// Comments that readers can interact with (upvote, report)
+const findActiveComment = (id) => prisma.comment.findFirst({
+  where: { id, deletedAt: null, status: 'VISIBLE' }
+});
+
+const getComments = async (type, req, res) => {
+  try {
+    const { page = 1, limit = 20, sort = 'newest' } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const article = await findTarget(type, req.params.id);
+    if (!article) {
+      return articleNotFound(res);
+    }
+
+    const { comments, totalCount } = await listThreads(type, article.id, {
+      skip,
+      take,
+      sort,
+      viewer: req.user || null
+    });
+
+    const totalPages = Math.ceil(totalCount / take);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page: parseInt(page),
+          limit: take,
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+};
+
+const createComment = async (type, req, res) => {
+  try {
+    const { content, parentId } = req.body;
+    const { key } = COMMENT_TARGETS[type];
+
+    const article = await findTarget(type, req.params.id);
+    if (!article) {
+      return articleNotFound(res);
+    }
+
+    const ban = await getCommentBan(req.user.id);
+    if (ban) {
+      return bannedResponse(res, ban);
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await prisma.comment.findUnique({ where: { id: parentId } });
+
+      if (!parent || parent[key] !== article.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+
+      if (parent.deletedAt || parent.status !== 'VISIBLE') {
+        return res.status(400).json({
+          success: false,
+          message: 'This comment can no longer be replied to'
+        });
+      }
+
+      if (parent.depth >= MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies can only be nested ${MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const comment = await prisma.$transaction(async (tx) => {
+      const created = await tx.comment.create({
+        data: {
+          [key]: article.id,
+          parentId: parent ? parent.id : null,
+          rootId: parent ? (parent.rootId || parent.id) : null,
+          depth: parent ? parent.depth + 1 : 0,
+          authorId: req.user.id,
+          content: content.trim(),
+          status: REQUIRE_APPROVAL ? 'PENDING' : 'VISIBLE'
+        },
+        include: { author: authorSelect }
+      });
+
+      if (parent) {
+        await tx.comment.update({
+          where: { id: parent.id },
+          data: { replyCount: { increment: 1 } }
+        });
+      }
+
+      // The AI interaction counter predates comments; keep feeding it
+      if (type === 'ai') {
+        await tx.aiArticleInteraction.create({
+          data: {
+            articleId: article.id,
+            userId: req.user.id,
+            interactionType: 'COMMENT'
+          }
+        });
+      }
+
+      return created;
+    });
+
+    // Replies awaiting approval notify once a moderator approves them
+    if (parent && parent.authorId !== req.user.id && comment.status === 'VISIBLE') {
+      await notifyCommentReply(parent, comment, req.user);
+    }
+
+    logger.info(`Comment created: ${comment.id} on ${type} article ${article.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: comment.status === 'PENDING'
+        ? 'Comment submitted and awaiting approval'
+        : 'Comment posted successfully',
+      data: { comment: { ...formatComment(comment, req.user), replies: [] } }
+    });
+  } catch (error) {
+    logger.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post comment'
+    });
+  }
+};
+
+const commentsController = {
+  // Get the comment threads of a news article
+  getArticleComments: (req, res) => getComments('news', req, res),
+
+  // Comment on a news article, or reply with parentId
+  createArticleComment: (req, res) => createComment('news', req, res),
+
+  // Get the comment threads of an AI/ML article
+  getAiArticleComments: (req, res) => getComments('ai', req, res),
+
+  // Comment on an AI/ML article, or reply with parentId
+  createAiArticleComment: (req, res) => createComment('ai', req, res),
+
+  // Edit own comment within the edit window
+  updateComment: async (req, res) => {
+    try {
+      const comment = await prisma.comment.findFirst({
+        where: { id: req.params.id, deletedAt: null }
+      });
+
+      if (!comment) {
+        return commentNotFound(res);
+      }
+
+      if (comment.authorId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit your own comments'
+        });
+      }
+
+      const ban = await getCommentBan(req.user.id);
+      if (ban) {
+        return bannedResponse(res, ban);
+      }
+
+      if (!canEdit(comment, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: comment.status === 'HIDDEN'
+            ? 'This comment has been removed by a moderator'
+            : `Comments can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting`
+        });
+      }
+
+      const updatedComment = await prisma.comment.update({
+        where: { id: comment.id },
+        data: {
+          content: req.body.content.trim(),
+          editedAt: new Date()
+        },
+        include: { author: authorSelect }
+      });
+
+      logger.info(`Comment updated: ${comment.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: { comment: formatComment(updatedComment, req.user) }
+      });
+    } catch (error) {
+      logger.error('Update comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update comment'
+      });
+    }
+  },
+
+  // Delete a comment: authors within the delete window, admins at any time.
+  // Replies stay in place under a "deleted" placeholder.
+  deleteComment: async (req, res) => {
+    try {
+      const comment = await prisma.comment.findFirst({
+        where: { id: req.params.id, deletedAt: null }
+      });
+
+      if (!comment) {
+        return commentNotFound(res);
+      }
+
+      if (!canDelete(comment, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: comment.authorId === req.user.id
+            ? `Comments can only be deleted within ${Math.round(DELETE_WINDOW_MINUTES / 60)} hours of posting`
+            : 'You can only delete your own comments'
+        });
+      }
+
+      const deletedAt = new Date();
+      await prisma.$transaction([
+        prisma.comment.update({
+          where: { id: comment.id },
+          data: { deletedAt }
+        }),
+        ...(comment.parentId ? [
+          prisma.comment.update({
+            where: { id: comment.parentId },
+            data: { replyCount: { decrement: 1 } }
+          })
+        ] : [])
+      ]);
+
+      if (comment.authorId !== req.user.id) {
+        await recordAudit(req, {
+          action: 'comment.delete',
+          entityType: 'comment',
+          entityId: comment.id,
+          before: { content: comment.content, status: comment.status },
+          after: { deletedAt },
+          metadata: { authorId: comment.authorId }
+        });
+      }
+
+      logger.info(`Comment deleted: ${comment.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete comment'
+      });
+    }
+  },
+
+  // Upvote a comment (repeating it is a no-op)
+  upvoteComment: async (req, res) => {
+    try {
+      const comment = await findActiveComment(req.params.id);
+
+      if (!comment) {
+        return commentNotFound(res);
+      }
+
+      if (comment.authorId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot upvote your own comment'
+        });
+      }
+
+      const updatedComment = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.commentVote.createMany({
+          data: [{ commentId: comment.id, userId: req.user.id }],
+          skipDuplicates: true
+        });
+
+        if (count === 0) return comment;
+
+        return tx.comment.update({
+          where: { id: comment.id },
+          data: { upvoteCount: { increment: 1 } }
+        });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          upvoted: true,
+          upvoteCount: updatedComment.upvoteCount
+        }
+      });
+    } catch (error) {
+      logger.error('Upvote comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upvote comment'
+      });
+    }
+  },
+
+  // Take back an upvote
+  removeUpvote: async (req, res) => {
+    try {
+      const comment = await prisma.comment.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!comment) {
+        return commentNotFound(res);
+      }
+
+      const updatedComment = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.commentVote.deleteMany({
+          where: { commentId: comment.id, userId: req.user.id }
+        });
+
+        if (count === 0) return comment;
+
+        return tx.comment.update({
+          where: { id: comment.id },
+          data: { upvoteCount: { decrement: 1 } }
+        });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          upvoted: false,
+          upvoteCount: updatedComment.upvoteCount
+        }
+      });
+    } catch (error) {
+      logger.error('Remove upvote error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove upvote'
+      });
+    }
+  },
+
+  // Report a comment to the moderators; enough open reports hold it for review
+  reportComment: async (req, res) => {
+    try {
+      const { reason, details } = req.body;
+      const comment = await findActiveComment(req.params.id);
+
+      if (!comment) {
+        return commentNotFound(res);
+      }
+
+      if (comment.authorId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot report your own comment'
+        });
+      }
+
+      const existingReport = await prisma.commentReport.findUnique({
+        where: {
+          commentId_reporterId: {
+            commentId: comment.id,
+            reporterId: req.user.id
+          }
+        }
+      });
+
+      if (existingReport) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this comment'
+        });
+      }
+
+      const updatedComment = await prisma.$transaction(async (tx) => {
+        await tx.commentReport.create({
+          data: {
+            commentId: comment.id,
+            reporterId: req.user.id,
+            reason,
+            details: details || null
+          }
+        });
+
+        const reported = await tx.comment.update({
+          where: { id: comment.id },
+          data: { reportCount: { increment: 1 } }
+        });
+
+        if (reported.reportCount < REPORT_THRESHOLD) return reported;
+
+        return tx.comment.update({
+          where: { id: comment.id },
+          data: { status: 'PENDING' }
+        });
+      });
+
+      logger.info(`Comment reported: ${comment.id} (${reason}) by ${req.user.email}`);
+
+      if (updatedComment.status === 'PENDING') {
+        logger.info(`Comment ${comment.id} held for moderation after ${updatedComment.reportCount} reports`);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment reported. Thank you for letting us know.'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this comment'
+        });
+      }
+      logger.error('Report comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to report comment'
+      });
+    }
+  }
+};
+
+module.exports = commentsController;
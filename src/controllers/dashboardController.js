@@ -1,5 +1,6 @@
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { hasPermission, effectiveRole } = require('../services/permissions');
 
 // Helper function to format uptime
 function formatUptime(seconds) {
@@ -519,7 +520,7 @@ const getDashboardSummary = async (req, res) => {
       }
     };
 
-    switch (req.user.role) {
+    switch (effectiveRole(req.user)) {
       case 'ADMIN':
       case 'AD_MANAGER':
         const [todayStats, weekStats, trending] = await Promise.all([
@@ -1169,8 +1170,8 @@ const getContentPerformance = async (req, res) => {
       publishedAt: { gte: fromDate }
     };
 
-    // If user is EDITOR, only show their own content unless they're viewing as AD_MANAGER/ADMIN
-    if (req.user.role === 'EDITOR' && !authorId) {
+    // Users who can only edit their own articles see only their own content
+    if (!hasPermission(req.user, 'article.edit_any') && !authorId) {
       whereClause.authorId = req.user.id;
     } else if (authorId) {
       whereClause.authorId = parseInt(authorId);
@@ -1310,7 +1311,7 @@ const getContentPerformance = async (req, res) => {
 // @access  Private
 const getQuickActions = async (req, res) => {
   try {
-    const userRole = req.user.role;
+    const userRole = effectiveRole(req.user);
     let quickActions = [];
 
     switch (userRole) {
@@ -1583,7 +1584,7 @@ const getNotifications = async (req, res) => {
   try {
     const { limit = 10, offset = 0, type, unreadOnly = false } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
+    const userRole = effectiveRole(req.user);
 
     let notifications = [];
     
@@ -0,0 +1,151 @@
+// controllers/feedController.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const {
+  getPersonalFeed,
+  addFeedback,
+  formatFeedback
+} = require('../services/personalFeed');
+
+const feedController = {
+  // "For You" feed ranked from the reader's history, favorites and feedback
+  getPersonalFeed: async (req, res) => {
+    try {
+      const { page = 1, limit = 20, types } = req.query;
+      const take = parseInt(limit);
+
+      const { items, totalCount, personalized } = await getPersonalFeed(req.user.id, {
+        types: types ? String(types).split(',').map(type => type.trim()) : undefined,
+        page,
+        limit: take
+      });
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          items,
+          personalized,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get personal feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch personal feed'
+      });
+    }
+  },
+
+  // Mark a feed item as "not interested"
+  addFeedback: async (req, res) => {
+    try {
+      const { type, id, scope = 'ITEM' } = req.body;
+
+      const feedback = await addFeedback(req.user.id, type, id, scope);
+
+      if (!feedback) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      logger.info(`Feed feedback: ${type} ${id} (${scope}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Thanks, you will see less content like this',
+        data: { feedback: formatFeedback(feedback) }
+      });
+    } catch (error) {
+      logger.error('Add feed feedback error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save feedback'
+      });
+    }
+  },
+
+  // List the reader's "not interested" feedback, newest first
+  getFeedback: async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = { userId: req.user.id };
+
+      const [feedback, totalCount] = await Promise.all([
+        prisma.feedFeedback.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take
+        }),
+        prisma.feedFeedback.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          feedback: feedback.map(formatFeedback),
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get feed feedback error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch feedback'
+      });
+    }
+  },
+
+  // Undo "not interested" feedback
+  removeFeedback: async (req, res) => {
+    try {
+      const { count } = await prisma.feedFeedback.deleteMany({
+        where: { id: req.params.id, userId: req.user.id }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Feedback not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Feedback removed'
+      });
+    } catch (error) {
+      logger.error('Remove feed feedback error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove feedback'
+      });
+    }
+  }
+};
+
+module.exports = feedController;
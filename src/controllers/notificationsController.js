@@ -1,6 +1,7 @@
 // controllers/notificationsController.js
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { streamNotifications } = require('../utils/notifications');
 
 const notificationsController = {
   // Get user notifications
@@ -276,19 +277,23 @@ const notificationsController = {
       }
 
       // Create notifications for all target users
+      const createdAt = new Date();
       const notificationData = targetUsers.map(user => ({
         userId: user.id,
         type,
         title,
         message,
         data,
-        createdBy: req.user.id
+        createdBy: req.user.id,
+        createdAt
       }));
 
       await prisma.notification.createMany({
         data: notificationData
       });
 
+      await streamNotifications(targetUsers.map(user => user.id), type, createdAt);
+
       logger.info(`${notificationData.length} notifications created by ${req.user.email}`);
 
       res.status(201).json({
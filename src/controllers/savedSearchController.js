@@ -0,0 +1,268 @@
+// controllers/savedSearchController.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { unifiedSearch, withHighlights } = require('../services/searchService');
+const { pickFilters, buildSearchParams } = require('../services/savedSearchAlerts');
+
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES) || 25;
+
+const savedSearchSelect = {
+  id: true,
+  name: true,
+  query: true,
+  filters: true,
+  alertFrequency: true,
+  emailAlerts: true,
+  lastCheckedAt: true,
+  lastAlertedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Saved searches are private, other users get a 404 rather than a 403
+const findOwnSavedSearch = (id, userId) => prisma.savedSearch.findFirst({
+  where: { id, userId },
+  select: savedSearchSelect
+});
+
+const savedSearchController = {
+  // Get the current user's saved searches
+  getSavedSearches: async (req, res) => {
+    try {
+      const savedSearches = await prisma.savedSearch.findMany({
+        where: { userId: req.user.id },
+        orderBy: { createdAt: 'desc' },
+        select: savedSearchSelect
+      });
+
+      res.json({
+        success: true,
+        data: {
+          savedSearches,
+          limit: MAX_SAVED_SEARCHES
+        }
+      });
+    } catch (error) {
+      logger.error('Get saved searches error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch saved searches'
+      });
+    }
+  },
+
+  // Get a single saved search
+  getSavedSearchById: async (req, res) => {
+    try {
+      const savedSearch = await findOwnSavedSearch(req.params.id, req.user.id);
+
+      if (!savedSearch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { savedSearch }
+      });
+    } catch (error) {
+      logger.error('Get saved search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch saved search'
+      });
+    }
+  },
+
+  // Save a query and its advanced search filters
+  createSavedSearch: async (req, res) => {
+    try {
+      const {
+        name,
+        query,
+        alertFrequency = 'NONE',
+        emailAlerts = false
+      } = req.body;
+
+      const existingCount = await prisma.savedSearch.count({
+        where: { userId: req.user.id }
+      });
+
+      if (existingCount >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({
+          success: false,
+          message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+        });
+      }
+
+      const filters = pickFilters(req.body);
+
+      if (!(query && query.trim()) && Object.keys(filters).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A query or at least one filter is required'
+        });
+      }
+
+      const savedSearch = await prisma.savedSearch.create({
+        data: {
+          userId: req.user.id,
+          name: name || (query && query.trim()) || 'Saved search',
+          query: query ? query.trim() : null,
+          filters,
+          alertFrequency,
+          emailAlerts: emailAlerts === true || emailAlerts === 'true'
+        },
+        select: savedSearchSelect
+      });
+
+      logger.info(`Saved search created: ${savedSearch.name} (${savedSearch.alertFrequency}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Search saved successfully',
+        data: { savedSearch }
+      });
+    } catch (error) {
+      logger.error('Create saved search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save search'
+      });
+    }
+  },
+
+  // Update name, query, filters or alert settings
+  updateSavedSearch: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, query, alertFrequency, emailAlerts } = req.body;
+
+      const existing = await findOwnSavedSearch(id, req.user.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+
+      const updateData = {};
+      if (name !== undefined) updateData.name = name;
+      if (query !== undefined) updateData.query = query ? query.trim() : null;
+      if (emailAlerts !== undefined) updateData.emailAlerts = emailAlerts === true || emailAlerts === 'true';
+
+      if (alertFrequency !== undefined) {
+        updateData.alertFrequency = alertFrequency;
+        // Turning alerts on should not replay everything published while they were off
+        if (existing.alertFrequency === 'NONE' && alertFrequency !== 'NONE') {
+          updateData.lastCheckedAt = new Date();
+          updateData.lastNotifiedIds = [];
+        }
+      }
+
+      const filters = pickFilters(req.body);
+      if (Object.keys(filters).length > 0) {
+        updateData.filters = { ...(existing.filters || {}), ...filters };
+      }
+
+      const savedSearch = await prisma.savedSearch.update({
+        where: { id },
+        data: updateData,
+        select: savedSearchSelect
+      });
+
+      res.json({
+        success: true,
+        message: 'Saved search updated successfully',
+        data: { savedSearch }
+      });
+    } catch (error) {
+      logger.error('Update saved search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update saved search'
+      });
+    }
+  },
+
+  // Delete a saved search
+  deleteSavedSearch: async (req, res) => {
+    try {
+      const result = await prisma.savedSearch.deleteMany({
+        where: {
+          id: req.params.id,
+          userId: req.user.id
+        }
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Saved search deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete saved search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete saved search'
+      });
+    }
+  },
+
+  // Run a saved search now
+  runSavedSearch: async (req, res) => {
+    try {
+      const { page = 1, limit = 10, sortBy, order, highlight = 'html' } = req.query;
+
+      const savedSearch = await findOwnSavedSearch(req.params.id, req.user.id);
+
+      if (!savedSearch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
+
+      const take = parseInt(limit);
+      const { results, totalCount, facets } = await unifiedSearch(
+        buildSearchParams(savedSearch, { sortBy, order, page, limit: take })
+      );
+
+      const totalPages = Math.ceil(totalCount / take);
+
+      res.json({
+        success: true,
+        data: {
+          savedSearch,
+          results: await withHighlights(results, savedSearch.query, highlight),
+          facets,
+          pagination: {
+            page: parseInt(page),
+            limit: take,
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Run saved search error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run saved search'
+      });
+    }
+  }
+};
+
+module.exports = savedSearchController;
@@ -1,13 +1,64 @@
 // controllers/searchController.js
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { unifiedSearch, withHighlights, SEARCH_TYPES } = require('../services/searchService');
+const { hasPermission } = require('../services/permissions');
+
+// Accept both arrays and comma separated strings
+const parseList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Favorites only exist for news articles
+const markFavorites = async (results, user) => {
+  if (!user) {
+    return results;
+  }
+
+  const newsIds = results.filter(result => result.type === 'news').map(result => result.id);
+  const favorites = newsIds.length > 0
+    ? await prisma.userFavorite.findMany({
+      where: {
+        userId: user.id,
+        newsId: { in: newsIds }
+      },
+      select: { newsId: true }
+    })
+    : [];
+
+  const favoriteIds = new Set(favorites.map(fav => fav.newsId));
+  return results.map(result => (
+    result.type === 'news'
+      ? { ...result, isFavorite: favoriteIds.has(result.id) }
+      : result
+  ));
+};
+
+const saveSearchHistory = async (user, query, results) => {
+  if (!user) {
+    return;
+  }
+
+  await prisma.searchHistory.create({
+    data: {
+      userId: user.id,
+      query,
+      results
+    }
+  }).catch(error => {
+    logger.warn('Failed to save search history:', error);
+  });
+};
 
 const searchController = {
-  // Search articles
+  // Unified search across news, AI/ML articles and TimeSaver content
   searchArticles: async (req, res) => {
     try {
       const {
         q: query,
+        type,
         category,
         page = 1,
         limit = 10,
@@ -15,172 +66,41 @@ const searchController = {
         order = 'desc',
         dateFrom,
         dateTo,
-        author
+        author,
+        highlight = 'html'
       } = req.query;
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
       const take = parseInt(limit);
+      const types = parseList(type);
+      const categories = category && category !== 'ALL' ? [category] : [];
 
-      // Build where clause for search - MySQL compatible
-      const where = {
-        status: 'PUBLISHED',
-        publishedAt: { lte: new Date() },
-        OR: [
-          { headline: { contains: query } },
-          { briefContent: { contains: query } },
-          { fullContent: { contains: query } },
-          { tags: { contains: query } }
-        ]
-      };
-
-      // Add filters
-      if (category && category !== 'ALL') {
-        where.category = category;
-      }
-
-      if (dateFrom || dateTo) {
-        where.publishedAt = {};
-        if (dateFrom) where.publishedAt.gte = new Date(dateFrom);
-        if (dateTo) where.publishedAt.lte = new Date(dateTo);
-      }
-
-      if (author) {
-        where.author = {
-          fullName: { contains: author }
-        };
-      }
-
-      // Build orderBy clause
-      let orderBy = {};
-      switch (sortBy) {
-        case 'relevance':
-          // For relevance, we'll order by a combination of factors
-          orderBy = [
-            { priorityLevel: 'desc' },
-            { viewCount: 'desc' },
-            { publishedAt: 'desc' }
-          ];
-          break;
-        case 'date':
-          orderBy = { publishedAt: order };
-          break;
-        case 'popularity':
-          orderBy = { viewCount: order };
-          break;
-        default:
-          orderBy = { [sortBy]: order };
-      }
-
-      // Perform search
-      const [articles, totalCount] = await Promise.all([
-        prisma.newsArticle.findMany({
-          where,
-          skip,
-          take,
-          orderBy,
-          select: {
-            id: true,
-            headline: true,
-            briefContent: true,
-            category: true,
-            priorityLevel: true,
-            featuredImage: true,
-            tags: true,
-            slug: true,
-            viewCount: true,
-            shareCount: true,
-            publishedAt: true,
-            author: {
-              select: {
-                id: true,
-                fullName: true,
-                avatar: true
-              }
-            }
-          }
-        }),
-        prisma.newsArticle.count({ where })
-      ]);
-
-      // Calculate search result relevance scores and highlight matches
-      const articlesWithRelevance = articles.map(article => {
-        let relevanceScore = 0;
-        const queryLower = query.toLowerCase();
-        
-        // Calculate relevance based on where the match occurs (case-insensitive)
-        if (article.headline.toLowerCase().includes(queryLower)) {
-          relevanceScore += 10;
-        }
-        if (article.briefContent?.toLowerCase().includes(queryLower)) {
-          relevanceScore += 5;
-        }
-        if (article.tags?.toLowerCase().includes(queryLower)) {
-          relevanceScore += 3;
-        }
-        
-        // Boost score for priority articles
-        relevanceScore += article.priorityLevel;
-        
-        // Boost score for popular articles
-        relevanceScore += Math.log10(article.viewCount + 1);
-
-        // Create highlighted snippets
-        const highlightText = (text, query) => {
-          if (!text) return text;
-          const regex = new RegExp(`(${query})`, 'gi');
-          return text.replace(regex, '<mark>$1</mark>');
-        };
-
-        return {
-          ...article,
-          relevanceScore,
-          highlightedHeadline: highlightText(article.headline, query),
-          highlightedBriefContent: highlightText(article.briefContent, query)
-        };
+      const { results, totalCount, facets } = await unifiedSearch({
+        query,
+        types: types.length > 0 ? types : SEARCH_TYPES,
+        categories,
+        filters: {
+          dateFrom,
+          dateTo,
+          authorName: author
+        },
+        sortBy,
+        order,
+        page,
+        limit: take
       });
 
-      // Sort by relevance if that's the selected sort method
-      if (sortBy === 'relevance') {
-        articlesWithRelevance.sort((a, b) => b.relevanceScore - a.relevanceScore);
-      }
+      const highlighted = await withHighlights(results, query, highlight);
+      const finalResults = await markFavorites(highlighted, req.user);
 
-      // Add favorite status if user is authenticated
-      let finalArticles = articlesWithRelevance;
-      if (req.user) {
-        const favoriteArticleIds = await prisma.userFavorite.findMany({
-          where: {
-            userId: req.user.id,
-            newsId: { in: articles.map(article => article.id) }
-          },
-          select: { newsId: true }
-        });
-
-        const favoriteIds = new Set(favoriteArticleIds.map(fav => fav.newsId));
-        finalArticles = articlesWithRelevance.map(article => ({
-          ...article,
-          isFavorite: favoriteIds.has(article.id)
-        }));
-      }
-
-      // Track search history if user is authenticated
-      if (req.user) {
-        await prisma.searchHistory.create({
-          data: {
-            userId: req.user.id,
-            query,
-            results: totalCount
-          }
-        }).catch(error => {
-          logger.warn('Failed to save search history:', error);
-        });
-      }
+      await saveSearchHistory(req.user, query, totalCount);
 
       const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
         data: {
-          articles: finalArticles,
+          results: finalResults,
+          facets,
           searchQuery: query,
           pagination: {
             page: parseInt(page),
@@ -191,6 +111,7 @@ const searchController = {
             hasPrev: parseInt(page) > 1
           },
           filters: {
+            type: types.length > 0 ? types : SEARCH_TYPES,
             category,
             dateFrom,
             dateTo,
@@ -418,6 +339,7 @@ const searchController = {
     try {
       const {
         query,
+        types = SEARCH_TYPES,
         categories = [],
         authors = [],
         dateFrom,
@@ -429,148 +351,37 @@ const searchController = {
         page = 1,
         limit = 10,
         sortBy = 'relevance',
-        order = 'desc'
+        order = 'desc',
+        highlight = 'html'
       } = req.body;
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
       const take = parseInt(limit);
 
-      // Build complex where clause - MySQL compatible
-      const where = {
-        status: 'PUBLISHED',
-        publishedAt: { lte: new Date() }
-      };
-
-      // Text search - MySQL compatible
-      if (query && query.trim()) {
-        where.OR = [
-          { headline: { contains: query.trim() } },
-          { briefContent: { contains: query.trim() } },
-          { fullContent: { contains: query.trim() } },
-          { tags: { contains: query.trim() } }
-        ];
-      }
-
-      // Category filter
-      if (categories.length > 0) {
-        where.category = { in: categories };
-      }
-
-      // Date range filter
-      if (dateFrom || dateTo) {
-        where.publishedAt = {};
-        if (dateFrom) where.publishedAt.gte = new Date(dateFrom);
-        if (dateTo) where.publishedAt.lte = new Date(dateTo);
-      }
-
-      // Author filter
-      if (authors.length > 0) {
-        where.authorId = { in: authors };
-      }
-
-      // Tags filter - MySQL compatible
-      if (tags.length > 0) {
-        where.OR = where.OR || [];
-        tags.forEach(tag => {
-          where.OR.push({ tags: { contains: tag } });
-        });
-      }
-
-      // View count filter
-      if (minViewCount !== undefined || maxViewCount !== undefined) {
-        where.viewCount = {};
-        if (minViewCount !== undefined) where.viewCount.gte = parseInt(minViewCount);
-        if (maxViewCount !== undefined) where.viewCount.lte = parseInt(maxViewCount);
-      }
-
-      // Priority level filter
-      if (priorityLevel !== undefined) {
-        where.priorityLevel = { gte: parseInt(priorityLevel) };
-      }
-
-      // Build orderBy clause
-      let orderBy = {};
-      switch (sortBy) {
-        case 'relevance':
-          orderBy = [
-            { priorityLevel: 'desc' },
-            { viewCount: 'desc' },
-            { publishedAt: 'desc' }
-          ];
-          break;
-        case 'date':
-          orderBy = { publishedAt: order };
-          break;
-        case 'popularity':
-          orderBy = { viewCount: order };
-          break;
-        case 'alphabetical':
-          orderBy = { headline: order };
-          break;
-        default:
-          orderBy = { [sortBy]: order };
-      }
-
-      // Perform search
-      const [articles, totalCount] = await Promise.all([
-        prisma.newsArticle.findMany({
-          where,
-          skip,
-          take,
-          orderBy,
-          select: {
-            id: true,
-            headline: true,
-            briefContent: true,
-            category: true,
-            priorityLevel: true,
-            featuredImage: true,
-            tags: true,
-            slug: true,
-            viewCount: true,
-            shareCount: true,
-            publishedAt: true,
-            author: {
-              select: {
-                id: true,
-                fullName: true,
-                avatar: true
-              }
-            }
-          }
-        }),
-        prisma.newsArticle.count({ where })
-      ]);
-
-      // Add favorite status if user is authenticated
-      let finalArticles = articles;
-      if (req.user) {
-        const favoriteArticleIds = await prisma.userFavorite.findMany({
-          where: {
-            userId: req.user.id,
-            newsId: { in: articles.map(article => article.id) }
-          },
-          select: { newsId: true }
-        });
+      const { results, totalCount, facets } = await unifiedSearch({
+        query,
+        types: parseList(types),
+        categories: parseList(categories),
+        filters: {
+          dateFrom,
+          dateTo,
+          authorIds: parseList(authors),
+          tags: parseList(tags),
+          minViewCount,
+          maxViewCount,
+          priorityLevel
+        },
+        sortBy,
+        order,
+        page,
+        limit: take
+      });
 
-        const favoriteIds = new Set(favoriteArticleIds.map(fav => fav.newsId));
-        finalArticles = articles.map(article => ({
-          ...article,
-          isFavorite: favoriteIds.has(article.id)
-        }));
-      }
+      const highlighted = await withHighlights(results, query, highlight);
+      const finalResults = await markFavorites(highlighted, req.user);
 
       // Track search history if user is authenticated and query exists
-      if (req.user && query && query.trim()) {
-        await prisma.searchHistory.create({
-          data: {
-            userId: req.user.id,
-            query: query.trim(),
-            results: totalCount
-          }
-        }).catch(error => {
-          logger.warn('Failed to save advanced search history:', error);
-        });
+      if (query && query.trim()) {
+        await saveSearchHistory(req.user, query.trim(), totalCount);
       }
 
       const totalPages = Math.ceil(totalCount / take);
@@ -578,9 +389,11 @@ const searchController = {
       res.json({
         success: true,
         data: {
-          articles: finalArticles,
+          results: finalResults,
+          facets,
           searchFilters: {
             query: query || '',
+            types,
             categories,
             authors,
             dateFrom,
@@ -612,7 +425,7 @@ const searchController = {
   // Get search analytics (for admins)
   getSearchAnalytics: async (req, res) => {
     try {
-      if (!req.user || !['ADMIN', 'AD_MANAGER'].includes(req.user.role)) {
+      if (!hasPermission(req.user, 'analytics.view')) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
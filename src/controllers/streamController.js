@@ -0,0 +1,97 @@
+// controllers/streamController.js
+const logger = require('../utils/logger');
+const { openStream, getStreamStats, PUBLIC_CHANNELS } = require('../services/eventStream');
+const { issueStreamTicket } = require('../services/streamTickets');
+
+// ?channels=breaking-news,articles narrows the public channels, default is all of them
+const parseChannels = (value) => {
+  if (!value) {
+    return PUBLIC_CHANNELS;
+  }
+
+  return String(value)
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(channel => PUBLIC_CHANNELS.includes(channel));
+};
+
+const streamController = {
+  // Ticket for GET /api/stream?ticket=..., which EventSource can open without headers
+  createTicket: async (req, res) => {
+    try {
+      const { ticket, expiresIn } = await issueStreamTicket(req.user.id, req.sessionId || null);
+
+      res.status(201).json({
+        success: true,
+        data: { ticket, expiresIn }
+      });
+    } catch (error) {
+      logger.error('Create stream ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create stream ticket'
+      });
+    }
+  },
+
+  // Authenticated stream: the user's notifications plus public channels
+  connect: async (req, res) => {
+    try {
+      await openStream(req, res, {
+        userId: req.user.id,
+        channels: parseChannels(req.query.channels)
+      });
+    } catch (error) {
+      logger.error('Open stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to open event stream'
+        });
+      } else {
+        res.end();
+      }
+    }
+  },
+
+  // Anonymous stream: public channels only
+  connectPublic: async (req, res) => {
+    try {
+      const channels = parseChannels(req.query.channels);
+
+      if (channels.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid channels. Available: ${PUBLIC_CHANNELS.join(', ')}`
+        });
+      }
+
+      await openStream(req, res, { channels });
+    } catch (error) {
+      logger.error('Open public stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to open event stream'
+        });
+      } else {
+        res.end();
+      }
+    }
+  },
+
+  // Connection counts for this process
+  getStats: async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        pid: process.pid,
+        adapter: process.env.PUBSUB_ADAPTER || 'memory',
+        channels: PUBLIC_CHANNELS,
+        ...getStreamStats()
+      }
+    });
+  }
+};
+
+module.exports = streamController;
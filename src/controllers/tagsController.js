@@ -0,0 +1,311 @@
+// controllers/tagsController.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const {
+  TAG_CONTENT_TYPES,
+  slugifyTag,
+  resolveTag,
+  isSlugTaken,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  listTags,
+  getTaggedContent
+} = require('../services/tagService');
+
+const tagNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Tag not found'
+});
+
+const tagsController = {
+  // List tags with usage counts
+  getTags: async (req, res) => {
+    try {
+      const { page = 1, limit = 50, search, sortBy = 'popular' } = req.query;
+
+      const { tags, totalCount } = await listTags({
+        search: search ? search.trim() : undefined,
+        sortBy,
+        page,
+        limit
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          tags,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get tags error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch tags'
+      });
+    }
+  },
+
+  // Tag landing page: the tag plus news, AI, TimeSaver and breaking content carrying it
+  getTagBySlug: async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const { page = 1, limit = 20, type } = req.query;
+
+      const { tag, alias } = await resolveTag(slug);
+      if (!tag) {
+        return tagNotFound(res);
+      }
+
+      const types = type
+        ? String(type).split(',').map(item => item.trim()).filter(Boolean)
+        : TAG_CONTENT_TYPES;
+
+      const [aliases, { items, totalCount, counts }] = await Promise.all([
+        prisma.tagAlias.findMany({
+          where: { tagId: tag.id },
+          select: { slug: true },
+          orderBy: { slug: 'asc' }
+        }),
+        getTaggedContent(tag.id, { types, page, limit })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          tag: {
+            id: tag.id,
+            name: tag.name,
+            slug: tag.slug,
+            description: tag.description,
+            aliases: aliases.map(item => item.slug)
+          },
+          // Clients reached through an alias should switch to the canonical slug
+          matchedAlias: alias,
+          items,
+          counts,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages,
+            totalCount,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch tag'
+      });
+    }
+  },
+
+  // Rename a tag or change its description (ADMIN only)
+  updateTag: async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const { tag } = await resolveTag(req.params.slug);
+      if (!tag) {
+        return tagNotFound(res);
+      }
+
+      if (name !== undefined && !slugifyTag(name)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag name must contain letters or numbers'
+        });
+      }
+
+      const updated = await renameTag(tag, { name, description });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Another tag already uses the slug "${slugifyTag(name)}". Merge the tags instead.`
+        });
+      }
+
+      logger.info(`Tag updated: ${tag.slug} -> ${updated.slug} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Tag updated successfully',
+        data: { tag: updated }
+      });
+    } catch (error) {
+      logger.error('Update tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update tag'
+      });
+    }
+  },
+
+  // Delete a tag and remove it from all content (ADMIN only)
+  deleteTag: async (req, res) => {
+    try {
+      const { tag } = await resolveTag(req.params.slug);
+      if (!tag) {
+        return tagNotFound(res);
+      }
+
+      const untagged = await deleteTag(tag);
+
+      logger.info(`Tag deleted: ${tag.slug} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Tag deleted successfully',
+        data: { untagged }
+      });
+    } catch (error) {
+      logger.error('Delete tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete tag'
+      });
+    }
+  },
+
+  // Merge a tag into another, its slug becomes an alias of the target (ADMIN only)
+  mergeTag: async (req, res) => {
+    try {
+      const { into } = req.body;
+
+      const [{ tag: source }, { tag: target }] = await Promise.all([
+        resolveTag(req.params.slug),
+        resolveTag(slugifyTag(into))
+      ]);
+
+      if (!source) {
+        return tagNotFound(res);
+      }
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: `Target tag "${into}" not found`
+        });
+      }
+
+      if (source.id === target.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A tag cannot be merged into itself'
+        });
+      }
+
+      const moved = await mergeTags(source, target);
+
+      logger.info(`Tag merged: ${source.slug} -> ${target.slug} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Tag "${source.name}" merged into "${target.name}"`,
+        data: { tag: target, moved }
+      });
+    } catch (error) {
+      logger.error('Merge tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to merge tags'
+      });
+    }
+  },
+
+  // Add an alias that resolves to the tag (ADMIN only)
+  addAlias: async (req, res) => {
+    try {
+      const aliasSlug = slugifyTag(req.body.alias);
+
+      if (!aliasSlug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alias must contain letters or numbers'
+        });
+      }
+
+      const { tag } = await resolveTag(req.params.slug);
+      if (!tag) {
+        return tagNotFound(res);
+      }
+
+      if (await isSlugTaken(aliasSlug)) {
+        return res.status(409).json({
+          success: false,
+          message: `"${aliasSlug}" is already a tag or alias. Merge the tags instead.`
+        });
+      }
+
+      const alias = await prisma.tagAlias.create({
+        data: { slug: aliasSlug, tagId: tag.id },
+        select: { slug: true, createdAt: true }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Alias added successfully',
+        data: { tag: { id: tag.id, name: tag.name, slug: tag.slug }, alias }
+      });
+    } catch (error) {
+      logger.error('Add tag alias error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add alias'
+      });
+    }
+  },
+
+  // Remove an alias (ADMIN only)
+  removeAlias: async (req, res) => {
+    try {
+      const { tag } = await resolveTag(req.params.slug);
+      if (!tag) {
+        return tagNotFound(res);
+      }
+
+      const result = await prisma.tagAlias.deleteMany({
+        where: {
+          slug: slugifyTag(req.params.alias),
+          tagId: tag.id
+        }
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alias not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Alias removed successfully'
+      });
+    } catch (error) {
+      logger.error('Remove tag alias error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove alias'
+      });
+    }
+  }
+};
+
+module.exports = tagsController;
@@ -5,6 +5,8 @@
 
 const prisma = require('../config/database');
 const logger = require('../utils/logger');
+const { createHighlighter } = require('../utils/snippets');
+const { prepareTags, tagLinksCreate, tagLinksReplace, syncTagLinks } = require('../services/tagService');
 
 class TimeSaverController {
   // ==================== PUBLIC ROUTES ====================
@@ -26,7 +28,8 @@ class TimeSaverController {
         sortBy = 'publishedAt',
         order = 'desc',
         includeLinked = 'true',
-        search
+        search,
+        highlight = 'html'
       } = req.query;
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -172,11 +175,24 @@ class TimeSaverController {
         prisma.timeSaverContent.count({ where })
       ]);
 
+      // Highlight search matches in the title, summary and key points
+      let results = content;
+      if (search && highlight !== 'none') {
+        const highlighter = createHighlighter(search, { mode: highlight });
+        results = content.map(item => ({
+          ...item,
+          highlights: {
+            title: highlighter.field(item.title),
+            snippet: highlighter.snippet(item.summary, item.keyPoints)
+          }
+        }));
+      }
+
       const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
-        data: content,
+        data: results,
         pagination: {
           page: parseInt(page),
           limit: take,
@@ -664,6 +680,8 @@ class TimeSaverController {
         }
       }
 
+      const tagSet = await prepareTags(tags);
+
       // Create content
       const content = await prisma.timeSaverContent.create({
         data: {
@@ -678,7 +696,8 @@ class TimeSaverController {
           readTimeSeconds: readTimeSeconds || 60,
           isPriority,
           contentType,
-          tags,
+          tags: tagSet.value,
+          tagLinks: tagLinksCreate(tagSet.tags),
           contentGroup,
           linkedArticleId,
           linkedAiArticleId,
@@ -763,6 +782,12 @@ class TimeSaverController {
         }
       }
 
+      if (updateData.tags !== undefined) {
+        const tagSet = await prepareTags(updateData.tags);
+        updateData.tags = tagSet.value;
+        updateData.tagLinks = tagLinksReplace(tagSet.tags);
+      }
+
       const content = await prisma.timeSaverContent.update({
         where: { id },
         data: updateData,
@@ -1051,6 +1076,9 @@ class TimeSaverController {
         data: sampleData
       });
 
+      // createMany can't write relations, link the sample tags afterwards
+      await syncTagLinks('timesaver');
+
       logger.info(`Sample data seeded: ${created.count} items by user ${userId}`);
 
       res.status(201).json({
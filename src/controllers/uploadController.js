@@ -1,11 +1,45 @@
 // controllers/uploadController.js
-const path = require('path');
-const fs = require('fs');
 const logger = require('../utils/logger');
+const prisma = require('../config/database');
+const {
+  IMAGE_VARIANTS,
+  isVariantFile,
+  createImageVariants,
+  removeImageVariants
+} = require('../services/imageVariants');
+const {
+  assetKey,
+  addUpload,
+  findReferences,
+  removeAsset,
+  cleanupUnusedUploads,
+  importExistingUploads,
+  formatAsset,
+  signAsset
+} = require('../services/mediaLibrary');
+const { getStorage, DEFAULT_EXPIRES_IN } = require('../services/storage');
+
+// `mimetype` is kept for clients written against the file-only responses;
+// private assets come with signed URLs since their plain URLs are not served
+const describeAsset = async (asset, duplicate) => ({
+  ...formatAsset(asset),
+  mimetype: asset.mimeType,
+  duplicate,
+  ...(asset.isPrivate && { signed: await signAsset(asset) })
+});
+
+const pickDetails = (body, fields = ['altText', 'caption', 'credit']) => fields.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field] || null;
+  return acc;
+}, {});
+
+const uploaderSelect = {
+  select: { id: true, fullName: true, email: true }
+};
 
 class UploadController {
-  // @desc    Upload single image
-  static uploadSingleImage(req, res) {
+  // @desc    Upload single image into the media library; identical images are stored once
+  static async uploadSingleImage(req, res) {
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -13,25 +47,34 @@ class UploadController {
       });
     }
 
-    const imageUrl = `/uploads/${req.file.filename}`;
+    let result;
+    try {
+      result = await addUpload(req.file, {
+        userId: req.user.id,
+        details: pickDetails(req.body),
+        isPrivate: req.body.private === true
+      });
+    } catch (error) {
+      logger.warn(`Image processing failed for ${req.file.originalname}: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is not a valid image'
+      });
+    }
 
-    logger.info(`Image uploaded: ${req.file.filename} by ${req.user.email}`);
+    logger.info(result.duplicate
+      ? `Duplicate image upload by ${req.user.email}, reusing ${result.asset.filename}`
+      : `Image uploaded: ${result.asset.filename} by ${req.user.email}`);
 
     res.json({
       success: true,
-      message: 'Image uploaded successfully',
-      data: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        url: imageUrl,
-        size: req.file.size,
-        mimetype: req.file.mimetype
-      }
+      message: result.duplicate ? 'Image already in the media library' : 'Image uploaded successfully',
+      data: await describeAsset(result.asset, result.duplicate)
     });
   }
 
-  // @desc    Upload multiple images
-  static uploadMultipleImages(req, res) {
+  // @desc    Upload multiple images; files that are not valid images are rejected, the rest are kept
+  static async uploadMultipleImages(req, res) {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
@@ -39,27 +82,43 @@ class UploadController {
       });
     }
 
-    const uploadedFiles = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      url: `/uploads/${file.filename}`,
-      size: file.size,
-      mimetype: file.mimetype
-    }));
+    // Alt text and captions describe one image, so only the credit applies to a batch
+    const details = pickDetails(req.body, ['credit']);
+    const uploadedFiles = [];
+    const rejected = [];
+
+    for (const file of req.files) {
+      try {
+        const result = await addUpload(file, { userId: req.user.id, details, isPrivate: req.body.private === true });
+        uploadedFiles.push(await describeAsset(result.asset, result.duplicate));
+      } catch (error) {
+        logger.warn(`Image processing failed for ${file.originalname}: ${error.message}`);
+        rejected.push(file.originalname);
+      }
+    }
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the uploaded files are valid images',
+        data: { rejected }
+      });
+    }
 
-    logger.info(`${req.files.length} images uploaded by ${req.user.email}`);
+    logger.info(`${uploadedFiles.length} images uploaded by ${req.user.email}`);
 
     res.json({
       success: true,
-      message: `${req.files.length} images uploaded successfully`,
-      data: { files: uploadedFiles }
+      message: `${uploadedFiles.length} images uploaded successfully`,
+      data: { files: uploadedFiles, rejected }
     });
   }
 
-  // @desc    Delete uploaded file
-  static deleteFile(req, res) {
+  // @desc    Delete uploaded file and its variants; in-use images need ?force=true
+  static async deleteFile(req, res) {
     try {
       const { filename } = req.params;
+      const force = req.query.force === 'true';
       
       // Validate filename (security check)
       if (!filename || filename.includes('..') || filename.includes('/')) {
@@ -69,20 +128,42 @@ class UploadController {
         });
       }
 
-      const filePath = path.join(__dirname, '../../uploads', filename);
+      if (isVariantFile(filename)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image variants are removed together with their original file'
+        });
+      }
+
+      const asset = await prisma.mediaAsset.findUnique({ where: { filename } });
 
       // Check if file exists
-      if (!fs.existsSync(filePath)) {
+      if (!asset && !await getStorage().stat(filename)) {
         return res.status(404).json({
           success: false,
           message: 'File not found'
         });
       }
 
-      // Delete the file
-      fs.unlinkSync(filePath);
+      const references = await findReferences(asset || { filename });
+      if (references.length > 0 && !force) {
+        return res.status(409).json({
+          success: false,
+          message: `File is used by ${references.length} record(s); pass force=true to delete it anyway`,
+          data: { references }
+        });
+      }
+
+      // Delete the file, its variants and its library record
+      let removedCount;
+      if (asset) {
+        removedCount = await removeAsset(asset);
+      } else {
+        await getStorage().delete(filename);
+        removedCount = 1 + await removeImageVariants(filename);
+      }
 
-      logger.info(`File deleted: ${filename} by ${req.user.email}`);
+      logger.info(`File deleted: ${filename} (${removedCount} files) by ${req.user.email}`);
 
       res.json({
         success: true,
@@ -98,42 +179,28 @@ class UploadController {
   }
 
   // @desc    Get upload info/stats
-  static getUploadInfo(req, res) {
+  static async getUploadInfo(req, res) {
     try {
-      const uploadsDir = path.join(__dirname, '../../uploads');
-      
-      if (!fs.existsSync(uploadsDir)) {
-        return res.json({
-          success: true,
-          data: {
-            totalFiles: 0,
-            totalSize: 0,
-            maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
-            allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
-          }
-        });
-      }
-
-      const files = fs.readdirSync(uploadsDir);
+      const storage = getStorage();
+      let totalFiles = 0;
       let totalSize = 0;
 
-      files.forEach(file => {
-        const filePath = path.join(uploadsDir, file);
-        const stats = fs.statSync(filePath);
-        if (stats.isFile()) {
-          totalSize += stats.size;
-        }
-      });
+      for await (const object of storage.list()) {
+        totalFiles++;
+        totalSize += object.size;
+      }
 
       res.json({
         success: true,
         data: {
-          totalFiles: files.length,
+          storage: storage.name || process.env.STORAGE_ADAPTER,
+          totalFiles,
           totalSize,
           totalSizeMB: Math.round(totalSize / (1024 * 1024) * 100) / 100,
           maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
           maxFileSizeMB: Math.round((parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024) / (1024 * 1024)),
-          allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+          allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+          imageVariants: IMAGE_VARIANTS
         }
       });
     } catch (error) {
@@ -145,64 +212,46 @@ class UploadController {
     }
   }
 
-  // @desc    List uploaded files
-  static listFiles(req, res) {
+  // @desc    List media library assets with search and filters
+  static async listFiles(req, res) {
     try {
-      const { page = 1, limit = 20, search } = req.query;
-      const uploadsDir = path.join(__dirname, '../../uploads');
-      
-      if (!fs.existsSync(uploadsDir)) {
-        return res.json({
-          success: true,
-          data: {
-            files: [],
-            pagination: {
-              page: 1,
-              limit: parseInt(limit),
-              totalPages: 0,
-              totalCount: 0
-            }
-          }
-        });
-      }
+      const { page = 1, limit = 20, search, mimeType, uploadedBy } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
 
-      let files = fs.readdirSync(uploadsDir).map(filename => {
-        const filePath = path.join(uploadsDir, filename);
-        const stats = fs.statSync(filePath);
-        
-        return {
-          filename,
-          url: `/uploads/${filename}`,
-          size: stats.size,
-          sizeMB: Math.round(stats.size / (1024 * 1024) * 100) / 100,
-          uploadedAt: stats.ctime,
-          modifiedAt: stats.mtime
-        };
-      }).filter(file => file.size > 0); // Filter out empty files
-
-      // Apply search filter
+      const where = {};
+      if (mimeType) where.mimeType = mimeType;
+      if (uploadedBy) where.uploadedBy = uploadedBy;
       if (search) {
-        files = files.filter(file => 
-          file.filename.toLowerCase().includes(search.toLowerCase())
-        );
+        where.OR = [
+          { filename: { contains: search } },
+          { originalName: { contains: search } },
+          { altText: { contains: search } },
+          { caption: { contains: search } },
+          { credit: { contains: search } }
+        ];
       }
 
-      // Sort by upload date (newest first)
-      files.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+      const [assets, totalCount] = await Promise.all([
+        prisma.mediaAsset.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take,
+          include: { uploader: uploaderSelect }
+        }),
+        prisma.mediaAsset.count({ where })
+      ]);
 
-      // Apply pagination
-      const totalCount = files.length;
-      const totalPages = Math.ceil(totalCount / parseInt(limit));
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const paginatedFiles = files.slice(skip, skip + parseInt(limit));
+      const totalPages = Math.ceil(totalCount / take);
 
       res.json({
         success: true,
         data: {
-          files: paginatedFiles,
+          files: assets.map(formatAsset),
           pagination: {
             page: parseInt(page),
-            limit: parseInt(limit),
+            limit: take,
             totalPages,
             totalCount,
             hasNext: parseInt(page) < totalPages,
@@ -219,42 +268,130 @@ class UploadController {
     }
   }
 
-  // @desc    Cleanup old files
-  static cleanupFiles(req, res) {
+  // @desc    Get one asset with the records that use it
+  static async getFile(req, res) {
     try {
-      const { olderThanDays = 30 } = req.body;
-      const uploadsDir = path.join(__dirname, '../../uploads');
-      
-      if (!fs.existsSync(uploadsDir)) {
-        return res.json({
-          success: true,
-          message: 'No files to cleanup',
-          data: { deletedCount: 0 }
+      const asset = await prisma.mediaAsset.findUnique({
+        where: { id: req.params.id },
+        include: { uploader: uploaderSelect }
+      });
+
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
         });
       }
 
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - parseInt(olderThanDays));
+      const references = await findReferences(asset);
+
+      res.json({
+        success: true,
+        data: {
+          file: formatAsset(asset),
+          references
+        }
+      });
+    } catch (error) {
+      logger.error('Get file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get file'
+      });
+    }
+  }
+
+  // @desc    Update alt text, caption and credit
+  static async updateFile(req, res) {
+    try {
+      const existing = await prisma.mediaAsset.findUnique({
+        where: { id: req.params.id },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
 
-      const files = fs.readdirSync(uploadsDir);
-      let deletedCount = 0;
+      const asset = await prisma.mediaAsset.update({
+        where: { id: existing.id },
+        data: pickDetails(req.body),
+        include: { uploader: uploaderSelect }
+      });
+
+      res.json({
+        success: true,
+        message: 'File details updated successfully',
+        data: { file: formatAsset(asset) }
+      });
+    } catch (error) {
+      logger.error('Update file error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update file'
+      });
+    }
+  }
+
+  // @desc    Expiring URLs for an asset and its variants (the only way to load private assets)
+  static async getSignedUrl(req, res) {
+    try {
+      const asset = await prisma.mediaAsset.findUnique({ where: { id: req.params.id } });
 
-      files.forEach(filename => {
-        const filePath = path.join(uploadsDir, filename);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.isFile() && stats.mtime < cutoffDate) {
-          fs.unlinkSync(filePath);
-          deletedCount++;
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      const expiresIn = req.query.expiresIn ? parseInt(req.query.expiresIn) : DEFAULT_EXPIRES_IN;
+
+      res.json({
+        success: true,
+        data: {
+          id: asset.id,
+          isPrivate: asset.isPrivate,
+          ...await signAsset(asset, expiresIn)
         }
       });
+    } catch (error) {
+      logger.error('Sign file URL error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create signed URL'
+      });
+    }
+  }
 
-      logger.info(`File cleanup completed: ${deletedCount} files deleted by ${req.user.email}`);
+  // @desc    Delete old uploads that no article, AI article, TimeSaver, ad or avatar uses
+  static async cleanupFiles(req, res) {
+    try {
+      const { olderThanDays = 30, dryRun = false } = req.body;
+
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - parseInt(olderThanDays));
+
+      const removed = await cleanupUnusedUploads({ olderThan: cutoffDate, dryRun });
+      const deletedCount = removed.assets.length + removed.files.length;
+
+      logger.info(`File cleanup ${dryRun ? 'dry run' : 'completed'}: ${deletedCount} unused files by ${req.user.email}`);
 
       res.json({
         success: true,
-        message: `Cleanup completed. ${deletedCount} old files deleted.`,
-        data: { deletedCount }
+        message: dryRun
+          ? `${deletedCount} unused files would be deleted.`
+          : `Cleanup completed. ${deletedCount} unused files deleted.`,
+        data: {
+          dryRun,
+          deletedCount,
+          assets: removed.assets,
+          untrackedFiles: removed.files,
+          keptInUse: removed.skipped
+        }
       });
     } catch (error) {
       logger.error('File cleanup error:', error);
@@ -265,38 +402,83 @@ class UploadController {
     }
   }
 
-  // @desc    Generate image thumbnail (basic implementation)
-  static generateThumbnail(req, res) {
+  // @desc    Add files uploaded before the media library existed
+  static async importFiles(req, res) {
+    try {
+      const summary = await importExistingUploads(req.user.id);
+
+      logger.info(`Media library import: ${summary.imported} imported, ${summary.duplicates} duplicates, ${summary.failed} failed by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `${summary.imported} files added to the media library`,
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Media import error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import files'
+      });
+    }
+  }
+
+  // @desc    (Re)generate the variants of an uploaded image, plus an optional custom-size crop
+  static async generateThumbnail(req, res) {
     try {
       const { filename } = req.params;
-      const { width = 150, height = 150 } = req.body;
+      const { width, height } = req.body;
 
       // Validate filename
-      if (!filename || filename.includes('..') || filename.includes('/')) {
+      if (!filename || filename.includes('..') || filename.includes('/') || isVariantFile(filename)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid filename'
         });
       }
 
-      const filePath = path.join(__dirname, '../../uploads', filename);
+      const asset = await prisma.mediaAsset.findUnique({ where: { filename } });
+      const key = asset ? assetKey(asset) : filename;
 
-      if (!fs.existsSync(filePath)) {
+      if (!await getStorage().stat(key)) {
         return res.status(404).json({
           success: false,
           message: 'File not found'
         });
       }
 
-      // In a real implementation, you would use a library like Sharp or Jimp
-      // to generate actual thumbnails. This is a placeholder response.
+      const variants = [...IMAGE_VARIANTS];
+      if (width) {
+        const size = { width: parseInt(width), height: height ? parseInt(height) : null };
+        if (!(size.width >= 16 && size.width <= 4000) || (size.height !== null && !(size.height >= 16 && size.height <= 4000))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Width and height must be between 16 and 4000'
+          });
+        }
+        variants.push({ name: size.height ? `${size.width}x${size.height}` : `w${size.width}`, ...size });
+      }
+
+      const image = await createImageVariants(key, variants);
+
+      await prisma.mediaAsset.updateMany({
+        where: { filename },
+        data: {
+          width: image.width,
+          height: image.height,
+          variants: { webpUrl: image.webpUrl, variants: image.variants, srcset: image.srcset }
+        }
+      });
+
+      logger.info(`Image variants generated: ${filename} by ${req.user.email}`);
+
       res.json({
         success: true,
-        message: 'Thumbnail generation requested',
+        message: 'Image variants generated',
         data: {
-          originalFile: filename,
-          thumbnailUrl: `/uploads/${filename}`, // Would be actual thumbnail URL
-          dimensions: { width: parseInt(width), height: parseInt(height) }
+          filename,
+          url: `/uploads/${key}`,
+          ...image
         }
       });
     } catch (error) {
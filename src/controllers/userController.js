@@ -2,6 +2,8 @@
 const prisma = require('../config/database');
 const bcrypt = require('bcryptjs');  // ← ADD THIS LINE
 const logger = require('../utils/logger');
+const { recordAudit, pickChanges } = require('../services/auditLog');
+const { hasPermission, roleChangeDenial } = require('../services/permissions');
 
 class UserController {
 
@@ -10,6 +12,15 @@ class UserController {
     try {
       const { email, fullName, password, role = 'EDITOR' } = req.body;
 
+      // Creating with anything but the default role is a role grant
+      const roleDenial = roleChangeDenial(req.user, 'EDITOR', role.toUpperCase());
+      if (roleDenial) {
+        return res.status(403).json({
+          success: false,
+          message: roleDenial
+        });
+      }
+
       // Check if user already exists
       const existingUser = await prisma.user.findUnique({
         where: { email }
@@ -364,8 +375,8 @@ class UserController {
           _sum: { timeSpent: true }
         }),
 
-        // Authored articles (if user is editor/admin/ad_manager)
-        ['EDITOR', 'AD_MANAGER', 'ADMIN'].includes(req.user.role)
+        // Authored articles (if the user can write them)
+        hasPermission(req.user, 'article.create')
           ? prisma.newsArticle.groupBy({
               by: ['status'],
               where: { authorId: userId },
@@ -598,7 +609,7 @@ class UserController {
       // Check if user exists
       const existingUser = await prisma.user.findUnique({
         where: { id },
-        select: { id: true, email: true }
+        select: { id: true, email: true, fullName: true, role: true, isActive: true }
       });
 
       if (!existingUser) {
@@ -616,6 +627,16 @@ class UserController {
         });
       }
 
+      if (role !== undefined) {
+        const roleDenial = roleChangeDenial(req.user, existingUser.role, role);
+        if (roleDenial) {
+          return res.status(403).json({
+            success: false,
+            message: roleDenial
+          });
+        }
+      }
+
       const updateData = {};
       if (fullName !== undefined) updateData.fullName = fullName;
       if (role !== undefined) updateData.role = role;
@@ -637,6 +658,17 @@ class UserController {
 
       logger.info(`User updated: ${existingUser.email} by ${req.user.email}`);
 
+      const changes = pickChanges(existingUser, updateData);
+      if (Object.keys(changes.after).length > 0) {
+        await recordAudit(req, {
+          action: changes.after.role ? 'user.role_change' : 'user.update',
+          entityType: 'user',
+          entityId: id,
+          ...changes,
+          metadata: { email: existingUser.email }
+        });
+      }
+
       res.json({
         success: true,
         message: 'User updated successfully',
@@ -666,7 +698,7 @@ class UserController {
 
       const user = await prisma.user.findUnique({
         where: { id },
-        select: { email: true }
+        select: { email: true, fullName: true, role: true, isActive: true, createdAt: true }
       });
 
       if (!user) {
@@ -682,6 +714,13 @@ class UserController {
 
       logger.info(`User deleted: ${user.email} by ${req.user.email}`);
 
+      await recordAudit(req, {
+        action: 'user.delete',
+        entityType: 'user',
+        entityId: id,
+        before: user
+      });
+
       res.json({
         success: true,
         message: 'User deleted successfully'
@@ -702,7 +741,7 @@ class UserController {
       const { timeframe = '30d' } = req.query;
 
       // Check permissions
-      if (id !== req.user.id && req.user.role !== 'ADMIN') {
+      if (id !== req.user.id && !hasPermission(req.user, 'user.manage')) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
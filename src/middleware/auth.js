@@ -1,6 +1,11 @@
  
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
+const { CHALLENGE_PURPOSES, verifyChallengeToken } = require('../services/twoFactor');
+const { isSessionActive } = require('../services/sessionService');
+const { redeemStreamTicket } = require('../services/streamTickets');
+const { findActiveApiKey, consumeRateLimit, recordUsage } = require('../services/apiKeyService');
+const { getUserPermissions, hasPermission } = require('../services/permissions');
 
 // Authenticate JWT token
 const authenticate = async (req, res, next) => {
@@ -27,6 +32,7 @@ const authenticate = async (req, res, next) => {
           email: true,
           fullName: true,
           role: true,
+          customRoleId: true,
           isActive: true,
           avatar: true,
           preferences: true
@@ -47,7 +53,19 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      // Access tokens name their session; a signed-out session ends them early
+      if (decoded.sessionId && !await isSessionActive(decoded.sessionId)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been signed out',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      user.permissions = await getUserPermissions(user);
+
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
     } catch (tokenError) {
       if (tokenError.name === 'TokenExpiredError') {
@@ -71,8 +89,9 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Authorize based on roles
-const authorize = (...roles) => {
+// Require every listed permission (see services/permissions.js), granted
+// through the user's role
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -81,7 +100,7 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
@@ -113,14 +132,17 @@ const optionalAuth = async (req, res, next) => {
           email: true,
           fullName: true,
           role: true,
+          customRoleId: true,
           isActive: true,
           avatar: true,
           preferences: true
         }
       });
 
-      if (user && user.isActive) {
+      if (user && user.isActive && (!decoded.sessionId || await isSessionActive(decoded.sessionId))) {
+        user.permissions = await getUserPermissions(user);
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     } catch (tokenError) {
       // Continue without user if token is invalid
@@ -132,19 +154,187 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Partner API key (X-API-Key header) with the given scopes. Requests without
+// a key pass through untouched, so it sits in front of optionalAuth on public
+// routes; a key that is invalid, lacks a scope or is over its limits is refused.
+const authenticateApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.header('X-API-Key');
+
+      if (!key) {
+        return next();
+      }
+
+      const apiKey = await findActiveApiKey(key);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key'
+        });
+      }
+
+      const missingScope = scopes.find(scope => !apiKey.scopes.includes(scope));
+      if (missingScope) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing the ${missingScope} scope`
+        });
+      }
+
+      const rate = consumeRateLimit(apiKey);
+      // From here the key's limits apply instead of the global limiter
+      req.apiKeyRateLimited = true;
+      res.set({
+        'X-RateLimit-Limit': rate.limit,
+        'X-RateLimit-Remaining': rate.remaining,
+        'X-RateLimit-Reset': Math.ceil(rate.resetAt.getTime() / 1000)
+      });
+
+      if (!rate.allowed) {
+        await recordUsage(apiKey, req, { denied: true });
+        res.set('Retry-After', Math.max(Math.ceil((rate.resetAt.getTime() - Date.now()) / 1000), 1));
+        return res.status(429).json({
+          success: false,
+          message: `API key rate limit of ${rate.limit} requests per minute exceeded`
+        });
+      }
+
+      const usage = await recordUsage(apiKey, req);
+      if (!usage.allowed) {
+        const nextDay = new Date();
+        nextDay.setUTCHours(24, 0, 0, 0);
+        res.set('Retry-After', Math.ceil((nextDay.getTime() - Date.now()) / 1000));
+        return res.status(429).json({
+          success: false,
+          message: `API key daily quota of ${apiKey.dailyQuota} requests exceeded`
+        });
+      }
+
+      req.apiKey = {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes
+      };
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'API key authentication error'
+      });
+    }
+  };
+};
+
+// Authenticate with a 2FA enrollment challenge from login (body.challengeToken).
+// Lets users whose role requires 2FA set it up before they hold a session.
+const authenticateEnrollment = async (req, res, next) => {
+  try {
+    const decoded = req.body.challengeToken
+      ? verifyChallengeToken(req.body.challengeToken, CHALLENGE_PURPOSES.ENROLL)
+      : null;
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        email: true,
+        fullName: true,
+        role: true,
+        isActive: true,
+        avatar: true,
+        preferences: true
+      }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorEnrollment = true;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Authenticate the event stream with a single-use ticket (?ticket=) from
+// POST /api/stream/ticket. EventSource cannot send headers, and an access
+// token in the URL would end up in access logs.
+const authenticateStreamTicket = async (req, res, next) => {
+  try {
+    const redeemed = await redeemStreamTicket(req.query.ticket);
+
+    if (!redeemed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or used stream ticket'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: redeemed.userId },
+      select: {
+        id: true,
+        email: true,
+        fullName: true,
+        role: true,
+        customRoleId: true,
+        isActive: true,
+        avatar: true,
+        preferences: true
+      }
+    });
+
+    if (!user || !user.isActive ||
+        (redeemed.sessionId && !await isSessionActive(redeemed.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or used stream ticket'
+      });
+    }
+
+    user.permissions = await getUserPermissions(user);
+
+    req.user = user;
+    req.sessionId = redeemed.sessionId;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
 // Check if user owns the resource or has admin privileges
 const checkOwnership = (resourceUserIdField = 'userId') => {
   return async (req, res, next) => {
     try {
       const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
       
-      // Admin can access everything
-      if (req.user.role === 'ADMIN') {
+      // User managers can access everything
+      if (hasPermission(req.user, 'user.manage')) {
         return next();
       }
 
-      // AD_MANAGER can manage content-related resources
-      if (req.user.role === 'AD_MANAGER' && 
+      // Editors of any article can manage content-related resources
+      if (hasPermission(req.user, 'article.edit_any') &&
           ['authorId', 'createdBy'].includes(resourceUserIdField)) {
         return next();
       }
@@ -205,8 +395,11 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   authenticate,
-  authorize,
+  requirePermission,
   optionalAuth,
+  authenticateApiKey,
+  authenticateEnrollment,
+  authenticateStreamTicket,
   checkOwnership,
   userRateLimit
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+// middleware/rateLimits.js
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Per-IP limiter for all of /api in production
+ * @param {Object} options
+ * @param {number} options.windowMs - Default RATE_LIMIT_WINDOW_MS or 15 minutes
+ * @param {number} options.max - Requests per window, default RATE_LIMIT_MAX_REQUESTS or 100
+ * @returns {Function} - Express middleware
+ */
+const createGeneralLimiter = ({
+  windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+} = {}) => rateLimit({
+  windowMs,
+  max,
+  message: {
+    success: false,
+    error: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Requests that an API key route held to the key's own limits are given
+  // back once answered (see authenticateApiKey); everything else counts,
+  // keyed or not
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req) => Boolean(req.apiKeyRateLimited)
+});
+
+module.exports = {
+  createGeneralLimiter
+};
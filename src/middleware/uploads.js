@@ -0,0 +1,80 @@
+// middleware/uploads.js
+const logger = require('../utils/logger');
+const {
+  getStorage,
+  isValidKey,
+  isPrivateKey,
+  contentTypeFor,
+  verifyUploadSignature
+} = require('../services/storage');
+
+/**
+ * Serve `/uploads/<key>` from the configured storage adapter, so stored URLs
+ * keep working whichever backend holds the files. Private keys need the
+ * `expires`/`signature` query of a signed URL.
+ */
+const serveUploads = async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  let key;
+  try {
+    key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid file path' });
+  }
+
+  if (!isValidKey(key)) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  const isPrivate = isPrivateKey(key);
+  if (isPrivate && !verifyUploadSignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+  }
+
+  try {
+    const storage = getStorage();
+
+    if (!isPrivate && typeof storage.publicUrl === 'function') {
+      const publicUrl = storage.publicUrl(key);
+      if (publicUrl) return res.redirect(302, publicUrl);
+    }
+
+    const stats = await storage.stat(key);
+    if (!stats) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.set('Cache-Control', isPrivate ? 'private, no-store' : 'public, max-age=0');
+
+    if (typeof storage.filePath === 'function') {
+      return res.sendFile(storage.filePath(key), { dotfiles: 'deny' });
+    }
+
+    res.set({
+      'Content-Type': contentTypeFor(key),
+      'Content-Length': stats.size,
+      'Last-Modified': new Date(stats.lastModified).toUTCString()
+    });
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = await storage.get(key);
+    if (!stream) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    stream.on('error', (error) => {
+      logger.error(`Upload stream error for ${key}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Serve upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Failed to load file' });
+    }
+  }
+};
+
+module.exports = {
+  serveUploads
+};
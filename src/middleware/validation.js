@@ -172,6 +172,61 @@ const userValidation = {
       .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
       .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
     handleValidationErrors
+  ],
+
+  twoFactorLogin: [
+    body('challengeToken')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code')
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Invalid recovery code'),
+    body()
+      .custom(value => Boolean(value.code || value.recoveryCode))
+      .withMessage('Provide an authentication code or a recovery code'),
+    handleValidationErrors
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits'),
+    handleValidationErrors
+  ],
+
+  twoFactorDisable: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Invalid recovery code'),
+    body()
+      .custom(value => Boolean(value.code || value.recoveryCode))
+      .withMessage('Provide an authentication code or a recovery code'),
+    handleValidationErrors
+  ],
+
+  twoFactorPolicy: [
+    body('requiredRoles')
+      .isArray()
+      .withMessage('requiredRoles must be an array'),
+    body('requiredRoles.*')
+      .isIn(['USER', 'EDITOR', 'AD_MANAGER', 'ADMIN'])
+      .withMessage('Invalid role'),
+    handleValidationErrors
   ]
 };
 
@@ -243,12 +298,21 @@ const articleValidation = {
       .withMessage('Category must be between 1 and 100 characters'),
     body('status')
       .optional()
-      .isIn(['DRAFT', 'PENDING', 'APPROVED', 'REJECTED', 'PUBLISHED', 'ARCHIVED'])
+      .isIn(['DRAFT', 'PENDING', 'APPROVED', 'REJECTED', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED'])
       .withMessage('Invalid status'),
     body('priorityLevel')
       .optional()
       .isInt({ min: 0, max: 10 })
       .withMessage('Priority level must be between 0 and 10'),
+    body('revisionNote')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Revision note must not exceed 1000 characters'),
+    body('submitForReview')
+      .optional()
+      .isBoolean()
+      .withMessage('submitForReview must be a boolean'),
     handleValidationErrors
   ],
 
@@ -265,6 +329,49 @@ const articleValidation = {
       .isLength({ max: 1000 })
       .withMessage('Comments must not exceed 1000 characters'),
     handleValidationErrors
+  ],
+
+  schedule: [
+    param('id')
+      .notEmpty()
+      .withMessage('Article ID is required'),
+    body('scheduledAt')
+      .isISO8601()
+      .withMessage('Scheduled date must be a valid ISO 8601 date')
+      .custom((scheduledAt) => {
+        if (new Date(scheduledAt) <= new Date()) {
+          throw new Error('Scheduled date must be in the future');
+        }
+        return true;
+      }),
+    handleValidationErrors
+  ],
+
+  related: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20'),
+    handleValidationErrors
+  ],
+
+  relatedOverride: [
+    body('type')
+      .isIn(['news', 'ai', 'timesaver'])
+      .withMessage('Type must be news, ai or timesaver'),
+    body('targetId')
+      .isString()
+      .notEmpty()
+      .withMessage('Target ID is required'),
+    body('action')
+      .isIn(['PIN', 'EXCLUDE'])
+      .withMessage('Action must be PIN or EXCLUDE'),
+    body('position')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Position must be between 0 and 100')
+      .toInt(),
+    handleValidationErrors
   ]
 };
 
@@ -336,7 +443,95 @@ const advertisementValidation = {
   ]
 };
 
+// Breaking news validation rules
+const breakingNewsValidation = {
+  create: [
+    body('title')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Title must be between 5 and 500 characters'),
+    body('brief')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Brief must not exceed 2000 characters'),
+    body('priority')
+      .customSanitizer(value => (typeof value === 'string' ? value.toUpperCase() : value))
+      .isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'])
+      .withMessage('Priority must be one of LOW, MEDIUM, HIGH, CRITICAL'),
+    body('sourceUrl')
+      .optional()
+      .isURL()
+      .withMessage('Source URL must be a valid URL'),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Expiry date must be a valid ISO 8601 date'),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .notEmpty()
+      .withMessage('Breaking news ID is required'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Title must be between 5 and 500 characters'),
+    body('brief')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Brief must not exceed 2000 characters'),
+    body('priority')
+      .optional()
+      .customSanitizer(value => (typeof value === 'string' ? value.toUpperCase() : value))
+      .isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'])
+      .withMessage('Priority must be one of LOW, MEDIUM, HIGH, CRITICAL'),
+    body('sourceUrl')
+      .optional({ nullable: true })
+      .isURL()
+      .withMessage('Source URL must be a valid URL'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry date must be a valid ISO 8601 date'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    handleValidationErrors
+  ],
+
+  promote: [
+    param('id')
+      .notEmpty()
+      .withMessage('Breaking news ID is required'),
+    body('category')
+      .notEmpty()
+      .withMessage('Category is required')
+      .isString()
+      .withMessage('Category must be a string')
+      .trim(),
+    body('headline')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Headline must be between 10 and 500 characters'),
+    body('priorityLevel')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Priority level must be between 0 and 10'),
+    handleValidationErrors
+  ]
+};
+
 // Search validation rules - FIXED FOR DYNAMIC CATEGORIES
+const SEARCH_TYPES = ['news', 'ai', 'timesaver'];
+const SEARCH_SORT_FIELDS = ['relevance', 'date', 'popularity', 'alphabetical', 'createdAt', 'publishedAt', 'viewCount'];
+const HIGHLIGHT_OPTIONS = ['html', 'offsets', 'none'];
+
 const searchValidation = {
   search: [
     query('q')
@@ -358,14 +553,765 @@ const searchValidation = {
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('type')
+      .optional()
+      .custom(value => String(value).split(',').every(type => SEARCH_TYPES.includes(type.trim())))
+      .withMessage(`Type must be a comma separated list of: ${SEARCH_TYPES.join(', ')}`),
+    query('dateFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('dateFrom must be a valid ISO 8601 date'),
+    query('dateTo')
+      .optional()
+      .isISO8601()
+      .withMessage('dateTo must be a valid ISO 8601 date'),
     query('sortBy')
       .optional()
-      .isIn(['createdAt', 'publishedAt', 'viewCount', 'relevance'])
+      .isIn(SEARCH_SORT_FIELDS)
       .withMessage('Invalid sort field'),
     query('order')
       .optional()
       .isIn(['asc', 'desc'])
       .withMessage('Order must be either asc or desc'),
+    query('highlight')
+      .optional()
+      .isIn(HIGHLIGHT_OPTIONS)
+      .withMessage(`Highlight must be one of: ${HIGHLIGHT_OPTIONS.join(', ')}`),
+    handleValidationErrors
+  ],
+
+  advanced: [
+    body('query')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search query must be at most 200 characters'),
+    body('types')
+      .optional()
+      .isArray()
+      .withMessage('Types must be an array')
+      .custom(types => types.every(type => SEARCH_TYPES.includes(type)))
+      .withMessage(`Types must be any of: ${SEARCH_TYPES.join(', ')}`),
+    body(['categories', 'authors', 'tags'])
+      .optional()
+      .isArray()
+      .withMessage('Categories, authors and tags must be arrays'),
+    body(['dateFrom', 'dateTo'])
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates'),
+    body(['minViewCount', 'maxViewCount'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('View counts must be non-negative integers'),
+    body('priorityLevel')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Priority level must be between 0 and 10'),
+    body('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    body('sortBy')
+      .optional()
+      .isIn(SEARCH_SORT_FIELDS)
+      .withMessage('Invalid sort field'),
+    body('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be either asc or desc'),
+    body('highlight')
+      .optional()
+      .isIn(HIGHLIGHT_OPTIONS)
+      .withMessage(`Highlight must be one of: ${HIGHLIGHT_OPTIONS.join(', ')}`),
+    handleValidationErrors
+  ]
+};
+
+// Saved search validation rules (filters are the advanced search body)
+const savedSearchFields = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('alertFrequency')
+    .optional()
+    .isIn(['NONE', 'INSTANT', 'DAILY', 'WEEKLY'])
+    .withMessage('Alert frequency must be NONE, INSTANT, DAILY or WEEKLY'),
+  body('emailAlerts')
+    .optional()
+    .isBoolean()
+    .withMessage('emailAlerts must be a boolean')
+];
+
+const savedSearchValidation = {
+  create: [
+    ...savedSearchFields,
+    ...searchValidation.advanced
+  ],
+
+  update: [
+    param('id')
+      .notEmpty()
+      .withMessage('ID is required'),
+    ...savedSearchFields,
+    ...searchValidation.advanced
+  ]
+};
+
+// Category rename and merge validation rules
+const categoryValidation = {
+  rename: [
+    param('id')
+      .notEmpty()
+      .withMessage('Category ID is required'),
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('displayName')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Display name must be between 1 and 100 characters'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    handleValidationErrors
+  ],
+
+  merge: [
+    param('id')
+      .notEmpty()
+      .withMessage('Category ID is required'),
+    body('targetId')
+      .notEmpty()
+      .withMessage('Target category ID is required'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    handleValidationErrors
+  ]
+};
+
+// Tag validation rules
+const tagSlugParam = param('slug')
+  .trim()
+  .isLength({ min: 1, max: 120 })
+  .withMessage('Tag slug must be between 1 and 120 characters');
+
+const tagValidation = {
+  list: [
+    query('search')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Search must not exceed 100 characters'),
+    query('sortBy')
+      .optional()
+      .isIn(['popular', 'name'])
+      .withMessage('Sort must be either popular or name'),
+    handleValidationErrors
+  ],
+
+  content: [
+    tagSlugParam,
+    query('type')
+      .optional()
+      .custom(value => String(value).split(',').every(type => ['news', 'ai', 'timesaver', 'breaking'].includes(type.trim())))
+      .withMessage('Type must be a comma-separated list of news, ai, timesaver, breaking'),
+    handleValidationErrors
+  ],
+
+  update: [
+    tagSlugParam,
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Description must not exceed 1000 characters'),
+    handleValidationErrors
+  ],
+
+  merge: [
+    tagSlugParam,
+    body('into')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 120 })
+      .withMessage('Target tag (into) is required'),
+    handleValidationErrors
+  ],
+
+  alias: [
+    tagSlugParam,
+    body('alias')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Alias must be between 1 and 100 characters'),
+    handleValidationErrors
+  ],
+
+  slug: [
+    tagSlugParam,
+    handleValidationErrors
+  ]
+};
+
+// Audit log filter rules, shared by the list and export endpoints
+const auditLogFilters = [
+  query('actorId')
+    .optional()
+    .isString()
+    .withMessage('Actor ID must be a string'),
+  query('actor')
+    .optional()
+    .isLength({ max: 191 })
+    .withMessage('Actor must not exceed 191 characters'),
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/)
+    .withMessage('Action must look like entity.action or entity.*'),
+  query('entityType')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Entity type must be between 1 and 50 characters'),
+  query('entityId')
+    .optional()
+    .isString()
+    .withMessage('Entity ID must be a string'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dateFrom must be a valid date'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dateTo must be a valid date')
+];
+
+const auditLogValidation = {
+  list: [
+    ...auditLogFilters,
+    handleValidationErrors
+  ],
+
+  export: [
+    ...auditLogFilters,
+    query('format')
+      .optional()
+      .isIn(['csv', 'json'])
+      .withMessage('Format must be either csv or json'),
+    handleValidationErrors
+  ]
+};
+
+// Backup validation rules
+const backupValidation = {
+  create: [
+    body('type')
+      .optional()
+      .isIn(['full', 'database', 'uploads', 'FULL', 'DATABASE', 'UPLOADS'])
+      .withMessage('Type must be one of: full, database, uploads'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'running', 'completed', 'failed', 'PENDING', 'RUNNING', 'COMPLETED', 'FAILED'])
+      .withMessage('Status must be one of: pending, running, completed, failed'),
+    handleValidationErrors
+  ],
+
+  restore: [
+    param('id')
+      .notEmpty()
+      .withMessage('Backup ID is required'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean')
+      .toBoolean(),
+    body('database')
+      .optional()
+      .isBoolean()
+      .withMessage('database must be a boolean')
+      .toBoolean(),
+    body('uploads')
+      .optional()
+      .isBoolean()
+      .withMessage('uploads must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ]
+};
+
+const mediaValidation = {
+  details: [
+    body('altText')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Alt text must be at most 500 characters'),
+    body('caption')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Caption must be at most 2000 characters'),
+    body('credit')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Credit must be at most 255 characters'),
+    handleValidationErrors
+  ],
+
+  upload: [
+    body('private')
+      .optional()
+      .isBoolean()
+      .withMessage('private must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ],
+
+  signedUrl: [
+    query('expiresIn')
+      .optional()
+      .isInt({ min: 60, max: 7 * 24 * 60 * 60 })
+      .withMessage('expiresIn must be between 60 seconds and 7 days'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search must be at most 100 characters'),
+    query('mimeType')
+      .optional()
+      .isIn(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+      .withMessage('mimeType must be one of: image/jpeg, image/png, image/gif, image/webp'),
+    handleValidationErrors
+  ],
+
+  cleanup: [
+    body('olderThanDays')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('olderThanDays must be a positive integer'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ]
+};
+
+const commentValidation = {
+  create: [
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Comment must be between 1 and 5000 characters'),
+    body('parentId')
+      .optional({ nullable: true })
+      .isString()
+      .notEmpty()
+      .withMessage('parentId must be a comment ID'),
+    handleValidationErrors
+  ],
+
+  update: [
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Comment must be between 1 and 5000 characters'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest', 'top'])
+      .withMessage('Sort must be newest, oldest or top'),
+    handleValidationErrors
+  ],
+
+  report: [
+    body('reason')
+      .isIn(['SPAM', 'ABUSE', 'HARASSMENT', 'MISINFORMATION', 'OFF_TOPIC', 'OTHER'])
+      .withMessage('Invalid report reason'),
+    body('details')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Details must be at most 500 characters'),
+    handleValidationErrors
+  ],
+
+  moderate: [
+    body('action')
+      .isIn(['approve', 'hide', 'ban'])
+      .withMessage('Action must be approve, hide or ban'),
+    body('note')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note must be at most 500 characters'),
+    body('days')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('Ban length must be between 1 and 3650 days')
+      .toInt(),
+    handleValidationErrors
+  ]
+};
+
+const feedValidation = {
+  personal: [
+    query('types')
+      .optional()
+      .custom(value => String(value).split(',').every(type => ['news', 'ai', 'timesaver'].includes(type.trim())))
+      .withMessage('Types must be a comma-separated list of news, ai, timesaver'),
+    handleValidationErrors
+  ],
+
+  feedback: [
+    body('type')
+      .isIn(['news', 'ai', 'timesaver'])
+      .withMessage('Type must be news, ai or timesaver'),
+    body('id')
+      .isString()
+      .notEmpty()
+      .withMessage('Content ID is required'),
+    body('scope')
+      .optional()
+      .isIn(['ITEM', 'CATEGORY', 'AUTHOR'])
+      .withMessage('Scope must be ITEM, CATEGORY or AUTHOR'),
+    handleValidationErrors
+  ]
+};
+
+// API key validation rules
+const apiKeyScopes = ['read:articles', 'read:ai-ml', 'read:time-saver', 'write:analytics-events'];
+
+const apiKeyValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and must be at most 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty list'),
+    body('scopes.*')
+      .isIn(apiKeyScopes)
+      .withMessage(`Each scope must be one of: ${apiKeyScopes.join(', ')}`),
+    body('rateLimitPerMinute')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('rateLimitPerMinute must be between 1 and 10000')
+      .toInt(),
+    body('dailyQuota')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('dailyQuota must be a positive integer')
+      .toInt(),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('expiresAt must be a valid date'),
+    handleValidationErrors
+  ],
+
+  update: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty list'),
+    body('scopes.*')
+      .isIn(apiKeyScopes)
+      .withMessage(`Each scope must be one of: ${apiKeyScopes.join(', ')}`),
+    body('rateLimitPerMinute')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('rateLimitPerMinute must be between 1 and 10000')
+      .toInt(),
+    body('dailyQuota')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('dailyQuota must be a positive integer')
+      .toInt(),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('expiresAt must be a valid date'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('status')
+      .optional()
+      .isIn(['active', 'revoked', 'expired'])
+      .withMessage('Status must be one of: active, revoked, expired'),
+    handleValidationErrors
+  ]
+};
+
+// Role validation rules (permission names are checked against the catalogue
+// in services/permissions.js by the controller)
+const roleValidation = {
+  create: [
+    body('key')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z][A-Z0-9_]{1,49}$/)
+      .withMessage('Key must be 2-50 characters of A-Z, 0-9 and _, starting with a letter'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and must be at most 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('permissions')
+      .isArray()
+      .withMessage('Permissions must be a list'),
+    body('permissions.*')
+      .isString()
+      .withMessage('Each permission must be a permission name'),
+    handleValidationErrors
+  ],
+
+  update: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be a list'),
+    body('permissions.*')
+      .isString()
+      .withMessage('Each permission must be a permission name'),
+    handleValidationErrors
+  ],
+
+  assign: [
+    body('roleId')
+      .optional({ nullable: true })
+      .isString()
+      .notEmpty()
+      .withMessage('roleId must be a role ID or null'),
+    handleValidationErrors
+  ]
+};
+
+const reportValidation = {
+  generate: [
+    body('type')
+      .isIn(['users', 'content', 'engagement', 'system'])
+      .withMessage('Type must be one of: users, content, engagement, system'),
+    body('format')
+      .optional()
+      .isIn(['json', 'csv', 'pdf'])
+      .withMessage('Format must be one of: json, csv, pdf'),
+    body('timeframe')
+      .optional()
+      .isIn(['7d', '30d', '90d', '180d', '365d'])
+      .withMessage('Timeframe must be one of: 7d, 30d, 90d, 180d, 365d'),
+    body('dateFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('dateFrom must be a valid date'),
+    body('dateTo')
+      .optional()
+      .isISO8601()
+      .withMessage('dateTo must be a valid date'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('type')
+      .optional()
+      .isIn(['users', 'content', 'engagement', 'system'])
+      .withMessage('Type must be one of: users, content, engagement, system'),
+    handleValidationErrors
+  ],
+
+  get: [
+    query('format')
+      .optional()
+      .isIn(['json', 'csv', 'pdf'])
+      .withMessage('Format must be one of: json, csv, pdf'),
+    handleValidationErrors
+  ],
+
+  createSchedule: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 191 })
+      .withMessage('Name is required and must be at most 191 characters'),
+    body('type')
+      .isIn(['users', 'content', 'engagement', 'system'])
+      .withMessage('Type must be one of: users, content, engagement, system'),
+    body('format')
+      .optional()
+      .isIn(['csv', 'pdf'])
+      .withMessage('Format must be one of: csv, pdf'),
+    body('frequency')
+      .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+      .withMessage('Frequency must be one of: DAILY, WEEKLY, MONTHLY'),
+    body('hour')
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage('Hour must be between 0 and 23')
+      .toInt(),
+    body('dayOfWeek')
+      .optional()
+      .isInt({ min: 0, max: 6 })
+      .withMessage('dayOfWeek must be between 0 (Sunday) and 6')
+      .toInt(),
+    body('dayOfMonth')
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage('dayOfMonth must be between 1 and 28')
+      .toInt(),
+    body('recipients')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Recipients must be a list of 1 to 20 email addresses'),
+    body('recipients.*')
+      .isEmail()
+      .withMessage('Each recipient must be a valid email address'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ],
+
+  updateSchedule: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 191 })
+      .withMessage('Name must be between 1 and 191 characters'),
+    body('type')
+      .optional()
+      .isIn(['users', 'content', 'engagement', 'system'])
+      .withMessage('Type must be one of: users, content, engagement, system'),
+    body('format')
+      .optional()
+      .isIn(['csv', 'pdf'])
+      .withMessage('Format must be one of: csv, pdf'),
+    body('frequency')
+      .optional()
+      .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+      .withMessage('Frequency must be one of: DAILY, WEEKLY, MONTHLY'),
+    body('hour')
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage('Hour must be between 0 and 23')
+      .toInt(),
+    body('dayOfWeek')
+      .optional()
+      .isInt({ min: 0, max: 6 })
+      .withMessage('dayOfWeek must be between 0 (Sunday) and 6')
+      .toInt(),
+    body('dayOfMonth')
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage('dayOfMonth must be between 1 and 28')
+      .toInt(),
+    body('recipients')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Recipients must be a list of 1 to 20 email addresses'),
+    body('recipients.*')
+      .isEmail()
+      .withMessage('Each recipient must be a valid email address'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ]
+};
+
+const analyticsValidation = {
+  export: [
+    query('type')
+      .optional()
+      .isIn(['overview', 'content', 'users', 'engagement', 'ads'])
+      .withMessage('Type must be one of: overview, content, users, engagement, ads'),
+    query('format')
+      .optional()
+      .isIn(['csv', 'json', 'xlsx'])
+      .withMessage('Format must be one of: csv, json, xlsx'),
+    query('timeframe')
+      .optional()
+      .isIn(['7d', '30d', '90d', '180d', '365d'])
+      .withMessage('Timeframe must be one of: 7d, 30d, 90d, 180d, 365d'),
+    query('dateFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('dateFrom must be a valid date'),
+    query('dateTo')
+      .optional()
+      .isISO8601()
+      .withMessage('dateTo must be a valid date'),
+    query('async')
+      .optional()
+      .isBoolean()
+      .withMessage('async must be a boolean')
+      .toBoolean(),
     handleValidationErrors
   ]
 };
@@ -397,6 +1343,19 @@ module.exports = {
   userValidation,
   articleValidation,
   advertisementValidation,
+  breakingNewsValidation,
   searchValidation,
+  savedSearchValidation,
+  categoryValidation,
+  tagValidation,
+  auditLogValidation,
+  backupValidation,
+  mediaValidation,
+  commentValidation,
+  feedValidation,
+  apiKeyValidation,
+  roleValidation,
+  reportValidation,
+  analyticsValidation,
   genericValidation
 };
\ No newline at end of file
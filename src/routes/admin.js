@@ -1,37 +1,132 @@
 // routes/admin.js
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
-const { genericValidation } = require('../middleware/validation');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { userValidation, auditLogValidation, backupValidation, commentValidation, reportValidation, apiKeyValidation, roleValidation, genericValidation } = require('../middleware/validation');
 const adminController = require('../controllers/adminController');
+const { BACKUP_DIR } = require('../services/backupService');
 
 const router = express.Router();
 
+// Uploaded backup archives land next to the stored backups until validated
+const backupUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const incomingPath = path.join(BACKUP_DIR, '.incoming');
+      fs.mkdirSync(incomingPath, { recursive: true });
+      cb(null, incomingPath);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `upload-${Date.now()}-${Math.round(Math.random() * 1E9)}.tar.gz`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (/\.(tar\.gz|tgz)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Backup archives must be .tar.gz files'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_BACKUP_UPLOAD_SIZE) || 1024 * 1024 * 1024, // 1GB default
+    files: 1
+  }
+});
+
+const handleBackupUpload = (req, res, next) => {
+  backupUpload.single('archive')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`
+      });
+    }
+    next();
+  });
+};
+
 // System Settings Routes
-router.get('/settings', authenticate, authorize('ADMIN'), adminController.getSettings);
-router.put('/settings/:key', authenticate, authorize('ADMIN'), adminController.updateSetting);
+router.get('/settings', authenticate, requirePermission('settings.manage'), adminController.getSettings);
+router.put('/settings/:key', authenticate, requirePermission('settings.manage'), adminController.updateSetting);
+
+// Two-Factor Authentication Policy Routes
+router.get('/security/two-factor', authenticate, requirePermission('settings.manage'), adminController.getTwoFactorPolicy);
+// @body    { requiredRoles: [USER|EDITOR|AD_MANAGER|ADMIN] }
+router.put('/security/two-factor', authenticate, requirePermission('settings.manage'), userValidation.twoFactorPolicy, adminController.updateTwoFactorPolicy);
 
 // Platform Statistics Routes
-router.get('/stats', authenticate, authorize('ADMIN'), adminController.getStats);
+router.get('/stats', authenticate, requirePermission('system.manage'), adminController.getStats);
 
 // System Health Routes
-router.get('/health', authenticate, authorize('ADMIN'), adminController.getHealth);
+router.get('/health', authenticate, requirePermission('system.manage'), adminController.getHealth);
 
 // Audit Logs Routes
-router.get('/logs', authenticate, authorize('ADMIN'), genericValidation.pagination, adminController.getLogs);
+// @query   page, limit, actorId, actor (email), action (exact or entity.*), entityType, entityId, dateFrom, dateTo
+router.get('/logs', authenticate, requirePermission('audit.view'), genericValidation.pagination, auditLogValidation.list, adminController.getLogs);
+// @query   format=csv|json plus the same filters as /logs
+router.get('/logs/export', authenticate, requirePermission('audit.view'), auditLogValidation.export, adminController.exportLogs);
 
 // System Maintenance Routes
-router.post('/cleanup/tokens', authenticate, authorize('ADMIN'), adminController.cleanupTokens);
+router.post('/cleanup/tokens', authenticate, requirePermission('system.manage'), adminController.cleanupTokens);
 
 // User Management Routes
-router.post('/users/bulk', authenticate, authorize('ADMIN'), adminController.bulkUserManagement);
+router.post('/users/bulk', authenticate, requirePermission('user.manage'), adminController.bulkUserManagement);
+router.delete('/users/:id/two-factor', authenticate, requirePermission('user.manage'), genericValidation.id, adminController.resetUserTwoFactor);
+// @body    { roleId: custom role ID | null }
+router.put('/users/:id/custom-role', authenticate, requirePermission('role.manage'), genericValidation.id, roleValidation.assign, adminController.assignUserRole);
+
+// Role & Permission Routes
+// @body    { key, name, description?, permissions: [permission] }
+router.get('/permissions', authenticate, requirePermission('role.manage'), adminController.getPermissions);
+router.get('/roles', authenticate, requirePermission('role.manage'), adminController.getRoles);
+router.post('/roles', authenticate, requirePermission('role.manage'), roleValidation.create, adminController.createRole);
+router.patch('/roles/:id', authenticate, requirePermission('role.manage'), genericValidation.id, roleValidation.update, adminController.updateRole);
+router.delete('/roles/:id', authenticate, requirePermission('role.manage'), genericValidation.id, adminController.deleteRole);
 
 // System Backup Routes
-router.post('/backup', authenticate, authorize('ADMIN'), adminController.createBackup);
+// @body    { type: full|database|uploads } - returns 202, poll GET /backups/:id
+router.post('/backup', authenticate, requirePermission('backup.manage'), backupValidation.create, adminController.createBackup);
+router.get('/backups', authenticate, requirePermission('backup.manage'), genericValidation.pagination, backupValidation.list, adminController.getBackups);
+// multipart/form-data with an `archive` file
+router.post('/backups/upload', authenticate, requirePermission('backup.manage'), handleBackupUpload, adminController.uploadBackup);
+router.get('/backups/:id', authenticate, requirePermission('backup.manage'), genericValidation.id, adminController.getBackup);
+router.get('/backups/:id/download', authenticate, requirePermission('backup.manage'), genericValidation.id, adminController.downloadBackup);
+// @body    { dryRun?, database?, uploads? }
+router.post('/backups/:id/restore', authenticate, requirePermission('backup.manage'), backupValidation.restore, adminController.restoreBackup);
+router.delete('/backups/:id', authenticate, requirePermission('backup.manage'), genericValidation.id, adminController.deleteBackup);
 
 // Content Moderation Routes
-router.get('/moderation', authenticate, authorize('ADMIN'), genericValidation.pagination, adminController.getModerationQueue);
+// @query   type=articles|comments, page, limit
+router.get('/moderation', authenticate, requirePermission('comment.moderate'), genericValidation.pagination, adminController.getModerationQueue);
+// @body    { action: approve|hide|ban, note?, days? (ban length, permanent when omitted) }
+router.post('/comments/:id/moderate', authenticate, requirePermission('comment.moderate'), genericValidation.id, commentValidation.moderate, adminController.moderateComment);
+router.delete('/users/:id/comment-ban', authenticate, requirePermission('comment.moderate'), genericValidation.id, adminController.liftCommentBan);
 
 // System Reports Routes
-router.post('/reports', authenticate, authorize('ADMIN'), adminController.generateReport);
+// @body    { type: users|content|engagement|system, timeframe | dateFrom + dateTo, format?: json|csv|pdf }
+router.post('/reports', authenticate, requirePermission('report.manage'), reportValidation.generate, adminController.generateReport);
+router.get('/reports', authenticate, requirePermission('report.manage'), genericValidation.pagination, reportValidation.list, adminController.getReports);
+
+// Scheduled reports, emailed to their recipients
+// @body    { name, type, format?: csv|pdf, frequency: DAILY|WEEKLY|MONTHLY, hour?, dayOfWeek?, dayOfMonth?, recipients: [email] }
+router.get('/reports/schedules', authenticate, requirePermission('report.manage'), adminController.getReportSchedules);
+router.post('/reports/schedules', authenticate, requirePermission('report.manage'), reportValidation.createSchedule, adminController.createReportSchedule);
+router.patch('/reports/schedules/:id', authenticate, requirePermission('report.manage'), genericValidation.id, reportValidation.updateSchedule, adminController.updateReportSchedule);
+router.delete('/reports/schedules/:id', authenticate, requirePermission('report.manage'), genericValidation.id, adminController.deleteReportSchedule);
+router.post('/reports/schedules/:id/run', authenticate, requirePermission('report.manage'), genericValidation.id, adminController.runReportSchedule);
+
+// @query   format=json|csv|pdf (defaults to the format the report was generated for)
+router.get('/reports/:id', authenticate, requirePermission('report.manage'), genericValidation.id, reportValidation.get, adminController.getReport);
+router.delete('/reports/:id', authenticate, requirePermission('report.manage'), genericValidation.id, adminController.deleteReport);
+
+// Partner API Key Routes
+// @body    { name, description?, scopes: [read:articles|read:ai-ml|read:time-saver|write:analytics-events], rateLimitPerMinute?, dailyQuota?, expiresAt? }
+router.get('/api-keys', authenticate, requirePermission('api_key.manage'), apiKeyValidation.list, adminController.getApiKeys);
+router.post('/api-keys', authenticate, requirePermission('api_key.manage'), apiKeyValidation.create, adminController.createApiKey);
+router.get('/api-keys/:id', authenticate, requirePermission('api_key.manage'), genericValidation.id, adminController.getApiKey);
+router.patch('/api-keys/:id', authenticate, requirePermission('api_key.manage'), genericValidation.id, apiKeyValidation.update, adminController.updateApiKey);
+router.delete('/api-keys/:id', authenticate, requirePermission('api_key.manage'), genericValidation.id, adminController.revokeApiKey);
 
 module.exports = router;
\ No newline at end of file
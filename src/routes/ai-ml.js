@@ -1,136 +1,165 @@
 // routes/ai-ml.js - ENHANCED WITH CATEGORY MANAGEMENT ROUTES
 const express = require('express');
-const { optionalAuth, authenticate, authorize } = require('../middleware/auth');
-const { genericValidation } = require('../middleware/validation');
+const { optionalAuth, authenticate, requirePermission, authenticateApiKey } = require('../middleware/auth');
+const { commentValidation, genericValidation } = require('../middleware/validation');
 const aiMlController = require('../controllers/aiMlController');
+const commentsController = require('../controllers/commentsController');
 
 const router = express.Router();
 
 // ==================== PUBLIC AI/ML ROUTES ====================
 
+// Partners may call the public read routes with an X-API-Key (read:ai-ml scope)
+// and the view/interaction tracking routes with write:analytics-events.
+
 // @desc    Get AI/ML news articles
 // @route   GET /api/ai-ml/news
 // @access  Public
 // @query   page, limit, category, sortBy, order, includeTimeSaver
-router.get('/news', optionalAuth, aiMlController.getAiMlNews);
+router.get('/news', authenticateApiKey('read:ai-ml'), optionalAuth, aiMlController.getAiMlNews);
 
 // @desc    Get single AI/ML article by ID
 // @route   GET /api/ai-ml/news/:id
 // @access  Public
 // @query   trackView, includeTimeSaver
-router.get('/news/:id', optionalAuth, genericValidation.id, aiMlController.getAiMlArticleById);
+router.get('/news/:id', authenticateApiKey('read:ai-ml'), optionalAuth, genericValidation.id, aiMlController.getAiMlArticleById);
 
 // @desc    Get TimeSaver content linked to a specific AI article
 // @route   GET /api/ai-ml/news/:id/timesavers
 // @access  Public
-router.get('/news/:id/timesavers', genericValidation.id, aiMlController.getAiArticleTimeSavers);
+router.get('/news/:id/timesavers', authenticateApiKey('read:ai-ml'), genericValidation.id, aiMlController.getAiArticleTimeSavers);
 
 // @desc    Get trending AI/ML news
 // @route   GET /api/ai-ml/trending
 // @access  Public
 // @query   limit, timeframe (24h, 7d, 30d)
-router.get('/trending', aiMlController.getTrendingAiMl);
+router.get('/trending', authenticateApiKey('read:ai-ml'), aiMlController.getTrendingAiMl);
 
 // @desc    Search AI/ML content
 // @route   GET /api/ai-ml/search
 // @access  Public
-// @query   q (query), page, limit, category, sortBy, order
-router.get('/search', aiMlController.searchAiMlContent);
+// @query   q (query), page, limit, category, sortBy, order, highlight (html|offsets|none)
+router.get('/search', authenticateApiKey('read:ai-ml'), aiMlController.searchAiMlContent);
 
 // @desc    Get AI/ML categories
 // @route   GET /api/ai-ml/categories
 // @access  Public
-router.get('/categories', aiMlController.getAiMlCategories);
+router.get('/categories', authenticateApiKey('read:ai-ml'), aiMlController.getAiMlCategories);
 
 // @desc    Get articles by specific AI category
 // @route   GET /api/ai-ml/category/:category
 // @access  Public
 // @query   page, limit, sortBy, order
-router.get('/category/:category', aiMlController.getArticlesByCategory);
+router.get('/category/:category', authenticateApiKey('read:ai-ml'), aiMlController.getArticlesByCategory);
 
 // @desc    Get popular AI topics/keywords
 // @route   GET /api/ai-ml/topics/popular
 // @access  Public
 // @query   limit
-router.get('/topics/popular', aiMlController.getPopularTopics);
+router.get('/topics/popular', authenticateApiKey('read:ai-ml'), aiMlController.getPopularTopics);
 
 // ==================== AI/ML INTERACTION ROUTES ====================
 
 // @desc    Track AI article view
 // @route   POST /api/ai-ml/news/:id/view
 // @access  Public
-router.post('/news/:id/view', optionalAuth, genericValidation.id, aiMlController.trackAiArticleView);
+router.post('/news/:id/view', authenticateApiKey('write:analytics-events'), optionalAuth, genericValidation.id, aiMlController.trackAiArticleView);
 
 // @desc    Track AI article interaction
 // @route   POST /api/ai-ml/news/:id/interaction
 // @access  Public
 // @body    { interactionType: 'SHARE'|'BOOKMARK'|'LIKE'|'COMMENT'|'DOWNLOAD' }
-router.post('/news/:id/interaction', optionalAuth, genericValidation.id, aiMlController.trackAiArticleInteraction);
+router.post('/news/:id/interaction', authenticateApiKey('write:analytics-events'), optionalAuth, genericValidation.id, aiMlController.trackAiArticleInteraction);
+
+// @desc    Get comment threads of an AI article
+// @route   GET /api/ai-ml/news/:id/comments
+// @access  Public
+// @query   page, limit, sort (newest|oldest|top)
+router.get(
+  '/news/:id/comments',
+  optionalAuth,
+  genericValidation.id,
+  genericValidation.pagination,
+  commentValidation.list,
+  commentsController.getAiArticleComments
+);
+
+// @desc    Comment on an AI article, or reply to a comment
+// @route   POST /api/ai-ml/news/:id/comments
+// @access  Private
+// @body    { content, parentId? }
+router.post(
+  '/news/:id/comments',
+  authenticate,
+  genericValidation.id,
+  commentValidation.create,
+  commentsController.createAiArticleComment
+);
 
 // ==================== PRIVATE AI/ML MANAGEMENT ROUTES ====================
 
 // @desc    Create AI/ML article
 // @route   POST /api/ai-ml/news
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml.manage)
 router.post(
   '/news',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('ai_ml.manage'),
   aiMlController.createAiMlArticle
 );
 
 // @desc    Update AI/ML article
 // @route   PUT /api/ai-ml/news/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml.manage)
 router.put(
   '/news/:id',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('ai_ml.manage'),
   genericValidation.id,
   aiMlController.updateAiMlArticle
 );
 
 // @desc    Delete AI/ML article
 // @route   DELETE /api/ai-ml/news/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml.manage)
 router.delete(
   '/news/:id',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('ai_ml.manage'),
   genericValidation.id,
   aiMlController.deleteAiMlArticle
 );
 
 // @desc    Create a new category
 // @route   POST /api/ai-ml/categories
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml_category.edit)
 // @body    { name, displayName, description, iconUrl, color, isActive, sortOrder }
 router.post(
   '/categories',
   authenticate,
-  authorize('AD_MANAGER','ADMIN'),
+  requirePermission('ai_ml_category.edit'),
   aiMlController.createCategory
 );
 
 // @desc    Update a category
 // @route   PUT /api/ai-ml/categories/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml_category.edit)
 // @body    { name, displayName, description, iconUrl, color, isActive, sortOrder }
 router.put(
   '/categories/:id',
   authenticate,
-  authorize('AD_MANAGER','ADMIN'),
+  requirePermission('ai_ml_category.edit'),
   genericValidation.id,
   aiMlController.updateCategory
 );
 
 // @desc    Delete a category
 // @route   DELETE /api/ai-ml/categories/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (ai_ml_category.edit)
 router.delete(
   '/categories/:id',
   authenticate,
-  authorize('AD_MANAGER','ADMIN'),
+  requirePermission('ai_ml_category.edit'),
   genericValidation.id,
   aiMlController.deleteCategory
 );
@@ -139,12 +168,12 @@ router.delete(
 
 // @desc    Get AI insights and analytics
 // @route   GET /api/ai-ml/insights
-// @access  Private (AD_MANAGER, ADMIN)
+// @access  Private (analytics.view)
 // @query   timeframe (7d, 30d, 90d)
 router.get(
   '/insights',
   authenticate,
-  authorize('AD_MANAGER', 'ADMIN'),
+  requirePermission('analytics.view'),
   aiMlController.getAiInsights
 );
 
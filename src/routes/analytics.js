@@ -1,21 +1,25 @@
 // src/routes/analytics.js
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const analyticsController = require('../controllers/analyticsController');
+const { analyticsValidation, genericValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
 // Analytics Routes (AD_MANAGER, ADMIN)
-router.get('/overview', authenticate, authorize('AD_MANAGER', 'ADMIN'), analyticsController.getOverview);
-router.get('/content', authenticate, authorize('AD_MANAGER', 'ADMIN'), analyticsController.getContentAnalytics);
-router.get('/users', authenticate, authorize('ADMIN'), analyticsController.getUserAnalytics);
-router.get('/engagement', authenticate, authorize('AD_MANAGER', 'ADMIN'), analyticsController.getEngagementAnalytics);
-router.get('/realtime', authenticate, authorize('AD_MANAGER', 'ADMIN'), analyticsController.getRealtimeAnalytics);
+router.get('/overview', authenticate, requirePermission('analytics.view'), analyticsController.getOverview);
+router.get('/content', authenticate, requirePermission('analytics.view'), analyticsController.getContentAnalytics);
+router.get('/users', authenticate, requirePermission('analytics.users'), analyticsController.getUserAnalytics);
+router.get('/engagement', authenticate, requirePermission('analytics.view'), analyticsController.getEngagementAnalytics);
+router.get('/realtime', authenticate, requirePermission('analytics.view'), analyticsController.getRealtimeAnalytics);
 
 // Dashboard Analytics (All authenticated users)
 router.get('/dashboard', authenticate, analyticsController.getDashboardAnalytics);
 
-// Export Analytics (ADMIN)
-router.get('/export', authenticate, authorize('ADMIN'), analyticsController.exportAnalytics);
+// Export Analytics (EDITOR, AD_MANAGER, ADMIN - allowed types depend on role)
+router.get('/export', authenticate, requirePermission('analytics.export'), analyticsValidation.export, analyticsController.exportAnalytics);
+router.get('/exports', authenticate, requirePermission('analytics.export'), genericValidation.pagination, analyticsController.getExports);
+router.get('/exports/:id', authenticate, requirePermission('analytics.export'), analyticsController.getExport);
+router.get('/exports/:id/download', authenticate, requirePermission('analytics.export'), analyticsController.downloadExport);
 
 module.exports = router;
\ No newline at end of file
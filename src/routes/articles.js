@@ -1,41 +1,57 @@
 // routes/articles.js - FIXED VERSION
 const express = require('express');
-const { optionalAuth, authenticate, authorize } = require('../middleware/auth');
-const { articleValidation, genericValidation } = require('../middleware/validation');
+const { optionalAuth, authenticate, requirePermission, authenticateApiKey } = require('../middleware/auth');
+const { articleValidation, commentValidation, genericValidation } = require('../middleware/validation');
 const articlesController = require('../controllers/articlesController');
+const commentsController = require('../controllers/commentsController');
 
 const router = express.Router();
 
 // ==================== PUBLIC ARTICLE ROUTES ====================
 
+// Partners may call the public read routes with an X-API-Key (read:articles scope)
+// and the view/share tracking routes with write:analytics-events.
+
 // @desc    Get all published articles
 // @route   GET /api/articles
 // @access  Public
 // @query   page, limit, category, sortBy, order, featured, includeTimeSaver
-router.get('/', optionalAuth, articlesController.getAllArticles);
+router.get('/', authenticateApiKey('read:articles'), optionalAuth, articlesController.getAllArticles);
 
 // @desc    Get trending articles
 // @route   GET /api/articles/trending/list
 // @access  Public
-router.get('/trending/list', articlesController.getTrendingArticles);
+router.get('/trending/list', authenticateApiKey('read:articles'), articlesController.getTrendingArticles);
 
 // ==================== APPROVAL WORKFLOW ROUTES (MOVED BEFORE :identifier) ====================
 
 // @desc    Get pending articles for approval
 // @route   GET /api/articles/pending/approval
-// @access  Private (AD_MANAGER, ADMIN)
+// @access  Private (article.publish)
 router.get(
   '/pending/approval',
   authenticate,
-  authorize('AD_MANAGER', 'ADMIN'),
+  requirePermission('article.publish'),
   articlesController.getPendingArticles
 );
 
+// @desc    Get scheduled articles (own articles only for EDITOR)
+// @route   GET /api/articles/scheduled/list
+// @access  Private (article.create)
+// @query   page, limit, category, from, to
+router.get(
+  '/scheduled/list',
+  authenticate,
+  requirePermission('article.create'),
+  genericValidation.pagination,
+  articlesController.getScheduledArticles
+);
+
 // ==================== AUTHOR-SPECIFIC ROUTES ====================
 
 // @desc    Get articles by author
 // @route   GET /api/articles/author/:authorId
-// @access  Private (Author, AD_MANAGER, ADMIN)
+// @access  Private (Author or article.edit_any)
 router.get('/author/:authorId', authenticate, articlesController.getArticlesByAuthor);
 
 // ==================== DYNAMIC ROUTES (MUST BE AFTER STATIC ROUTES) ====================
@@ -44,16 +60,16 @@ router.get('/author/:authorId', authenticate, articlesController.getArticlesByAu
 // @route   GET /api/articles/:identifier
 // @access  Public
 // @query   trackView, includeTimeSaver
-router.get('/:identifier', optionalAuth, articlesController.getArticleById);
+router.get('/:identifier', authenticateApiKey('read:articles'), optionalAuth, articlesController.getArticleById);
 
 // @desc    Get TimeSaver content linked to a specific article
 // @route   GET /api/articles/:id/timesavers
 // @access  Public
-router.get('/:id/timesavers', genericValidation.id, articlesController.getArticleTimeSavers);
+router.get('/:id/timesavers', authenticateApiKey('read:articles'), genericValidation.id, articlesController.getArticleTimeSavers);
 
 // @desc    Get article approval history
 // @route   GET /api/articles/:id/approval-history
-// @access  Private (Author, AD_MANAGER, ADMIN)
+// @access  Private (Author or article.edit_any)
 router.get(
   '/:id/approval-history',
   authenticate,
@@ -61,46 +77,184 @@ router.get(
   articlesController.getApprovalHistory
 );
 
+// ==================== REVISION HISTORY ROUTES ====================
+
+// @desc    Get article revision history
+// @route   GET /api/articles/:id/revisions
+// @access  Private (Author or article.edit_any)
+router.get(
+  '/:id/revisions',
+  authenticate,
+  genericValidation.id,
+  genericValidation.pagination,
+  articlesController.getRevisions
+);
+
+// @desc    Field-level diff between two revisions
+// @route   GET /api/articles/:id/revisions/diff
+// @access  Private (Author or article.edit_any)
+// @query   from, to (revision IDs), basis=review|submission when from is omitted
+router.get(
+  '/:id/revisions/diff',
+  authenticate,
+  genericValidation.id,
+  articlesController.getRevisionDiff
+);
+
+// @desc    Get a single revision snapshot
+// @route   GET /api/articles/:id/revisions/:revId
+// @access  Private (Author or article.edit_any)
+router.get(
+  '/:id/revisions/:revId',
+  authenticate,
+  genericValidation.id,
+  articlesController.getRevisionById
+);
+
+// @desc    Restore article content from a revision
+// @route   POST /api/articles/:id/revisions/:revId/restore
+// @access  Private (Author or article.edit_any)
+// @body    { revisionNote?: string, submitForReview?: boolean }
+router.post(
+  '/:id/revisions/:revId/restore',
+  authenticate,
+  genericValidation.id,
+  articlesController.restoreRevision
+);
+
+// ==================== RELATED CONTENT ROUTES ====================
+
+// @desc    "Read next" news, AI and TimeSaver items similar to an article
+// @route   GET /api/articles/:id/related
+// @access  Public
+// @query   limit (default 6, max 20)
+router.get('/:id/related', authenticateApiKey('read:articles'), genericValidation.id, articleValidation.related, articlesController.getRelatedArticles);
+
+// @desc    List pinned and excluded related items
+// @route   GET /api/articles/:id/related/overrides
+// @access  Private (article.related)
+router.get(
+  '/:id/related/overrides',
+  authenticate,
+  requirePermission('article.related'),
+  genericValidation.id,
+  articlesController.getRelatedOverrides
+);
+
+// @desc    Pin a related item or exclude it
+// @route   PUT /api/articles/:id/related/overrides
+// @access  Private (article.related)
+// @body    { type: news|ai|timesaver, targetId, action: PIN|EXCLUDE, position? }
+router.put(
+  '/:id/related/overrides',
+  authenticate,
+  requirePermission('article.related'),
+  genericValidation.id,
+  articleValidation.relatedOverride,
+  articlesController.setRelatedOverride
+);
+
+// @desc    Remove a pin or exclusion
+// @route   DELETE /api/articles/:id/related/overrides/:overrideId
+// @access  Private (article.related)
+router.delete(
+  '/:id/related/overrides/:overrideId',
+  authenticate,
+  requirePermission('article.related'),
+  genericValidation.id,
+  articlesController.removeRelatedOverride
+);
+
+// ==================== COMMENT ROUTES ====================
+
+// @desc    Get comment threads of a published article
+// @route   GET /api/articles/:id/comments
+// @access  Public
+// @query   page, limit, sort (newest|oldest|top)
+router.get(
+  '/:id/comments',
+  optionalAuth,
+  genericValidation.id,
+  genericValidation.pagination,
+  commentValidation.list,
+  commentsController.getArticleComments
+);
+
+// @desc    Comment on an article, or reply to a comment
+// @route   POST /api/articles/:id/comments
+// @access  Private
+// @body    { content, parentId? }
+router.post(
+  '/:id/comments',
+  authenticate,
+  genericValidation.id,
+  commentValidation.create,
+  commentsController.createArticleComment
+);
+
 // ==================== ARTICLE INTERACTION ROUTES ====================
 
 // @desc    Update article share count
 // @route   POST /api/articles/:id/share
 // @access  Public
-router.post('/:id/share', genericValidation.id, articlesController.updateShareCount);
+router.post('/:id/share', authenticateApiKey('write:analytics-events'), genericValidation.id, articlesController.updateShareCount);
 
 // @desc    Track article view
 // @route   POST /api/articles/:id/view
 // @access  Public
-router.post('/:id/view', optionalAuth, genericValidation.id, articlesController.trackArticleView);
+router.post('/:id/view', authenticateApiKey('write:analytics-events'), optionalAuth, genericValidation.id, articlesController.trackArticleView);
 
 // @desc    Approve/Reject article
 // @route   POST /api/articles/:id/approval
-// @access  Private (AD_MANAGER, ADMIN)
+// @access  Private (article.publish)
 router.post(
   '/:id/approval',
   authenticate,
-  authorize('AD_MANAGER', 'ADMIN'),
+  requirePermission('article.publish'),
   genericValidation.id,
   articleValidation.approval,
   articlesController.approveRejectArticle
 );
 
+// ==================== SCHEDULED PUBLISHING ROUTES ====================
+
+// @desc    Reschedule a scheduled article
+// @route   PUT /api/articles/:id/schedule
+// @access  Private (Author or article.edit_any)
+// @body    { scheduledAt: ISO 8601 date in the future }
+router.put(
+  '/:id/schedule',
+  authenticate,
+  articleValidation.schedule,
+  articlesController.rescheduleArticle
+);
+
+// @desc    Cancel scheduled publishing (article returns to DRAFT)
+// @route   DELETE /api/articles/:id/schedule
+// @access  Private (Author or article.edit_any)
+router.delete(
+  '/:id/schedule',
+  authenticate,
+  genericValidation.id,
+  articlesController.cancelScheduledArticle
+);
+
 // ==================== PRIVATE ARTICLE MANAGEMENT ROUTES ====================
 
 // @desc    Create new article
 // @route   POST /api/articles
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
+// @access  Private (article.create)
 router.post(
   '/',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER', 'ADMIN'),
+  requirePermission('article.create'),
   articleValidation.create,
   articlesController.createArticle
 );
 
 // @desc    Update article
 // @route   PUT /api/articles/:id
-// @access  Private (Author, AD_MANAGER, ADMIN)
+// @access  Private (Author or article.edit_any)
 router.put(
   '/:id',
   authenticate,
@@ -111,7 +265,7 @@ router.put(
 
 // @desc    Delete article
 // @route   DELETE /api/articles/:id
-// @access  Private (Author, AD_MANAGER, ADMIN)
+// @access  Private (Author or article.edit_any)
 router.delete(
   '/:id',
   authenticate,
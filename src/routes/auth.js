@@ -1,7 +1,7 @@
 // routes/auth.js
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
-const { userValidation } = require('../middleware/validation');
+const { authenticate, authenticateEnrollment } = require('../middleware/auth');
+const { userValidation, genericValidation } = require('../middleware/validation');
 const authController = require('../controllers/authController');
 
 const router = express.Router();
@@ -29,6 +29,13 @@ router.post('/password/reset', userValidation.resetPassword, authController.rese
 // AUTHENTICATION ROUTES
 // ==========================================
 router.post('/login', userValidation.login, authController.login);
+// Second login step when /login answers with twoFactorRequired
+// @body    { challengeToken, code | recoveryCode }
+router.post('/login/2fa', userValidation.twoFactorLogin, authController.verifyTwoFactorLogin);
+// Enrollment during login when the user's role requires 2FA (enrollmentRequired)
+// @body    { challengeToken } / { challengeToken, code } - enable returns tokens
+router.post('/login/2fa/setup', authenticateEnrollment, authController.setupTwoFactor);
+router.post('/login/2fa/enable', authenticateEnrollment, userValidation.twoFactorCode, authController.enableTwoFactor);
 router.post('/refresh', authController.refreshToken);
 
 // ==========================================
@@ -36,7 +43,21 @@ router.post('/refresh', authController.refreshToken);
 // ==========================================
 router.post('/logout', authenticate, authController.logout);
 router.post('/logout-all', authenticate, authController.logoutAll);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, genericValidation.id, authController.revokeSession);
 router.get('/me', authenticate, authController.getCurrentUser);
 router.put('/change-password', authenticate, userValidation.changePassword, authController.changePassword);
 
+// ==========================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ==========================================
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+// @body    { code } - returns one-time recovery codes
+router.post('/2fa/enable', authenticate, userValidation.twoFactorCode, authController.enableTwoFactor);
+// @body    { password, code | recoveryCode }
+router.post('/2fa/disable', authenticate, userValidation.twoFactorDisable, authController.disableTwoFactor);
+// @body    { code }
+router.post('/2fa/recovery-codes', authenticate, userValidation.twoFactorCode, authController.regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,92 @@
+// routes/breaking-news.js
+const express = require('express');
+const { optionalAuth, authenticate, requirePermission } = require('../middleware/auth');
+const { breakingNewsValidation, genericValidation } = require('../middleware/validation');
+const breakingNewsController = require('../controllers/breakingNewsController');
+
+const router = express.Router();
+
+// ==================== PUBLIC ROUTES ====================
+
+// @desc    Get live breaking news ordered by priority and time
+// @route   GET /api/breaking-news
+// @access  Public
+// @query   page, limit, minPriority, location
+router.get('/', genericValidation.pagination, breakingNewsController.getFeed);
+
+// ==================== MANAGEMENT ROUTES (EDITOR, AD_MANAGER, ADMIN) ====================
+
+// @desc    Get all breaking news including expired items
+// @route   GET /api/breaking-news/manage/list
+// @access  Private (breaking_news.manage)
+// @query   page, limit, status=all|live|expired, priority
+router.get(
+  '/manage/list',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  genericValidation.pagination,
+  breakingNewsController.getAllBreakingNews
+);
+
+// @desc    Get single breaking news item (expired items visible to staff only)
+// @route   GET /api/breaking-news/:id
+// @access  Public
+router.get('/:id', optionalAuth, genericValidation.id, breakingNewsController.getBreakingNewsById);
+
+// @desc    Create breaking news (CRITICAL items notify all users)
+// @route   POST /api/breaking-news
+// @access  Private (breaking_news.manage)
+router.post(
+  '/',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  breakingNewsValidation.create,
+  breakingNewsController.createBreakingNews
+);
+
+// @desc    Update breaking news
+// @route   PUT /api/breaking-news/:id
+// @access  Private (breaking_news.manage)
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  breakingNewsValidation.update,
+  breakingNewsController.updateBreakingNews
+);
+
+// @desc    Expire breaking news immediately
+// @route   POST /api/breaking-news/:id/expire
+// @access  Private (breaking_news.manage)
+router.post(
+  '/:id/expire',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  genericValidation.id,
+  breakingNewsController.expireBreakingNews
+);
+
+// @desc    Promote breaking news into a full article
+// @route   POST /api/breaking-news/:id/promote
+// @access  Private (breaking_news.manage)
+// @body    { category, headline?, briefContent?, fullContent?, tags?, priorityLevel? }
+router.post(
+  '/:id/promote',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  breakingNewsValidation.promote,
+  breakingNewsController.promoteToArticle
+);
+
+// @desc    Delete breaking news
+// @route   DELETE /api/breaking-news/:id
+// @access  Private (breaking_news.manage)
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission('breaking_news.manage'),
+  genericValidation.id,
+  breakingNewsController.deleteBreakingNews
+);
+
+module.exports = router;
@@ -1,20 +1,21 @@
 const express = require('express');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../middleware/auth');
+const { categoryValidation } = require('../middleware/validation');
 const categoriesController = require('../controllers/categoriesController');
 
 const router = express.Router();
 
 // ==================== PUBLIC ROUTES ====================
-// Get all categories
+// Get all categories (?tree=true nests sub-categories under their parents)
 router.get('/', optionalAuth, categoriesController.getAllCategories);
 
-// Get single category
+// Get single category with breadcrumbs and direct sub-categories
 router.get('/:id', optionalAuth, categoriesController.getCategoryById);
 
-// Get articles by category
+// Get articles by category (?includeDescendants=true adds sub-category articles)
 router.get('/:id/articles', optionalAuth, categoriesController.getArticlesByCategory);
 
-// Get category stats
+// Get category stats, rolled up over sub-categories
 router.get('/:id/stats', categoriesController.getCategoryStats);
 
 // ==================== ADMIN ROUTES ====================
@@ -22,7 +23,7 @@ router.get('/:id/stats', categoriesController.getCategoryStats);
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'AD_MANAGER'),
+  requirePermission('category.edit'),
   categoriesController.createCategory
 );
 
@@ -30,15 +31,33 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'AD_MANAGER'),
+  requirePermission('category.edit'),
   categoriesController.updateCategory
 );
 
-// Delete category
+// Rename category and move its content to the new name (body: name, displayName?, dryRun?)
+router.post(
+  '/:id/rename',
+  authenticate,
+  requirePermission('category.restructure'),
+  categoryValidation.rename,
+  categoriesController.renameCategory
+);
+
+// Merge category into another one (body: targetId, dryRun?)
+router.post(
+  '/:id/merge',
+  authenticate,
+  requirePermission('category.restructure'),
+  categoryValidation.merge,
+  categoriesController.mergeCategory
+);
+
+// Delete category (reassignTo moves its content to another category first, dryRun previews)
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN'),
+  requirePermission('category.restructure'),
   categoriesController.deleteCategory
 );
 
@@ -46,7 +65,7 @@ router.delete(
 router.patch(
   '/:id/toggle-status',
   authenticate,
-  authorize('ADMIN', 'AD_MANAGER'),
+  requirePermission('category.edit'),
   categoriesController.toggleCategoryStatus
 );
 
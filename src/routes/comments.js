@@ -0,0 +1,39 @@
+// routes/comments.js
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { commentValidation, genericValidation } = require('../middleware/validation');
+const commentsController = require('../controllers/commentsController');
+
+const router = express.Router();
+
+// Comments are listed and created under their article:
+//   /api/articles/:id/comments and /api/ai-ml/news/:id/comments
+
+// @desc    Edit own comment (within COMMENT_EDIT_WINDOW_MINUTES of posting)
+// @route   PUT /api/comments/:id
+// @access  Private (Author)
+// @body    { content }
+router.put('/:id', authenticate, genericValidation.id, commentValidation.update, commentsController.updateComment);
+
+// @desc    Delete a comment (author within COMMENT_DELETE_WINDOW_MINUTES, moderators any time)
+// @route   DELETE /api/comments/:id
+// @access  Private (Author or comment.moderate)
+router.delete('/:id', authenticate, genericValidation.id, commentsController.deleteComment);
+
+// @desc    Upvote a comment
+// @route   POST /api/comments/:id/upvote
+// @access  Private
+router.post('/:id/upvote', authenticate, genericValidation.id, commentsController.upvoteComment);
+
+// @desc    Remove own upvote
+// @route   DELETE /api/comments/:id/upvote
+// @access  Private
+router.delete('/:id/upvote', authenticate, genericValidation.id, commentsController.removeUpvote);
+
+// @desc    Report a comment to the moderators
+// @route   POST /api/comments/:id/report
+// @access  Private
+// @body    { reason: SPAM|ABUSE|HARASSMENT|MISINFORMATION|OFF_TOPIC|OTHER, details? }
+router.post('/:id/report', authenticate, genericValidation.id, commentValidation.report, commentsController.reportComment);
+
+module.exports = router;
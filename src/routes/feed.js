@@ -0,0 +1,31 @@
+// routes/feed.js
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { feedValidation, genericValidation } = require('../middleware/validation');
+const feedController = require('../controllers/feedController');
+
+const router = express.Router();
+
+// @desc    "For You" feed of recent news, AI and TimeSaver content ranked for the reader
+// @route   GET /api/feed/personal
+// @access  Private
+// @query   page, limit, types=news,ai,timesaver
+router.get('/personal', authenticate, genericValidation.pagination, feedValidation.personal, feedController.getPersonalFeed);
+
+// @desc    List own "not interested" feedback
+// @route   GET /api/feed/personal/feedback
+// @access  Private
+router.get('/personal/feedback', authenticate, genericValidation.pagination, feedController.getFeedback);
+
+// @desc    Mark a feed item as "not interested"
+// @route   POST /api/feed/personal/feedback
+// @access  Private
+// @body    { type: news|ai|timesaver, id, scope?: ITEM|CATEGORY|AUTHOR }
+router.post('/personal/feedback', authenticate, feedValidation.feedback, feedController.addFeedback);
+
+// @desc    Undo "not interested" feedback
+// @route   DELETE /api/feed/personal/feedback/:id
+// @access  Private
+router.delete('/personal/feedback/:id', authenticate, genericValidation.id, feedController.removeFeedback);
+
+module.exports = router;
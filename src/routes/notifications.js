@@ -2,7 +2,7 @@
 // routes/notifications.js
 // ===============================================
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { genericValidation } = require('../middleware/validation');
 const notificationsController = require('../controllers/notificationsController');
 
@@ -17,7 +17,7 @@ router.delete('/', authenticate, notificationsController.clearAllNotifications);
 router.get('/unread-count', authenticate, notificationsController.getUnreadCount);
 
 // Admin Notification Management Routes
-router.post('/', authenticate, authorize('ADMIN', 'AD_MANAGER'), notificationsController.createNotification);
-router.get('/stats', authenticate, authorize('ADMIN', 'AD_MANAGER'), notificationsController.getNotificationStats);
+router.post('/', authenticate, requirePermission('notification.send'), notificationsController.createNotification);
+router.get('/stats', authenticate, requirePermission('notification.send'), notificationsController.getNotificationStats);
 
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,10 @@
 // routes/search.js
 // ===============================================
 const express = require('express');
-const { optionalAuth } = require('../middleware/auth');
-const { searchValidation } = require('../middleware/validation');
+const { optionalAuth, authenticate } = require('../middleware/auth');
+const { searchValidation, savedSearchValidation, genericValidation } = require('../middleware/validation');
 const searchController = require('../controllers/searchController');
+const savedSearchController = require('../controllers/savedSearchController');
 
 const router = express.Router();
 
@@ -19,7 +20,17 @@ router.get('/history', optionalAuth, searchController.getUserSearchHistory);
 router.delete('/history', optionalAuth, searchController.clearSearchHistory);
 
 // Advanced Search Routes
-router.post('/advanced', optionalAuth, searchController.advancedSearch);
+router.post('/advanced', optionalAuth, searchValidation.advanced, searchController.advancedSearch);
+
+// Saved Search Routes (query + advanced filters, optional new-match alerts)
+// @body for POST/PUT: name, query, types, categories, authors, tags, dateFrom, dateTo,
+//                     alertFrequency (NONE|INSTANT|DAILY|WEEKLY), emailAlerts
+router.get('/saved', authenticate, savedSearchController.getSavedSearches);
+router.post('/saved', authenticate, savedSearchValidation.create, savedSearchController.createSavedSearch);
+router.get('/saved/:id', authenticate, genericValidation.id, savedSearchController.getSavedSearchById);
+router.get('/saved/:id/results', authenticate, genericValidation.id, genericValidation.pagination, savedSearchController.runSavedSearch);
+router.put('/saved/:id', authenticate, savedSearchValidation.update, savedSearchController.updateSavedSearch);
+router.delete('/saved/:id', authenticate, genericValidation.id, savedSearchController.deleteSavedSearch);
 
 // Admin Search Analytics Routes
 router.get('/analytics', optionalAuth, searchController.getSearchAnalytics);
@@ -0,0 +1,31 @@
+// routes/stream.js
+const express = require('express');
+const { authenticate, authenticateStreamTicket, requirePermission } = require('../middleware/auth');
+const streamController = require('../controllers/streamController');
+
+const router = express.Router();
+
+// @desc    Single-use ticket for opening the authenticated stream
+// @route   POST /api/stream/ticket
+// @access  Private
+router.post('/ticket', authenticate, streamController.createTicket);
+
+// @desc    Server-Sent Events stream of the user's notifications and public channels
+// @route   GET /api/stream
+// @access  Private (stream ticket)
+// @query   ticket, channels, lastEventId
+// @events  connected, notification, breaking-news.*, article.published, resync
+router.get('/', authenticateStreamTicket, streamController.connect);
+
+// @desc    Server-Sent Events stream of public channels (breaking news, published articles)
+// @route   GET /api/stream/public
+// @access  Public
+// @query   channels, lastEventId
+router.get('/public', streamController.connectPublic);
+
+// @desc    Open connections and buffered events on this process
+// @route   GET /api/stream/stats
+// @access  Private (system.manage)
+router.get('/stats', authenticate, requirePermission('system.manage'), streamController.getStats);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// routes/tags.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { tagValidation, genericValidation } = require('../middleware/validation');
+const tagsController = require('../controllers/tagsController');
+
+const router = express.Router();
+
+// ==================== PUBLIC ROUTES ====================
+
+// @desc    List tags with usage counts
+// @route   GET /api/tags
+// @access  Public
+// @query   page, limit, search, sortBy=popular|name
+router.get('/', genericValidation.pagination, tagValidation.list, tagsController.getTags);
+
+// @desc    Tag landing page with mixed news, AI, TimeSaver and breaking content
+// @route   GET /api/tags/:slug
+// @access  Public
+// @query   page, limit, type=news,ai,timesaver,breaking
+router.get('/:slug', genericValidation.pagination, tagValidation.content, tagsController.getTagBySlug);
+
+// ==================== ADMIN ROUTES ====================
+
+// @desc    Rename a tag or update its description (old slug becomes an alias)
+// @route   PUT /api/tags/:slug
+// @access  Private (tag.manage)
+// @body    { name?, description? }
+router.put('/:slug', authenticate, requirePermission('tag.manage'), tagValidation.update, tagsController.updateTag);
+
+// @desc    Delete a tag and remove it from all content
+// @route   DELETE /api/tags/:slug
+// @access  Private (tag.manage)
+router.delete('/:slug', authenticate, requirePermission('tag.manage'), tagValidation.slug, tagsController.deleteTag);
+
+// @desc    Merge a tag into another tag
+// @route   POST /api/tags/:slug/merge
+// @access  Private (tag.manage)
+// @body    { into }
+router.post('/:slug/merge', authenticate, requirePermission('tag.manage'), tagValidation.merge, tagsController.mergeTag);
+
+// @desc    Add an alias for a tag
+// @route   POST /api/tags/:slug/aliases
+// @access  Private (tag.manage)
+// @body    { alias }
+router.post('/:slug/aliases', authenticate, requirePermission('tag.manage'), tagValidation.alias, tagsController.addAlias);
+
+// @desc    Remove an alias from a tag
+// @route   DELETE /api/tags/:slug/aliases/:alias
+// @access  Private (tag.manage)
+router.delete('/:slug/aliases/:alias', authenticate, requirePermission('tag.manage'), tagValidation.slug, tagsController.removeAlias);
+
+module.exports = router;
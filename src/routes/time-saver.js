@@ -1,6 +1,6 @@
 // routes/time-saver.js
 const express = require('express');
-const { optionalAuth, authenticate, authorize } = require('../middleware/auth');
+const { optionalAuth, authenticate, requirePermission, authenticateApiKey } = require('../middleware/auth');
 const { genericValidation } = require('../middleware/validation');
 const TimeSaverController = require('../controllers/timeSaverController');
 
@@ -8,107 +8,111 @@ const router = express.Router();
 
 // ==================== PUBLIC ROUTES ====================
 
+// Partners may call the public read routes with an X-API-Key (read:time-saver scope)
+// and the view/interaction tracking routes with write:analytics-events.
+
 // @desc    Get time saver content with enhanced filtering and categorization
 // @route   GET /api/time-saver/content
 // @access  Public
-router.get('/content', optionalAuth, genericValidation.pagination, TimeSaverController.getContent);
+// @query   page, limit, category, contentGroup, contentType, isPriority, sortBy, order, search, highlight (html|offsets|none)
+router.get('/content', authenticateApiKey('read:time-saver'), optionalAuth, genericValidation.pagination, TimeSaverController.getContent);
 
 // @desc    Get single TimeSaver content by ID with full linked article details
 // @route   GET /api/time-saver/content/:id
 // @access  Public
-router.get('/content/:id', optionalAuth, genericValidation.id, TimeSaverController.getContentById);
+router.get('/content/:id', authenticateApiKey('read:time-saver'), optionalAuth, genericValidation.id, TimeSaverController.getContentById);
 
 // @desc    Get all TimeSaver content linked to a specific article
 // @route   GET /api/time-saver/by-article/:articleId
 // @access  Public
 // @query   type=news|ai (default: news)
-router.get('/by-article/:articleId', optionalAuth, TimeSaverController.getContentByArticle);
+router.get('/by-article/:articleId', authenticateApiKey('read:time-saver'), optionalAuth, TimeSaverController.getContentByArticle);
 
 // @desc    Get enhanced quick stats for dashboard with category counts
 // @route   GET /api/time-saver/stats
 // @access  Public
-router.get('/stats', TimeSaverController.getStats);
+router.get('/stats', authenticateApiKey('read:time-saver'), TimeSaverController.getStats);
 
 // @desc    Get content by specific category group
 // @route   GET /api/time-saver/category/:group
 // @access  Public
-router.get('/category/:group', optionalAuth, genericValidation.pagination, TimeSaverController.getCategoryContent);
+router.get('/category/:group', authenticateApiKey('read:time-saver'), optionalAuth, genericValidation.pagination, TimeSaverController.getCategoryContent);
 
 // @desc    Track time saver content view
 // @route   POST /api/time-saver/content/:id/view
 // @access  Public
-router.post('/content/:id/view', optionalAuth, genericValidation.id, TimeSaverController.trackView);
+router.post('/content/:id/view', authenticateApiKey('write:analytics-events'), optionalAuth, genericValidation.id, TimeSaverController.trackView);
 
 // @desc    Track time saver content interaction
 // @route   POST /api/time-saver/content/:id/interaction
 // @access  Public
-router.post('/content/:id/interaction', optionalAuth, genericValidation.id, TimeSaverController.trackInteraction);
+router.post('/content/:id/interaction', authenticateApiKey('write:analytics-events'), optionalAuth, genericValidation.id, TimeSaverController.trackInteraction);
 
 // ==================== PRIVATE ROUTES (EDITOR, AD_MANAGER) ====================
 
 // @desc    Create enhanced time saver content
 // @route   POST /api/time-saver/content
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 router.post(
   '/content',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   TimeSaverController.createContent
 );
 
 // @desc    Update time saver content
 // @route   PUT /api/time-saver/content/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 router.put(
   '/content/:id',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   genericValidation.id,
   TimeSaverController.updateContent
 );
 
 // @desc    Delete time saver content
 // @route   DELETE /api/time-saver/content/:id
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 router.delete(
   '/content/:id',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   genericValidation.id,
   TimeSaverController.deleteContent
 );
 
 // @desc    Link existing TimeSaver content to an article
 // @route   POST /api/time-saver/content/:id/link
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 // @body    { articleId: string, articleType: 'news'|'ai' }
 router.post(
   '/content/:id/link',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   genericValidation.id,
   TimeSaverController.linkToArticle
 );
 
 // @desc    Unlink TimeSaver content from article
 // @route   POST /api/time-saver/content/:id/unlink
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 // @body    { articleType: 'news'|'ai' }
 router.post(
   '/content/:id/unlink',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   genericValidation.id,
   TimeSaverController.unlinkFromArticle
 );
 
 // @desc    Bulk create sample content for testing categories
 // @route   POST /api/time-saver/seed-sample-data
-// @access  Private (EDITOR, AD_MANAGER)
+// @access  Private (time_saver.manage)
 router.post(
   '/seed-sample-data',
   authenticate,
-  authorize('EDITOR', 'AD_MANAGER'),
+  requirePermission('time_saver.manage'),
   TimeSaverController.seedSampleData
 );
 
@@ -116,11 +120,11 @@ router.post(
 
 // @desc    Get analytics
 // @route   GET /api/time-saver/analytics
-// @access  Private (AD_MANAGER, ADMIN)
+// @access  Private (analytics.view)
 router.get(
   '/analytics',
   authenticate,
-  authorize('AD_MANAGER', 'ADMIN'),
+  requirePermission('analytics.view'),
   TimeSaverController.getAnalytics
 );
 
@@ -1,32 +1,15 @@
 // routes/upload.js
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const UploadController = require('../controllers/uploadController');
+const { mediaValidation, genericValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../../uploads');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
-  }
-});
+// Uploads are held in memory and written to the configured storage backend
+// by the media library, which also names them
+const storage = multer.memoryStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -85,39 +68,59 @@ const handleMulterError = (uploadMiddleware) => {
   };
 };
 
-// @desc    Upload single image
+// @desc    Upload single image (optional altText, caption, credit and private fields)
 // @route   POST /api/upload/image
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.post('/image', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), handleMulterError(upload.single('image')), UploadController.uploadSingleImage);
+// @access  Private (media.upload)
+router.post('/image', authenticate, requirePermission('media.upload'), handleMulterError(upload.single('image')), mediaValidation.details, mediaValidation.upload, UploadController.uploadSingleImage);
 
-// @desc    Upload multiple images
+// @desc    Upload multiple images (optional credit and private fields)
 // @route   POST /api/upload/images
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.post('/images', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), handleMulterError(upload.array('images', 5)), UploadController.uploadMultipleImages);
+// @access  Private (media.upload)
+router.post('/images', authenticate, requirePermission('media.upload'), handleMulterError(upload.array('images', 5)), mediaValidation.details, mediaValidation.upload, UploadController.uploadMultipleImages);
 
-// @desc    Delete uploaded file
+// @desc    Delete uploaded file and its variants (?force=true if it is still in use)
 // @route   DELETE /api/upload/:filename
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.delete('/:filename', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), UploadController.deleteFile);
+// @access  Private (media.upload)
+router.delete('/:filename', authenticate, requirePermission('media.upload'), UploadController.deleteFile);
 
 // @desc    Get upload info/stats
 // @route   GET /api/upload/info
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.get('/info', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), UploadController.getUploadInfo);
+// @access  Private (media.upload)
+router.get('/info', authenticate, requirePermission('media.upload'), UploadController.getUploadInfo);
 
-// @desc    List uploaded files
+// @desc    List media library assets (search, mimeType, uploadedBy, page, limit)
 // @route   GET /api/upload/files
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.get('/files', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), UploadController.listFiles);
+// @access  Private (media.upload)
+router.get('/files', authenticate, requirePermission('media.upload'), genericValidation.pagination, mediaValidation.list, UploadController.listFiles);
+
+// @desc    Add files from before the media library to it
+// @route   POST /api/upload/files/import
+// @access  Private (media.manage)
+router.post('/files/import', authenticate, requirePermission('media.manage'), UploadController.importFiles);
+
+// @desc    Get an asset and the records that use it
+// @route   GET /api/upload/files/:id
+// @access  Private (media.upload)
+router.get('/files/:id', authenticate, requirePermission('media.upload'), genericValidation.id, UploadController.getFile);
+
+// @desc    Expiring URLs for an asset and its variants (?expiresIn seconds)
+// @route   GET /api/upload/files/:id/signed-url
+// @access  Private (media.upload)
+router.get('/files/:id/signed-url', authenticate, requirePermission('media.upload'), genericValidation.id, mediaValidation.signedUrl, UploadController.getSignedUrl);
+
+// @desc    Update alt text, caption and credit
+// @route   PATCH /api/upload/files/:id
+// @access  Private (media.upload)
+router.patch('/files/:id', authenticate, requirePermission('media.upload'), genericValidation.id, mediaValidation.details, UploadController.updateFile);
 
-// @desc    Cleanup old files
+// @desc    Delete old files that nothing references ({ olderThanDays, dryRun })
 // @route   POST /api/upload/cleanup
-// @access  Private (ADMIN)
-router.post('/cleanup', authenticate, authorize('ADMIN'), UploadController.cleanupFiles);
+// @access  Private (media.manage)
+router.post('/cleanup', authenticate, requirePermission('media.manage'), mediaValidation.cleanup, UploadController.cleanupFiles);
 
-// @desc    Generate image thumbnail (basic implementation)
+// @desc    Regenerate image variants, optionally with a custom { width, height }
 // @route   POST /api/upload/thumbnail/:filename
-// @access  Private (EDITOR, AD_MANAGER, ADMIN)
-router.post('/thumbnail/:filename', authenticate, authorize('EDITOR', 'AD_MANAGER', 'ADMIN'), UploadController.generateThumbnail);
+// @access  Private (media.upload)
+router.post('/thumbnail/:filename', authenticate, requirePermission('media.upload'), UploadController.generateThumbnail);
 
 module.exports = router;
\ No newline at end of file
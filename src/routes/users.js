@@ -1,6 +1,6 @@
 // routes/users.js
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { userValidation, genericValidation } = require('../middleware/validation');
 const UserController = require('../controllers/userController');
 
@@ -33,33 +33,33 @@ router.get('/dashboard', authenticate, UserController.getDashboard);
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
-// @access  Private (ADMIN)
-router.get('/', authenticate, authorize('ADMIN'), genericValidation.pagination, UserController.getAllUsers);
+// @access  Private (user.manage)
+router.get('/', authenticate, requirePermission('user.manage'), genericValidation.pagination, UserController.getAllUsers);
 
 // NEW: Add this route for creating users
 // @desc    Create user (Admin only)
 // @route   POST /api/users
-// @access  Private (ADMIN)
-router.post('/', authenticate, authorize('ADMIN'), userValidation.create, UserController.createUser);
+// @access  Private (user.manage)
+router.post('/', authenticate, requirePermission('user.manage'), userValidation.create, UserController.createUser);
 
 // @desc    Get user by ID (Admin only)
 // @route   GET /api/users/:id
-// @access  Private (ADMIN)
-router.get('/:id', authenticate, authorize('ADMIN'), genericValidation.id, UserController.getUserById);
+// @access  Private (user.manage)
+router.get('/:id', authenticate, requirePermission('user.manage'), genericValidation.id, UserController.getUserById);
 
 // @desc    Update user (Admin only)
 // @route   PUT /api/users/:id
-// @access  Private (ADMIN)
-router.put('/:id', authenticate, authorize('ADMIN'), genericValidation.id, UserController.updateUser);
+// @access  Private (user.manage)
+router.put('/:id', authenticate, requirePermission('user.manage'), genericValidation.id, UserController.updateUser);
 
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/users/:id
-// @access  Private (ADMIN)
-router.delete('/:id', authenticate, authorize('ADMIN'), genericValidation.id, UserController.deleteUser);
+// @access  Private (user.manage)
+router.delete('/:id', authenticate, requirePermission('user.manage'), genericValidation.id, UserController.deleteUser);
 
 // @desc    Get user activity summary
 // @route   GET /api/users/:id/activity
-// @access  Private (ADMIN or own profile)
+// @access  Private (user.manage or own profile)
 router.get('/:id/activity', authenticate, genericValidation.id, UserController.getUserActivity);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,720 @@
+// src/services/analyticsExport.js
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { csvRow } = require('../utils/csv');
+const { XlsxWriter } = require('../utils/xlsx');
+const { notifyExportReady } = require('../utils/notifications');
+const { claimedBy, startHeartbeat, interruptedJobsWhere } = require('./jobHeartbeat');
+const { getExportStorage } = require('./storage');
+
+// Local working space; finished files are kept in export storage
+// (getExportStorage), which is this directory only with the local adapter
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || 'exports');
+
+const EXPORT_TYPES = ['overview', 'content', 'users', 'engagement', 'ads'];
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// Permission needed to export each type, on top of analytics.export
+const EXPORT_ACCESS = {
+  overview: 'analytics.view',
+  content: 'analytics.export',
+  users: 'analytics.users',
+  engagement: 'analytics.export',
+  ads: 'ad.manage'
+};
+const TIMEFRAMES = { '7d': 7, '30d': 30, '90d': 90, '180d': 180, '365d': 365 };
+
+// Longer ranges are always built in the background
+const SYNC_MAX_DAYS = parseInt(process.env.EXPORT_SYNC_MAX_DAYS) || 90;
+const MAX_RANGE_DAYS = 731;
+
+// Finished files can be downloaded for this long
+const EXPORT_TTL_DAYS = 7;
+
+const BATCH_SIZE = 1000;
+const TOP_LIMIT = 100;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : Number(value));
+
+// Estimated ad revenue, same formula as the analytics overview
+const estimateRevenue = (impressions, clicks) => Math.round((impressions / 1000 * 5) + (clicks * 2));
+
+const clickThroughRate = (impressions, clicks) => (impressions > 0
+  ? parseFloat((clicks / impressions * 100).toFixed(2))
+  : 0);
+
+const isoDay = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10));
+
+/**
+ * Resolve `timeframe` or a custom `dateFrom`/`dateTo` into a date range
+ * @returns {{from: Date, to: Date, days: number, label: string}|{error: string}}
+ */
+function resolveDateRange({ timeframe = '30d', dateFrom, dateTo } = {}) {
+  const to = dateTo ? new Date(dateTo) : new Date();
+  let from;
+
+  if (dateFrom) {
+    from = new Date(dateFrom);
+  } else {
+    from = new Date(to.getTime() - (TIMEFRAMES[timeframe] || 30) * DAY_MS);
+  }
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'Invalid date range' };
+  }
+  if (from > to) {
+    return { error: 'dateFrom must be before dateTo' };
+  }
+
+  const days = Math.ceil((to - from) / DAY_MS);
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    from,
+    to,
+    days,
+    label: dateFrom ? `${isoDay(from)}_${isoDay(to)}` : (TIMEFRAMES[timeframe] ? timeframe : '30d')
+  };
+}
+
+// Page through a findMany in id order, one row at a time
+async function* paginate(findBatch) {
+  let cursor;
+
+  while (true) {
+    const batch = await findBatch({
+      take: BATCH_SIZE,
+      orderBy: { id: 'asc' },
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    yield* batch;
+
+    if (batch.length < BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+// Rows keyed by day from several daily aggregates, filling missing values with 0
+const mergeDaily = (series) => {
+  const days = new Map();
+  for (const [key, rows] of Object.entries(series)) {
+    for (const row of rows) {
+      const day = isoDay(row.date);
+      if (!days.has(day)) days.set(day, { date: day });
+      days.get(day)[key] = toNumber(row.value);
+    }
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// ==================== DATASETS ====================
+// Every export type is a list of datasets: a name, columns and a row source.
+// Row sources return arrays or async iterables, so large tables stream.
+
+const column = (key, header) => ({ key, header });
+
+const overviewDatasets = ({ from, to }) => [{
+  name: 'Summary',
+  columns: [column('metric', 'Metric'), column('value', 'Value'), column('scope', 'Scope')],
+  rows: async () => {
+    const period = { gte: from, lte: to };
+    const now = new Date();
+
+    const [
+      totalUsers, newUsers, activeUsers,
+      totalArticles, publishedArticles, periodArticles,
+      views, periodViews, searches, favorites,
+      ads, activeAds
+    ] = await Promise.all([
+      prisma.user.count(),
+      prisma.user.count({ where: { createdAt: period } }),
+      prisma.user.count({ where: { lastLogin: period } }),
+      prisma.newsArticle.count(),
+      prisma.newsArticle.count({ where: { status: 'PUBLISHED' } }),
+      prisma.newsArticle.count({ where: { status: 'PUBLISHED', publishedAt: period } }),
+      prisma.newsArticle.aggregate({ _sum: { viewCount: true, shareCount: true } }),
+      prisma.newsArticle.aggregate({
+        where: { status: 'PUBLISHED', publishedAt: period },
+        _sum: { viewCount: true, shareCount: true }
+      }),
+      prisma.searchHistory.count({ where: { createdAt: period } }),
+      prisma.userFavorite.count({ where: { savedAt: period } }),
+      prisma.advertisement.aggregate({ _sum: { impressions: true, clickCount: true } }),
+      prisma.advertisement.count({
+        where: { isActive: true, startDate: { lte: now }, endDate: { gte: now } }
+      })
+    ]);
+
+    const impressions = ads._sum.impressions || 0;
+    const clicks = ads._sum.clickCount || 0;
+
+    return [
+      ['Total users', totalUsers, 'all time'],
+      ['New users', newUsers, 'period'],
+      ['Active users', activeUsers, 'period'],
+      ['Total articles', totalArticles, 'all time'],
+      ['Published articles', publishedArticles, 'all time'],
+      ['Articles published', periodArticles, 'period'],
+      ['Total views', views._sum.viewCount || 0, 'all time'],
+      ['Total shares', views._sum.shareCount || 0, 'all time'],
+      ['Views on articles published', periodViews._sum.viewCount || 0, 'period'],
+      ['Shares on articles published', periodViews._sum.shareCount || 0, 'period'],
+      ['Searches', searches, 'period'],
+      ['Favorites added', favorites, 'period'],
+      ['Ad impressions', impressions, 'all time'],
+      ['Ad clicks', clicks, 'all time'],
+      ['Ad click-through rate (%)', clickThroughRate(impressions, clicks), 'all time'],
+      ['Estimated ad revenue', estimateRevenue(impressions, clicks), 'all time'],
+      ['Active ads', activeAds, 'now']
+    ];
+  }
+}];
+
+const contentDatasets = ({ from, to }) => [
+  {
+    name: 'Articles',
+    columns: [
+      column('id', 'ID'),
+      column('headline', 'Headline'),
+      column('category', 'Category'),
+      column('author', 'Author'),
+      column('publishedAt', 'Published At'),
+      column('viewCount', 'Views'),
+      column('shareCount', 'Shares'),
+      column('favorites', 'Favorites')
+    ],
+    rows: async function* () {
+      const articles = paginate(page => prisma.newsArticle.findMany({
+        ...page,
+        where: { status: 'PUBLISHED', publishedAt: { gte: from, lte: to } },
+        select: {
+          id: true,
+          headline: true,
+          category: true,
+          publishedAt: true,
+          viewCount: true,
+          shareCount: true,
+          author: { select: { fullName: true } },
+          _count: { select: { favorites: true } }
+        }
+      }));
+
+      for await (const article of articles) {
+        yield [
+          article.id,
+          article.headline,
+          article.category,
+          article.author?.fullName,
+          article.publishedAt,
+          article.viewCount,
+          article.shareCount,
+          article._count.favorites
+        ];
+      }
+    }
+  },
+  {
+    name: 'Categories',
+    columns: [
+      column('category', 'Category'),
+      column('articleCount', 'Articles'),
+      column('totalViews', 'Views'),
+      column('totalShares', 'Shares'),
+      column('averageViews', 'Average Views')
+    ],
+    rows: async () => {
+      const groups = await prisma.newsArticle.groupBy({
+        by: ['category'],
+        where: { status: 'PUBLISHED', publishedAt: { gte: from, lte: to } },
+        _count: { id: true },
+        _sum: { viewCount: true, shareCount: true },
+        orderBy: { _sum: { viewCount: 'desc' } }
+      });
+
+      return groups.map(group => [
+        group.category,
+        group._count.id,
+        group._sum.viewCount || 0,
+        group._sum.shareCount || 0,
+        group._count.id > 0 ? Math.round((group._sum.viewCount || 0) / group._count.id) : 0
+      ]);
+    }
+  },
+  {
+    name: 'Daily',
+    columns: [
+      column('date', 'Date'),
+      column('articles', 'Articles Published'),
+      column('views', 'Views'),
+      column('shares', 'Shares')
+    ],
+    rows: async () => {
+      const days = await prisma.$queryRaw`
+        SELECT DATE(published_at) as date, COUNT(*) as articles,
+          SUM(view_count) as views, SUM(share_count) as shares
+        FROM news_articles
+        WHERE status = 'PUBLISHED' AND published_at >= ${from} AND published_at <= ${to}
+        GROUP BY DATE(published_at) ORDER BY date ASC
+      `;
+      return days.map(day => [isoDay(day.date), toNumber(day.articles), toNumber(day.views), toNumber(day.shares)]);
+    }
+  }
+];
+
+const userDatasets = ({ from, to }) => [
+  {
+    name: 'Daily',
+    columns: [
+      column('date', 'Date'),
+      column('newUsers', 'New Users'),
+      column('activeUsers', 'Active Users'),
+      column('searches', 'Searches'),
+      column('uniqueSearchers', 'Unique Searchers')
+    ],
+    rows: async () => {
+      const [signups, logins, searches, searchers] = await Promise.all([
+        prisma.$queryRaw`
+          SELECT DATE(created_at) as date, COUNT(*) as value
+          FROM users WHERE created_at >= ${from} AND created_at <= ${to}
+          GROUP BY DATE(created_at)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(last_login) as date, COUNT(*) as value
+          FROM users WHERE last_login >= ${from} AND last_login <= ${to}
+          GROUP BY DATE(last_login)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(created_at) as date, COUNT(*) as value
+          FROM search_history WHERE created_at >= ${from} AND created_at <= ${to}
+          GROUP BY DATE(created_at)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(created_at) as date, COUNT(DISTINCT user_id) as value
+          FROM search_history WHERE created_at >= ${from} AND created_at <= ${to}
+          GROUP BY DATE(created_at)
+        `
+      ]);
+
+      return mergeDaily({ newUsers: signups, activeUsers: logins, searches, uniqueSearchers: searchers })
+        .map(day => [day.date, day.newUsers || 0, day.activeUsers || 0, day.searches || 0, day.uniqueSearchers || 0]);
+    }
+  },
+  {
+    name: 'Roles',
+    columns: [column('role', 'Role'), column('count', 'Users')],
+    rows: async () => {
+      const roles = await prisma.user.groupBy({
+        by: ['role'],
+        _count: { id: true }
+      });
+      return roles.map(role => [role.role, role._count.id]);
+    }
+  },
+  {
+    name: 'Top Readers',
+    columns: [
+      column('name', 'Name'),
+      column('email', 'Email'),
+      column('role', 'Role'),
+      column('articlesRead', 'Articles Read'),
+      column('readingTime', 'Reading Time (s)')
+    ],
+    rows: async () => {
+      const readers = await prisma.readingHistory.groupBy({
+        by: ['userId'],
+        where: { updatedAt: { gte: from, lte: to } },
+        _count: { id: true },
+        _sum: { timeSpent: true },
+        orderBy: { _sum: { timeSpent: 'desc' } },
+        take: TOP_LIMIT
+      });
+
+      const users = await prisma.user.findMany({
+        where: { id: { in: readers.map(reader => reader.userId) } },
+        select: { id: true, fullName: true, email: true, role: true }
+      });
+      const userMap = new Map(users.map(user => [user.id, user]));
+
+      return readers.map(reader => {
+        const user = userMap.get(reader.userId) || {};
+        return [user.fullName, user.email, user.role, reader._count.id, reader._sum.timeSpent || 0];
+      });
+    }
+  }
+];
+
+const engagementDatasets = ({ from, to }) => [
+  {
+    name: 'Daily',
+    columns: [
+      column('date', 'Date'),
+      column('views', 'Views'),
+      column('shares', 'Shares'),
+      column('articles', 'Articles Published'),
+      column('favorites', 'Favorites Added')
+    ],
+    rows: async () => {
+      const [views, shares, articles, favorites] = await Promise.all([
+        prisma.$queryRaw`
+          SELECT DATE(published_at) as date, SUM(view_count) as value
+          FROM news_articles WHERE status = 'PUBLISHED' AND published_at >= ${from} AND published_at <= ${to}
+          GROUP BY DATE(published_at)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(published_at) as date, SUM(share_count) as value
+          FROM news_articles WHERE status = 'PUBLISHED' AND published_at >= ${from} AND published_at <= ${to}
+          GROUP BY DATE(published_at)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(published_at) as date, COUNT(*) as value
+          FROM news_articles WHERE status = 'PUBLISHED' AND published_at >= ${from} AND published_at <= ${to}
+          GROUP BY DATE(published_at)
+        `,
+        prisma.$queryRaw`
+          SELECT DATE(saved_at) as date, COUNT(*) as value
+          FROM user_favorites WHERE saved_at >= ${from} AND saved_at <= ${to}
+          GROUP BY DATE(saved_at)
+        `
+      ]);
+
+      return mergeDaily({ views, shares, articles, favorites })
+        .map(day => [day.date, day.views || 0, day.shares || 0, day.articles || 0, day.favorites || 0]);
+    }
+  },
+  {
+    name: 'Search Terms',
+    columns: [column('query', 'Query'), column('searches', 'Searches'), column('avgResults', 'Average Results')],
+    rows: async () => {
+      const terms = await prisma.$queryRaw`
+        SELECT query, COUNT(*) as searches, AVG(results) as avg_results
+        FROM search_history WHERE created_at >= ${from} AND created_at <= ${to}
+        GROUP BY query ORDER BY searches DESC LIMIT ${TOP_LIMIT}
+      `;
+      return terms.map(term => [term.query, toNumber(term.searches), parseFloat(toNumber(term.avg_results).toFixed(1))]);
+    }
+  },
+  {
+    name: 'Category Shares',
+    columns: [column('category', 'Category'), column('shares', 'Shares')],
+    rows: async () => {
+      const groups = await prisma.newsArticle.groupBy({
+        by: ['category'],
+        where: { status: 'PUBLISHED', publishedAt: { gte: from, lte: to } },
+        _sum: { shareCount: true },
+        orderBy: { _sum: { shareCount: 'desc' } }
+      });
+      return groups.map(group => [group.category, group._sum.shareCount || 0]);
+    }
+  },
+  {
+    name: 'Reading',
+    columns: [column('metric', 'Metric'), column('value', 'Value')],
+    rows: async () => {
+      const reading = await prisma.readingHistory.aggregate({
+        where: { updatedAt: { gte: from, lte: to } },
+        _avg: { timeSpent: true, readProgress: true },
+        _sum: { timeSpent: true },
+        _count: { id: true }
+      });
+      return [
+        ['Reading sessions', reading._count.id || 0],
+        ['Total reading time (s)', reading._sum.timeSpent || 0],
+        ['Average reading time (s)', Math.round(reading._avg.timeSpent || 0)],
+        ['Average read progress', parseFloat((reading._avg.readProgress || 0).toFixed(2))]
+      ];
+    }
+  }
+];
+
+// Impressions and clicks are lifetime counters, the range selects ads that ran in it
+const adDatasets = ({ from, to }) => [{
+  name: 'Advertisements',
+  columns: [
+    column('id', 'ID'),
+    column('title', 'Title'),
+    column('position', 'Position'),
+    column('isActive', 'Active'),
+    column('startDate', 'Start Date'),
+    column('endDate', 'End Date'),
+    column('budget', 'Budget'),
+    column('impressions', 'Impressions'),
+    column('clicks', 'Clicks'),
+    column('ctr', 'CTR (%)'),
+    column('revenue', 'Estimated Revenue'),
+    column('createdBy', 'Created By')
+  ],
+  rows: async function* () {
+    const ads = paginate(page => prisma.advertisement.findMany({
+      ...page,
+      where: { startDate: { lte: to }, endDate: { gte: from } },
+      select: {
+        id: true,
+        title: true,
+        position: true,
+        isActive: true,
+        startDate: true,
+        endDate: true,
+        budget: true,
+        impressions: true,
+        clickCount: true,
+        creator: { select: { email: true } }
+      }
+    }));
+
+    for await (const ad of ads) {
+      yield [
+        ad.id,
+        ad.title,
+        ad.position,
+        ad.isActive,
+        ad.startDate,
+        ad.endDate,
+        ad.budget === null ? null : Number(ad.budget),
+        ad.impressions,
+        ad.clickCount,
+        clickThroughRate(ad.impressions, ad.clickCount),
+        estimateRevenue(ad.impressions, ad.clickCount),
+        ad.creator?.email
+      ];
+    }
+  }
+}];
+
+const DATASETS = {
+  overview: overviewDatasets,
+  content: contentDatasets,
+  users: userDatasets,
+  engagement: engagementDatasets,
+  ads: adDatasets
+};
+
+// ==================== WRITERS ====================
+
+const write = async (out, chunk) => {
+  if (!out.write(chunk)) {
+    await once(out, 'drain');
+  }
+};
+
+// Wrap a row source so the number of rows written can be reported
+async function* counted(rows, counter) {
+  for await (const row of await rows) {
+    counter.rows++;
+    yield row;
+  }
+}
+
+/**
+ * Write an export to a stream. CSV puts each dataset in its own titled
+ * section, JSON nests them by name and XLSX gives each one a sheet.
+ * @param {string} type - One of EXPORT_TYPES
+ * @param {Object} range - From resolveDateRange
+ * @param {string} format - csv | json | xlsx
+ * @param {Writable} out
+ * @returns {Promise<number>} - Rows written
+ */
+async function writeExport(type, range, format, out) {
+  const datasets = DATASETS[type](range);
+  const counter = { rows: 0 };
+
+  if (format === 'xlsx') {
+    const workbook = new XlsxWriter(out);
+    for (const dataset of datasets) {
+      await workbook.addSheet(dataset.name, dataset.columns.map(col => col.header), counted(dataset.rows(), counter));
+    }
+    await workbook.finish();
+    return counter.rows;
+  }
+
+  if (format === 'csv') {
+    for (const [index, dataset] of datasets.entries()) {
+      if (datasets.length > 1) {
+        await write(out, `${index > 0 ? '\r\n' : ''}${csvRow([`# ${dataset.name}`])}`);
+      }
+      await write(out, csvRow(dataset.columns.map(col => col.header)));
+      for await (const row of counted(dataset.rows(), counter)) {
+        await write(out, csvRow(row));
+      }
+    }
+    return counter.rows;
+  }
+
+  await write(out, `{"type":${JSON.stringify(type)},"dateFrom":${JSON.stringify(range.from)},"dateTo":${JSON.stringify(range.to)},"datasets":{`);
+  for (const [index, dataset] of datasets.entries()) {
+    await write(out, `${index > 0 ? ',' : ''}\n${JSON.stringify(dataset.name)}:[`);
+    let first = true;
+    for await (const row of counted(dataset.rows(), counter)) {
+      const record = Object.fromEntries(dataset.columns.map((col, i) => [col.key, row[i] ?? null]));
+      await write(out, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+      first = false;
+    }
+    await write(out, '\n]');
+  }
+  await write(out, '\n}}\n');
+  return counter.rows;
+}
+
+const exportFileName = (type, range, format) => `analytics-${type}-${range.label}.${format}`;
+
+// Stored files are prefixed with the job id so names never collide
+const exportKey = (job) => `${job.id}-${job.fileName}`;
+
+/**
+ * Stream a finished export from export storage, so any instance can serve it
+ * @param {Object} job - COMPLETED export job
+ * @returns {Promise<Readable|null>} - Null when the file is missing
+ */
+const openExport = (job) => getExportStorage().get(exportKey(job));
+
+// ==================== BACKGROUND JOBS ====================
+
+/**
+ * Build an export file for a PENDING job and notify its owner
+ */
+async function runExportJob(job) {
+  const range = { from: job.dateFrom, to: job.dateTo, label: `${isoDay(job.dateFrom)}_${isoDay(job.dateTo)}` };
+  const fileName = exportFileName(job.type, range, job.format);
+  const key = exportKey({ ...job, fileName });
+  const stagingPath = path.join(EXPORT_DIR, `.tmp-${key}`);
+  const storage = getExportStorage();
+
+  await prisma.analyticsExport.update({
+    where: { id: job.id },
+    data: { status: 'RUNNING', ...claimedBy() }
+  });
+  const stopHeartbeat = startHeartbeat(prisma.analyticsExport, job.id);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const output = fs.createWriteStream(stagingPath);
+    const rowCount = await writeExport(job.type, range, job.format, output);
+    output.end();
+    await once(output, 'finish');
+
+    const { size } = await fs.promises.stat(stagingPath);
+    await storage.put(key, fs.createReadStream(stagingPath), { contentType: CONTENT_TYPES[job.format], size });
+    const expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * DAY_MS);
+
+    const completed = await prisma.analyticsExport.update({
+      where: { id: job.id },
+      data: { status: 'COMPLETED', fileName, sizeBytes: size, rowCount, completedAt: new Date(), expiresAt }
+    });
+
+    await notifyExportReady(completed);
+
+    logger.info(`Analytics export completed: ${fileName} (${rowCount} rows)`);
+    return completed;
+  } catch (error) {
+    logger.error(`Analytics export ${job.id} failed:`, error);
+    await storage.delete(key).catch(() => {});
+
+    return prisma.analyticsExport.update({
+      where: { id: job.id },
+      data: { status: 'FAILED', error: error.message, completedAt: new Date() }
+    });
+  } finally {
+    stopHeartbeat();
+    await fs.promises.rm(stagingPath, { force: true });
+  }
+}
+
+/**
+ * Queue an export job; the owner gets a notification with the download link
+ * @returns {Promise<Object>} - The PENDING job
+ */
+async function startExportJob({ userId, type, format, range }) {
+  const job = await prisma.analyticsExport.create({
+    data: {
+      userId,
+      type,
+      format,
+      dateFrom: range.from,
+      dateTo: range.to,
+      ...claimedBy()
+    }
+  });
+
+  runExportJob(job).catch(error => logger.error(`Analytics export ${job.id} could not be finished:`, error));
+
+  return job;
+}
+
+/**
+ * Delete expired export files and their rows
+ * @returns {Promise<number>}
+ */
+async function cleanupExpiredExports() {
+  const expired = await prisma.analyticsExport.findMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { status: 'FAILED', createdAt: { lt: new Date(Date.now() - EXPORT_TTL_DAYS * DAY_MS) } }
+      ]
+    }
+  });
+
+  // Export storage is shared, so whichever instance runs this removes every
+  // file; rows whose file could not be deleted are kept for the next run
+  const storage = getExportStorage();
+  const removed = [];
+  for (const job of expired) {
+    try {
+      if (job.fileName) {
+        await storage.delete(exportKey(job));
+      }
+      removed.push(job.id);
+    } catch (error) {
+      logger.warn(`Could not delete analytics export ${job.id}: ${error.message}`);
+    }
+  }
+
+  const result = await prisma.analyticsExport.deleteMany({
+    where: { id: { in: removed } }
+  });
+  return result.count;
+}
+
+/**
+ * Fail jobs whose instance stopped or restarted (see interruptedJobsWhere);
+ * jobs running on other live instances are left alone
+ * @param {Object} options
+ * @param {boolean} options.restarted - Called at startup of this process
+ * @returns {Promise<number>}
+ */
+async function failInterruptedExports({ restarted = false } = {}) {
+  const result = await prisma.analyticsExport.updateMany({
+    where: interruptedJobsWhere({ restarted }),
+    data: { status: 'FAILED', error: 'Interrupted: the server running it stopped or restarted', completedAt: new Date() }
+  });
+  return result.count;
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  EXPORT_ACCESS,
+  TIMEFRAMES,
+  SYNC_MAX_DAYS,
+  CONTENT_TYPES,
+  resolveDateRange,
+  writeExport,
+  exportFileName,
+  startExportJob,
+  openExport,
+  cleanupExpiredExports,
+  failInterruptedExports
+};
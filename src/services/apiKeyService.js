@@ -0,0 +1,186 @@
+// src/services/apiKeyService.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+const API_KEY_SCOPES = [
+  'read:articles',
+  'read:ai-ml',
+  'read:time-saver',
+  'write:analytics-events'
+];
+
+const KEY_PREFIX = 'dnk_';
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 30 * 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Looked up on every partner request, so active keys are cached briefly by hash
+const keyCache = new Map();
+// Per-key fixed one-minute windows. In memory, like userRateLimit, so each
+// server instance enforces the limit on its own.
+const rateWindows = new Map();
+const lastUsedWrites = new Map();
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key. Only the hash is stored; the key itself is shown once.
+ * @returns {{key: string, prefix: string, keyHash: string}}
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.substring(0, KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key)
+  };
+}
+
+const isUsable = (apiKey) => !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date());
+
+/**
+ * Resolve an API key from a request header
+ * @param {string} key
+ * @returns {Promise<Object|null>} The ApiKey record, or null when unknown, revoked or expired
+ */
+async function findActiveApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const keyHash = hashApiKey(key);
+  const cached = keyCache.get(keyHash);
+
+  let apiKey;
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    apiKey = cached.apiKey;
+  } else {
+    apiKey = await prisma.apiKey.findUnique({ where: { keyHash } });
+    keyCache.set(keyHash, { apiKey, cachedAt: Date.now() });
+  }
+
+  return apiKey && isUsable(apiKey) ? apiKey : null;
+}
+
+// Drop cached keys after an admin change so it applies on this instance right away
+const invalidateApiKeyCache = () => keyCache.clear();
+
+/**
+ * Count a request against the key's per-minute limit
+ * @param {Object} apiKey
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: Date}}
+ */
+function consumeRateLimit(apiKey) {
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+
+  if (!window || now - window.startedAt >= 60 * 1000) {
+    window = { startedAt: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+
+  window.count += 1;
+
+  return {
+    allowed: window.count <= apiKey.rateLimitPerMinute,
+    limit: apiKey.rateLimitPerMinute,
+    remaining: Math.max(apiKey.rateLimitPerMinute - window.count, 0),
+    resetAt: new Date(window.startedAt + 60 * 1000)
+  };
+}
+
+const utcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Record a request in today's usage counters and check the daily quota.
+ * Requests over the quota are counted as denied instead.
+ * @param {Object} apiKey
+ * @param {Object} req - Express request, for the IP
+ * @param {Object} [options]
+ * @param {boolean} [options.denied] - Already refused (rate limited)
+ * @returns {Promise<{allowed: boolean, usedToday: number}>}
+ */
+async function recordUsage(apiKey, req, { denied = false } = {}) {
+  const where = { apiKeyId_date: { apiKeyId: apiKey.id, date: utcDay() } };
+
+  if (denied) {
+    const usage = await prisma.apiKeyUsage.upsert({
+      where,
+      update: { deniedCount: { increment: 1 } },
+      create: { apiKeyId: apiKey.id, date: utcDay(), deniedCount: 1 }
+    });
+    return { allowed: false, usedToday: usage.requestCount };
+  }
+
+  const usage = await prisma.apiKeyUsage.upsert({
+    where,
+    update: { requestCount: { increment: 1 } },
+    create: { apiKeyId: apiKey.id, date: utcDay(), requestCount: 1 }
+  });
+
+  if (apiKey.dailyQuota !== null && usage.requestCount > apiKey.dailyQuota) {
+    await prisma.apiKeyUsage.update({
+      where,
+      data: { requestCount: { decrement: 1 }, deniedCount: { increment: 1 } }
+    });
+    return { allowed: false, usedToday: apiKey.dailyQuota };
+  }
+
+  // lastUsedAt is informational; write it at most once a minute per key
+  const lastWrite = lastUsedWrites.get(apiKey.id) || 0;
+  if (Date.now() - lastWrite >= LAST_USED_INTERVAL_MS) {
+    lastUsedWrites.set(apiKey.id, Date.now());
+    prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: req?.ip || null }
+    }).catch(error => {
+      logger.error('API key last used update error:', error);
+    });
+  }
+
+  return { allowed: true, usedToday: usage.requestCount };
+}
+
+/**
+ * Daily usage of a key, oldest day first
+ * @param {string} apiKeyId
+ * @param {number} days
+ * @returns {Promise<Array<{date: string, requestCount: number, deniedCount: number}>>}
+ */
+async function getUsage(apiKeyId, days = 30) {
+  const since = utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+  const rows = await prisma.apiKeyUsage.findMany({
+    where: { apiKeyId, date: { gte: since } },
+    orderBy: { date: 'asc' },
+    select: { date: true, requestCount: true, deniedCount: true }
+  });
+
+  return rows.map(row => ({
+    date: row.date.toISOString().slice(0, 10),
+    requestCount: row.requestCount,
+    deniedCount: row.deniedCount
+  }));
+}
+
+/**
+ * Shape a key for admins (never includes the hash)
+ * @param {Object} apiKey
+ */
+function formatApiKey({ keyHash, ...apiKey }) {
+  let status = 'active';
+  if (apiKey.revokedAt) status = 'revoked';
+  else if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) status = 'expired';
+
+  return { ...apiKey, status };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  findActiveApiKey,
+  invalidateApiKeyCache,
+  consumeRateLimit,
+  recordUsage,
+  getUsage,
+  formatApiKey
+};
@@ -0,0 +1,197 @@
+// src/services/articleRevisions.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+// NewsArticle fields captured in every revision snapshot
+const REVISION_FIELDS = [
+  'headline',
+  'briefContent',
+  'fullContent',
+  'category',
+  'tags',
+  'featuredImage',
+  'metaTitle',
+  'metaDescription'
+];
+
+// Long text fields that also get a line-level diff
+const TEXT_DIFF_FIELDS = ['briefContent', 'fullContent'];
+
+// Guard against quadratic blow-up on very long articles
+const MAX_DIFF_LINES = 2000;
+
+const pickRevisionFields = (source) => {
+  return REVISION_FIELDS.reduce((acc, field) => {
+    acc[field] = source[field] ?? null;
+    return acc;
+  }, {});
+};
+
+const hasChanges = (a, b) => REVISION_FIELDS.some(field => (a[field] ?? null) !== (b[field] ?? null));
+
+/**
+ * Get the most recent revision of an article
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestRevision(articleId) {
+  return prisma.articleRevision.findFirst({
+    where: { articleId },
+    orderBy: { revisionNumber: 'desc' }
+  });
+}
+
+/**
+ * Snapshot the current state of an article as a new revision
+ * @param {Object} article - Article with all REVISION_FIELDS loaded
+ * @param {string} editorId - ID of the user who made the change
+ * @param {Object} options
+ * @param {string} options.changeType - CREATED, UPDATED or RESTORED
+ * @param {string} options.changeNote - Free text note (optional)
+ * @param {string} options.restoredFromId - Source revision when restoring (optional)
+ * @returns {Promise<Object>} - The new revision, or the latest one when nothing changed
+ */
+async function recordRevision(article, editorId, {
+  changeType = 'UPDATED',
+  changeNote = null,
+  restoredFromId = null
+} = {}) {
+  const snapshot = pickRevisionFields(article);
+
+  // Two editors saving at once can race for the same number, retry on the unique key
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await getLatestRevision(article.id);
+
+    if (latest && changeType === 'UPDATED' && !hasChanges(latest, snapshot)) {
+      return latest;
+    }
+
+    try {
+      return await prisma.articleRevision.create({
+        data: {
+          ...snapshot,
+          articleId: article.id,
+          revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+          changeType,
+          changeNote,
+          restoredFromId,
+          editorId
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not allocate revision number for article ${article.id}`);
+}
+
+/**
+ * Articles created before revisions existed have no history.
+ * Store their current state as revision 1 so the first edit can be diffed.
+ * @param {Object} article - Article with all REVISION_FIELDS and authorId loaded
+ * @returns {Promise<Object>} - The latest revision
+ */
+async function ensureBaselineRevision(article) {
+  const latest = await getLatestRevision(article.id);
+  if (latest) {
+    return latest;
+  }
+
+  logger.info(`Creating baseline revision for article ${article.id}`);
+  return recordRevision(article, article.authorId, {
+    changeType: 'CREATED',
+    changeNote: 'Baseline snapshot of the article before revision tracking'
+  });
+}
+
+/**
+ * Line-level diff of two strings (longest common subsequence)
+ * Equal runs are collapsed to a count to keep responses small.
+ * @returns {Array<{type: string, text?: string, count?: number}>|null}
+ */
+function diffLines(before, after) {
+  const a = (before || '').split(/\r?\n/);
+  const b = (after || '').split(/\r?\n/);
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  // LCS lengths table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (type === 'equal') {
+      if (last && last.type === 'equal') {
+        last.count++;
+      } else {
+        ops.push({ type, count: 1 });
+      }
+    } else {
+      ops.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal');
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return ops;
+}
+
+/**
+ * Field-level diff between two revisions
+ * @param {Object} fromRevision - Older revision
+ * @param {Object} toRevision - Newer revision
+ * @returns {Array<Object>} - One entry per changed field
+ */
+function diffRevisions(fromRevision, toRevision) {
+  return REVISION_FIELDS
+    .filter(field => (fromRevision[field] ?? null) !== (toRevision[field] ?? null))
+    .map(field => {
+      const change = {
+        field,
+        before: fromRevision[field] ?? null,
+        after: toRevision[field] ?? null
+      };
+
+      if (TEXT_DIFF_FIELDS.includes(field)) {
+        change.lines = diffLines(change.before, change.after);
+      }
+
+      return change;
+    });
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  pickRevisionFields,
+  getLatestRevision,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions
+};
@@ -0,0 +1,228 @@
+// src/services/auditLog.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { csvRow } = require('../utils/csv');
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Rows per query while exporting, and the hard cap on one export
+const EXPORT_BATCH_SIZE = 500;
+const MAX_EXPORT_ROWS = 50000;
+
+const EXPORT_COLUMNS = [
+  'createdAt',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'entityType',
+  'entityId',
+  'before',
+  'after',
+  'metadata',
+  'ipAddress',
+  'userAgent'
+];
+
+// Dates and Decimals become plain JSON values
+const toJson = (value) => (value === undefined || value === null
+  ? undefined
+  : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Keep only the fields that differ between two snapshots
+ * @param {Object} before - Row before the change
+ * @param {Object} after - Row (or update data) after the change
+ * @param {Array<string>} fields - Fields to compare, defaults to the keys of `after`
+ * @returns {{before: Object, after: Object}}
+ */
+function pickChanges(before, after, fields = Object.keys(after || {})) {
+  const changes = { before: {}, after: {} };
+
+  for (const field of fields) {
+    if (after?.[field] === undefined) continue;
+
+    const oldValue = toJson(before?.[field]) ?? null;
+    const newValue = toJson(after[field]) ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    changes.before[field] = oldValue;
+    changes.after[field] = newValue;
+  }
+
+  return changes;
+}
+
+// Request context shared by every entry written for the same request
+const requestContext = (req) => {
+  const user = req?.user;
+  const userAgent = req?.get ? req.get('User-Agent') : undefined;
+
+  return {
+    actorId: user?.id,
+    actorEmail: user?.email,
+    actorRole: user?.role,
+    ipAddress: req?.ip,
+    userAgent: userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : undefined
+  };
+};
+
+const entryData = (context, { action, entityType, entityId, before, after, metadata }) => ({
+  ...context,
+  action,
+  entityType,
+  entityId: entityId ? String(entityId) : undefined,
+  before: toJson(before),
+  after: toJson(after),
+  metadata: toJson(metadata)
+});
+
+/**
+ * Record a privileged action. Failures are logged and never break the request.
+ * @param {Object} req - Express request of the acting user (null for system jobs)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. user.role_change, category.merge
+ * @param {string} entry.entityType - e.g. user, category, advertisement
+ * @param {string} entry.entityId
+ * @param {Object} entry.before - Values before the change
+ * @param {Object} entry.after - Values after the change
+ * @param {Object} entry.metadata - Anything else worth keeping (counts, comments)
+ * @returns {Promise<Object|null>}
+ */
+async function recordAudit(req, entry) {
+  try {
+    return await prisma.auditLog.create({
+      data: entryData(requestContext(req), entry)
+    });
+  } catch (error) {
+    logger.error(`Audit log write failed for ${entry.action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record several entries from one request (bulk actions), one per entity
+ * @param {Object} req
+ * @param {Array<Object>} entries - Same shape as recordAudit
+ * @returns {Promise<number>} - Entries written
+ */
+async function recordAudits(req, entries) {
+  if (entries.length === 0) return 0;
+
+  try {
+    const context = requestContext(req);
+    const result = await prisma.auditLog.createMany({
+      data: entries.map(entry => entryData(context, entry))
+    });
+    return result.count;
+  } catch (error) {
+    logger.error(`Audit log write failed for ${entries[0].action}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Build a where clause from /api/admin/logs query filters
+ * @param {Object} filters
+ * @param {string} filters.actorId
+ * @param {string} filters.actor - Part of the actor's email
+ * @param {string} filters.action - Exact action, or a prefix ending in `.*` (category.*)
+ * @param {string} filters.entityType
+ * @param {string} filters.entityId
+ * @param {string} filters.dateFrom
+ * @param {string} filters.dateTo
+ */
+function buildAuditWhere({ actorId, actor, action, entityType, entityId, dateFrom, dateTo } = {}) {
+  const where = {};
+
+  if (actorId) where.actorId = actorId;
+  if (actor) where.actorEmail = { contains: actor };
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+
+  if (action) {
+    where.action = action.endsWith('.*')
+      ? { startsWith: action.slice(0, -1) }
+      : action;
+  }
+
+  if (dateFrom || dateTo) {
+    where.createdAt = {};
+    if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+    if (dateTo) where.createdAt.lte = new Date(dateTo);
+  }
+
+  return where;
+}
+
+/**
+ * Page through audit entries, newest first
+ * @returns {Promise<{entries: Array, totalCount: number}>}
+ */
+async function listAuditLogs(filters, { page = 1, limit = 50 } = {}) {
+  const where = buildAuditWhere(filters);
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+
+  const [entries, totalCount] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip,
+      take
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+
+  return { entries, totalCount };
+}
+
+/**
+ * Stream matching entries to a writable (the response) as CSV or JSON,
+ * reading them in batches so large exports stay out of memory
+ * @param {Object} filters - Same as listAuditLogs
+ * @param {string} format - csv | json
+ * @param {Writable} out
+ * @returns {Promise<number>} - Rows written
+ */
+async function exportAuditLogs(filters, format, out) {
+  const where = buildAuditWhere(filters);
+  let cursor;
+  let written = 0;
+
+  out.write(format === 'csv' ? csvRow(EXPORT_COLUMNS) : '[');
+
+  while (written < MAX_EXPORT_ROWS) {
+    const batch = await prisma.auditLog.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: Math.min(EXPORT_BATCH_SIZE, MAX_EXPORT_ROWS - written),
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    for (const entry of batch) {
+      if (format === 'csv') {
+        out.write(csvRow(EXPORT_COLUMNS.map(column => entry[column])));
+      } else {
+        out.write(`${written > 0 ? ',' : ''}\n${JSON.stringify(entry)}`);
+      }
+      written++;
+    }
+
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  if (format !== 'csv') out.write('\n]\n');
+
+  return written;
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  pickChanges,
+  recordAudit,
+  recordAudits,
+  buildAuditWhere,
+  listAuditLogs,
+  exportAuditLogs
+};
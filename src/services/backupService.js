@@ -0,0 +1,815 @@
+// src/services/backupService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { TarWriter, readTar } = require('../utils/tar');
+const { getStorage, getBackupStorage, isValidKey, contentTypeFor } = require('./storage');
+const { claimedBy, startHeartbeat, interruptedJobsWhere, claimLock, isLocked } = require('./jobHeartbeat');
+
+// Local working space; archives are kept in backup storage (getBackupStorage),
+// which is this directory only with the local adapter
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || 'backups');
+
+const ARCHIVE_CONTENT_TYPE = 'application/gzip';
+
+const BACKUP_TYPES = ['FULL', 'DATABASE', 'UPLOADS'];
+
+// Completed backups kept by pruneBackups; failed ones are kept for a week
+const BACKUP_RETAIN = parseInt(process.env.BACKUP_RETAIN) || 7;
+const FAILED_RETENTION_DAYS = 7;
+
+const ARCHIVE_FORMAT = 'daily-news-backup';
+const ARCHIVE_VERSION = 1;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+const DUMP_BATCH_SIZE = 1000;
+const RESTORE_BATCH_SIZE = 500;
+const TRANSACTION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Backup history and the lock a restore holds have to survive a restore,
+// so they are never dumped
+const EXCLUDED_MODELS = ['Backup', 'JobLock'];
+
+// Held while a restore runs, on whichever instance, so no other restore
+// overlaps it and no backup snapshots a half-restored database
+const RESTORE_LOCK = 'backup-restore';
+
+const isRestoring = () => isLocked(RESTORE_LOCK);
+
+const dataModels = () => Prisma.dmmf.datamodel.models.filter(model => !EXCLUDED_MODELS.includes(model.name));
+
+const delegateName = (modelName) => modelName.charAt(0).toLowerCase() + modelName.slice(1);
+
+const scalarFields = (model) => model.fields.filter(field => field.kind === 'scalar' || field.kind === 'enum');
+
+const primaryKeyOrder = (model) => {
+  const idFields = model.primaryKey
+    ? model.primaryKey.fields
+    : model.fields.filter(field => field.isId).map(field => field.name);
+  return idFields.map(name => ({ [name]: 'asc' }));
+};
+
+const describeFields = (model) => scalarFields(model).map(field => ({
+  name: field.name,
+  type: field.type,
+  isRequired: field.isRequired
+}));
+
+// BigInt has no JSON form of its own
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Read a backup's archive from backup storage
+ * @param {Object} backup - Backup row with a fileName
+ * @returns {Promise<Readable|null>} - null when the archive is gone
+ */
+const openArchive = (backup) => getBackupStorage().get(backup.fileName);
+
+// Run `fn` with a local path to a stored archive. Backends without local
+// files are downloaded to a temporary file first.
+async function withLocalArchive(backup, fn) {
+  const storage = getBackupStorage();
+  if (typeof storage.filePath === 'function') {
+    return fn(storage.filePath(backup.fileName));
+  }
+
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+  const tempPath = path.join(BACKUP_DIR, `.tmp-${backup.id}-${crypto.randomBytes(6).toString('hex')}.tar.gz`);
+
+  try {
+    await pipeline(await storage.get(backup.fileName), fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    await removeFile(tempPath);
+  }
+}
+
+// Every stored upload, from whichever storage backend is configured
+async function listUploads() {
+  const files = [];
+  for await (const object of getStorage().list()) {
+    files.push(object);
+  }
+  return files;
+}
+
+// Feed a tar entry to `onLine` one NDJSON line at a time
+const lineSink = (onLine, onEnd) => {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  return {
+    data: async (chunk) => {
+      const lines = (pending + decoder.write(chunk)).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        if (line) await onLine(line);
+      }
+    },
+    end: async () => {
+      const rest = pending + decoder.end();
+      if (rest) await onLine(rest);
+      if (onEnd) await onEnd();
+    }
+  };
+};
+
+const latestMigration = async () => {
+  try {
+    const [row] = await prisma.$queryRaw`
+      SELECT migration_name FROM _prisma_migrations
+      WHERE finished_at IS NOT NULL
+      ORDER BY finished_at DESC
+      LIMIT 1
+    `;
+    return row ? row.migration_name : null;
+  } catch (error) {
+    // Databases set up with `prisma db push` have no migrations table
+    return null;
+  }
+};
+
+/**
+ * Dump every model to <dir>/<Model>.ndjson from one consistent snapshot
+ * @param {string} dir - Staging directory
+ * @returns {Promise<Object>} - { [model]: { count, fields } } for the manifest
+ */
+async function dumpDatabase(dir) {
+  return prisma.$transaction(async (tx) => {
+    const models = {};
+
+    for (const model of dataModels()) {
+      const output = fs.createWriteStream(path.join(dir, `${model.name}.ndjson`));
+      let count = 0;
+
+      for (let skip = 0; ; skip += DUMP_BATCH_SIZE) {
+        const rows = await tx[delegateName(model.name)].findMany({
+          orderBy: primaryKeyOrder(model),
+          skip,
+          take: DUMP_BATCH_SIZE
+        });
+
+        for (const row of rows) {
+          if (!output.write(`${JSON.stringify(row, jsonReplacer)}\n`)) {
+            await once(output, 'drain');
+          }
+        }
+
+        count += rows.length;
+        if (rows.length < DUMP_BATCH_SIZE) break;
+      }
+
+      output.end();
+      await once(output, 'finish');
+      models[model.name] = { count, fields: describeFields(model) };
+    }
+
+    return models;
+  }, {
+    isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead,
+    maxWait: 10000,
+    timeout: TRANSACTION_TIMEOUT_MS
+  });
+}
+
+/**
+ * Build the archive for a PENDING backup row and mark it COMPLETED or FAILED
+ * @param {Object} backup - Backup row
+ * @returns {Promise<Object>} - Updated backup row
+ */
+async function runBackup(backup) {
+  const stagingDir = path.join(BACKUP_DIR, `.tmp-${backup.id}`);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const fileName = `backup-${stamp}-${backup.type.toLowerCase()}-${backup.id}.tar.gz`;
+  const filePath = path.join(stagingDir, fileName);
+  const storage = getBackupStorage();
+
+  await prisma.backup.update({
+    where: { id: backup.id },
+    data: { status: 'RUNNING', startedAt: new Date(), ...claimedBy() }
+  });
+  const stopHeartbeat = startHeartbeat(prisma.backup, backup.id);
+
+  try {
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      backupId: backup.id,
+      type: backup.type,
+      createdAt: new Date().toISOString(),
+      migration: await latestMigration(),
+      models: {},
+      uploads: null
+    };
+
+    if (backup.type !== 'UPLOADS') {
+      manifest.models = await dumpDatabase(stagingDir);
+    }
+
+    const uploads = backup.type !== 'DATABASE' ? await listUploads() : [];
+    if (backup.type !== 'DATABASE') {
+      manifest.uploads = {
+        files: uploads.length,
+        bytes: uploads.reduce((sum, file) => sum + file.size, 0)
+      };
+    }
+
+    const writer = new TarWriter(filePath);
+    await writer.addBuffer('manifest.json', JSON.stringify(manifest, null, 2));
+    for (const modelName of Object.keys(manifest.models)) {
+      await writer.addFile(`database/${modelName}.ndjson`, path.join(stagingDir, `${modelName}.ndjson`));
+    }
+    for (const file of uploads) {
+      const stream = await getStorage().get(file.key);
+      if (!stream) {
+        throw new Error(`Upload ${file.key} was deleted while the backup ran`);
+      }
+      await writer.addStream(`uploads/${file.key}`, stream, file.size, file.lastModified);
+    }
+    await writer.finish();
+
+    const [stats, checksum] = await Promise.all([
+      fs.promises.stat(filePath),
+      hashFile(filePath)
+    ]);
+
+    await storage.put(fileName, fs.createReadStream(filePath), { contentType: ARCHIVE_CONTENT_TYPE, size: stats.size });
+
+    const { models, ...summary } = manifest;
+    const completed = await prisma.backup.update({
+      where: { id: backup.id },
+      data: {
+        status: 'COMPLETED',
+        fileName,
+        sizeBytes: BigInt(stats.size),
+        checksum,
+        manifest: {
+          ...summary,
+          models: Object.fromEntries(Object.entries(models).map(([name, info]) => [name, info.count]))
+        },
+        completedAt: new Date()
+      }
+    });
+
+    logger.info(`Backup completed: ${fileName} (${stats.size} bytes)`);
+    return completed;
+  } catch (error) {
+    logger.error(`Backup ${backup.id} failed:`, error);
+    await storage.delete(fileName).catch(() => {});
+
+    return prisma.backup.update({
+      where: { id: backup.id },
+      data: { status: 'FAILED', error: error.message, completedAt: new Date() }
+    });
+  } finally {
+    stopHeartbeat();
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Queue a backup and build it in the background. Only one backup runs at a time.
+ * @param {Object} options
+ * @param {string} options.type - FULL | DATABASE | UPLOADS
+ * @param {string} options.trigger - manual | scheduled
+ * @param {string} options.userId - Admin who asked for it
+ * @returns {Promise<{backup?: Object, running?: Object}>} - `running` if one is already in progress
+ */
+async function startBackup({ type = 'FULL', trigger = 'manual', userId } = {}) {
+  await failInterruptedBackups();
+
+  const { backup, running } = await createBackupUnlessBusy({ type, trigger, createdBy: userId });
+  if (running) {
+    return { running };
+  }
+
+  runBackup(backup)
+    .then(() => pruneBackups())
+    .catch(error => logger.error(`Backup ${backup.id} could not be finished:`, error));
+
+  return { backup };
+}
+
+/**
+ * Create a PENDING backup row unless a backup or restore is in progress.
+ * A restore claims its lock before it checks for backups, and the row is
+ * created here before checking for restores, so when both start at once
+ * at least one of them sees the other.
+ * @param {Object} data - Backup fields
+ * @returns {Promise<{backup?: Object, running?: Object}>}
+ */
+async function createBackupUnlessBusy(data) {
+  const running = await prisma.backup.findFirst({
+    where: { status: { in: ['PENDING', 'RUNNING'] } }
+  });
+  if (running || await isRestoring()) {
+    return { running: running || { status: 'RESTORING' } };
+  }
+
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+
+  const backup = await prisma.backup.create({
+    data: { ...data, ...claimedBy() }
+  });
+
+  if (await isRestoring()) {
+    await prisma.backup.delete({ where: { id: backup.id } });
+    return { running: { status: 'RESTORING' } };
+  }
+
+  return { backup };
+}
+
+/**
+ * Build a backup and wait for it, for the nightly cron
+ * @returns {Promise<Object|null>} - The finished backup, or null if another one was running
+ */
+async function runScheduledBackup(type = 'FULL') {
+  await failInterruptedBackups();
+
+  const { backup } = await createBackupUnlessBusy({ type, trigger: 'scheduled' });
+  if (!backup) return null;
+
+  const finished = await runBackup(backup);
+  await pruneBackups();
+  return finished;
+}
+
+/**
+ * Remove a backup row and its archive
+ */
+async function deleteBackup(backup) {
+  if (backup.fileName) {
+    await getBackupStorage().delete(backup.fileName);
+  }
+  await prisma.backup.delete({ where: { id: backup.id } });
+}
+
+/**
+ * Keep the newest BACKUP_RETAIN completed backups and a week of failed ones
+ * @returns {Promise<number>} - Backups removed
+ */
+async function pruneBackups() {
+  const failedBefore = new Date();
+  failedBefore.setDate(failedBefore.getDate() - FAILED_RETENTION_DAYS);
+
+  const [expired, failed] = await Promise.all([
+    prisma.backup.findMany({
+      where: { status: 'COMPLETED' },
+      orderBy: { createdAt: 'desc' },
+      skip: BACKUP_RETAIN
+    }),
+    prisma.backup.findMany({
+      where: { status: 'FAILED', createdAt: { lt: failedBefore } }
+    })
+  ]);
+
+  for (const backup of [...expired, ...failed]) {
+    await deleteBackup(backup);
+  }
+
+  if (expired.length + failed.length > 0) {
+    logger.info(`Backup retention: ${expired.length + failed.length} old backups removed`);
+  }
+  return expired.length + failed.length;
+}
+
+/**
+ * Fail backups whose instance stopped or restarted (see interruptedJobsWhere).
+ * Also runs before each new backup, so a job left behind by a dead instance
+ * does not block backups until something restarts.
+ * @param {Object} options
+ * @param {boolean} options.restarted - Called at startup of this process
+ * @returns {Promise<number>}
+ */
+async function failInterruptedBackups({ restarted = false } = {}) {
+  const result = await prisma.backup.updateMany({
+    where: interruptedJobsWhere({ restarted }),
+    data: { status: 'FAILED', error: 'Interrupted: the server running it stopped or restarted', completedAt: new Date() }
+  });
+  return result.count;
+}
+
+// Compare archived model fields with the current Prisma schema
+function checkSchema(archivedModels, report) {
+  const current = new Map(dataModels().map(model => [model.name, model]));
+
+  for (const [name, info] of Object.entries(archivedModels)) {
+    const model = current.get(name);
+    if (!model) {
+      report.errors.push(`Model ${name} no longer exists or is never restored`);
+      continue;
+    }
+
+    const fields = new Map(scalarFields(model).map(field => [field.name, field]));
+    const archived = new Set(info.fields.map(field => field.name));
+
+    for (const field of info.fields) {
+      const currentField = fields.get(field.name);
+      if (!currentField) {
+        report.warnings.push(`${name}.${field.name} no longer exists and will be skipped`);
+      } else if (currentField.type !== field.type) {
+        report.errors.push(`${name}.${field.name} changed type from ${field.type} to ${currentField.type}`);
+      }
+    }
+
+    for (const field of fields.values()) {
+      if (!archived.has(field.name) && field.isRequired && !field.hasDefaultValue && !field.isUpdatedAt) {
+        report.errors.push(`${name}.${field.name} is required but missing from the backup`);
+      }
+    }
+  }
+
+  if (Object.keys(archivedModels).length > 0) {
+    for (const name of current.keys()) {
+      if (!archivedModels[name]) {
+        report.warnings.push(`${name} is not in the backup and will be left unchanged`);
+      }
+    }
+  }
+}
+
+/**
+ * Read the whole archive without changing anything: manifest, schema
+ * compatibility, row counts, JSON validity and upload paths
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {string} options.checksum - Expected sha256, if known
+ * @returns {Promise<{valid: boolean, errors: Array, warnings: Array, manifest: Object, counts: Object, uploads: number}>}
+ */
+async function inspectArchive(filePath, { checksum } = {}) {
+  const report = { valid: false, errors: [], warnings: [], manifest: null, counts: {}, uploads: 0 };
+
+  if (checksum && await hashFile(filePath) !== checksum) {
+    report.errors.push('Checksum mismatch, the archive was modified or is incomplete');
+    return report;
+  }
+
+  let manifestBuffer = null;
+
+  try {
+    await readTar(filePath, async (entry) => {
+      if (entry.name === 'manifest.json') {
+        if (entry.size > MAX_MANIFEST_BYTES) throw new Error('Manifest is too large');
+        const parts = [];
+        return {
+          data: async (chunk) => { parts.push(chunk); },
+          end: async () => { manifestBuffer = Buffer.concat(parts); }
+        };
+      }
+
+      if (!manifestBuffer) {
+        throw new Error('manifest.json must be the first entry');
+      }
+
+      const table = /^database\/(\w+)\.ndjson$/.exec(entry.name);
+      if (table) {
+        const modelName = table[1];
+        if (report.counts[modelName] !== undefined) {
+          throw new Error(`Duplicate entry: ${entry.name}`);
+        }
+        report.counts[modelName] = 0;
+        return lineSink(async (line) => {
+          JSON.parse(line);
+          report.counts[modelName]++;
+        });
+      }
+
+      if (entry.name.startsWith('uploads/') && entry.type === 'file') {
+        if (!isValidKey(entry.name.slice('uploads/'.length))) {
+          throw new Error(`Unsafe upload path: ${entry.name}`);
+        }
+        report.uploads++;
+        return null;
+      }
+
+      report.warnings.push(`Unexpected entry ignored: ${entry.name}`);
+      return null;
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      report.errors.push(`Invalid JSON in archive: ${error.message}`);
+    } else if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+      report.errors.push(`Not a valid .tar.gz archive: ${error.message}`);
+    } else {
+      report.errors.push(error.message);
+    }
+    return report;
+  }
+
+  if (!manifestBuffer) {
+    report.errors.push('Archive has no manifest.json');
+    return report;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(manifestBuffer.toString('utf8'));
+  } catch (error) {
+    report.errors.push(`Invalid manifest.json: ${error.message}`);
+    return report;
+  }
+
+  const { models: archivedModels = {}, ...manifest } = parsed;
+  report.manifest = manifest;
+
+  if (manifest.format !== ARCHIVE_FORMAT || manifest.version !== ARCHIVE_VERSION) {
+    report.errors.push(`Unsupported archive format ${manifest.format} v${manifest.version}`);
+    return report;
+  }
+
+  for (const [name, info] of Object.entries(archivedModels)) {
+    if (report.counts[name] !== info.count) {
+      report.errors.push(`${name}: manifest lists ${info.count} rows, archive has ${report.counts[name] || 0}`);
+    }
+  }
+  // Only tables the manifest lists are cleared before restoring; checkSchema
+  // rejects listed models that are not current data models
+  for (const name of Object.keys(report.counts)) {
+    if (!archivedModels[name]) {
+      report.errors.push(`database/${name}.ndjson is not listed in the manifest`);
+    }
+  }
+  if (manifest.uploads && manifest.uploads.files !== report.uploads) {
+    report.errors.push(`Manifest lists ${manifest.uploads.files} uploads, archive has ${report.uploads}`);
+  }
+
+  checkSchema(archivedModels, report);
+
+  const migration = await latestMigration();
+  if (manifest.migration && migration && manifest.migration !== migration) {
+    report.warnings.push(`Backup was taken at migration ${manifest.migration}, the database is at ${migration}`);
+  }
+
+  report.valid = report.errors.length === 0;
+  report.archivedModels = archivedModels;
+  return report;
+}
+
+// Archived row -> createMany data for the current schema
+const toRecord = (fields, row) => {
+  const data = {};
+  for (const [key, value] of Object.entries(row)) {
+    const field = fields.get(key);
+    if (!field) continue;
+
+    if (value === null) {
+      // Nullable Json columns default to NULL; a plain null would be rejected
+      if (field.type !== 'Json') data[key] = null;
+    } else if (field.type === 'BigInt') {
+      data[key] = BigInt(value);
+    } else if (field.type === 'Bytes') {
+      data[key] = Buffer.from(value.data || value);
+    } else {
+      data[key] = value;
+    }
+  }
+  return data;
+};
+
+// Replace every archived table inside one transaction
+async function restoreDatabase(filePath, archivedModels) {
+  const current = new Map(dataModels().map(model => [model.name, model]));
+  const counts = {};
+
+  await prisma.$transaction(async (tx) => {
+    // Rows go in table by table, so references are only consistent at the end
+    await tx.$executeRawUnsafe('SET FOREIGN_KEY_CHECKS = 0');
+
+    try {
+      for (const name of Object.keys(archivedModels)) {
+        await tx[delegateName(name)].deleteMany();
+      }
+
+      await readTar(filePath, async (entry) => {
+        const table = /^database\/(\w+)\.ndjson$/.exec(entry.name);
+        if (!table) return null;
+
+        const model = current.get(table[1]);
+        const delegate = tx[delegateName(model.name)];
+        const fields = new Map(scalarFields(model).map(field => [field.name, field]));
+        let batch = [];
+        counts[model.name] = 0;
+
+        const flush = async () => {
+          if (batch.length === 0) return;
+          const result = await delegate.createMany({ data: batch });
+          counts[model.name] += result.count;
+          batch = [];
+        };
+
+        return lineSink(async (line) => {
+          batch.push(toRecord(fields, JSON.parse(line)));
+          if (batch.length >= RESTORE_BATCH_SIZE) await flush();
+        }, flush);
+      });
+    } finally {
+      // The connection goes back to the pool, it must not keep checks disabled
+      await tx.$executeRawUnsafe('SET FOREIGN_KEY_CHECKS = 1').catch(error => {
+        logger.error('Could not re-enable foreign key checks after restore:', error);
+      });
+    }
+  }, {
+    maxWait: 10000,
+    timeout: TRANSACTION_TIMEOUT_MS
+  });
+
+  return counts;
+}
+
+// Write archived uploads back to storage, overwriting files with the same name
+async function restoreUploads(filePath) {
+  const storage = getStorage();
+  let count = 0;
+
+  await readTar(filePath, async (entry) => {
+    if (!entry.name.startsWith('uploads/') || entry.type !== 'file') return null;
+
+    const key = entry.name.slice('uploads/'.length);
+    const body = new PassThrough();
+    const stored = storage.put(key, body, { contentType: contentTypeFor(key), size: entry.size });
+    // Failures surface from data() or end(); this only keeps them from going unhandled meanwhile
+    stored.catch(() => {});
+
+    return {
+      data: async (chunk) => {
+        if (!body.write(chunk)) await Promise.race([once(body, 'drain'), stored]);
+      },
+      end: async () => {
+        body.end();
+        await stored;
+        count++;
+      }
+    };
+  });
+
+  return count;
+}
+
+/**
+ * Validate a backup archive and, unless dryRun, restore it. The database part
+ * replaces the archived tables in one transaction; uploads are written back
+ * afterwards. Backup history itself is never touched. A real restore first
+ * takes the restore lock, so only one runs across all instances and none
+ * starts while a backup is in progress.
+ * @param {Object} backup - COMPLETED Backup row
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only run the archive and schema checks
+ * @param {boolean} options.database - Restore the database part (default true)
+ * @param {boolean} options.uploads - Restore the uploads part (default true)
+ * @returns {Promise<Object>} - Inspection report plus `restored` counts, or
+ *   `{ running: true }` if another backup or restore is in progress
+ */
+async function restoreBackup(backup, options = {}) {
+  if (options.dryRun) {
+    return inspectAndRestore(backup, options);
+  }
+
+  const release = await claimLock(RESTORE_LOCK);
+  if (!release) {
+    return { running: true };
+  }
+
+  try {
+    const running = await prisma.backup.count({
+      where: { status: { in: ['PENDING', 'RUNNING'] } }
+    });
+    if (running > 0) {
+      return { running: true };
+    }
+
+    return await inspectAndRestore(backup, options);
+  } finally {
+    await release();
+  }
+}
+
+// The archive checks and the restore itself, see restoreBackup
+async function inspectAndRestore(backup, { dryRun = false, database = true, uploads = true }) {
+  if (!await getBackupStorage().stat(backup.fileName)) {
+    return { valid: false, errors: ['Backup archive is missing from backup storage'], warnings: [], dryRun };
+  }
+
+  return withLocalArchive(backup, async (filePath) => {
+    const { archivedModels = {}, ...report } = await inspectArchive(filePath, { checksum: backup.checksum });
+
+    if (!report.valid || dryRun) {
+      return { ...report, dryRun };
+    }
+
+    const restored = { models: {}, uploads: 0 };
+
+    if (database && Object.keys(archivedModels).length > 0) {
+      restored.models = await restoreDatabase(filePath, archivedModels);
+    }
+    if (uploads && report.uploads > 0) {
+      restored.uploads = await restoreUploads(filePath);
+    }
+
+    await prisma.backup.update({
+      where: { id: backup.id },
+      data: { restoredAt: new Date() }
+    });
+
+    logger.info(`Backup restored: ${backup.fileName}`);
+    return { ...report, dryRun, restored };
+  });
+}
+
+/**
+ * Register an archive uploaded from elsewhere (e.g. another server) so it
+ * can be restored. Invalid archives are deleted again.
+ * @param {string} tempPath - Where the upload was stored
+ * @param {string} userId
+ * @returns {Promise<{backup: Object|null, report: Object}>}
+ */
+async function importArchive(tempPath, userId) {
+  const { archivedModels, ...report } = await inspectArchive(tempPath);
+
+  if (!report.valid) {
+    await removeFile(tempPath);
+    return { backup: null, report };
+  }
+
+  const [stats, checksum] = await Promise.all([
+    fs.promises.stat(tempPath),
+    hashFile(tempPath)
+  ]);
+
+  const backup = await prisma.backup.create({
+    data: {
+      type: report.manifest.type || 'FULL',
+      status: 'COMPLETED',
+      trigger: 'upload',
+      sizeBytes: BigInt(stats.size),
+      checksum,
+      manifest: { ...report.manifest, models: report.counts },
+      createdBy: userId,
+      completedAt: new Date()
+    }
+  });
+
+  const fileName = `upload-${backup.id}.tar.gz`;
+  try {
+    await getBackupStorage().put(fileName, fs.createReadStream(tempPath), { contentType: ARCHIVE_CONTENT_TYPE, size: stats.size });
+  } catch (error) {
+    await prisma.backup.delete({ where: { id: backup.id } });
+    throw error;
+  } finally {
+    await removeFile(tempPath);
+  }
+
+  return {
+    backup: await prisma.backup.update({ where: { id: backup.id }, data: { fileName } }),
+    report
+  };
+}
+
+/**
+ * Response shape for a Backup row (BigInt is not JSON serializable)
+ */
+const formatBackup = (backup) => ({
+  ...backup,
+  sizeBytes: backup.sizeBytes === null || backup.sizeBytes === undefined ? null : Number(backup.sizeBytes)
+});
+
+module.exports = {
+  BACKUP_DIR,
+  BACKUP_TYPES,
+  openArchive,
+  isRestoring,
+  startBackup,
+  runScheduledBackup,
+  deleteBackup,
+  pruneBackups,
+  failInterruptedBackups,
+  inspectArchive,
+  restoreBackup,
+  importArchive,
+  formatBackup
+};
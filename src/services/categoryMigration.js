@@ -0,0 +1,153 @@
+// src/services/categoryMigration.js
+const prisma = require('../config/database');
+
+// Content tables storing the category name as a plain string
+const CATEGORY_CONTENT = {
+  newsArticles: 'newsArticle',
+  aiArticles: 'aiArticle',
+  timeSaverContent: 'timeSaverContent'
+};
+
+const withTotal = (counts) => ({
+  ...counts,
+  total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+});
+
+/**
+ * Rows filed under a category name, per content table
+ * @param {string} name - Category name (e.g. TECHNOLOGY)
+ * @returns {Promise<{newsArticles, aiArticles, timeSaverContent, total}>}
+ */
+async function countCategoryContent(name, client = prisma) {
+  const entries = await Promise.all(
+    Object.entries(CATEGORY_CONTENT).map(async ([key, model]) => [
+      key,
+      await client[model].count({ where: { category: name } })
+    ])
+  );
+  return withTotal(Object.fromEntries(entries));
+}
+
+// Point every content row from one category name at another
+async function moveCategoryContent(tx, fromName, toName) {
+  const moved = {};
+  for (const [key, model] of Object.entries(CATEGORY_CONTENT)) {
+    const result = await tx[model].updateMany({
+      where: { category: fromName },
+      data: { category: toName }
+    });
+    moved[key] = result.count;
+  }
+  return withTotal(moved);
+}
+
+// Keep the old slug and name resolving to `categoryId`
+const upsertRedirect = (tx, { slug, name }, categoryId) => tx.categoryRedirect.upsert({
+  where: { slug },
+  create: { slug, name, categoryId },
+  update: { name, categoryId }
+});
+
+/**
+ * Rename a category and rewrite the name on all its content in one transaction.
+ * The old slug and name keep working through a redirect.
+ * @param {Object} category - Category row
+ * @param {Object} changes - { name (uppercase), slug, displayName? }
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<{category: Object, moved: Object, dryRun: boolean}>}
+ */
+async function renameCategory(category, { name, slug, displayName }, { dryRun = false } = {}) {
+  if (dryRun) {
+    return {
+      dryRun: true,
+      category: { ...category, name, slug, displayName: displayName || category.displayName },
+      moved: await countCategoryContent(category.name)
+    };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const moved = await moveCategoryContent(tx, category.name, name);
+
+    // The new slug may have been a redirect left by an earlier rename
+    await tx.categoryRedirect.deleteMany({ where: { slug } });
+    if (category.slug !== slug) {
+      await upsertRedirect(tx, category, category.id);
+    }
+
+    const updated = await tx.category.update({
+      where: { id: category.id },
+      data: {
+        name,
+        slug,
+        ...(displayName && { displayName })
+      }
+    });
+
+    return { dryRun: false, category: updated, moved };
+  });
+}
+
+/**
+ * Merge `source` into `target`: content, sub-categories and redirects move
+ * over, the source is deleted and its slug redirects to the target.
+ * @param {Object} source - Category row to remove
+ * @param {Object} target - Category row to keep
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<{moved: Object, subcategories: number, dryRun: boolean}>}
+ */
+async function mergeCategories(source, target, { dryRun = false } = {}) {
+  if (dryRun) {
+    const [moved, subcategories] = await Promise.all([
+      countCategoryContent(source.name),
+      prisma.category.count({ where: { parentId: source.id } })
+    ]);
+    return { dryRun: true, moved, subcategories };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const moved = await moveCategoryContent(tx, source.name, target.name);
+
+    const children = await tx.category.updateMany({
+      where: { parentId: source.id },
+      data: { parentId: target.id }
+    });
+
+    await tx.categoryRedirect.updateMany({
+      where: { categoryId: source.id },
+      data: { categoryId: target.id }
+    });
+    await tx.category.delete({ where: { id: source.id } });
+    await upsertRedirect(tx, source, target.id);
+
+    return { dryRun: false, moved, subcategories: children.count };
+  });
+}
+
+/**
+ * Follow a redirect left by a rename or merge
+ * @param {string} value - Old slug or old name
+ * @returns {Promise<Object|null>} - Redirect with its current category
+ */
+async function resolveCategoryRedirect(value) {
+  if (!value) return null;
+
+  return prisma.categoryRedirect.findFirst({
+    where: {
+      OR: [
+        { slug: String(value).toLowerCase() },
+        { name: String(value).toUpperCase() }
+      ]
+    },
+    include: { category: true },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  countCategoryContent,
+  renameCategory,
+  mergeCategories,
+  resolveCategoryRedirect
+};
@@ -0,0 +1,164 @@
+// src/services/categoryTree.js
+const prisma = require('../config/database');
+
+// Statuses counted as live content on category pages and stats
+const COUNTED_STATUSES = ['PUBLISHED', 'APPROVED'];
+
+const breadcrumbFields = (category) => ({
+  id: category.id,
+  name: category.name,
+  displayName: category.displayName,
+  slug: category.slug
+});
+
+/**
+ * Load every category (the table is small) and index it for tree walks
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Keep inactive categories (default true)
+ * @returns {Promise<{categories: Array, byId: Map, byName: Map, children: Map}>}
+ */
+async function loadCategoryIndex({ includeInactive = true, include } = {}) {
+  const categories = await prisma.category.findMany({
+    where: includeInactive ? {} : { isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { displayName: 'asc' }],
+    ...(include && { include })
+  });
+
+  return indexCategories(categories);
+}
+
+/**
+ * Index an already loaded list of categories
+ * @param {Array<Object>} categories
+ * @returns {{categories: Array, byId: Map, byName: Map, children: Map}}
+ */
+function indexCategories(categories) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const byName = new Map(categories.map(category => [category.name, category]));
+  const children = new Map();
+
+  for (const category of categories) {
+    // Children of a filtered-out parent are shown at the root
+    const parentKey = category.parentId && byId.has(category.parentId) ? category.parentId : null;
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(category);
+  }
+
+  return { categories, byId, byName, children };
+}
+
+/**
+ * Path from the root category down to the given one
+ * @param {Object} index - From loadCategoryIndex
+ * @param {string} name - Category name as stored on content (e.g. CRICKET)
+ * @returns {Array<{id, name, displayName, slug}>}
+ */
+function getBreadcrumbs(index, name) {
+  const trail = [];
+  const seen = new Set();
+  let current = name ? index.byName.get(String(name).toUpperCase()) : null;
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    trail.unshift(breadcrumbFields(current));
+    current = current.parentId ? index.byId.get(current.parentId) : null;
+  }
+
+  return trail;
+}
+
+/**
+ * A category and all categories below it
+ * @param {Object} index - From loadCategoryIndex
+ * @param {string} categoryId
+ * @returns {Array<Object>} - The category first, then descendants depth-first
+ */
+function getDescendants(index, categoryId) {
+  const root = index.byId.get(categoryId);
+  if (!root) return [];
+
+  const result = [];
+  const seen = new Set();
+  const stack = [root];
+
+  while (stack.length > 0) {
+    const category = stack.pop();
+    if (seen.has(category.id)) continue;
+    seen.add(category.id);
+    result.push(category);
+    stack.push(...[...(index.children.get(category.id) || [])].reverse());
+  }
+
+  return result;
+}
+
+/**
+ * Whether moving a category under `parentId` would make it its own ancestor
+ */
+function wouldCreateCycle(index, categoryId, parentId) {
+  return getDescendants(index, categoryId).some(category => category.id === parentId);
+}
+
+/**
+ * Live news article counts keyed by category name
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countArticlesByCategory() {
+  const groups = await prisma.newsArticle.groupBy({
+    by: ['category'],
+    where: { status: { in: COUNTED_STATUSES } },
+    _count: { _all: true }
+  });
+
+  return new Map(groups.map(group => [group.category, group._count._all]));
+}
+
+/**
+ * Nest categories under their parents. Each node gets its own `articleCount`
+ * and `totalArticleCount` including every descendant.
+ * @param {Object} index - From loadCategoryIndex
+ * @param {Map<string, number>} counts - From countArticlesByCategory
+ * @returns {Array<Object>} - Root categories with `children`
+ */
+function buildCategoryTree(index, counts) {
+  const seen = new Set();
+
+  const build = (category, depth) => {
+    seen.add(category.id);
+    const children = (index.children.get(category.id) || [])
+      .filter(child => !seen.has(child.id))
+      .map(child => build(child, depth + 1));
+
+    const articleCount = counts.get(category.name) || 0;
+    return {
+      ...category,
+      depth,
+      articleCount,
+      totalArticleCount: children.reduce((sum, child) => sum + child.totalArticleCount, articleCount),
+      children
+    };
+  };
+
+  return (index.children.get(null) || []).map(category => build(category, 0));
+}
+
+/**
+ * Breadcrumbs for a single category name, for one-off article responses
+ * @param {string} name
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCategoryBreadcrumbs(name) {
+  return getBreadcrumbs(await loadCategoryIndex(), name);
+}
+
+module.exports = {
+  COUNTED_STATUSES,
+  loadCategoryIndex,
+  indexCategories,
+  getBreadcrumbs,
+  getDescendants,
+  wouldCreateCycle,
+  countArticlesByCategory,
+  buildCategoryTree,
+  getCategoryBreadcrumbs
+};
@@ -0,0 +1,215 @@
+// src/services/commentService.js
+const prisma = require('../config/database');
+const { hasPermission } = require('./permissions');
+
+const EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+const DELETE_WINDOW_MINUTES = parseInt(process.env.COMMENT_DELETE_WINDOW_MINUTES) || 24 * 60;
+const MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 5;
+const REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+const REQUIRE_APPROVAL = process.env.COMMENTS_REQUIRE_APPROVAL === 'true';
+
+// Commentable content types: Prisma delegate, Comment column and what counts as readable
+const COMMENT_TARGETS = {
+  news: {
+    model: 'newsArticle',
+    key: 'articleId',
+    visible: () => ({ status: 'PUBLISHED', publishedAt: { lte: new Date() } })
+  },
+  ai: {
+    model: 'aiArticle',
+    key: 'aiArticleId',
+    visible: () => ({ publishedAt: { lte: new Date() } })
+  }
+};
+
+const SORT_ORDERS = {
+  newest: [{ createdAt: 'desc' }],
+  oldest: [{ createdAt: 'asc' }],
+  top: [{ upvoteCount: 'desc' }, { createdAt: 'desc' }]
+};
+
+const authorSelect = {
+  select: { id: true, fullName: true, avatar: true }
+};
+
+const withinWindow = (date, minutes) => Date.now() - new Date(date).getTime() <= minutes * 60 * 1000;
+
+/**
+ * Load a readable article of the given target type
+ * @param {string} type - Key of COMMENT_TARGETS
+ * @param {string} id - Article ID
+ * @returns {Promise<Object|null>} { id, headline } or null when missing or unpublished
+ */
+async function findTarget(type, id) {
+  const target = COMMENT_TARGETS[type];
+  return prisma[target.model].findFirst({
+    where: { id, ...target.visible() },
+    select: { id: true, headline: true }
+  });
+}
+
+/**
+ * Current comment ban of a user, or null when they may comment.
+ * A ban without an expiry is permanent.
+ * @param {string} userId
+ * @returns {Promise<{bannedAt: Date, expiresAt: Date|null, reason: string|null}|null>}
+ */
+async function getCommentBan(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { commentBannedAt: true, commentBanExpiresAt: true, commentBanReason: true }
+  });
+
+  if (!user || !user.commentBannedAt) return null;
+  if (user.commentBanExpiresAt && user.commentBanExpiresAt <= new Date()) return null;
+
+  return {
+    bannedAt: user.commentBannedAt,
+    expiresAt: user.commentBanExpiresAt,
+    reason: user.commentBanReason
+  };
+}
+
+const canEdit = (comment, viewer) => Boolean(
+  viewer &&
+  comment.authorId === viewer.id &&
+  !comment.deletedAt &&
+  comment.status !== 'HIDDEN' &&
+  withinWindow(comment.createdAt, EDIT_WINDOW_MINUTES)
+);
+
+const canDelete = (comment, viewer) => Boolean(
+  viewer &&
+  !comment.deletedAt &&
+  (hasPermission(viewer, 'comment.moderate') ||
+    (comment.authorId === viewer.id && withinWindow(comment.createdAt, DELETE_WINDOW_MINUTES)))
+);
+
+// Deleted and hidden comments keep their place in a thread but not their content
+const removalReason = (comment) => {
+  if (comment.deletedAt) return 'deleted';
+  if (comment.status === 'HIDDEN') return 'moderated';
+  return null;
+};
+
+/**
+ * Shape a comment for readers
+ * @param {Object} comment - Comment with `author` included
+ * @param {Object|null} viewer - req.user
+ * @param {Set<string>} upvotedIds - Comments the viewer has upvoted
+ */
+function formatComment(comment, viewer = null, upvotedIds = new Set()) {
+  const removed = removalReason(comment);
+
+  return {
+    id: comment.id,
+    parentId: comment.parentId,
+    depth: comment.depth,
+    content: removed ? null : comment.content,
+    author: removed ? null : comment.author,
+    removed,
+    pending: comment.status === 'PENDING',
+    upvoteCount: comment.upvoteCount,
+    replyCount: comment.replyCount,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    upvoted: upvotedIds.has(comment.id),
+    canEdit: canEdit(comment, viewer),
+    canDelete: canDelete(comment, viewer),
+    canReply: Boolean(viewer) && !removed && comment.status === 'VISIBLE' && comment.depth < MAX_DEPTH
+  };
+}
+
+// Readers see visible comments and their own comments awaiting approval
+const isReadable = (comment, viewer) => !comment.deletedAt && (
+  comment.status === 'VISIBLE' ||
+  (comment.status === 'PENDING' && viewer && comment.authorId === viewer.id)
+);
+
+/**
+ * One page of top-level comments on an article, each with its full reply
+ * tree (oldest reply first). Removed comments only stay as placeholders
+ * while they still have readable replies.
+ * @param {string} type - Key of COMMENT_TARGETS
+ * @param {string} articleId
+ * @param {Object} options
+ * @param {number} options.skip
+ * @param {number} options.take
+ * @param {string} options.sort - newest|oldest|top
+ * @param {Object|null} options.viewer - req.user
+ * @returns {Promise<{comments: Array<Object>, totalCount: number}>}
+ */
+async function listThreads(type, articleId, { skip = 0, take = 20, sort = 'newest', viewer = null } = {}) {
+  const { key } = COMMENT_TARGETS[type];
+
+  const readableRoot = [{ status: 'VISIBLE', deletedAt: null }, { replyCount: { gt: 0 } }];
+  if (viewer) readableRoot.push({ status: 'PENDING', deletedAt: null, authorId: viewer.id });
+
+  const where = { [key]: articleId, parentId: null, OR: readableRoot };
+
+  const [roots, totalCount] = await Promise.all([
+    prisma.comment.findMany({
+      where,
+      orderBy: SORT_ORDERS[sort] || SORT_ORDERS.newest,
+      skip,
+      take,
+      include: { author: authorSelect }
+    }),
+    prisma.comment.count({ where })
+  ]);
+
+  const replies = roots.length > 0
+    ? await prisma.comment.findMany({
+      where: { rootId: { in: roots.map(root => root.id) } },
+      orderBy: { createdAt: 'asc' },
+      include: { author: authorSelect }
+    })
+    : [];
+
+  const upvotedIds = new Set();
+  if (viewer && roots.length > 0) {
+    const votes = await prisma.commentVote.findMany({
+      where: {
+        userId: viewer.id,
+        commentId: { in: [...roots, ...replies].map(comment => comment.id) }
+      },
+      select: { commentId: true }
+    });
+    votes.forEach(vote => upvotedIds.add(vote.commentId));
+  }
+
+  const childrenOf = new Map();
+  replies.forEach(reply => {
+    if (!childrenOf.has(reply.parentId)) childrenOf.set(reply.parentId, []);
+    childrenOf.get(reply.parentId).push(reply);
+  });
+
+  const buildReplies = (parentId) => (childrenOf.get(parentId) || []).reduce((list, reply) => {
+    const nested = buildReplies(reply.id);
+    if (isReadable(reply, viewer) || nested.length > 0) {
+      list.push({ ...formatComment(reply, viewer, upvotedIds), replies: nested });
+    }
+    return list;
+  }, []);
+
+  return {
+    comments: roots.map(root => ({ ...formatComment(root, viewer, upvotedIds), replies: buildReplies(root.id) })),
+    totalCount
+  };
+}
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  DELETE_WINDOW_MINUTES,
+  MAX_DEPTH,
+  REPORT_THRESHOLD,
+  REQUIRE_APPROVAL,
+  COMMENT_TARGETS,
+  authorSelect,
+  findTarget,
+  getCommentBan,
+  canEdit,
+  canDelete,
+  formatComment,
+  listThreads
+};
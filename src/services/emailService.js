@@ -1,6 +1,7 @@
 // src/services/emailService.js
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/snippets');
 
 class EmailService {
   constructor() {
@@ -158,6 +159,166 @@ class EmailService {
       return { success: false };
     }
   }
+
+  async sendSavedSearchAlertEmail(email, fullName, savedSearch, results, totalCount) {
+    if (!this.transporter) {
+      logger.info(`Saved search alert email not sent to ${email} - Development mode`);
+      return { success: true, messageId: 'development-mode' };
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const escape = (text) => escapeHtml(text || '');
+
+    const items = results.slice(0, 10).map(result => `
+                <div class="result-item">
+                  <a href="${frontendUrl}/${result.type === 'news' ? 'articles' : result.type === 'ai' ? 'ai-ml' : 'time-saver'}/${escape(result.slug || result.id)}">${escape(result.title)}</a>
+                  <p>${escape(result.summary || '')}</p>
+                </div>`).join('');
+
+    const mailOptions = {
+      from: `"Lines Platform" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `${totalCount} new result${totalCount === 1 ? '' : 's'} for "${savedSearch.name}"`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .container { background: #f7fafc; padding: 30px; border-radius: 10px; }
+            .result-item { background: white; padding: 15px; margin: 10px 0; border-radius: 8px; }
+            .result-item a { color: #667eea; font-weight: bold; text-decoration: none; }
+            .footer { margin-top: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h2>Hi ${escape(fullName || 'there')},</h2>
+            <p>${totalCount} new item${totalCount === 1 ? '' : 's'} matched your saved search <strong>${escape(savedSearch.name)}</strong>.</p>
+            ${items}
+            <div class="footer">
+              <p>You can change or turn off this alert from your saved searches.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info(`Saved search alert email sent to ${email}: ${info.messageId}`);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error('Error sending saved search alert email:', error);
+      return { success: false };
+    }
+  }
+
+  async sendReportEmail(recipients, report, attachment) {
+    if (!this.transporter) {
+      logger.info(`Report email "${report.title}" not sent to ${recipients.join(', ')} - Development mode`);
+      return { success: true, messageId: 'development-mode' };
+    }
+
+    const escape = (text) => escapeHtml(String(text ?? ''));
+
+    const summary = report.summary.map(([metric, value]) => `
+                <tr><td>${escape(metric)}</td><td class="value">${escape(typeof value === 'number' ? value.toLocaleString('en-US') : value)}</td></tr>`).join('');
+
+    const mailOptions = {
+      from: `"Lines Platform" <${process.env.SMTP_USER}>`,
+      to: recipients.join(', '),
+      subject: `${report.title}: ${report.period}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .container { background: #f7fafc; padding: 30px; border-radius: 10px; }
+            table { width: 100%; border-collapse: collapse; background: white; border-radius: 8px; }
+            td { padding: 8px 12px; border-bottom: 1px solid #e2e8f0; }
+            td.value { text-align: right; font-weight: bold; }
+            .footer { margin-top: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h2>${escape(report.title)}</h2>
+            <p>${escape(report.period)}</p>
+            <table>${summary}
+            </table>
+            <p>The full report is attached.</p>
+            <div class="footer">
+              <p>You receive this because you are on the "${escape(report.scheduleName)}" report schedule.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      attachments: [attachment]
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info(`Report email sent to ${recipients.length} recipient(s): ${info.messageId}`);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error('Error sending report email:', error);
+      return { success: false };
+    }
+  }
+
+  async sendAccountLockedEmail(email, fullName, { lockedUntil, attempts, ipAddress }) {
+    if (!this.transporter) {
+      logger.info(`Account locked email not sent to ${email} (locked until ${lockedUntil.toISOString()}) - Development mode`);
+      return { success: true, messageId: 'development-mode' };
+    }
+
+    const escape = (text) => escapeHtml(String(text ?? ''));
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    const mailOptions = {
+      from: `"Lines Platform" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Your account has been temporarily locked',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .container { background: #f7fafc; padding: 30px; border-radius: 10px; }
+            .notice { background: white; padding: 20px; border-left: 4px solid #e53e3e; border-radius: 8px; }
+            .footer { margin-top: 20px; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h2>Hi ${escape(fullName || 'there')},</h2>
+            <div class="notice">
+              <p>After ${escape(attempts)} failed sign-in attempts${ipAddress ? ` (last one from ${escape(ipAddress)})` : ''}, your account has been locked until <strong>${escape(lockedUntil.toUTCString())}</strong>.</p>
+            </div>
+            <p>If this was you, wait until then and try again. If it was not, someone may be guessing your password: once you can sign in, change it, or reset it now from <a href="${frontendUrl}">the sign-in page</a>.</p>
+            <div class="footer">
+              <p>The Lines Team</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info(`Account locked email sent to ${email}: ${info.messageId}`);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error('Error sending account locked email:', error);
+      return { success: false };
+    }
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,248 @@
+// src/services/eventStream.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getPubSub } = require('./pubsub');
+
+// Every process publishes to and listens on the same topic,
+// then fans out locally to the clients connected to it
+const STREAM_TOPIC = 'daily-news:stream';
+
+const CHANNELS = {
+  BREAKING_NEWS: 'breaking-news',
+  ARTICLES: 'articles'
+};
+
+const PUBLIC_CHANNELS = Object.values(CHANNELS);
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000;
+const REPLAY_BUFFER_SIZE = parseInt(process.env.STREAM_REPLAY_SIZE) || 500;
+const REPLAY_MAX_AGE_MS = 15 * 60 * 1000;
+const RECONNECT_DELAY_MS = 5000;
+
+const clients = new Set();
+const replayBuffer = [];
+let heartbeatTimer = null;
+let subscription = null;
+
+const userChannel = (userId) => `user:${userId}`;
+
+// IDs lead with the publish time so a client whose last ID has already
+// left the buffer can still be told it missed events
+const createEventId = () => `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+const eventTime = (id) => parseInt(String(id).split('-')[0], 10) || 0;
+
+function writeEvent(res, { id, event, data }) {
+  let frame = '';
+  if (id) {
+    frame += `id: ${id}\n`;
+  }
+  frame += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+
+  // compression() holds output back until flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+function trimReplayBuffer() {
+  const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+  while (
+    replayBuffer.length > REPLAY_BUFFER_SIZE ||
+    (replayBuffer.length > 0 && eventTime(replayBuffer[0].id) < cutoff)
+  ) {
+    replayBuffer.shift();
+  }
+}
+
+function deliver(message) {
+  replayBuffer.push(message);
+  trimReplayBuffer();
+
+  for (const client of clients) {
+    if (client.channels.has(message.channel)) {
+      writeEvent(client.res, message);
+    }
+  }
+}
+
+function ensureSubscribed() {
+  if (!subscription) {
+    subscription = getPubSub()
+      .subscribe(STREAM_TOPIC, deliver)
+      .catch(error => {
+        subscription = null;
+        throw error;
+      });
+  }
+  return subscription;
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) {
+    return;
+  }
+
+  // Comment lines keep proxies from closing idle connections
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(`: heartbeat ${Date.now()}\n\n`);
+      if (typeof client.res.flush === 'function') {
+        client.res.flush();
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Events a reconnecting client missed since lastEventId
+ * @returns {{events: Array<Object>, complete: boolean}} - complete is false
+ *          when the buffer no longer reaches back to lastEventId
+ */
+function getMissedEvents(lastEventId, channels) {
+  const index = replayBuffer.findIndex(message => message.id === lastEventId);
+  let missed;
+  let complete = true;
+
+  if (index !== -1) {
+    missed = replayBuffer.slice(index + 1);
+  } else {
+    const since = eventTime(lastEventId);
+    missed = replayBuffer.filter(message => eventTime(message.id) > since);
+    complete = replayBuffer.length > 0 && eventTime(replayBuffer[0].id) <= since;
+  }
+
+  return {
+    events: missed.filter(message => channels.has(message.channel)),
+    complete
+  };
+}
+
+/**
+ * Publish an event to every process and every client subscribed to the channel.
+ * Never throws: a failed push must not fail the write that triggered it.
+ * @param {string} channel - Public channel name or userChannel(userId)
+ * @param {string} event - Event name sent to the client
+ * @param {Object} data - JSON payload
+ */
+async function publishEvent(channel, event, data) {
+  try {
+    await ensureSubscribed();
+    await getPubSub().publish(STREAM_TOPIC, {
+      id: createEventId(),
+      channel,
+      event,
+      // Serialise up front so every adapter delivers the same shape
+      data: JSON.parse(JSON.stringify(data))
+    });
+  } catch (error) {
+    logger.error(`Stream publish error (${channel}/${event}):`, error);
+  }
+}
+
+/**
+ * Turn the response into an SSE stream
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.userId - Adds the user's private channel (optional)
+ * @param {Array<string>} options.channels - Public channels to join
+ */
+async function openStream(req, res, { userId = null, channels = PUBLIC_CHANNELS } = {}) {
+  await ensureSubscribed();
+
+  const client = {
+    res,
+    userId,
+    channels: new Set(channels)
+  };
+  if (userId) {
+    client.channels.add(userChannel(userId));
+  }
+
+  req.socket.setKeepAlive(true);
+  req.socket.setTimeout(0);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  writeEvent(res, {
+    event: 'connected',
+    data: { channels: Array.from(client.channels) }
+  });
+
+  // EventSource sends the header itself, the query param covers manual reconnects
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = getMissedEvents(lastEventId, client.channels);
+    events.forEach(message => writeEvent(res, message));
+
+    if (!complete) {
+      // Too long offline, the client should refetch instead of trusting the replay
+      writeEvent(res, {
+        event: 'resync',
+        data: { reason: 'Replay window exceeded' }
+      });
+    }
+  }
+
+  clients.add(client);
+  startHeartbeat();
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0) {
+      stopHeartbeat();
+    }
+  });
+}
+
+/**
+ * End every open stream (used on shutdown so server.close() can finish)
+ */
+function closeAllStreams() {
+  stopHeartbeat();
+  for (const client of clients) {
+    client.res.end();
+  }
+  clients.clear();
+}
+
+function getStreamStats() {
+  const users = new Set();
+  for (const client of clients) {
+    if (client.userId) {
+      users.add(client.userId);
+    }
+  }
+
+  return {
+    connections: clients.size,
+    users: users.size,
+    bufferedEvents: replayBuffer.length
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  PUBLIC_CHANNELS,
+  userChannel,
+  publishEvent,
+  openStream,
+  closeAllStreams,
+  getStreamStats
+};
@@ -0,0 +1,173 @@
+// src/services/imageVariants.js
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { getStorage, readUpload } = require('./storage');
+
+// name:WIDTHxHEIGHT crops to that box, name:WIDTH keeps the aspect ratio
+const DEFAULT_VARIANTS = 'thumb:150x150,card:640,hero:1600';
+
+const WEBP_QUALITY = parseInt(process.env.WEBP_QUALITY) || 80;
+
+// Resized copies keep the original's format as a fallback next to the WebP
+const FALLBACK_FORMATS = {
+  jpeg: 'jpeg',
+  png: 'png',
+  gif: 'png'
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Variants are stored as `<original key>@<variant>.<ext>`; `full` is the full-size WebP
+const FULL_SIZE = 'full';
+const VARIANT_FILE = /@[a-z0-9]+\.(webp|jpg|png)$/i;
+
+/**
+ * Parse a variant spec such as "thumb:150x150,card:640"
+ * @param {string} spec
+ * @returns {Array<{name: string, width: number, height: number|null}>}
+ */
+function parseVariants(spec) {
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^([a-z0-9]+):(\d+)(?:x(\d+))?$/i);
+    if (!match || match[1].toLowerCase() === FULL_SIZE) {
+      throw new Error(`Invalid image variant "${entry}", expected name:WIDTH or name:WIDTHxHEIGHT`);
+    }
+    return {
+      name: match[1].toLowerCase(),
+      width: parseInt(match[2]),
+      height: match[3] ? parseInt(match[3]) : null
+    };
+  });
+}
+
+let IMAGE_VARIANTS;
+try {
+  IMAGE_VARIANTS = parseVariants(process.env.IMAGE_VARIANTS || DEFAULT_VARIANTS);
+} catch (error) {
+  logger.error(`${error.message}; using the default variants`);
+  IMAGE_VARIANTS = parseVariants(DEFAULT_VARIANTS);
+}
+
+// Storage key without its extension, directories included
+const keyBase = (key) => key.slice(0, key.length - path.posix.extname(key).length);
+
+const isVariantFile = (filename) => VARIANT_FILE.test(filename);
+
+const variantKey = (key, name, format) => `${keyBase(key)}@${name}.${EXTENSIONS[format]}`;
+
+const uploadUrl = (key) => `/uploads/${key}`;
+
+// Width and height as displayed, after EXIF rotation
+const orientedSize = ({ width, height, orientation }) => (orientation >= 5
+  ? { width: height, height: width }
+  : { width, height });
+
+async function writeVariant(source, key, { name, width, height }, format) {
+  let pipeline = sharp(source).rotate();
+
+  if (width) {
+    pipeline = pipeline.resize({
+      width,
+      height: height || undefined,
+      fit: height ? 'cover' : 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  pipeline = format === 'webp'
+    ? pipeline.webp({ quality: WEBP_QUALITY })
+    : pipeline.toFormat(format);
+
+  const outputKey = variantKey(key, name, format);
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  await getStorage().put(outputKey, data, { contentType: CONTENT_TYPES[format] });
+
+  return { key: outputKey, url: uploadUrl(outputKey), width: info.width, height: info.height, size: info.size };
+}
+
+const srcsetFor = (entries) => [...new Map(entries.map(entry => [entry.width, entry])).values()]
+  .sort((a, b) => a.width - b.width)
+  .map(entry => `${entry.url} ${entry.width}w`)
+  .join(', ');
+
+/**
+ * Resize an uploaded image into every configured variant, each as WebP plus
+ * a copy in the original's format, and a full-size WebP of the original.
+ * Images are never enlarged. Throws if the file is not a readable image.
+ * @param {string} key - Storage key of the original
+ * @param {Array<Object>} variants - Defaults to IMAGE_VARIANTS
+ * @param {Buffer} content - The original, when already in memory
+ * @returns {Promise<Object>} - Dimensions, variant URLs and srcset strings
+ */
+async function createImageVariants(key, variants = IMAGE_VARIANTS, content = null) {
+  const source = content || await readUpload(key);
+  if (!source) {
+    throw new Error(`Upload not found: ${key}`);
+  }
+
+  const metadata = await sharp(source).metadata();
+  const { width, height } = orientedSize(metadata);
+  const fallback = FALLBACK_FORMATS[metadata.format];
+
+  const original = { url: uploadUrl(key), width, height };
+  const fullWebp = metadata.format === 'webp'
+    ? original
+    : await writeVariant(source, key, { name: FULL_SIZE }, 'webp');
+
+  const result = {};
+  for (const variant of variants) {
+    const webp = await writeVariant(source, key, variant, 'webp');
+    const copy = fallback ? await writeVariant(source, key, variant, fallback) : webp;
+
+    result[variant.name] = {
+      width: copy.width,
+      height: copy.height,
+      url: copy.url,
+      webpUrl: webp.url,
+      cropped: Boolean(variant.height)
+    };
+  }
+
+  // Only variants that keep the aspect ratio can stand in for the original in a srcset
+  const responsive = Object.values(result).filter(variant => !variant.cropped);
+
+  return {
+    width,
+    height,
+    format: metadata.format,
+    webpUrl: fullWebp.url,
+    variants: result,
+    srcset: {
+      webp: srcsetFor([...responsive.map(variant => ({ url: variant.webpUrl, width: variant.width })), fullWebp]),
+      original: srcsetFor([...responsive, original])
+    }
+  };
+}
+
+/**
+ * Delete every variant of an uploaded image
+ * @param {string} key - Storage key of the original
+ * @returns {Promise<number>} - Files removed
+ */
+async function removeImageVariants(key) {
+  const storage = getStorage();
+  const variants = [];
+
+  for await (const object of storage.list(`${keyBase(key)}@`)) {
+    if (isVariantFile(object.key)) variants.push(object.key);
+  }
+  await Promise.all(variants.map(variant => storage.delete(variant)));
+
+  return variants.length;
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  parseVariants,
+  isVariantFile,
+  createImageVariants,
+  removeImageVariants
+};
@@ -0,0 +1,121 @@
+// src/services/jobHeartbeat.js
+const os = require('os');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+// Names this process on the background jobs it runs. Set INSTANCE_ID to a
+// name that survives restarts so a restarted instance fails its own
+// unfinished jobs at once instead of when they go stale.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 30 * 1000;
+
+// A job whose instance missed this many heartbeats is taken to be dead
+const STALE_AFTER_MS = HEARTBEAT_INTERVAL_MS * 4;
+
+// Locks this instance took before a restart are no longer held
+const STARTED_AT = new Date();
+
+/**
+ * Fields that mark a job row as run by this process, for create/update data
+ * @returns {{owner: string, heartbeatAt: Date}}
+ */
+const claimedBy = () => ({ owner: INSTANCE_ID, heartbeatAt: new Date() });
+
+/**
+ * Keep a job's heartbeatAt fresh while it runs
+ * @param {Object} delegate - Prisma delegate of the job model, e.g. prisma.backup
+ * @param {string} id - Job ID
+ * @returns {Function} - Stops the heartbeat
+ */
+function startHeartbeat(delegate, id) {
+  const timer = setInterval(() => {
+    delegate.update({ where: { id }, data: { heartbeatAt: new Date() } })
+      .catch(error => logger.warn(`Heartbeat for job ${id} failed: ${error.message}`));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // A running job alone must not keep the process alive
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Prisma `where` for PENDING/RUNNING jobs that can no longer finish: their
+ * instance stopped sending heartbeats, or, right after a restart, they
+ * belong to this instance. Other instances' live jobs are left alone.
+ * @param {Object} options
+ * @param {boolean} options.restarted - This process just started
+ * @returns {Object}
+ */
+function interruptedJobsWhere({ restarted = false } = {}) {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+
+  return {
+    status: { in: ['PENDING', 'RUNNING'] },
+    OR: [
+      { heartbeatAt: { lt: staleBefore } },
+      // Jobs queued before heartbeats existed
+      { heartbeatAt: null, createdAt: { lt: staleBefore } },
+      ...(restarted ? [{ owner: INSTANCE_ID }] : [])
+    ]
+  };
+}
+
+// Lock rows that no live process holds: stale, or left by this instance before it restarted
+const deadLockWhere = (name) => ({
+  id: name,
+  OR: [
+    { heartbeatAt: { lt: new Date(Date.now() - STALE_AFTER_MS) } },
+    { owner: INSTANCE_ID, heartbeatAt: { lt: STARTED_AT } }
+  ]
+});
+
+/**
+ * Take a cluster-wide lock. Creating the row is the claim, so of several
+ * instances asking at once exactly one gets it; a lock whose holder
+ * stopped sending heartbeats is taken over.
+ * @param {string} name - Lock name, e.g. 'backup-restore'
+ * @returns {Promise<Function|null>} - Releases the lock, or null if it is held elsewhere
+ */
+async function claimLock(name) {
+  await prisma.jobLock.deleteMany({ where: deadLockWhere(name) });
+
+  try {
+    await prisma.jobLock.create({ data: { id: name, ...claimedBy() } });
+  } catch (error) {
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  const stopHeartbeat = startHeartbeat(prisma.jobLock, name);
+
+  return async () => {
+    stopHeartbeat();
+    await prisma.jobLock.deleteMany({ where: { id: name, owner: INSTANCE_ID } });
+  };
+}
+
+/**
+ * Whether a live process holds a lock
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function isLocked(name) {
+  const lock = await prisma.jobLock.findUnique({ where: { id: name } });
+  if (!lock) return false;
+
+  const restarted = lock.owner === INSTANCE_ID && lock.heartbeatAt < STARTED_AT;
+  return !restarted && lock.heartbeatAt >= new Date(Date.now() - STALE_AFTER_MS);
+}
+
+module.exports = {
+  INSTANCE_ID,
+  HEARTBEAT_INTERVAL_MS,
+  STALE_AFTER_MS,
+  claimedBy,
+  startHeartbeat,
+  interruptedJobsWhere,
+  claimLock,
+  isLocked
+};
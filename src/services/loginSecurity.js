@@ -0,0 +1,216 @@
+// src/services/loginSecurity.js
+const crypto = require('crypto');
+const net = require('net');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const { notifyNewLogin } = require('../utils/notifications');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+const MAX_USER_AGENT_LENGTH = 500;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Lock length for the nth consecutive lockout (1-based): the base length,
+ * doubled each time, up to the maximum
+ * @param {number} lockoutNumber
+ * @returns {number} Minutes
+ */
+const lockoutMinutes = (lockoutNumber) => Math.min(
+  LOCKOUT_BASE_MINUTES * 2 ** (lockoutNumber - 1),
+  LOCKOUT_MAX_MINUTES
+);
+
+/**
+ * When a user's current lockout ends, or null when they may log in
+ * @param {Object} user - Needs lockedUntil
+ * @returns {Date|null}
+ */
+const activeLockout = (user) => (user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null);
+
+/**
+ * Count a failed password or second-factor check. Reaching the threshold
+ * locks the account, progressively longer for each lockout in a row, and
+ * emails the owner.
+ * @param {Object} user - id, email, fullName
+ * @param {Object} req - Express request, for the IP in the notice
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date}>}
+ */
+async function recordFailedLogin(user, req) {
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: new Date()
+    },
+    select: { failedLoginAttempts: true, lockoutCount: true }
+  });
+
+  if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return { locked: false };
+  }
+
+  const lockoutCount = updated.lockoutCount + 1;
+  const minutes = lockoutMinutes(lockoutCount);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockoutCount,
+      lockedUntil
+    }
+  });
+
+  logger.warn(`Account locked for ${minutes} minutes after ${updated.failedLoginAttempts} failed logins: ${user.email} (lockout #${lockoutCount})`);
+
+  emailService.sendAccountLockedEmail(user.email, user.fullName, {
+    lockedUntil,
+    attempts: updated.failedLoginAttempts,
+    ipAddress: req?.ip
+  }).catch(err => {
+    logger.error('Failed to send account locked email:', err);
+  });
+
+  return { locked: true, lockedUntil };
+}
+
+// Field values that clear failed attempts and any lockout (after a successful
+// login or an admin unlock)
+const clearedLockout = () => ({
+  failedLoginAttempts: 0,
+  lockoutCount: 0,
+  lockedUntil: null
+});
+
+/**
+ * Short human-readable device name, e.g. "Chrome on Windows"
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return userAgent.substring(0, 60);
+  return [browser ? browser[0] : 'Browser', platform ? `on ${platform[0]}` : null].filter(Boolean).join(' ');
+}
+
+// Version numbers change with every browser update; leave them out so an
+// update is not a new device
+const deviceFingerprint = (userAgent) => crypto.createHash('sha256')
+  .update((userAgent || '').toLowerCase().replace(/[\d._]+/g, ''))
+  .digest('hex');
+
+/**
+ * Coarse network of an IP, standing in for location: /24 for IPv4, /48 for IPv6
+ * @param {string|null} ip
+ * @returns {string}
+ */
+function ipNetwork(ip) {
+  if (!ip) return 'unknown';
+
+  const address = ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts]
+      : headParts;
+
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+
+  return address;
+}
+
+/**
+ * Remember the device and network of a successful login. When the user has
+ * signed in before but never from this device or network, they get a
+ * SECURITY_ALERT notification.
+ * @param {Object} user - id, email
+ * @param {Object} req - Express request
+ * @param {string} [sessionId] - Session started by this login
+ * @returns {Promise<{newDevice: boolean, newLocation: boolean}>}
+ */
+async function checkLoginDevice(user, req, sessionId) {
+  try {
+    const rawUserAgent = req?.get ? req.get('User-Agent') : undefined;
+    const userAgent = rawUserAgent ? rawUserAgent.substring(0, MAX_USER_AGENT_LENGTH) : null;
+    const ipAddress = req?.ip || null;
+    const fingerprint = deviceFingerprint(userAgent);
+    const network = ipNetwork(ipAddress);
+
+    const known = await prisma.knownDevice.findMany({
+      where: { userId: user.id },
+      select: { fingerprint: true, ipNetwork: true }
+    });
+
+    const newDevice = !known.some(device => device.fingerprint === fingerprint);
+    const newLocation = !known.some(device => device.ipNetwork === network);
+
+    await prisma.knownDevice.upsert({
+      where: {
+        userId_fingerprint_ipNetwork: { userId: user.id, fingerprint, ipNetwork: network }
+      },
+      update: { lastIpAddress: ipAddress, userAgent, lastSeenAt: new Date() },
+      create: { userId: user.id, fingerprint, ipNetwork: network, userAgent, lastIpAddress: ipAddress }
+    });
+
+    // The very first login has nothing to compare against
+    if (known.length > 0 && (newDevice || newLocation)) {
+      logger.info(`Login from a new ${newDevice ? 'device' : 'location'} for ${user.email}: ${describeDevice(userAgent)} at ${ipAddress}`);
+
+      await notifyNewLogin(user.id, {
+        device: describeDevice(userAgent),
+        ipAddress,
+        newDevice,
+        newLocation,
+        sessionId
+      });
+    }
+
+    return { newDevice, newLocation };
+  } catch (error) {
+    // Never block a login over this
+    logger.error('Login device check error:', error);
+    return { newDevice: false, newLocation: false };
+  }
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockoutMinutes,
+  activeLockout,
+  recordFailedLogin,
+  clearedLockout,
+  describeDevice,
+  ipNetwork,
+  checkLoginDevice
+};
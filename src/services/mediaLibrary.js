@@ -0,0 +1,387 @@
+// src/services/mediaLibrary.js
+const path = require('path');
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const {
+  isVariantFile,
+  createImageVariants,
+  removeImageVariants
+} = require('./imageVariants');
+const {
+  PRIVATE_PREFIX,
+  DEFAULT_EXPIRES_IN,
+  getStorage,
+  readUpload,
+  signedUploadUrl
+} = require('./storage');
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const BATCH_SIZE = 500;
+
+// Places that may point at an upload; `label` names the referencing record
+const REFERENCE_SOURCES = [
+  { type: 'article', model: 'newsArticle', fields: ['featuredImage', 'fullContent'], label: 'headline' },
+  // Restoring a revision brings its images back, so they still count as used
+  { type: 'articleRevision', model: 'articleRevision', fields: ['featuredImage', 'fullContent'], label: 'headline' },
+  { type: 'aiArticle', model: 'aiArticle', fields: ['featuredImage', 'fullContent'], label: 'headline' },
+  { type: 'timeSaver', model: 'timeSaverContent', fields: ['imageUrl'], label: 'title' },
+  { type: 'breakingNews', model: 'breakingNews', fields: ['imageUrl'], label: 'title' },
+  { type: 'category', model: 'category', fields: ['iconUrl'], label: 'name' },
+  { type: 'aiCategory', model: 'aiCategory', fields: ['iconUrl'], label: 'name' },
+  { type: 'advertisement', model: 'advertisement', fields: ['imageUrl'], label: 'title' },
+  { type: 'avatar', model: 'user', fields: ['avatar'], label: 'email' }
+];
+
+const UPLOAD_URL = /\/uploads\/((?:private\/)?[A-Za-z0-9._@-]+)/g;
+
+// Storage key without its extension, e.g. "private/image-1"
+const keyBase = (key) => key.slice(0, key.length - path.posix.extname(key).length);
+
+// Variant URLs (`<base>@thumb.webp`) count as uses of the original
+const uploadBase = (key) => {
+  const base = keyBase(key);
+  const at = base.lastIndexOf('@');
+  return at > base.lastIndexOf('/') ? base.slice(0, at) : base;
+};
+
+const isDotFile = (key) => path.posix.basename(key).startsWith('.');
+
+/**
+ * Storage key of an asset; private assets live below "private/"
+ * @param {Object} asset - filename and isPrivate
+ * @returns {string}
+ */
+const assetKey = (asset) => (asset.isPrivate ? `${PRIVATE_PREFIX}${asset.filename}` : asset.filename);
+
+/**
+ * Name for a new upload, e.g. image-1700000000000-123456789.jpg
+ * @param {Object} file - Multer file
+ * @returns {string}
+ */
+const uploadFileName = (file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`;
+};
+
+/**
+ * SHA-256 of a buffer, used to spot uploads that are already in the library
+ * @param {Buffer} content
+ * @returns {string}
+ */
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Delete a stored original and its variants
+const removeStored = async (key) => {
+  await getStorage().delete(key);
+  return 1 + await removeImageVariants(key);
+};
+
+/**
+ * Store an uploaded file in the library. If the same image is already stored
+ * with the same visibility the existing asset is returned instead; a public
+ * copy is never handed out for a private upload, or the other way round.
+ * Throws if the file is not a readable image; nothing is kept in that case.
+ * @param {Object} file - Multer file held in memory
+ * @param {Object} options
+ * @param {string} options.userId - Uploader
+ * @param {Object} options.details - altText, caption, credit
+ * @param {boolean} options.isPrivate - Only reachable through signed URLs
+ * @returns {Promise<{asset: Object, duplicate: boolean}>}
+ */
+async function addUpload(file, { userId, details = {}, isPrivate = false } = {}) {
+  const hash = hashContent(file.buffer);
+
+  const existing = await prisma.mediaAsset.findUnique({ where: { hash_isPrivate: { hash, isPrivate } } });
+  if (existing) {
+    return { asset: existing, duplicate: true };
+  }
+
+  const filename = uploadFileName(file);
+  const key = assetKey({ filename, isPrivate });
+
+  let image;
+  try {
+    await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+    image = await createImageVariants(key, undefined, file.buffer);
+  } catch (error) {
+    await removeStored(key);
+    throw error;
+  }
+
+  try {
+    const asset = await prisma.mediaAsset.create({
+      data: {
+        filename,
+        originalName: file.originalname,
+        url: `/uploads/${key}`,
+        mimeType: MIME_TYPES[image.format] || file.mimetype,
+        size: file.size,
+        width: image.width,
+        height: image.height,
+        hash,
+        altText: details.altText || null,
+        caption: details.caption || null,
+        credit: details.credit || null,
+        variants: { webpUrl: image.webpUrl, variants: image.variants, srcset: image.srcset },
+        isPrivate,
+        uploadedBy: userId
+      }
+    });
+    return { asset, duplicate: false };
+  } catch (error) {
+    await removeStored(key);
+    // The same file uploaded twice at once; keep whichever was stored first
+    if (error.code === 'P2002') {
+      return { asset: await prisma.mediaAsset.findUnique({ where: { hash_isPrivate: { hash, isPrivate } } }), duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Records that point at an asset or one of its variants
+ * @param {Object} asset - MediaAsset (filename and isPrivate are enough)
+ * @returns {Promise<Array<{type: string, id: string, label: string, field: string}>>}
+ */
+async function findReferences(asset) {
+  const base = keyBase(assetKey(asset));
+  const patterns = [`/uploads/${base}.`, `/uploads/${base}@`];
+
+  const results = await Promise.all(REFERENCE_SOURCES.map(async (source) => {
+    const select = { id: true, [source.label]: true };
+    source.fields.forEach(field => { select[field] = true; });
+
+    const rows = await prisma[source.model].findMany({
+      where: {
+        OR: source.fields.flatMap(field => patterns.map(pattern => ({ [field]: { contains: pattern } })))
+      },
+      select
+    });
+
+    return rows.map(row => ({
+      type: source.type,
+      id: row.id,
+      label: row[source.label],
+      field: source.fields.find(field => patterns.some(pattern => row[field]?.includes(pattern)))
+    }));
+  }));
+
+  return results.flat();
+}
+
+/**
+ * Key bases of every upload referenced anywhere, read in batches
+ * @returns {Promise<Set<string>>}
+ */
+async function referencedUploads() {
+  const referenced = new Set();
+
+  for (const source of REFERENCE_SOURCES) {
+    const select = { id: true };
+    source.fields.forEach(field => { select[field] = true; });
+    let cursor;
+
+    while (true) {
+      const rows = await prisma[source.model].findMany({
+        where: { OR: source.fields.map(field => ({ [field]: { contains: '/uploads/' } })) },
+        select,
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const row of rows) {
+        for (const field of source.fields) {
+          for (const match of (row[field] || '').matchAll(UPLOAD_URL)) {
+            referenced.add(uploadBase(match[1]));
+          }
+        }
+      }
+
+      if (rows.length < BATCH_SIZE) break;
+      cursor = rows[rows.length - 1].id;
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * Delete an asset's file, variants and record
+ * @returns {Promise<number>} - Files removed
+ */
+async function removeAsset(asset) {
+  const removed = await removeStored(assetKey(asset));
+  await prisma.mediaAsset.deleteMany({ where: { id: asset.id } });
+  return removed;
+}
+
+/**
+ * Delete uploads older than the cutoff that nothing references. Files that
+ * predate the media library (no asset record) follow the same rule.
+ * @param {Object} options
+ * @param {Date} options.olderThan
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @returns {Promise<{assets: Array<string>, files: Array<string>, skipped: number}>}
+ */
+async function cleanupUnusedUploads({ olderThan, dryRun = false }) {
+  const referenced = await referencedUploads();
+  const removed = { assets: [], files: [], skipped: 0 };
+
+  const assets = await prisma.mediaAsset.findMany({
+    where: { createdAt: { lt: olderThan } },
+    select: { id: true, filename: true, isPrivate: true }
+  });
+
+  for (const asset of assets) {
+    if (referenced.has(keyBase(assetKey(asset)))) {
+      removed.skipped++;
+      continue;
+    }
+    removed.assets.push(asset.filename);
+    if (!dryRun) await removeAsset(asset);
+  }
+
+  // Untracked originals and variants whose original is gone
+  const tracked = new Set((await prisma.mediaAsset.findMany({ select: { filename: true, isPrivate: true } }))
+    .map(asset => keyBase(assetKey(asset))));
+  const storage = getStorage();
+
+  for await (const object of storage.list()) {
+    if (isDotFile(object.key)) continue;
+    const base = uploadBase(object.key);
+    if (tracked.has(base) || referenced.has(base) || object.lastModified >= olderThan) continue;
+    removed.files.push(object.key);
+  }
+
+  if (!dryRun) {
+    for (const key of removed.files) {
+      await storage.delete(key);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Add stored files that have no asset record yet, e.g. uploads from before
+ * the media library. Files below "private/" are imported as private.
+ * Duplicates with the same visibility are recorded once; the extra copies
+ * are left for cleanup.
+ * @param {string} userId - Recorded as uploader
+ * @returns {Promise<{imported: number, duplicates: number, failed: number}>}
+ */
+async function importExistingUploads(userId) {
+  const summary = { imported: 0, duplicates: 0, failed: 0 };
+
+  const tracked = new Set((await prisma.mediaAsset.findMany({ select: { filename: true, isPrivate: true } }))
+    .map(assetKey));
+  const objects = [];
+  for await (const object of getStorage().list()) {
+    const filename = object.key.startsWith(PRIVATE_PREFIX) ? object.key.slice(PRIVATE_PREFIX.length) : object.key;
+    if (filename.includes('/') || isDotFile(object.key) || isVariantFile(object.key) || tracked.has(object.key)) continue;
+    objects.push({ ...object, filename, isPrivate: filename !== object.key });
+  }
+
+  for (const object of objects) {
+    try {
+      const content = await readUpload(object.key);
+      if (!content) continue;
+
+      const hash = hashContent(content);
+      if (await prisma.mediaAsset.findUnique({ where: { hash_isPrivate: { hash, isPrivate: object.isPrivate } }, select: { id: true } })) {
+        summary.duplicates++;
+        continue;
+      }
+
+      const image = await createImageVariants(object.key, undefined, content);
+      await prisma.mediaAsset.create({
+        data: {
+          filename: object.filename,
+          originalName: object.filename,
+          url: `/uploads/${object.key}`,
+          mimeType: MIME_TYPES[image.format] || 'application/octet-stream',
+          size: content.length,
+          width: image.width,
+          height: image.height,
+          hash,
+          variants: { webpUrl: image.webpUrl, variants: image.variants, srcset: image.srcset },
+          isPrivate: object.isPrivate,
+          uploadedBy: userId,
+          createdAt: object.lastModified
+        }
+      });
+      summary.imported++;
+    } catch (error) {
+      logger.warn(`Could not import ${object.key} into the media library: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Shape an asset for API responses
+ */
+const formatAsset = ({ variants, ...asset }) => ({
+  ...asset,
+  ...(variants || {})
+});
+
+/**
+ * Expiring URLs for an asset and all of its variants, e.g. for private assets
+ * @param {Object} asset - MediaAsset
+ * @param {number} expiresIn - Seconds
+ * @returns {Promise<Object>} - url, webpUrl, variants and srcset with signed URLs, plus expiresAt
+ */
+async function signAsset(asset, expiresIn = DEFAULT_EXPIRES_IN) {
+  const { url, webpUrl, variants = {}, srcset = {} } = formatAsset(asset);
+
+  const urls = new Set([url, webpUrl]);
+  Object.values(variants).forEach(variant => {
+    urls.add(variant.url);
+    urls.add(variant.webpUrl);
+  });
+
+  const signed = new Map(await Promise.all([...urls].filter(Boolean).map(async (unsigned) => [
+    unsigned,
+    await signedUploadUrl(decodeURIComponent(unsigned.slice('/uploads/'.length)), expiresIn)
+  ])));
+  const sign = (unsigned) => signed.get(unsigned) || unsigned;
+
+  return {
+    url: sign(url),
+    webpUrl: sign(webpUrl),
+    variants: Object.fromEntries(Object.entries(variants).map(([name, variant]) => [
+      name,
+      { ...variant, url: sign(variant.url), webpUrl: sign(variant.webpUrl) }
+    ])),
+    srcset: Object.fromEntries(Object.entries(srcset).map(([format, value]) => [
+      format,
+      value.replace(/\/uploads\/\S+/g, sign)
+    ])),
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+}
+
+module.exports = {
+  REFERENCE_SOURCES,
+  assetKey,
+  hashContent,
+  addUpload,
+  findReferences,
+  referencedUploads,
+  removeAsset,
+  cleanupUnusedUploads,
+  importExistingUploads,
+  formatAsset,
+  signAsset
+};
@@ -0,0 +1,284 @@
+// src/services/permissions.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+// Every permission the code checks, with what it allows. Roles grant these
+// by name; a permission that is not listed here cannot be granted.
+const PERMISSIONS = {
+  'article.create': 'Write articles, see the scheduled queue and the editor dashboard',
+  'article.edit_any': 'Edit, delete and view any article, not only your own',
+  'article.publish': 'Approve, reject and publish articles without review',
+  'article.related': 'Pin and exclude related content on articles',
+  'ai_ml.manage': 'Create, edit and delete AI/ML articles',
+  'ai_ml_category.edit': 'Manage AI/ML categories',
+  'time_saver.manage': 'Create, edit, delete and link time saver content',
+  'breaking_news.manage': 'Create, edit, expire, promote and delete breaking news',
+  'category.edit': 'Create, update and toggle categories',
+  'category.restructure': 'Rename, merge and delete categories',
+  'tag.manage': 'Edit, merge and delete tags and their aliases',
+  'media.upload': 'Upload files and manage the media library',
+  'media.manage': 'Import and clean up media files',
+  'ad.manage': 'Manage advertisements and see the ad manager dashboard',
+  'analytics.view': 'See platform, content, engagement and search analytics',
+  'analytics.export': 'Export analytics',
+  'analytics.users': 'See user analytics and everyone\'s analytics exports',
+  'notification.send': 'Send notifications and see notification stats',
+  'comment.moderate': 'Moderate comments and ban commenters',
+  'user.manage': 'Manage user accounts',
+  'role.manage': 'Manage roles and their permissions',
+  'settings.manage': 'Change system settings and the two-factor policy',
+  'audit.view': 'See and export the audit log',
+  'backup.manage': 'Create, download, restore and delete backups',
+  'report.manage': 'Generate and schedule system reports',
+  'api_key.manage': 'Issue and revoke partner API keys',
+  'system.manage': 'See system stats and health, and run maintenance'
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const SYSTEM_ROLES = ['USER', 'EDITOR', 'AD_MANAGER', 'ADMIN'];
+
+// ADMIN is not stored; it always holds every permission so a new permission
+// never locks admins out and the role cannot be edited into a lockout
+const SUPER_ROLE = 'ADMIN';
+
+// What the system roles were allowed before permissions existed. The
+// add_roles_permissions migration stores the same mapping; seed.js uses it
+// for databases created without migrations.
+const SYSTEM_ROLE_PERMISSIONS = {
+  USER: [],
+  EDITOR: [
+    'article.create',
+    'article.related',
+    'ai_ml.manage',
+    'time_saver.manage',
+    'breaking_news.manage',
+    'media.upload',
+    'analytics.export'
+  ],
+  AD_MANAGER: [
+    'article.create',
+    'article.edit_any',
+    'article.publish',
+    'article.related',
+    'ai_ml.manage',
+    'ai_ml_category.edit',
+    'time_saver.manage',
+    'breaking_news.manage',
+    'category.edit',
+    'media.upload',
+    'ad.manage',
+    'analytics.view',
+    'analytics.export',
+    'notification.send'
+  ],
+  ADMIN: PERMISSION_KEYS
+};
+
+// System roles whose views and policies (dashboards, two-factor) a custom
+// role gets, most powerful first: the first one it holds any permission of
+const ROLE_TIERS = [
+  { role: 'ADMIN', anyOf: ['user.manage', 'role.manage', 'settings.manage', 'backup.manage', 'api_key.manage', 'system.manage'] },
+  { role: 'AD_MANAGER', anyOf: ['ad.manage', 'article.publish'] },
+  { role: 'EDITOR', anyOf: ['article.create'] }
+];
+
+// Permissions that make a role admin-tier; only the super role hands these out
+const ADMIN_TIER_PERMISSIONS = ROLE_TIERS[0].anyOf;
+
+// Checked on every authenticated request, so roles are cached briefly
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS) || 30 * 1000;
+let roleCache = null;
+
+/**
+ * Permissions a role grants
+ * @param {Object} role - With its permissions rows
+ * @returns {string[]}
+ */
+const rolePermissions = (role) => (role.isSystem && role.key === SUPER_ROLE
+  ? PERMISSION_KEYS
+  : role.permissions.map(row => row.permission).filter(permission => PERMISSIONS[permission]));
+
+async function loadRoles() {
+  if (roleCache && Date.now() - roleCache.cachedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await prisma.role.findMany({
+    include: { permissions: { select: { permission: true } } }
+  });
+
+  roleCache = {
+    byId: new Map(roles.map(role => [role.id, role])),
+    byKey: new Map(roles.filter(role => role.isSystem).map(role => [role.key, role])),
+    cachedAt: Date.now()
+  };
+
+  return roleCache;
+}
+
+// Drop cached roles after an admin change so it applies on this instance right away
+const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+/**
+ * Permissions of a user: those of their custom role when they have one,
+ * otherwise those of the system role matching user.role
+ * @param {Object} user - Needs role and customRoleId
+ * @returns {Promise<string[]>}
+ */
+async function getUserPermissions(user) {
+  const { byId, byKey } = await loadRoles();
+
+  const role = (user.customRoleId && byId.get(user.customRoleId)) || byKey.get(user.role);
+
+  if (!role) {
+    if (user.role === SUPER_ROLE) return PERMISSION_KEYS;
+
+    logger.warn(`No role found for ${user.role}${user.customRoleId ? ` / ${user.customRoleId}` : ''}; granting no permissions`);
+    return [];
+  }
+
+  return rolePermissions(role);
+}
+
+/**
+ * Whether an authenticated user (req.user) holds a permission
+ * @param {Object|null} user - Loaded by authenticate/optionalAuth
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+/**
+ * Whether a user holds the super role itself; a custom role replaces it
+ * @param {Object|null} user - Needs role and customRoleId
+ * @returns {boolean}
+ */
+const isSuperUser = (user) => Boolean(user && user.role === SUPER_ROLE && !user.customRoleId);
+
+/**
+ * System role a user counts as for dashboards and the two-factor policy:
+ * their own without a custom role, otherwise the tier their permissions reach
+ * (see ROLE_TIERS), so a custom role with admin permissions counts as ADMIN
+ * @param {Object} user - Needs role, customRoleId and permissions
+ * @returns {string}
+ */
+function effectiveRole(user) {
+  if (!user.customRoleId) return user.role;
+
+  const tier = ROLE_TIERS.find(({ anyOf }) => anyOf.some(permission => hasPermission(user, permission)));
+  return tier ? tier.role : 'USER';
+}
+
+/**
+ * Why an actor may not move a user between system roles, or null when they
+ * may. Any change needs role.manage; granting or taking away the super role
+ * needs the super role, or user.manage alone would be enough to become admin.
+ * @param {Object} actor - req.user
+ * @param {string} fromRole
+ * @param {string} toRole
+ * @returns {string|null}
+ */
+function roleChangeDenial(actor, fromRole, toRole) {
+  if (fromRole === toRole) return null;
+
+  if (!hasPermission(actor, 'role.manage')) {
+    return 'Changing a user\'s role requires the role.manage permission';
+  }
+
+  if ((fromRole === SUPER_ROLE || toRole === SUPER_ROLE) && !isSuperUser(actor)) {
+    return `Only ${SUPER_ROLE} users can grant or remove the ${SUPER_ROLE} role`;
+  }
+
+  return null;
+}
+
+/**
+ * Why an actor may not create, edit or hand out a custom role with these
+ * permissions, or null when they may. Below the super role, roles can only
+ * be built from permissions the actor holds and never from admin-tier ones,
+ * or role.manage alone would be enough to become admin through a custom role.
+ * @param {Object} actor - req.user
+ * @param {string[]} permissions - What the role grants, before and after the change
+ * @returns {string|null}
+ */
+function roleGrantDenial(actor, permissions) {
+  if (isSuperUser(actor)) return null;
+
+  const adminTier = permissions.filter(permission => ADMIN_TIER_PERMISSIONS.includes(permission));
+  if (adminTier.length > 0) {
+    return `Only ${SUPER_ROLE} users can manage roles with ${[...new Set(adminTier)].join(', ')}`;
+  }
+
+  const notHeld = permissions.filter(permission => !hasPermission(actor, permission));
+  if (notHeld.length > 0) {
+    return `You cannot manage roles with permissions you do not hold: ${[...new Set(notHeld)].join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a role is the one an actor's permissions come from; nobody edits
+ * their own role, as that would let them grant themselves anything
+ * @param {Object} actor - req.user
+ * @param {Object} role - Needs id, key and isSystem
+ * @returns {boolean}
+ */
+const holdsRole = (actor, role) => (actor.customRoleId
+  ? role.id === actor.customRoleId
+  : role.isSystem && role.key === actor.role);
+
+/**
+ * Prisma `where` for the users holding a permission, e.g. to notify them
+ * @param {string} permission
+ * @returns {Promise<Object>}
+ */
+async function usersWithPermissionWhere(permission) {
+  const { byId } = await loadRoles();
+  const granting = [...byId.values()].filter(role => rolePermissions(role).includes(permission));
+
+  const systemKeys = granting.filter(role => role.isSystem).map(role => role.key);
+  if (!systemKeys.includes(SUPER_ROLE)) systemKeys.push(SUPER_ROLE);
+
+  return {
+    OR: [
+      { role: { in: systemKeys }, customRoleId: null },
+      { customRoleId: { in: granting.filter(role => !role.isSystem).map(role => role.id) } }
+    ]
+  };
+}
+
+/**
+ * Shape a role for admins
+ * @param {Object} role - With its permissions rows and optionally _count.users
+ */
+function formatRole({ permissions, _count, ...role }) {
+  return {
+    ...role,
+    editable: !(role.isSystem && role.key === SUPER_ROLE),
+    permissions: rolePermissions({ ...role, permissions }),
+    ...(_count && { userCount: _count.users })
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SYSTEM_ROLES,
+  SUPER_ROLE,
+  SYSTEM_ROLE_PERMISSIONS,
+  getUserPermissions,
+  hasPermission,
+  isSuperUser,
+  effectiveRole,
+  roleChangeDenial,
+  roleGrantDenial,
+  holdsRole,
+  usersWithPermissionWhere,
+  invalidateRoleCache,
+  formatRole,
+  rolePermissions
+};
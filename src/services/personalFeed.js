@@ -0,0 +1,514 @@
+// src/services/personalFeed.js
+const prisma = require('../config/database');
+const { slugifyTag } = require('./tagService');
+
+const WINDOW_DAYS = parseInt(process.env.FEED_WINDOW_DAYS) || 14;
+const CANDIDATES_PER_TYPE = parseInt(process.env.FEED_CANDIDATES_PER_TYPE) || 300;
+const HISTORY_DAYS = parseInt(process.env.FEED_HISTORY_DAYS) || 90;
+const MIN_SIGNALS = parseInt(process.env.FEED_MIN_SIGNALS) || 3;
+
+const FEED_CONTENT_TYPES = ['news', 'ai', 'timesaver'];
+
+// API type -> FeedContentType enum value
+const FEEDBACK_CONTENT_TYPES = {
+  news: 'NEWS',
+  ai: 'AI',
+  timesaver: 'TIMESAVER'
+};
+
+// Weight of one signal before it decays with age
+const SIGNAL_WEIGHTS = {
+  read: 1, // plus the read progress (0-1)
+  favorite: 3,
+  search: 1,
+  view: 0.5,
+  interactions: {
+    LIKE: 2,
+    BOOKMARK: 3,
+    SAVE_FOR_LATER: 3,
+    SHARE: 2,
+    COMMENT: 2,
+    DOWNLOAD: 1,
+    MARK_AS_READ: 1
+  },
+  notInterested: -2 // the hidden item's category, author and tags
+};
+
+const SIGNAL_HALF_LIFE_DAYS = 30;
+const FRESHNESS_HALF_LIFE_HOURS = 48;
+const READ_PENALTY = 0.6; // subtracted for a fully read item, half of it for one only opened
+const CATEGORY_REPEAT_PENALTY = 0.08; // per item already picked from the same category
+const REASON_THRESHOLD = 0.3;
+
+const featureSelect = (authorField) => ({
+  category: true,
+  [authorField]: true,
+  tagLinks: { select: { tagId: true } }
+});
+
+// Feed content types: where recent content comes from and how it is shaped
+const CONTENT_SOURCES = {
+  news: {
+    model: 'newsArticle',
+    authorField: 'authorId',
+    where: (since, now) => ({ status: 'PUBLISHED', publishedAt: { gte: since, lte: now } }),
+    select: {
+      id: true,
+      headline: true,
+      briefContent: true,
+      featuredImage: true,
+      slug: true,
+      viewCount: true,
+      shareCount: true,
+      publishedAt: true
+    },
+    format: (row) => ({
+      title: row.headline,
+      summary: row.briefContent,
+      imageUrl: row.featuredImage,
+      slug: row.slug,
+      shareCount: row.shareCount
+    })
+  },
+  ai: {
+    model: 'aiArticle',
+    authorField: 'createdBy',
+    where: (since, now) => ({ publishedAt: { gte: since, lte: now } }),
+    select: {
+      id: true,
+      headline: true,
+      briefContent: true,
+      featuredImage: true,
+      viewCount: true,
+      shareCount: true,
+      publishedAt: true
+    },
+    format: (row) => ({
+      title: row.headline,
+      summary: row.briefContent,
+      imageUrl: row.featuredImage,
+      slug: null,
+      shareCount: row.shareCount
+    })
+  },
+  timesaver: {
+    model: 'timeSaverContent',
+    authorField: 'createdBy',
+    where: (since, now) => ({ publishedAt: { gte: since, lte: now } }),
+    select: {
+      id: true,
+      title: true,
+      summary: true,
+      imageUrl: true,
+      viewCount: true,
+      publishedAt: true
+    },
+    format: (row) => ({
+      title: row.title,
+      summary: row.summary,
+      imageUrl: row.imageUrl,
+      slug: null,
+      shareCount: 0
+    })
+  }
+};
+
+const itemKey = (type, id) => `${type}:${id}`;
+
+const decay = (date, halfLife, unitMs) => Math.pow(0.5, Math.max(0, Date.now() - new Date(date).getTime()) / (halfLife * unitMs));
+
+const signalDecay = (date) => decay(date, SIGNAL_HALF_LIFE_DAYS, 24 * 60 * 60 * 1000);
+
+// Category, author and tag ids of a content row loaded with featureSelect()
+const featuresOf = (type, row) => ({
+  category: row.category,
+  authorId: row[CONTENT_SOURCES[type].authorField] || null,
+  tagIds: row.tagLinks.map(link => link.tagId)
+});
+
+/**
+ * What a reader cares about, from their reading history, favorites,
+ * searches, AI/TimeSaver views and interactions and "not interested"
+ * feedback. Affinities are keyed by category, tag id and author id and
+ * decay with the age of the signal; explicit feedback does not decay.
+ * @param {string} userId
+ * @returns {Promise<Object>} { category, tag, author, search, read: Map, hidden, blockedCategories, blockedAuthors: Set, signals }
+ */
+async function buildProfile(userId) {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [
+    reads,
+    favorites,
+    searches,
+    aiViews,
+    aiInteractions,
+    timeSaverViews,
+    timeSaverInteractions,
+    feedback
+  ] = await Promise.all([
+    prisma.readingHistory.findMany({
+      where: { userId, updatedAt: { gte: since } },
+      orderBy: { updatedAt: 'desc' },
+      take: 500,
+      select: { articleId: true, readProgress: true, updatedAt: true, article: { select: featureSelect('authorId') } }
+    }),
+    prisma.userFavorite.findMany({
+      where: { userId },
+      orderBy: { savedAt: 'desc' },
+      take: 200,
+      select: { savedAt: true, article: { select: featureSelect('authorId') } }
+    }),
+    prisma.searchHistory.findMany({
+      where: { userId, createdAt: { gte: since } },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+      select: { query: true, createdAt: true }
+    }),
+    prisma.aiArticleView.findMany({
+      where: { userId, timestamp: { gte: since } },
+      orderBy: { timestamp: 'desc' },
+      take: 300,
+      select: { articleId: true, timestamp: true, article: { select: featureSelect('createdBy') } }
+    }),
+    prisma.aiArticleInteraction.findMany({
+      where: { userId, timestamp: { gte: since } },
+      orderBy: { timestamp: 'desc' },
+      take: 300,
+      select: { interactionType: true, timestamp: true, article: { select: featureSelect('createdBy') } }
+    }),
+    prisma.timeSaverView.findMany({
+      where: { userId, timestamp: { gte: since } },
+      orderBy: { timestamp: 'desc' },
+      take: 300,
+      select: { contentId: true, timestamp: true, content: { select: featureSelect('createdBy') } }
+    }),
+    prisma.timeSaverInteraction.findMany({
+      where: { userId, timestamp: { gte: since } },
+      orderBy: { timestamp: 'desc' },
+      take: 300,
+      select: { contentId: true, interactionType: true, timestamp: true, content: { select: featureSelect('createdBy') } }
+    }),
+    prisma.feedFeedback.findMany({ where: { userId } })
+  ]);
+
+  const profile = {
+    category: new Map(),
+    tag: new Map(),
+    author: new Map(),
+    search: new Map(),
+    read: new Map(),
+    hidden: new Set(),
+    blockedCategories: new Set(),
+    blockedAuthors: new Set(),
+    signals: 0
+  };
+
+  const bump = (map, key, weight) => {
+    if (key) map.set(key, (map.get(key) || 0) + weight);
+  };
+
+  const addSignal = ({ category, authorId, tagIds }, weight) => {
+    bump(profile.category, category, weight);
+    bump(profile.author, authorId, weight);
+    tagIds.forEach(tagId => bump(profile.tag, tagId, weight));
+    profile.signals++;
+  };
+
+  const markRead = (key, progress) => {
+    profile.read.set(key, Math.max(profile.read.get(key) || 0, progress));
+  };
+
+  reads.forEach(read => {
+    addSignal(featuresOf('news', read.article), (SIGNAL_WEIGHTS.read + read.readProgress) * signalDecay(read.updatedAt));
+    markRead(itemKey('news', read.articleId), read.readProgress);
+  });
+
+  favorites.forEach(favorite => {
+    addSignal(featuresOf('news', favorite.article), SIGNAL_WEIGHTS.favorite * signalDecay(favorite.savedAt));
+  });
+
+  aiViews.forEach(view => {
+    addSignal(featuresOf('ai', view.article), SIGNAL_WEIGHTS.view * signalDecay(view.timestamp));
+    markRead(itemKey('ai', view.articleId), 1);
+  });
+
+  aiInteractions.forEach(interaction => {
+    const weight = SIGNAL_WEIGHTS.interactions[interaction.interactionType] || 1;
+    addSignal(featuresOf('ai', interaction.article), weight * signalDecay(interaction.timestamp));
+  });
+
+  timeSaverViews.forEach(view => {
+    addSignal(featuresOf('timesaver', view.content), SIGNAL_WEIGHTS.view * signalDecay(view.timestamp));
+    markRead(itemKey('timesaver', view.contentId), 1);
+  });
+
+  timeSaverInteractions.forEach(interaction => {
+    const weight = SIGNAL_WEIGHTS.interactions[interaction.interactionType] || 1;
+    addSignal(featuresOf('timesaver', interaction.content), weight * signalDecay(interaction.timestamp));
+    if (interaction.interactionType === 'MARK_AS_READ') {
+      markRead(itemKey('timesaver', interaction.contentId), 1);
+    }
+  });
+
+  // Searches are matched against tag and category slugs when scoring
+  searches.forEach(search => {
+    bump(profile.search, slugifyTag(search.query), SIGNAL_WEIGHTS.search * signalDecay(search.createdAt));
+    profile.signals++;
+  });
+
+  feedback.forEach(entry => {
+    const type = Object.keys(FEEDBACK_CONTENT_TYPES).find(key => FEEDBACK_CONTENT_TYPES[key] === entry.contentType);
+    profile.hidden.add(itemKey(type, entry.contentId));
+
+    if (entry.scope === 'CATEGORY' && entry.category) {
+      profile.blockedCategories.add(entry.category);
+    } else if (entry.scope === 'AUTHOR' && entry.authorId) {
+      profile.blockedAuthors.add(entry.authorId);
+    } else {
+      bump(profile.category, entry.category, SIGNAL_WEIGHTS.notInterested);
+      bump(profile.author, entry.authorId, SIGNAL_WEIGHTS.notInterested);
+      (Array.isArray(entry.tagIds) ? entry.tagIds : []).forEach(tagId => bump(profile.tag, tagId, SIGNAL_WEIGHTS.notInterested));
+    }
+  });
+
+  return profile;
+}
+
+/**
+ * Recently published content of the given types, newest first
+ * @param {Array<string>} types - Any of FEED_CONTENT_TYPES
+ * @returns {Promise<Array<Object>>} Items with type, features and display fields
+ */
+async function loadCandidates(types) {
+  const now = new Date();
+  const since = new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const batches = await Promise.all(types.map(async (type) => {
+    const source = CONTENT_SOURCES[type];
+    const rows = await prisma[source.model].findMany({
+      where: source.where(since, now),
+      orderBy: { publishedAt: 'desc' },
+      take: CANDIDATES_PER_TYPE,
+      select: {
+        ...source.select,
+        ...featureSelect(source.authorField),
+        tagLinks: { select: { tagId: true, tag: { select: { name: true, slug: true } } } }
+      }
+    });
+
+    return rows.map(row => ({
+      type,
+      id: row.id,
+      category: row.category,
+      viewCount: row.viewCount,
+      publishedAt: row.publishedAt,
+      ...source.format(row),
+      ...featuresOf(type, row),
+      tags: row.tagLinks.map(link => ({ id: link.tagId, ...link.tag }))
+    }));
+  }));
+
+  return batches.flat();
+}
+
+// Scale affinities to [-1, 1] by the strongest signal of their kind
+const normalizer = (map) => {
+  const scale = Math.max(0, ...[...map.values()].map(Math.abs));
+  return (key) => (scale > 0 && map.has(key) ? map.get(key) / scale : 0);
+};
+
+/**
+ * Score candidates for a reader. Personalised scores mix category, tag and
+ * author affinity with freshness and popularity; cold-start readers get
+ * trending content (popularity and freshness only). Items the reader has
+ * read are pushed down; items marked "not interested" and content from
+ * categories or authors the reader opted out of are dropped.
+ */
+function scoreCandidates(candidates, profile, personalized) {
+  const categoryAffinity = normalizer(profile.category);
+  const tagAffinity = normalizer(profile.tag);
+  const authorAffinity = normalizer(profile.author);
+  const searchAffinity = normalizer(profile.search);
+
+  const popularityOf = (item) => Math.log1p(item.viewCount + 2 * item.shareCount);
+  const maxPopularity = Math.max(1, ...candidates.map(popularityOf));
+
+  return candidates
+    .filter(item => !profile.hidden.has(itemKey(item.type, item.id)) &&
+      !profile.blockedCategories.has(item.category) &&
+      !profile.blockedAuthors.has(item.authorId))
+    .map(item => {
+      const freshness = decay(item.publishedAt, FRESHNESS_HALF_LIFE_HOURS, 60 * 60 * 1000);
+      const popularity = popularityOf(item) / maxPopularity;
+      const reasons = [];
+
+      const category = categoryAffinity(item.category);
+      const tags = Math.max(-1, Math.min(1, item.tagIds.reduce((sum, tagId) => sum + tagAffinity(tagId), 0)));
+      const author = authorAffinity(item.authorId);
+      const search = Math.max(
+        searchAffinity(slugifyTag(item.category || '')),
+        ...item.tags.map(tag => searchAffinity(tag.slug))
+      );
+
+      let score;
+      if (personalized) {
+        const affinity = 0.45 * category + 0.35 * tags + 0.2 * author + 0.2 * search;
+        score = 0.6 * affinity + 0.25 * freshness + 0.15 * popularity;
+
+        if (category >= REASON_THRESHOLD) reasons.push('category');
+        if (tags >= REASON_THRESHOLD) reasons.push('tags');
+        if (author >= REASON_THRESHOLD) reasons.push('author');
+        if (search >= REASON_THRESHOLD) reasons.push('search');
+      } else {
+        // Feedback still counts for readers without enough history
+        score = 0.6 * popularity + 0.4 * freshness + 0.3 * Math.min(0, category + author);
+        reasons.push('trending');
+      }
+
+      const readProgress = profile.read.get(itemKey(item.type, item.id));
+      if (readProgress !== undefined) {
+        score -= READ_PENALTY * (0.5 + 0.5 * readProgress);
+        reasons.push('read');
+      }
+
+      return { ...item, score, reasons, readProgress: readProgress ?? null };
+    });
+}
+
+/**
+ * Order scored items by score while spreading categories: each item already
+ * picked from a category lowers the next one's score
+ * @param {Array<Object>} items - Items with `score` and `category`
+ * @returns {Array<Object>}
+ */
+function diversify(items) {
+  const remaining = [...items].sort((a, b) => b.score - a.score);
+  const perCategory = new Map();
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      // Sorted by raw score, which only goes down once penalised
+      if (remaining[i].score <= bestScore) break;
+      const adjusted = remaining[i].score - CATEGORY_REPEAT_PENALTY * (perCategory.get(remaining[i].category) || 0);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = i;
+      }
+    }
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    perCategory.set(picked.category, (perCategory.get(picked.category) || 0) + 1);
+    ordered.push(picked);
+  }
+
+  return ordered;
+}
+
+const formatFeedItem = (item) => ({
+  type: item.type,
+  id: item.id,
+  title: item.title,
+  summary: item.summary,
+  category: item.category,
+  imageUrl: item.imageUrl,
+  slug: item.slug,
+  tags: item.tags.map(tag => tag.name),
+  viewCount: item.viewCount,
+  publishedAt: item.publishedAt,
+  readProgress: item.readProgress,
+  score: Math.round(item.score * 10000) / 10000,
+  reasons: item.reasons
+});
+
+/**
+ * A reader's "For You" feed: recent published content ranked for them
+ * @param {string} userId
+ * @param {Object} params
+ * @param {Array<string>} params.types - Any of FEED_CONTENT_TYPES (default all)
+ * @returns {Promise<{items: Array<Object>, totalCount: number, personalized: boolean}>}
+ */
+async function getPersonalFeed(userId, { types = FEED_CONTENT_TYPES, page = 1, limit = 20 } = {}) {
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+
+  const selectedTypes = types.filter(type => FEED_CONTENT_TYPES.includes(type));
+
+  const [profile, candidates] = await Promise.all([
+    buildProfile(userId),
+    loadCandidates(selectedTypes.length > 0 ? selectedTypes : FEED_CONTENT_TYPES)
+  ]);
+
+  const personalized = profile.signals >= MIN_SIGNALS;
+  const ranked = diversify(scoreCandidates(candidates, profile, personalized));
+
+  return {
+    items: ranked.slice(skip, skip + take).map(formatFeedItem),
+    totalCount: ranked.length,
+    personalized
+  };
+}
+
+/**
+ * Record "not interested" feedback on a feed item. `scope` ITEM hides the
+ * item and lowers similar content; CATEGORY and AUTHOR hide everything from
+ * the item's category or author.
+ * @returns {Promise<Object|null>} The feedback, or null when the content does not exist
+ */
+async function addFeedback(userId, type, contentId, scope = 'ITEM') {
+  const source = CONTENT_SOURCES[type];
+  const row = await prisma[source.model].findUnique({
+    where: { id: contentId },
+    select: featureSelect(source.authorField)
+  });
+
+  if (!row) return null;
+
+  const features = featuresOf(type, row);
+  const data = {
+    scope,
+    category: features.category,
+    authorId: features.authorId,
+    tagIds: features.tagIds
+  };
+
+  return prisma.feedFeedback.upsert({
+    where: {
+      userId_contentType_contentId: {
+        userId,
+        contentType: FEEDBACK_CONTENT_TYPES[type],
+        contentId
+      }
+    },
+    update: data,
+    create: {
+      userId,
+      contentType: FEEDBACK_CONTENT_TYPES[type],
+      contentId,
+      ...data
+    }
+  });
+}
+
+const formatFeedback = (feedback) => ({
+  id: feedback.id,
+  type: Object.keys(FEEDBACK_CONTENT_TYPES).find(key => FEEDBACK_CONTENT_TYPES[key] === feedback.contentType),
+  contentId: feedback.contentId,
+  scope: feedback.scope,
+  category: feedback.category,
+  authorId: feedback.authorId,
+  createdAt: feedback.createdAt
+});
+
+module.exports = {
+  FEED_CONTENT_TYPES,
+  FEEDBACK_CONTENT_TYPES,
+  buildProfile,
+  getPersonalFeed,
+  addFeedback,
+  formatFeedback
+};
@@ -0,0 +1,114 @@
+// src/services/publishingScheduler.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { notifyArticlePublished } = require('../utils/notifications');
+const { publishEvent, CHANNELS } = require('./eventStream');
+
+/**
+ * Decide the initial status for an article an approver is publishing.
+ * A future scheduledAt keeps the article hidden until the worker releases it.
+ * @param {Date|string|null} scheduledAt - Requested publish time (optional)
+ * @returns {{status: string, publishedAt: Date|null}}
+ */
+function resolvePublishState(scheduledAt) {
+  if (scheduledAt && new Date(scheduledAt) > new Date()) {
+    return { status: 'SCHEDULED', publishedAt: null };
+  }
+
+  return { status: 'PUBLISHED', publishedAt: new Date() };
+}
+
+/**
+ * Push a newly published article to the public articles stream
+ * @param {string} articleId - Article ID
+ */
+async function announcePublishedArticle(articleId) {
+  try {
+    const article = await prisma.newsArticle.findFirst({
+      where: { id: articleId, status: 'PUBLISHED' },
+      select: {
+        id: true,
+        headline: true,
+        briefContent: true,
+        category: true,
+        featuredImage: true,
+        slug: true,
+        priorityLevel: true,
+        publishedAt: true,
+        author: {
+          select: {
+            id: true,
+            fullName: true
+          }
+        }
+      }
+    });
+
+    if (article) {
+      await publishEvent(CHANNELS.ARTICLES, 'article.published', article);
+    }
+  } catch (error) {
+    logger.error(`Failed to announce published article ${articleId}:`, error);
+  }
+}
+
+/**
+ * Publish every SCHEDULED article whose scheduledAt has passed.
+ * Each article is claimed with a conditional update, so several Node
+ * processes running the same cron never publish (or notify) twice.
+ * @param {number} batchSize - Maximum number of articles handled per run
+ * @returns {Promise<number>} - Number of articles published by this run
+ */
+async function publishDueArticles(batchSize = 50) {
+  const now = new Date();
+
+  const dueArticles = await prisma.newsArticle.findMany({
+    where: {
+      status: 'SCHEDULED',
+      scheduledAt: { lte: now }
+    },
+    orderBy: { scheduledAt: 'asc' },
+    take: batchSize,
+    select: {
+      id: true,
+      headline: true,
+      authorId: true,
+      approvedBy: true,
+      scheduledAt: true
+    }
+  });
+
+  let publishedCount = 0;
+
+  for (const article of dueArticles) {
+    try {
+      const claimed = await prisma.newsArticle.updateMany({
+        where: { id: article.id, status: 'SCHEDULED' },
+        data: {
+          status: 'PUBLISHED',
+          publishedAt: article.scheduledAt
+        }
+      });
+
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      publishedCount++;
+      logger.info(`Scheduled article published: ${article.headline} (${article.id})`);
+
+      await notifyArticlePublished(article.id, article.authorId, article.approvedBy);
+      await announcePublishedArticle(article.id);
+    } catch (error) {
+      logger.error(`Failed to publish scheduled article ${article.id}:`, error);
+    }
+  }
+
+  return publishedCount;
+}
+
+module.exports = {
+  resolvePublishState,
+  announcePublishedArticle,
+  publishDueArticles
+};
@@ -0,0 +1,62 @@
+// src/services/pubsub/index.js
+const path = require('path');
+const logger = require('../../utils/logger');
+const MemoryPubSubAdapter = require('./memoryAdapter');
+
+/**
+ * Adapters implement:
+ *   publish(topic, message)      -> Promise
+ *   subscribe(topic, handler)    -> Promise
+ *   unsubscribe(topic, handler)  -> Promise
+ *   close()                      -> Promise
+ * Messages are plain JSON-serialisable objects.
+ *
+ * PUBSUB_ADAPTER selects the adapter:
+ *   memory (default)  - in-process EventEmitter
+ *   <module path>     - resolved from the project root, must export an adapter
+ *                       class or a factory function returning an adapter
+ */
+const REQUIRED_METHODS = ['publish', 'subscribe', 'unsubscribe', 'close'];
+
+let adapter = null;
+
+function loadAdapter(name) {
+  if (!name || name === 'memory') {
+    return new MemoryPubSubAdapter();
+  }
+
+  const exported = require(path.resolve(process.cwd(), name));
+  let instance;
+  if (typeof exported === 'function') {
+    // Classes and factories are both functions, only classes have a prototype.publish
+    instance = exported.prototype && typeof exported.prototype.publish === 'function'
+      ? new exported()
+      : exported();
+  } else {
+    instance = exported;
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof instance?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Pub/sub adapter "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return instance;
+}
+
+/**
+ * Get the process-wide pub/sub adapter
+ * @returns {Object} - Adapter instance
+ */
+function getPubSub() {
+  if (!adapter) {
+    adapter = loadAdapter(process.env.PUBSUB_ADAPTER);
+    logger.info(`Pub/sub adapter: ${process.env.PUBSUB_ADAPTER || 'memory'}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  getPubSub,
+  MemoryPubSubAdapter
+};
@@ -0,0 +1,33 @@
+// src/services/pubsub/memoryAdapter.js
+const { EventEmitter } = require('events');
+
+/**
+ * Single-process pub/sub adapter.
+ * Messages only reach subscribers inside the same Node process, so run
+ * one API process or plug in a shared adapter (see ./index.js) when scaling out.
+ */
+class MemoryPubSubAdapter {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(topic, message) {
+    // Deliver asynchronously like a network broker would
+    setImmediate(() => this.emitter.emit(topic, message));
+  }
+
+  async subscribe(topic, handler) {
+    this.emitter.on(topic, handler);
+  }
+
+  async unsubscribe(topic, handler) {
+    this.emitter.off(topic, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = MemoryPubSubAdapter;
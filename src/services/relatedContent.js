@@ -0,0 +1,384 @@
+// src/services/relatedContent.js
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+const CORPUS_WINDOW_DAYS = parseInt(process.env.RELATED_WINDOW_DAYS) || 365;
+const CORPUS_LIMIT_PER_TYPE = parseInt(process.env.RELATED_CORPUS_LIMIT) || 5000;
+const STORED_PER_ARTICLE = 20;
+const MIN_SCORE = 0.15;
+const MAX_AGE_HOURS = parseInt(process.env.RELATED_MAX_AGE_HOURS) || 24;
+const BATCH_SIZE = parseInt(process.env.RELATED_BATCH_SIZE) || 200;
+
+// Score = weighted text similarity, tag overlap and category match
+const SCORE_WEIGHTS = {
+  text: 0.6,
+  tags: 0.3,
+  category: 0.1
+};
+
+// API type -> RelatedContentType enum value
+const RELATED_CONTENT_TYPES = {
+  news: 'NEWS',
+  ai: 'AI',
+  timesaver: 'TIMESAVER'
+};
+
+const typeOf = (enumValue) => Object.keys(RELATED_CONTENT_TYPES).find(key => RELATED_CONTENT_TYPES[key] === enumValue);
+
+const STOP_WORDS = new Set(`
+  about above after again against all also and any are because been before being below between both but
+  can could did does doing down during each few for from further had has have having her here hers him
+  his how into its itself just more most new news not now off once only other our ours out over own said
+  same says she should some such than that the their theirs them then there these they this those through
+  too under until very was were what when where which while who whom why will with would year years you
+  your yours
+`.trim().split(/\s+/));
+
+// Where related content comes from; `visible` decides what may be suggested
+const RELATED_SOURCES = {
+  news: {
+    model: 'newsArticle',
+    visible: (now) => ({ status: 'PUBLISHED', publishedAt: { lte: now } }),
+    select: { id: true, headline: true, briefContent: true, category: true, featuredImage: true, slug: true, publishedAt: true },
+    format: (row) => ({ title: row.headline, summary: row.briefContent, imageUrl: row.featuredImage, slug: row.slug })
+  },
+  ai: {
+    model: 'aiArticle',
+    visible: (now) => ({ publishedAt: { lte: now } }),
+    select: { id: true, headline: true, briefContent: true, category: true, featuredImage: true, publishedAt: true },
+    format: (row) => ({ title: row.headline, summary: row.briefContent, imageUrl: row.featuredImage, slug: null })
+  },
+  timesaver: {
+    model: 'timeSaverContent',
+    visible: (now) => ({ publishedAt: { lte: now } }),
+    select: { id: true, title: true, summary: true, category: true, imageUrl: true, publishedAt: true },
+    format: (row) => ({ title: row.title, summary: row.summary, imageUrl: row.imageUrl, slug: null })
+  }
+};
+
+/**
+ * Lowercase word tokens without stop words and numbers
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(token => token.length > 2 && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
+
+// Headlines count twice: they say what an item is about more reliably than the brief
+const documentTokens = (title, summary) => [...tokenize(title), ...tokenize(title), ...tokenize(summary)];
+
+/**
+ * Everything that can be suggested, tokenised, with an inverted index of
+ * terms and tags so each article is only compared with items it shares a
+ * term or tag with
+ * @returns {Promise<Object>} { documents, idf, postings, tagPostings }
+ */
+async function buildCorpus() {
+  const now = new Date();
+  const since = new Date(now.getTime() - CORPUS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const batches = await Promise.all(Object.keys(RELATED_SOURCES).map(async (type) => {
+    const source = RELATED_SOURCES[type];
+    const rows = await prisma[source.model].findMany({
+      where: { AND: [source.visible(now), { publishedAt: { gte: since } }] },
+      orderBy: { publishedAt: 'desc' },
+      take: CORPUS_LIMIT_PER_TYPE,
+      select: { ...source.select, tagLinks: { select: { tagId: true } } }
+    });
+
+    return rows.map(row => {
+      const { title, summary } = source.format(row);
+      return {
+        type,
+        id: row.id,
+        category: row.category,
+        tagIds: new Set(row.tagLinks.map(link => link.tagId)),
+        tokens: documentTokens(title, summary)
+      };
+    });
+  }));
+
+  const documents = batches.flat();
+  const documentFrequency = new Map();
+  documents.forEach(doc => {
+    new Set(doc.tokens).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const idf = (term) => Math.log((documents.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  const postings = new Map();
+  const tagPostings = new Map();
+  documents.forEach((doc, index) => {
+    doc.vector = vectorize(doc.tokens, idf);
+    doc.vector.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(index);
+    });
+    doc.tagIds.forEach(tagId => {
+      if (!tagPostings.has(tagId)) tagPostings.set(tagId, []);
+      tagPostings.get(tagId).push(index);
+    });
+  });
+
+  return { documents, idf, postings, tagPostings };
+}
+
+/**
+ * L2-normalised TF-IDF vector (sublinear term frequency)
+ * @returns {Map<string, number>}
+ */
+function vectorize(tokens, idf) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * idf(term);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    if (large.has(term)) dot += weight * large.get(term);
+  });
+  return dot;
+}
+
+/**
+ * Most similar corpus items for one news article
+ * @param {Object} article - News article with headline, briefContent, category and tagLinks
+ * @param {Object} corpus - From buildCorpus()
+ * @returns {Array<{type: string, id: string, score: number, sharedTags: number}>}
+ */
+function findSimilar(article, corpus) {
+  const { documents, idf, postings, tagPostings } = corpus;
+  const vector = vectorize(documentTokens(article.headline, article.briefContent), idf);
+  const tagIds = new Set(article.tagLinks.map(link => link.tagId));
+
+  const candidates = new Set();
+  vector.forEach((weight, term) => (postings.get(term) || []).forEach(index => candidates.add(index)));
+  tagIds.forEach(tagId => (tagPostings.get(tagId) || []).forEach(index => candidates.add(index)));
+
+  const matches = [];
+  candidates.forEach(index => {
+    const doc = documents[index];
+    if (doc.type === 'news' && doc.id === article.id) return;
+
+    const sharedTags = [...doc.tagIds].filter(tagId => tagIds.has(tagId)).length;
+    const tagUnion = tagIds.size + doc.tagIds.size - sharedTags;
+
+    const score = SCORE_WEIGHTS.text * cosine(vector, doc.vector) +
+      SCORE_WEIGHTS.tags * (tagUnion > 0 ? sharedTags / tagUnion : 0) +
+      SCORE_WEIGHTS.category * (doc.category === article.category ? 1 : 0);
+
+    if (score >= MIN_SCORE) {
+      matches.push({ type: doc.type, id: doc.id, score, sharedTags });
+    }
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, STORED_PER_ARTICLE);
+}
+
+/**
+ * Recompute and store related content for news articles
+ * @param {Array<string>} articleIds
+ * @param {Object} corpus - Reused across batches when given
+ * @returns {Promise<number>} Number of suggestions stored
+ */
+async function computeRelatedContent(articleIds, corpus = null) {
+  if (articleIds.length === 0) return 0;
+
+  const articles = await prisma.newsArticle.findMany({
+    where: { id: { in: articleIds } },
+    select: { id: true, headline: true, briefContent: true, category: true, tagLinks: { select: { tagId: true } } }
+  });
+
+  const index = corpus || await buildCorpus();
+  const computedAt = new Date();
+
+  const rows = articles.flatMap(article => findSimilar(article, index).map(match => ({
+    articleId: article.id,
+    targetType: RELATED_CONTENT_TYPES[match.type],
+    targetId: match.id,
+    score: match.score,
+    sharedTags: match.sharedTags,
+    computedAt
+  })));
+
+  const ids = articles.map(article => article.id);
+  await prisma.$transaction([
+    prisma.relatedContent.deleteMany({ where: { articleId: { in: ids } } }),
+    prisma.relatedContent.createMany({ data: rows }),
+    // Raw update so the marker does not bump updated_at, which decides staleness
+    prisma.$executeRaw`
+      UPDATE news_articles SET related_computed_at = ${computedAt}
+      WHERE id IN (${Prisma.join(ids)})
+    `
+  ]);
+
+  return rows.length;
+}
+
+/**
+ * Background job: refresh published articles that were never computed, were
+ * edited since, or whose suggestions are older than RELATED_MAX_AGE_HOURS
+ * (so new content shows up on older articles)
+ * @param {Object} options
+ * @param {boolean} options.all - Recompute every published article
+ * @param {number} options.batchSize - Articles per run (all: per batch)
+ * @returns {Promise<{articles: number, suggestions: number}>}
+ */
+async function refreshRelatedContent({ all = false, batchSize = BATCH_SIZE } = {}) {
+  const staleBefore = new Date(Date.now() - MAX_AGE_HOURS * 60 * 60 * 1000);
+
+  const stale = all
+    ? await prisma.newsArticle.findMany({
+      where: { status: 'PUBLISHED' },
+      orderBy: { publishedAt: 'desc' },
+      select: { id: true }
+    })
+    : await prisma.$queryRaw`
+      SELECT id FROM news_articles
+      WHERE status = 'PUBLISHED'
+        AND (related_computed_at IS NULL
+          OR related_computed_at < updated_at
+          OR related_computed_at < ${staleBefore})
+      ORDER BY related_computed_at IS NOT NULL, related_computed_at ASC
+      LIMIT ${batchSize}
+    `;
+
+  if (stale.length === 0) return { articles: 0, suggestions: 0 };
+
+  const corpus = await buildCorpus();
+  let suggestions = 0;
+
+  for (let i = 0; i < stale.length; i += batchSize) {
+    suggestions += await computeRelatedContent(stale.slice(i, i + batchSize).map(row => row.id), corpus);
+  }
+
+  logger.info(`Related content refreshed for ${stale.length} articles (${suggestions} suggestions)`);
+
+  return { articles: stale.length, suggestions };
+}
+
+/**
+ * Display fields of related items that are still published, keyed by `type:id`
+ * @param {Array<{type: string, id: string}>} refs
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadRelatedItems(refs) {
+  const now = new Date();
+  const items = new Map();
+
+  await Promise.all(Object.keys(RELATED_SOURCES).map(async (type) => {
+    const ids = refs.filter(ref => ref.type === type).map(ref => ref.id);
+    if (ids.length === 0) return;
+
+    const source = RELATED_SOURCES[type];
+    const rows = await prisma[source.model].findMany({
+      where: { AND: [source.visible(now), { id: { in: ids } }] },
+      select: source.select
+    });
+
+    rows.forEach(row => items.set(`${type}:${row.id}`, {
+      type,
+      id: row.id,
+      category: row.category,
+      publishedAt: row.publishedAt,
+      ...source.format(row)
+    }));
+  }));
+
+  return items;
+}
+
+/**
+ * "Read next" items for a news article: editor pins first (by position),
+ * then precomputed suggestions minus excluded items. Articles that have not
+ * been computed yet fall back to the latest news in the same category.
+ * @param {Object} article - { id, category, relatedComputedAt }
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRelatedContent(article, limit = 6) {
+  const [overrides, suggestions] = await Promise.all([
+    prisma.relatedContentOverride.findMany({
+      where: { articleId: article.id },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+    }),
+    prisma.relatedContent.findMany({
+      where: { articleId: article.id },
+      orderBy: { score: 'desc' }
+    })
+  ]);
+
+  const excluded = new Set(overrides
+    .filter(override => override.action === 'EXCLUDE')
+    .map(override => `${typeOf(override.targetType)}:${override.targetId}`));
+
+  const refs = [
+    ...overrides
+      .filter(override => override.action === 'PIN')
+      .map(override => ({ type: typeOf(override.targetType), id: override.targetId, pinned: true, score: null, sharedTags: null })),
+    ...suggestions.map(row => ({ type: typeOf(row.targetType), id: row.targetId, pinned: false, score: row.score, sharedTags: row.sharedTags }))
+  ];
+
+  if (!article.relatedComputedAt) {
+    const latest = await prisma.newsArticle.findMany({
+      where: {
+        id: { not: article.id },
+        category: article.category,
+        status: 'PUBLISHED',
+        publishedAt: { lte: new Date() }
+      },
+      orderBy: { publishedAt: 'desc' },
+      take: limit + excluded.size,
+      select: { id: true }
+    });
+    latest.forEach(row => refs.push({ type: 'news', id: row.id, pinned: false, score: null, sharedTags: null }));
+  }
+
+  const seen = new Set();
+  const wanted = refs.filter(ref => {
+    const key = `${ref.type}:${ref.id}`;
+    if (seen.has(key) || excluded.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const items = await loadRelatedItems(wanted);
+
+  return wanted
+    .filter(ref => items.has(`${ref.type}:${ref.id}`))
+    .slice(0, limit)
+    .map(ref => ({
+      ...items.get(`${ref.type}:${ref.id}`),
+      pinned: ref.pinned,
+      score: ref.score === null ? null : Math.round(ref.score * 10000) / 10000,
+      sharedTags: ref.sharedTags
+    }));
+}
+
+module.exports = {
+  RELATED_CONTENT_TYPES,
+  RELATED_SOURCES,
+  tokenize,
+  buildCorpus,
+  findSimilar,
+  computeRelatedContent,
+  refreshRelatedContent,
+  loadRelatedItems,
+  getRelatedContent
+};
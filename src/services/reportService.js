@@ -0,0 +1,583 @@
+// src/services/reportService.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const { csvRow } = require('../utils/csv');
+const { PdfDocument } = require('../utils/pdf');
+const { resolveDateRange } = require('./analyticsExport');
+
+const REPORT_TYPES = ['users', 'content', 'engagement', 'system'];
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+const SCHEDULE_FORMATS = ['csv', 'pdf'];
+const REPORT_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Days covered by a scheduled report, ending at the time it runs
+const FREQUENCY_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 30 };
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+const TOP_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TITLES = {
+  users: 'User Report',
+  content: 'Content Report',
+  engagement: 'Engagement Report',
+  system: 'System Report'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : Number(value));
+
+const round = (value, digits = 2) => parseFloat(toNumber(value).toFixed(digits));
+
+const percentChange = (current, previous) => (previous > 0
+  ? round((current - previous) / previous * 100, 1)
+  : null);
+
+const clickThroughRate = (impressions, clicks) => (impressions > 0 ? round(clicks / impressions * 100) : 0);
+
+const column = (key, header, align) => ({ key, header, ...(align && { align }) });
+
+const section = (title, columns, rows, description) => ({
+  title,
+  ...(description && { description }),
+  columns,
+  rows
+});
+
+const summarySection = (rows) => section('Summary', [column('metric', 'Metric'), column('value', 'Value', 'right')], rows);
+
+// ==================== SECTIONS ====================
+
+async function buildUsersReport({ from, to }) {
+  const period = { gte: from, lte: to };
+
+  const [totalUsers, newUsers, activeUsers, verifiedUsers, byRole, daily, readers] = await Promise.all([
+    prisma.user.count(),
+    prisma.user.count({ where: { createdAt: period } }),
+    prisma.user.count({ where: { lastLogin: period } }),
+    prisma.user.count({ where: { createdAt: period, emailVerified: true } }),
+    prisma.user.groupBy({
+      by: ['role'],
+      where: { createdAt: period },
+      _count: { id: true }
+    }),
+    prisma.$queryRaw`
+      SELECT DATE(created_at) as date, COUNT(*) as count
+      FROM users WHERE created_at >= ${from} AND created_at <= ${to}
+      GROUP BY DATE(created_at) ORDER BY date ASC
+    `,
+    prisma.readingHistory.groupBy({
+      by: ['userId'],
+      where: { updatedAt: period },
+      _count: { id: true },
+      _sum: { timeSpent: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: TOP_LIMIT
+    })
+  ]);
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: readers.map(reader => reader.userId) } },
+    select: { id: true, fullName: true, email: true }
+  });
+  const userMap = new Map(users.map(user => [user.id, user]));
+
+  return [
+    summarySection([
+      ['Total users', totalUsers],
+      ['New users', newUsers],
+      ['New users verified', verifiedUsers],
+      ['Active users', activeUsers]
+    ]),
+    section('New Users by Role',
+      [column('role', 'Role'), column('count', 'New Users', 'right')],
+      byRole.map(role => [role.role, role._count.id])),
+    section('Daily Signups',
+      [column('date', 'Date'), column('count', 'New Users', 'right')],
+      daily.map(day => [new Date(day.date).toISOString().slice(0, 10), toNumber(day.count)])),
+    section('Top Readers',
+      [
+        column('name', 'Name'),
+        column('email', 'Email'),
+        column('articles', 'Articles Read', 'right'),
+        column('minutes', 'Reading Minutes', 'right')
+      ],
+      readers.map(reader => {
+        const user = userMap.get(reader.userId) || {};
+        return [user.fullName, user.email, reader._count.id, Math.round((reader._sum.timeSpent || 0) / 60)];
+      }))
+  ];
+}
+
+async function buildContentReport({ from, to }) {
+  const period = { gte: from, lte: to };
+  const previousFrom = new Date(from.getTime() - (to - from));
+
+  const [created, published, statuses, authors, turnaround, current, previous] = await Promise.all([
+    prisma.newsArticle.count({ where: { createdAt: period } }),
+    prisma.newsArticle.count({ where: { status: 'PUBLISHED', publishedAt: period } }),
+    prisma.newsArticle.groupBy({
+      by: ['status'],
+      where: { createdAt: period },
+      _count: { id: true }
+    }),
+    prisma.newsArticle.groupBy({
+      by: ['authorId'],
+      where: { status: 'PUBLISHED', publishedAt: period },
+      _count: { id: true },
+      _sum: { viewCount: true, shareCount: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: TOP_LIMIT
+    }),
+    // A decision is measured from the latest resubmission before it, or from article creation
+    prisma.$queryRaw`
+      SELECT ah.action as action, COUNT(*) as decisions,
+        AVG(TIMESTAMPDIFF(MINUTE, COALESCE(
+          (SELECT MAX(s.created_at) FROM approval_history s
+            WHERE s.news_id = ah.news_id AND s.action = 'REVISION_SUBMITTED' AND s.created_at < ah.created_at),
+          na.created_at), ah.created_at)) as avg_minutes,
+        MAX(TIMESTAMPDIFF(MINUTE, COALESCE(
+          (SELECT MAX(s.created_at) FROM approval_history s
+            WHERE s.news_id = ah.news_id AND s.action = 'REVISION_SUBMITTED' AND s.created_at < ah.created_at),
+          na.created_at), ah.created_at)) as max_minutes
+      FROM approval_history ah
+      JOIN news_articles na ON na.id = ah.news_id
+      WHERE ah.action IN ('APPROVED', 'REJECTED', 'CHANGES_REQUESTED')
+        AND ah.created_at >= ${from} AND ah.created_at <= ${to}
+      GROUP BY ah.action
+    `,
+    prisma.newsArticle.groupBy({
+      by: ['category'],
+      where: { status: 'PUBLISHED', publishedAt: period },
+      _count: { id: true },
+      _sum: { viewCount: true }
+    }),
+    prisma.newsArticle.groupBy({
+      by: ['category'],
+      where: { status: 'PUBLISHED', publishedAt: { gte: previousFrom, lt: from } },
+      _count: { id: true }
+    })
+  ]);
+
+  const authorUsers = await prisma.user.findMany({
+    where: { id: { in: authors.map(author => author.authorId) } },
+    select: { id: true, fullName: true, email: true }
+  });
+  const authorMap = new Map(authorUsers.map(user => [user.id, user]));
+
+  const previousMap = new Map(previous.map(group => [group.category, group._count.id]));
+  const categories = new Set([...current.map(group => group.category), ...previousMap.keys()]);
+  const currentMap = new Map(current.map(group => [group.category, group]));
+
+  const growth = [...categories].map(category => {
+    const now = currentMap.get(category)?._count.id || 0;
+    const before = previousMap.get(category) || 0;
+    return [category, now, before, now - before, percentChange(now, before), currentMap.get(category)?._sum.viewCount || 0];
+  }).sort((a, b) => b[3] - a[3]);
+
+  const decisions = turnaround.reduce((sum, row) => sum + toNumber(row.decisions), 0);
+  const averageHours = decisions > 0
+    ? round(turnaround.reduce((sum, row) => sum + toNumber(row.avg_minutes) * toNumber(row.decisions), 0) / decisions / 60, 1)
+    : 0;
+
+  return [
+    summarySection([
+      ['Articles created', created],
+      ['Articles published', published],
+      ['Review decisions', decisions],
+      ['Average review turnaround (hours)', averageHours]
+    ]),
+    section('Top Authors',
+      [
+        column('author', 'Author'),
+        column('email', 'Email'),
+        column('published', 'Published', 'right'),
+        column('views', 'Views', 'right'),
+        column('shares', 'Shares', 'right'),
+        column('averageViews', 'Avg Views', 'right')
+      ],
+      authors.map(author => {
+        const user = authorMap.get(author.authorId) || {};
+        const views = author._sum.viewCount || 0;
+        return [user.fullName, user.email, author._count.id, views, author._sum.shareCount || 0, Math.round(views / author._count.id)];
+      })),
+    section('Approval Turnaround',
+      [
+        column('action', 'Decision'),
+        column('decisions', 'Count', 'right'),
+        column('averageHours', 'Avg Hours', 'right'),
+        column('maxHours', 'Max Hours', 'right')
+      ],
+      turnaround.map(row => [
+        row.action,
+        toNumber(row.decisions),
+        round(toNumber(row.avg_minutes) / 60, 1),
+        round(toNumber(row.max_minutes) / 60, 1)
+      ]),
+      'Time from submission (or the latest resubmission) to the review decision.'),
+    section('Category Growth',
+      [
+        column('category', 'Category'),
+        column('published', 'Published', 'right'),
+        column('previous', 'Previous Period', 'right'),
+        column('change', 'Change', 'right'),
+        column('changePercent', 'Change %', 'right'),
+        column('views', 'Views', 'right')
+      ],
+      growth,
+      'Published articles compared with the period of the same length just before.'),
+    section('Articles by Status',
+      [column('status', 'Status'), column('count', 'Articles', 'right')],
+      statuses.map(status => [status.status, status._count.id]),
+      'Articles created in the period, by current status.')
+  ];
+}
+
+async function buildEngagementReport({ from, to }) {
+  const period = { gte: from, lte: to };
+
+  const [engagement, favorites, searches, reading, topArticles, ads] = await Promise.all([
+    prisma.newsArticle.aggregate({
+      where: { status: 'PUBLISHED', publishedAt: period },
+      _sum: { viewCount: true, shareCount: true },
+      _avg: { viewCount: true, shareCount: true }
+    }),
+    prisma.userFavorite.count({ where: { savedAt: period } }),
+    prisma.searchHistory.count({ where: { createdAt: period } }),
+    prisma.readingHistory.aggregate({
+      where: { updatedAt: period },
+      _count: { id: true },
+      _avg: { timeSpent: true, readProgress: true }
+    }),
+    prisma.newsArticle.findMany({
+      where: { status: 'PUBLISHED', publishedAt: period },
+      orderBy: { viewCount: 'desc' },
+      take: TOP_LIMIT,
+      select: { headline: true, category: true, viewCount: true, shareCount: true }
+    }),
+    prisma.advertisement.findMany({
+      where: { startDate: { lte: to }, endDate: { gte: from } },
+      orderBy: { impressions: 'desc' },
+      select: { title: true, position: true, impressions: true, clickCount: true }
+    })
+  ]);
+
+  const byPosition = new Map();
+  for (const ad of ads) {
+    const totals = byPosition.get(ad.position) || { ads: 0, impressions: 0, clicks: 0 };
+    totals.ads++;
+    totals.impressions += ad.impressions;
+    totals.clicks += ad.clickCount;
+    byPosition.set(ad.position, totals);
+  }
+
+  const impressions = ads.reduce((sum, ad) => sum + ad.impressions, 0);
+  const clicks = ads.reduce((sum, ad) => sum + ad.clickCount, 0);
+
+  return [
+    summarySection([
+      ['Views on articles published', engagement._sum.viewCount || 0],
+      ['Shares on articles published', engagement._sum.shareCount || 0],
+      ['Average views per article', round(engagement._avg.viewCount, 1)],
+      ['Favorites added', favorites],
+      ['Searches', searches],
+      ['Reading sessions', reading._count.id || 0],
+      ['Average reading time (s)', Math.round(reading._avg.timeSpent || 0)],
+      ['Average read progress', round(reading._avg.readProgress)],
+      ['Ad click-through rate (%)', clickThroughRate(impressions, clicks)]
+    ]),
+    section('Top Articles',
+      [
+        column('headline', 'Headline'),
+        column('category', 'Category'),
+        column('views', 'Views', 'right'),
+        column('shares', 'Shares', 'right')
+      ],
+      topArticles.map(article => [article.headline, article.category, article.viewCount, article.shareCount])),
+    section('Ad CTR',
+      [
+        column('title', 'Advertisement'),
+        column('position', 'Position'),
+        column('impressions', 'Impressions', 'right'),
+        column('clicks', 'Clicks', 'right'),
+        column('ctr', 'CTR %', 'right')
+      ],
+      ads.map(ad => [ad.title, ad.position, ad.impressions, ad.clickCount, clickThroughRate(ad.impressions, ad.clickCount)]),
+      'Ads that ran during the period; impressions and clicks are lifetime totals.'),
+    section('Ad CTR by Position',
+      [
+        column('position', 'Position'),
+        column('ads', 'Ads', 'right'),
+        column('impressions', 'Impressions', 'right'),
+        column('clicks', 'Clicks', 'right'),
+        column('ctr', 'CTR %', 'right')
+      ],
+      [...byPosition.entries()].map(([position, totals]) => [
+        position,
+        totals.ads,
+        totals.impressions,
+        totals.clicks,
+        clickThroughRate(totals.impressions, totals.clicks)
+      ]))
+  ];
+}
+
+async function buildSystemReport({ from, to }) {
+  const memory = process.memoryUsage();
+  const toMb = (bytes) => round(bytes / 1024 / 1024, 1);
+
+  const [users, articles, notifications, auditActions, backups] = await Promise.all([
+    prisma.user.count(),
+    prisma.newsArticle.count(),
+    prisma.notification.count({ where: { createdAt: { gte: from, lte: to } } }),
+    prisma.auditLog.groupBy({
+      by: ['action'],
+      where: { createdAt: { gte: from, lte: to } },
+      _count: { id: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: TOP_LIMIT
+    }),
+    prisma.backup.findMany({
+      where: { createdAt: { gte: from, lte: to } },
+      orderBy: { createdAt: 'desc' },
+      take: TOP_LIMIT,
+      select: { type: true, status: true, trigger: true, sizeBytes: true, createdAt: true }
+    })
+  ]);
+
+  return [
+    summarySection([
+      ['Uptime (hours)', round(process.uptime() / 3600, 1)],
+      ['Node.js', process.version],
+      ['Heap used (MB)', toMb(memory.heapUsed)],
+      ['Resident memory (MB)', toMb(memory.rss)],
+      ['Users', users],
+      ['Articles', articles],
+      ['Notifications sent', notifications]
+    ]),
+    section('Admin Activity',
+      [column('action', 'Action'), column('count', 'Entries', 'right')],
+      auditActions.map(action => [action.action, action._count.id])),
+    section('Backups',
+      [
+        column('createdAt', 'Started'),
+        column('type', 'Type'),
+        column('status', 'Status'),
+        column('trigger', 'Trigger'),
+        column('sizeMb', 'Size (MB)', 'right')
+      ],
+      backups.map(backup => [
+        backup.createdAt,
+        backup.type,
+        backup.status,
+        backup.trigger,
+        backup.sizeBytes === null ? null : toMb(Number(backup.sizeBytes))
+      ]))
+  ];
+}
+
+const BUILDERS = {
+  users: buildUsersReport,
+  content: buildContentReport,
+  engagement: buildEngagementReport,
+  system: buildSystemReport
+};
+
+/**
+ * Build a report and store it so it can be downloaded later in any format
+ * @param {Object} options
+ * @param {string} options.type - One of REPORT_TYPES
+ * @param {Object} options.range - From resolveDateRange
+ * @param {string} options.format - Format requested, used as the download default
+ * @param {string} options.userId - Admin who asked for it (null for schedules)
+ * @param {string} options.scheduleId
+ * @returns {Promise<Object>} - Report row
+ */
+async function generateReport({ type, range, format = 'json', userId = null, scheduleId = null }) {
+  const sections = await BUILDERS[type](range);
+
+  return prisma.report.create({
+    data: {
+      type,
+      format,
+      title: TITLES[type],
+      dateFrom: range.from,
+      dateTo: range.to,
+      sections: JSON.parse(JSON.stringify(sections)),
+      generatedBy: userId,
+      scheduleId
+    }
+  });
+}
+
+// ==================== RENDERING ====================
+
+const periodLabel = (report) => `${report.dateFrom.toISOString().slice(0, 10)} to ${report.dateTo.toISOString().slice(0, 10)}`;
+
+/**
+ * Render a stored report as CSV, one titled block per section
+ * @returns {Buffer}
+ */
+function renderCsv(report) {
+  let csv = csvRow([report.title]) + csvRow([`Period: ${periodLabel(report)}`]) + csvRow([`Generated: ${report.createdAt.toISOString()}`]);
+
+  for (const part of report.sections) {
+    csv += '\r\n' + csvRow([`# ${part.title}`]);
+    csv += csvRow(part.columns.map(col => col.header));
+    for (const row of part.rows) {
+      csv += csvRow(row);
+    }
+  }
+
+  return Buffer.from(csv, 'utf8');
+}
+
+/**
+ * Render a stored report as a PDF with one table per section
+ * @returns {Buffer}
+ */
+function renderPdf(report) {
+  const doc = new PdfDocument({ title: report.title });
+
+  doc.text(report.title, { size: 20, bold: true, spacing: 6 });
+  doc.text(`Period: ${periodLabel(report)}`, { size: 10, gray: true });
+  doc.text(`Generated: ${report.createdAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`, { size: 10, gray: true, spacing: 10 });
+
+  for (const part of report.sections) {
+    doc.heading(part.title);
+    if (part.description) {
+      doc.text(part.description, { size: 9, gray: true, spacing: 6 });
+    }
+    doc.table(part.columns.map((col, index) => ({
+      header: col.header,
+      align: col.align,
+      width: index === 0 && part.columns.length > 3 ? 2 : 1
+    })), part.rows);
+  }
+
+  return doc.toBuffer();
+}
+
+const renderReport = (report, format) => (format === 'pdf' ? renderPdf(report) : renderCsv(report));
+
+const reportFileName = (report, format) => `${report.type}-report-${report.dateTo.toISOString().slice(0, 10)}-${report.id}.${format}`;
+
+// ==================== SCHEDULES ====================
+
+/**
+ * Next run of a schedule after `after`, at `hour` o'clock server time
+ * @param {Object} schedule - frequency, hour, dayOfWeek (0 = Sunday), dayOfMonth (1-28)
+ * @param {Date} after
+ * @returns {Date}
+ */
+function computeNextRun({ frequency, hour = 6, dayOfWeek = 1, dayOfMonth = 1 }, after = new Date()) {
+  const next = new Date(after);
+  next.setHours(hour, 0, 0, 0);
+
+  if (frequency === 'DAILY') {
+    if (next <= after) next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  if (frequency === 'WEEKLY') {
+    next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+    if (next <= after) next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  next.setDate(dayOfMonth);
+  if (next <= after) next.setMonth(next.getMonth() + 1);
+  return next;
+}
+
+/**
+ * Generate a scheduled report and email it to the schedule's recipients
+ * @returns {Promise<Object>} - Report row
+ */
+async function deliverSchedule(schedule, now = new Date()) {
+  const range = resolveDateRange({
+    dateFrom: new Date(now.getTime() - FREQUENCY_DAYS[schedule.frequency] * DAY_MS).toISOString(),
+    dateTo: now.toISOString()
+  });
+
+  const report = await generateReport({
+    type: schedule.type,
+    range,
+    format: schedule.format,
+    userId: schedule.createdBy,
+    scheduleId: schedule.id
+  });
+
+  const result = await emailService.sendReportEmail(schedule.recipients, {
+    scheduleName: schedule.name,
+    title: report.title,
+    period: periodLabel(report),
+    summary: report.sections[0]?.rows || []
+  }, {
+    filename: reportFileName(report, schedule.format),
+    content: renderReport(report, schedule.format),
+    contentType: CONTENT_TYPES[schedule.format]
+  });
+
+  if (!result.success) {
+    throw new Error('Report email could not be sent');
+  }
+
+  return report;
+}
+
+/**
+ * Send every active schedule that is due. Each schedule is claimed by moving
+ * nextRunAt forward first, so parallel processes never send it twice.
+ * @returns {Promise<number>} - Reports sent
+ */
+async function runDueReportSchedules(now = new Date()) {
+  const due = await prisma.reportSchedule.findMany({
+    where: { isActive: true, nextRunAt: { lte: now } }
+  });
+
+  let sent = 0;
+
+  for (const schedule of due) {
+    const claimed = await prisma.reportSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: computeNextRun(schedule, now) }
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      await deliverSchedule(schedule, now);
+      await prisma.reportSchedule.update({
+        where: { id: schedule.id },
+        data: { lastRunAt: now, lastError: null }
+      });
+      sent++;
+    } catch (error) {
+      logger.error(`Scheduled report ${schedule.id} failed:`, error);
+      await prisma.reportSchedule.update({
+        where: { id: schedule.id },
+        data: { lastRunAt: now, lastError: error.message }
+      });
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  SCHEDULE_FORMATS,
+  REPORT_FREQUENCIES,
+  CONTENT_TYPES,
+  generateReport,
+  renderReport,
+  reportFileName,
+  computeNextRun,
+  deliverSchedule,
+  runDueReportSchedules
+};
@@ -0,0 +1,192 @@
+// src/services/savedSearchAlerts.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const { unifiedSearch, SEARCH_TYPES } = require('./searchService');
+const { notifySavedSearchMatches } = require('../utils/notifications');
+
+const ALERT_FREQUENCIES = ['NONE', 'INSTANT', 'DAILY', 'WEEKLY'];
+
+// Scheduled articles go out with publishedAt = scheduledAt, up to a minute
+// after that time, so each window reaches a little into the previous one.
+// Items already alerted in the previous run are skipped via lastNotifiedIds.
+const WINDOW_OVERLAP_MS = 2 * 60 * 1000;
+
+const MAX_ALERT_RESULTS = 20;
+
+// Filters saved from the advanced search body
+const FILTER_FIELDS = [
+  'types',
+  'categories',
+  'authors',
+  'tags',
+  'dateFrom',
+  'dateTo',
+  'minViewCount',
+  'maxViewCount',
+  'priorityLevel'
+];
+
+const pickFilters = (source) => FILTER_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined && source[field] !== null) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+/**
+ * Turn a saved search into unifiedSearch parameters
+ * @param {Object} savedSearch - SavedSearch row
+ * @param {Object} overrides - Extra filters (e.g. a date window) and paging
+ * @returns {Object}
+ */
+function buildSearchParams(savedSearch, { dateFrom, sortBy, order, page = 1, limit = 10 } = {}) {
+  const filters = savedSearch.filters || {};
+
+  // A window start later than the saved dateFrom narrows the range
+  let effectiveFrom = filters.dateFrom;
+  if (dateFrom && (!effectiveFrom || new Date(dateFrom) > new Date(effectiveFrom))) {
+    effectiveFrom = dateFrom;
+  }
+
+  return {
+    query: savedSearch.query || '',
+    types: filters.types && filters.types.length > 0 ? filters.types : SEARCH_TYPES,
+    categories: filters.categories || [],
+    filters: {
+      dateFrom: effectiveFrom,
+      dateTo: filters.dateTo,
+      authorIds: filters.authors || [],
+      tags: filters.tags || [],
+      minViewCount: filters.minViewCount,
+      maxViewCount: filters.maxViewCount,
+      priorityLevel: filters.priorityLevel
+    },
+    sortBy: sortBy || (savedSearch.query ? 'relevance' : 'date'),
+    order: order || 'desc',
+    page,
+    limit
+  };
+}
+
+/**
+ * Check one saved search for content published since its last check
+ * @returns {Promise<number>} - Number of new matches alerted
+ */
+async function checkSavedSearch(savedSearch, now) {
+  // Claim the search so parallel processes don't alert twice
+  const claimed = await prisma.savedSearch.updateMany({
+    where: {
+      id: savedSearch.id,
+      lastCheckedAt: savedSearch.lastCheckedAt
+    },
+    data: { lastCheckedAt: now }
+  });
+
+  if (claimed.count === 0) {
+    return 0;
+  }
+
+  const windowStart = new Date(savedSearch.lastCheckedAt.getTime() - WINDOW_OVERLAP_MS);
+  const { results, totalCount } = await unifiedSearch(buildSearchParams(savedSearch, {
+    dateFrom: windowStart,
+    sortBy: 'date',
+    order: 'desc',
+    limit: MAX_ALERT_RESULTS
+  }));
+
+  const alreadyNotified = new Set(savedSearch.lastNotifiedIds || []);
+  const fresh = results.filter(result => !alreadyNotified.has(`${result.type}:${result.id}`));
+  const newCount = totalCount - (results.length - fresh.length);
+
+  if (fresh.length === 0) {
+    return 0;
+  }
+
+  await notifySavedSearchMatches(savedSearch, fresh, newCount);
+
+  if (savedSearch.emailAlerts && savedSearch.user?.email) {
+    await emailService.sendSavedSearchAlertEmail(
+      savedSearch.user.email,
+      savedSearch.user.fullName,
+      savedSearch,
+      fresh,
+      newCount
+    );
+  }
+
+  await prisma.savedSearch.update({
+    where: { id: savedSearch.id },
+    data: {
+      lastAlertedAt: now,
+      lastNotifiedIds: results.map(result => `${result.type}:${result.id}`)
+    }
+  });
+
+  return newCount;
+}
+
+/**
+ * Alert users about new matches for every saved search with the given frequency
+ * @param {string} frequency - INSTANT, DAILY or WEEKLY
+ * @param {number} batchSize - Saved searches loaded per query
+ * @returns {Promise<{checked: number, alerted: number}>}
+ */
+async function runSavedSearchAlerts(frequency, batchSize = 200) {
+  const now = new Date();
+  let cursor = null;
+  let checked = 0;
+  let alerted = 0;
+
+  while (true) {
+    const savedSearches = await prisma.savedSearch.findMany({
+      where: {
+        alertFrequency: frequency,
+        lastCheckedAt: { lt: now },
+        user: { isActive: true }
+      },
+      include: {
+        user: {
+          select: {
+            email: true,
+            fullName: true
+          }
+        }
+      },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } })
+    });
+
+    if (savedSearches.length === 0) {
+      break;
+    }
+
+    for (const savedSearch of savedSearches) {
+      try {
+        const matches = await checkSavedSearch(savedSearch, now);
+        checked++;
+        if (matches > 0) {
+          alerted++;
+        }
+      } catch (error) {
+        logger.error(`Saved search alert failed for ${savedSearch.id}:`, error);
+      }
+    }
+
+    cursor = savedSearches[savedSearches.length - 1].id;
+
+    if (savedSearches.length < batchSize) {
+      break;
+    }
+  }
+
+  return { checked, alerted };
+}
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  pickFilters,
+  buildSearchParams,
+  runSavedSearchAlerts
+};
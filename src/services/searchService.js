@@ -0,0 +1,387 @@
+// src/services/searchService.js
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { createHighlighter } = require('../utils/snippets');
+const { TAG_TARGETS, resolveTagIds } = require('./tagService');
+
+const SEARCH_TYPES = ['news', 'ai', 'timesaver'];
+
+// InnoDB ignores shorter words (innodb_ft_min_token_size), such queries fall back to LIKE
+const FULLTEXT_MIN_TOKEN_SIZE = parseInt(process.env.FULLTEXT_MIN_TOKEN_SIZE) || 3;
+
+// Column lists must match the FULLTEXT indexes in schema.prisma exactly
+const SOURCES = {
+  news: {
+    table: 'news_articles',
+    title: 'headline',
+    summary: 'brief_content',
+    image: 'featured_image',
+    author: 'author_id',
+    slug: 't.slug',
+    titleIndex: ['headline'],
+    contentIndex: ['headline', 'brief_content', 'full_content', 'tags'],
+    likeColumns: ['headline', 'brief_content', 'full_content', 'tags'],
+    visible: Prisma.sql`t.status = 'PUBLISHED' AND t.published_at <= NOW()`
+  },
+  ai: {
+    table: 'ai_articles',
+    title: 'headline',
+    summary: 'brief_content',
+    image: 'featured_image',
+    author: 'created_by',
+    slug: 'NULL',
+    titleIndex: ['headline'],
+    contentIndex: ['headline', 'brief_content', 'full_content', 'tags'],
+    likeColumns: ['headline', 'brief_content', 'full_content', 'tags'],
+    visible: Prisma.sql`t.published_at <= NOW()`
+  },
+  timesaver: {
+    table: 'time_saver_content',
+    title: 'title',
+    summary: 'summary',
+    image: 'image_url',
+    author: 'created_by',
+    slug: 'NULL',
+    titleIndex: ['title'],
+    contentIndex: ['title', 'summary', 'key_points', 'tags'],
+    likeColumns: ['title', 'summary', 'key_points', 'tags'],
+    visible: Prisma.sql`t.published_at <= NOW()`
+  }
+};
+
+const SORT_COLUMNS = {
+  relevance: 'relevance',
+  date: 'published_at',
+  publishedAt: 'published_at',
+  createdAt: 'created_at',
+  popularity: 'view_count',
+  viewCount: 'view_count',
+  alphabetical: 'title'
+};
+
+const columnList = (columns) => Prisma.raw(columns.map(column => `t.\`${column}\``).join(', '));
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const usesFullText = (query) => query
+  .split(/\s+/)
+  .some(word => word.replace(/[^\p{L}\p{N}]/gu, '').length >= FULLTEXT_MIN_TOKEN_SIZE);
+
+/**
+ * Relevance expression and match condition for one source.
+ * Title matches weigh three times as much as body matches.
+ */
+function buildMatch(source, query) {
+  // Filter-only searches (advanced search without text)
+  if (!query) {
+    return {
+      relevance: Prisma.sql`0`,
+      condition: Prisma.sql`1 = 1`
+    };
+  }
+
+  if (usesFullText(query)) {
+    const titleMatch = Prisma.sql`MATCH(${columnList(source.titleIndex)}) AGAINST (${query} IN NATURAL LANGUAGE MODE)`;
+    const contentMatch = Prisma.sql`MATCH(${columnList(source.contentIndex)}) AGAINST (${query} IN NATURAL LANGUAGE MODE)`;
+
+    return {
+      relevance: Prisma.sql`(${titleMatch} * 3 + ${contentMatch})`,
+      condition: Prisma.sql`${contentMatch} > 0`
+    };
+  }
+
+  const pattern = `%${escapeLike(query)}%`;
+  const [titleColumn, summaryColumn, , tagsColumn] = source.likeColumns;
+  const like = (column) => Prisma.sql`t.${Prisma.raw(`\`${column}\``)} LIKE ${pattern}`;
+
+  return {
+    relevance: Prisma.sql`((${like(titleColumn)}) * 3 + (${like(summaryColumn)}) + (${like(tagsColumn)}))`,
+    condition: Prisma.sql`(${Prisma.join(source.likeColumns.map(like), ' OR ')})`
+  };
+}
+
+/**
+ * Filters shared by every source. Type and category are left out on purpose:
+ * facets are counted without them so clients can show the other options.
+ */
+function buildFilters(type, source, filters) {
+  const conditions = [];
+
+  if (filters.dateFrom) {
+    conditions.push(Prisma.sql`t.published_at >= ${new Date(filters.dateFrom)}`);
+  }
+  if (filters.dateTo) {
+    conditions.push(Prisma.sql`t.published_at <= ${new Date(filters.dateTo)}`);
+  }
+
+  const authorColumn = Prisma.raw(`t.\`${source.author}\``);
+  if (filters.authorIds && filters.authorIds.length > 0) {
+    conditions.push(Prisma.sql`${authorColumn} IN (${Prisma.join(filters.authorIds)})`);
+  }
+  if (filters.authorName) {
+    conditions.push(Prisma.sql`${authorColumn} IN (SELECT id FROM users WHERE full_name LIKE ${`%${escapeLike(filters.authorName)}%`})`);
+  }
+
+  // Tag names are resolved to tag ids (aliases included) by unifiedSearch
+  if (filters.tagIds && filters.tagIds.length > 0) {
+    const { linkTable, linkColumn } = TAG_TARGETS[type];
+    conditions.push(Prisma.sql`t.id IN (SELECT l.${Prisma.raw(linkColumn)} FROM ${Prisma.raw(linkTable)} l WHERE l.tag_id IN (${Prisma.join(filters.tagIds)}))`);
+  }
+
+  if (filters.minViewCount !== undefined) {
+    conditions.push(Prisma.sql`t.view_count >= ${parseInt(filters.minViewCount)}`);
+  }
+  if (filters.maxViewCount !== undefined) {
+    conditions.push(Prisma.sql`t.view_count <= ${parseInt(filters.maxViewCount)}`);
+  }
+
+  // Only news articles carry a priority level
+  if (filters.priorityLevel !== undefined) {
+    if (type !== 'news') {
+      return null;
+    }
+    conditions.push(Prisma.sql`t.priority_level >= ${parseInt(filters.priorityLevel)}`);
+  }
+
+  return conditions;
+}
+
+function buildUnion(query, filters) {
+  const parts = SEARCH_TYPES.map(type => {
+    const source = SOURCES[type];
+    const extraConditions = buildFilters(type, source, filters);
+    if (!extraConditions) {
+      return null;
+    }
+
+    const { relevance, condition } = buildMatch(source, query);
+    const where = Prisma.join([source.visible, condition, ...extraConditions], ' AND ');
+
+    return Prisma.sql`
+      SELECT
+        ${Prisma.raw(`'${type}'`)} AS type,
+        t.id,
+        t.${Prisma.raw(`\`${source.title}\``)} AS title,
+        t.${Prisma.raw(`\`${source.summary}\``)} AS summary,
+        t.category,
+        t.${Prisma.raw(`\`${source.image}\``)} AS image_url,
+        t.tags,
+        ${Prisma.raw(source.slug)} AS slug,
+        t.${Prisma.raw(`\`${source.author}\``)} AS author_id,
+        t.view_count,
+        t.published_at,
+        t.created_at,
+        ${relevance} AS relevance
+      FROM ${Prisma.raw(source.table)} t
+      WHERE ${where}
+    `;
+  }).filter(Boolean);
+
+  return Prisma.join(parts, ' UNION ALL ');
+}
+
+// Filters applied on top of the union (the facet dimensions)
+function buildSelection(types, categories) {
+  const conditions = [Prisma.sql`r.type IN (${Prisma.join(types)})`];
+  if (categories.length > 0) {
+    conditions.push(Prisma.sql`r.category IN (${Prisma.join(categories)})`);
+  }
+  return Prisma.join(conditions, ' AND ');
+}
+
+function summariseFacets(rows, types, categories) {
+  const facets = {
+    type: {},
+    category: {},
+    date: { last24h: 0, last7d: 0, last30d: 0, older: 0 }
+  };
+  let totalCount = 0;
+
+  const categorySet = new Set(categories.map(category => category.toUpperCase()));
+  const matchesCategory = (category) => categorySet.size === 0 || categorySet.has(String(category).toUpperCase());
+
+  for (const row of rows) {
+    const count = Number(row.total);
+    const inTypes = types.includes(row.type);
+
+    // Each dimension is counted under the other dimension's filter only
+    if (matchesCategory(row.category)) {
+      facets.type[row.type] = (facets.type[row.type] || 0) + count;
+    }
+    if (inTypes) {
+      facets.category[row.category] = (facets.category[row.category] || 0) + count;
+    }
+    if (inTypes && matchesCategory(row.category)) {
+      totalCount += count;
+      facets.date.last24h += Number(row.last24h);
+      facets.date.last7d += Number(row.last7d);
+      facets.date.last30d += Number(row.last30d);
+      facets.date.older += count - Number(row.last30d);
+    }
+  }
+
+  facets.category = Object.entries(facets.category)
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return { facets, totalCount };
+}
+
+/**
+ * Ranked search across news, AI/ML articles and TimeSaver content.
+ * Ordering, paging and facet counts all happen in MySQL.
+ * @param {Object} params
+ * @param {string} params.query - Search text (empty to filter only)
+ * @param {Array<string>} params.types - Any of SEARCH_TYPES (default all)
+ * @param {Array<string>} params.categories - Category filter (optional)
+ * @param {Object} params.filters - dateFrom, dateTo, authorIds, authorName, tags,
+ *                                  minViewCount, maxViewCount, priorityLevel
+ * @param {string} params.sortBy - relevance, date, popularity, alphabetical, createdAt
+ * @param {string} params.order - asc or desc (ignored for relevance)
+ * @param {number} params.page
+ * @param {number} params.limit
+ * @returns {Promise<{results: Array<Object>, totalCount: number, facets: Object}>}
+ */
+async function unifiedSearch({
+  query,
+  types = SEARCH_TYPES,
+  categories = [],
+  filters = {},
+  sortBy = 'relevance',
+  order = 'desc',
+  page = 1,
+  limit = 10
+}) {
+  const searchText = (query || '').trim();
+  const requestedTypes = types.filter(type => SEARCH_TYPES.includes(type));
+  const selectedTypes = requestedTypes.length > 0 ? requestedTypes : SEARCH_TYPES;
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+
+  const tagIds = filters.tags && filters.tags.length > 0
+    ? await resolveTagIds(filters.tags)
+    : undefined;
+
+  // No source can match unknown tags
+  if (tagIds && tagIds.length === 0) {
+    return {
+      results: [],
+      totalCount: 0,
+      facets: { type: {}, category: [], date: { last24h: 0, last7d: 0, last30d: 0, older: 0 } }
+    };
+  }
+
+  const union = buildUnion(searchText, { ...filters, tagIds });
+  const selection = buildSelection(selectedTypes, categories);
+
+  const sortColumn = Prisma.raw(SORT_COLUMNS[sortBy] || 'relevance');
+  const direction = Prisma.raw(sortBy === 'relevance' || order !== 'asc' ? 'DESC' : 'ASC');
+
+  const [rows, facetRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT * FROM (${union}) AS r
+      WHERE ${selection}
+      ORDER BY r.${sortColumn} ${direction}, r.published_at DESC, r.id ASC
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      SELECT
+        r.type,
+        r.category,
+        COUNT(*) AS total,
+        SUM(r.published_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)) AS last24h,
+        SUM(r.published_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)) AS last7d,
+        SUM(r.published_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)) AS last30d
+      FROM (${union}) AS r
+      GROUP BY r.type, r.category
+    `
+  ]);
+
+  const { facets, totalCount } = summariseFacets(facetRows, selectedTypes, categories);
+
+  // Attach author details in one query
+  const authorIds = [...new Set(rows.map(row => row.author_id).filter(Boolean))];
+  const authors = authorIds.length > 0
+    ? await prisma.user.findMany({
+      where: { id: { in: authorIds } },
+      select: { id: true, fullName: true, avatar: true }
+    })
+    : [];
+  const authorMap = new Map(authors.map(author => [author.id, author]));
+
+  const results = rows.map(row => ({
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    summary: row.summary,
+    category: row.category,
+    imageUrl: row.image_url,
+    tags: row.tags,
+    slug: row.slug,
+    viewCount: Number(row.view_count),
+    publishedAt: row.published_at,
+    relevanceScore: Number(row.relevance),
+    author: authorMap.get(row.author_id) || null
+  }));
+
+  return { results, totalCount, facets };
+}
+
+/**
+ * Add title highlights and a body snippet to unified search results.
+ * Bodies are loaded for the current page only.
+ * @param {Array<Object>} results - Results from unifiedSearch
+ * @param {string} query - Search text
+ * @param {string} mode - 'html', 'offsets' or 'none'
+ * @returns {Promise<Array<Object>>}
+ */
+async function withHighlights(results, query, mode = 'html') {
+  if (mode === 'none' || !query || results.length === 0) {
+    return results;
+  }
+
+  const idsOf = (type) => results.filter(result => result.type === type).map(result => result.id);
+  const newsIds = idsOf('news');
+  const aiIds = idsOf('ai');
+  const timeSaverIds = idsOf('timesaver');
+
+  const [news, aiArticles, timeSavers] = await Promise.all([
+    newsIds.length > 0
+      ? prisma.newsArticle.findMany({ where: { id: { in: newsIds } }, select: { id: true, fullContent: true } })
+      : [],
+    aiIds.length > 0
+      ? prisma.aiArticle.findMany({ where: { id: { in: aiIds } }, select: { id: true, fullContent: true } })
+      : [],
+    timeSaverIds.length > 0
+      ? prisma.timeSaverContent.findMany({ where: { id: { in: timeSaverIds } }, select: { id: true, keyPoints: true } })
+      : []
+  ]);
+
+  const bodies = new Map([
+    ...news.map(item => [`news:${item.id}`, item.fullContent]),
+    ...aiArticles.map(item => [`ai:${item.id}`, item.fullContent]),
+    ...timeSavers.map(item => [`timesaver:${item.id}`, item.keyPoints])
+  ]);
+
+  const highlighter = createHighlighter(query, { mode });
+
+  return results.map(result => {
+    const body = bodies.get(`${result.type}:${result.id}`);
+    return {
+      ...result,
+      highlights: {
+        title: highlighter.field(result.title),
+        // TimeSaver items have no full text, their summary is the main body
+        snippet: result.type === 'timesaver'
+          ? highlighter.snippet(result.summary, body)
+          : highlighter.snippet(body, result.summary)
+      }
+    };
+  });
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  unifiedSearch,
+  withHighlights
+};
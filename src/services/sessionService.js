@@ -0,0 +1,280 @@
+// src/services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+const { notifyRefreshTokenReuse } = require('../utils/notifications');
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 7;
+const REVOKED_RETENTION_DAYS = parseInt(process.env.SESSION_REVOKED_RETENTION_DAYS) || 30;
+const MAX_USER_AGENT_LENGTH = 500;
+
+const sessionSelect = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Device details recorded on a session
+const clientInfo = (req) => {
+  const userAgent = req?.get ? req.get('User-Agent') : undefined;
+  return {
+    userAgent: userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null,
+    ipAddress: req?.ip || null
+  };
+};
+
+/**
+ * Sign an access/refresh token pair for a session. Refresh tokens carry a
+ * random jwtid so two issued in the same second never collide.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {{accessToken: string, refreshToken: string}}
+ */
+function generateTokens(userId, sessionId) {
+  const accessToken = jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', jwtid: crypto.randomUUID() }
+  );
+
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Start a session for a user who has passed every login check
+ * @param {string} userId
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string}>}
+ */
+async function createSession(userId, req) {
+  const expiresAt = sessionExpiry();
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId,
+      ...clientInfo(req),
+      expiresAt
+    }
+  });
+
+  const tokens = generateTokens(userId, session.id);
+
+  await prisma.refreshToken.create({
+    data: {
+      token: tokens.refreshToken,
+      userId,
+      sessionId: session.id,
+      expiresAt
+    }
+  });
+
+  return { ...tokens, sessionId: session.id };
+}
+
+/**
+ * Revoke one session; its refresh tokens stop working immediately and so
+ * do access tokens issued for it
+ * @param {string} sessionId
+ * @param {string} reason - logout|revoked|token_reuse|password_change|...
+ * @returns {Promise<number>} Sessions revoked (0 when already revoked)
+ */
+async function revokeSession(sessionId, reason) {
+  const { count } = await prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return count;
+}
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId
+ * @param {string} reason
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeUserSessions(userId, reason, client = prisma) {
+  const { count } = await client.userSession.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return count;
+}
+
+/**
+ * Exchange a refresh token for a new pair. Every token can be used once:
+ * presenting a rotated token again means it was copied, so the whole
+ * session (token family) is revoked and the user is alerted.
+ * @param {string} refreshToken
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<{status: 'ok'|'invalid'|'reused'|'inactive', accessToken?: string, refreshToken?: string, user?: Object}>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  try {
+    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return { status: 'invalid' };
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token: refreshToken },
+    include: { session: true }
+  });
+
+  if (!stored) return { status: 'invalid' };
+
+  const { session } = stored;
+  const now = new Date();
+
+  if (session.revokedAt || session.expiresAt < now || stored.expiresAt < now) {
+    return { status: 'invalid' };
+  }
+
+  // Claim the token; a concurrent request that claimed it first counts as reuse
+  let claimed = 0;
+  if (!stored.rotatedAt) {
+    ({ count: claimed } = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, rotatedAt: null },
+      data: { rotatedAt: now }
+    }));
+  }
+
+  if (claimed === 0) {
+    const attempt = clientInfo(req);
+    await revokeSession(session.id, 'token_reuse');
+
+    logger.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId}) from ${attempt.ipAddress}`);
+
+    await notifyRefreshTokenReuse(session, attempt);
+
+    return { status: 'reused' };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: stored.userId },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      role: true,
+      isActive: true,
+      emailVerified: true,
+      avatar: true,
+      preferences: true
+    }
+  });
+
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'deactivated');
+    return { status: 'inactive' };
+  }
+
+  const expiresAt = sessionExpiry();
+  const tokens = generateTokens(user.id, session.id);
+
+  await prisma.$transaction([
+    prisma.refreshToken.create({
+      data: {
+        token: tokens.refreshToken,
+        userId: user.id,
+        sessionId: session.id,
+        expiresAt
+      }
+    }),
+    prisma.userSession.update({
+      where: { id: session.id },
+      data: {
+        ...clientInfo(req),
+        lastUsedAt: now,
+        expiresAt
+      }
+    })
+  ]);
+
+  return { status: 'ok', user, ...tokens };
+}
+
+/**
+ * Whether a session can still be used (access tokens name their session)
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  const session = await prisma.userSession.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  });
+
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ * @param {string|null} currentSessionId - Flagged as `current`
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastUsedAt: 'desc' },
+    select: sessionSelect
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId
+  }));
+}
+
+/**
+ * Delete expired sessions, and revoked ones once they are past the retention
+ * window (kept a while so a revoke can still be traced back to its device).
+ * Refresh tokens go with their session.
+ * @returns {Promise<number>} Sessions deleted
+ */
+async function cleanupSessions() {
+  const now = new Date();
+  const revokedBefore = new Date(now.getTime() - REVOKED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { count } = await prisma.userSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: now } },
+        { revokedAt: { lt: revokedBefore } }
+      ]
+    }
+  });
+
+  return count;
+}
+
+module.exports = {
+  SESSION_TTL_DAYS,
+  generateTokens,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  cleanupSessions
+};
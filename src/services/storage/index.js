@@ -0,0 +1,211 @@
+// src/services/storage/index.js
+const path = require('path');
+const logger = require('../../utils/logger');
+const LocalStorageAdapter = require('./localAdapter');
+const {
+  PRIVATE_PREFIX,
+  DEFAULT_EXPIRES_IN,
+  MAX_EXPIRES_IN,
+  isPrivateKey,
+  verifyUploadSignature
+} = require('./signing');
+
+/**
+ * Adapters implement:
+ *   put(key, body, { contentType, size }) -> Promise          body is a Buffer, or a stream of `size` bytes
+ *   get(key)                              -> Promise<Readable|null>
+ *   stat(key)                             -> Promise<{ size, lastModified }|null>
+ *   delete(key)                           -> Promise
+ *   list(prefix)                          -> async iterable of { key, size, lastModified }
+ *   signedUrl(key, expiresIn)             -> Promise<string>  expiring URL, also for private files
+ * and optionally:
+ *   publicUrl(key)                        -> string|null      direct URL for public files
+ *   filePath(key)                         -> string           local path, served with sendFile
+ * Keys are '/'-separated paths below the uploads root, e.g. "image-1.jpg".
+ * Keys starting with "private/" are never served without a signed URL.
+ *
+ * STORAGE_ADAPTER selects the adapter:
+ *   local (default)  - files below UPLOAD_DIR, see ./localAdapter.js
+ *   s3               - S3-compatible bucket, see ./s3Adapter.js
+ *   <module path>    - resolved from the project root, must export an adapter
+ *                      class or a factory function returning an adapter
+ *
+ * Backup archives and analytics exports use the same backend in places of
+ * their own (see getBackupStorage, getExportStorage), so they never show up
+ * among uploads.
+ */
+const REQUIRED_METHODS = ['put', 'get', 'stat', 'delete', 'list', 'signedUrl'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+let adapter = null;
+let backupAdapter = null;
+let exportAdapter = null;
+
+/**
+ * Create an adapter by STORAGE_ADAPTER name
+ * @param {string} name
+ * @param {Object} options - Passed to the adapter's constructor or factory
+ * @returns {Object} - Adapter instance
+ */
+function loadAdapter(name, options = {}) {
+  if (!name || name === 'local') {
+    return new LocalStorageAdapter(options);
+  }
+  if (name === 's3') {
+    // Only loaded when used, so local setups do not pay for the AWS SDK
+    const S3StorageAdapter = require('./s3Adapter');
+    return new S3StorageAdapter(options);
+  }
+
+  const exported = require(path.resolve(process.cwd(), name));
+  let instance;
+  if (typeof exported === 'function') {
+    // Classes and factories are both functions, only classes have a prototype.put
+    instance = exported.prototype && typeof exported.prototype.put === 'function'
+      ? new exported(options)
+      : exported(options);
+  } else {
+    instance = exported;
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof instance?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return instance;
+}
+
+/**
+ * Get the process-wide storage adapter for uploads
+ * @returns {Object} - Adapter instance
+ */
+function getStorage() {
+  if (!adapter) {
+    adapter = loadAdapter(process.env.STORAGE_ADAPTER);
+    logger.info(`Storage adapter: ${process.env.STORAGE_ADAPTER || 'local'}`);
+  }
+  return adapter;
+}
+
+// Files the app keeps for itself rather than serving as uploads: the local
+// directory, and the S3 bucket and prefix settings, of each
+const DEDICATED_PLACES = {
+  backups: { dir: 'BACKUP_DIR', bucket: 'S3_BACKUP_BUCKET', prefix: 'S3_BACKUP_PREFIX' },
+  exports: { dir: 'EXPORT_DIR', bucket: 'S3_EXPORT_BUCKET', prefix: 'S3_EXPORT_PREFIX' }
+};
+
+// Where backup archives or analytics exports go in each backend. Custom
+// adapters get { purpose: 'backups' } or { purpose: 'exports' } and must
+// keep those files apart from uploads.
+function dedicatedAdapterOptions(name, purpose) {
+  const place = DEDICATED_PLACES[purpose];
+
+  if (!name || name === 'local') {
+    return { root: path.resolve(process.env[place.dir] || purpose) };
+  }
+
+  if (name === 's3') {
+    const uploadsBucket = process.env.S3_BUCKET;
+    const uploadsPrefix = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+    const bucket = process.env[place.bucket] || uploadsBucket;
+    const prefix = (process.env[place.prefix] ?? purpose).replace(/^\/+|\/+$/g, '');
+
+    // Listing the uploads would otherwise return these files too
+    if (bucket === uploadsBucket && (!uploadsPrefix || prefix === uploadsPrefix || prefix.startsWith(`${uploadsPrefix}/`))) {
+      const label = purpose[0].toUpperCase() + purpose.slice(1);
+      throw new Error(`${label} need ${place.bucket}, or S3_PREFIX and ${place.prefix} that do not overlap`);
+    }
+
+    return { bucket, prefix };
+  }
+
+  return { purpose };
+}
+
+/**
+ * Get the process-wide storage adapter for backup archives: the uploads
+ * backend, but BACKUP_DIR locally and its own bucket or prefix on S3
+ * @returns {Object} - Adapter instance
+ */
+function getBackupStorage() {
+  if (!backupAdapter) {
+    backupAdapter = loadAdapter(process.env.STORAGE_ADAPTER, dedicatedAdapterOptions(process.env.STORAGE_ADAPTER, 'backups'));
+  }
+  return backupAdapter;
+}
+
+/**
+ * Get the process-wide storage adapter for analytics export files: the
+ * uploads backend, but EXPORT_DIR locally and its own bucket or prefix on S3
+ * @returns {Object} - Adapter instance
+ */
+function getExportStorage() {
+  if (!exportAdapter) {
+    exportAdapter = loadAdapter(process.env.STORAGE_ADAPTER, dedicatedAdapterOptions(process.env.STORAGE_ADAPTER, 'exports'));
+  }
+  return exportAdapter;
+}
+
+/**
+ * Relative, '/'-separated and without empty, "." or ".." segments
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isValidKey = (key) => typeof key === 'string'
+  && key.length > 0
+  && key.length <= 1024
+  && !key.includes('\\')
+  && key.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Read a whole stored file into memory
+ * @param {string} key
+ * @returns {Promise<Buffer|null>}
+ */
+async function readUpload(key) {
+  const stream = await getStorage().get(key);
+  if (!stream) return null;
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Expiring URL for a stored file, clamped to MAX_EXPIRES_IN seconds
+ * @param {string} key
+ * @param {number} expiresIn - Seconds
+ * @returns {Promise<string>}
+ */
+async function signedUploadUrl(key, expiresIn = DEFAULT_EXPIRES_IN) {
+  return getStorage().signedUrl(key, Math.min(expiresIn, MAX_EXPIRES_IN));
+}
+
+module.exports = {
+  PRIVATE_PREFIX,
+  DEFAULT_EXPIRES_IN,
+  MAX_EXPIRES_IN,
+  getStorage,
+  getBackupStorage,
+  getExportStorage,
+  loadAdapter,
+  isValidKey,
+  isPrivateKey,
+  contentTypeFor,
+  readUpload,
+  signedUploadUrl,
+  verifyUploadSignature,
+  LocalStorageAdapter
+};
@@ -0,0 +1,96 @@
+// src/services/storage/localAdapter.js
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { signUploadUrl } = require('./signing');
+
+const PROJECT_ROOT = path.join(__dirname, '../../..');
+
+/**
+ * Stores uploads on the local disk below UPLOAD_DIR (default uploads/).
+ * Only suitable for a single instance, or several sharing one volume.
+ */
+class LocalStorageAdapter {
+  constructor({ root = path.resolve(PROJECT_ROOT, process.env.UPLOAD_DIR || 'uploads') } = {}) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  // Absolute path of a key, refusing anything that escapes the root
+  filePath(key) {
+    const target = path.resolve(this.root, key);
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  async put(key, body) {
+    const target = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    // Write next to the target and rename, so readers never see half a file
+    const temp = path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(temp, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(temp));
+      }
+      await fs.promises.rename(temp, target);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const stats = await this.stat(key);
+    return stats ? fs.createReadStream(this.filePath(key)) : null;
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.filePath(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  async *list(prefix = '', dir = this.root, relative = '') {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const key = relative ? `${relative}/${entry.name}` : entry.name;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (prefix.startsWith(`${key}/`) || key.startsWith(prefix)) {
+          yield* this.list(prefix, fullPath, key);
+        }
+      } else if (entry.isFile() && key.startsWith(prefix)) {
+        const stats = await fs.promises.stat(fullPath);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+
+  async signedUrl(key, expiresIn) {
+    return signUploadUrl(key, expiresIn);
+  }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,58 @@
+// src/services/storage/migrate.js
+const path = require('path');
+const { contentTypeFor } = require('./index');
+
+/**
+ * Copy every file from one storage adapter to another under the same key.
+ * Files already in the target with the same size are skipped unless
+ * `overwrite` is set; with `deleteSource` the source copy is removed once
+ * the target has it.
+ * @param {Object} source - Adapter to read from
+ * @param {Object} target - Adapter to write to
+ * @param {Object} options
+ * @param {boolean} options.overwrite
+ * @param {boolean} options.deleteSource
+ * @param {boolean} options.dryRun - Only report what would be copied
+ * @param {Function} options.onFile - Called with (status, object, error) per file
+ * @returns {Promise<{copied: number, skipped: number, failed: number, deleted: number, bytes: number}>}
+ */
+async function migrateUploads(source, target, { overwrite = false, deleteSource = false, dryRun = false, onFile = () => {} } = {}) {
+  const summary = { copied: 0, skipped: 0, failed: 0, deleted: 0, bytes: 0 };
+
+  for await (const object of source.list()) {
+    // Dotfiles are placeholders and in-progress writes, not uploads
+    if (path.posix.basename(object.key).startsWith('.')) continue;
+
+    try {
+      const existing = overwrite ? null : await target.stat(object.key);
+
+      if (existing && existing.size === object.size) {
+        summary.skipped++;
+        onFile('skipped', object);
+      } else {
+        if (!dryRun) {
+          const stream = await source.get(object.key);
+          if (!stream) continue;
+          await target.put(object.key, stream, { contentType: contentTypeFor(object.key), size: object.size });
+        }
+        summary.copied++;
+        summary.bytes += object.size;
+        onFile('copied', object);
+      }
+
+      if (deleteSource && !dryRun) {
+        await source.delete(object.key);
+        summary.deleted++;
+      }
+    } catch (error) {
+      summary.failed++;
+      onFile('failed', object, error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  migrateUploads
+};
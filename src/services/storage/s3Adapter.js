@@ -0,0 +1,121 @@
+// src/services/storage/s3Adapter.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { encodeKey } = require('./signing');
+
+const isNotFound = (error) => error.name === 'NotFound'
+  || error.name === 'NoSuchKey'
+  || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Stores uploads in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ *
+ *   S3_BUCKET             - required
+ *   S3_REGION             - default us-east-1
+ *   S3_ENDPOINT           - for non-AWS services, e.g. http://localhost:9000
+ *   S3_FORCE_PATH_STYLE   - "true" for MinIO and most self-hosted services
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY - otherwise the default AWS credential chain
+ *   S3_PREFIX             - optional key prefix inside the bucket
+ *   S3_PUBLIC_URL         - base URL that serves public files directly (bucket
+ *                           policy or CDN); without it files are proxied by /uploads
+ */
+class S3StorageAdapter {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET must be set to use the s3 storage adapter');
+    }
+
+    this.prefix = (options.prefix ?? process.env.S3_PREFIX ?? '').replace(/^\/+|\/+$/g, '');
+    this.publicBaseUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '') || null;
+
+    const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Plain bodies instead of aws-chunked checksums, which not every S3-compatible service accepts
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  async put(key, body, { contentType, size } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType,
+      // Streams need an explicit length, buffers carry their own
+      ContentLength: Buffer.isBuffer(body) ? body.length : size
+    }));
+  }
+
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return object.Body;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified, contentType: head.ContentType };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async *list(prefix = '') {
+    const strip = this.prefix ? this.prefix.length + 1 : 0;
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        yield { key: object.Key.slice(strip), size: object.Size, lastModified: object.LastModified };
+      }
+
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  async signedUrl(key, expiresIn) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }), { expiresIn });
+  }
+
+  publicUrl(key) {
+    return this.publicBaseUrl ? `${this.publicBaseUrl}/${encodeKey(this.objectKey(key))}` : null;
+  }
+}
+
+module.exports = S3StorageAdapter;
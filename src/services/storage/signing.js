@@ -0,0 +1,59 @@
+// src/services/storage/signing.js
+const crypto = require('crypto');
+
+// Files below this prefix are only served with a valid signature
+const PRIVATE_PREFIX = 'private/';
+
+const DEFAULT_EXPIRES_IN = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600;
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60;
+
+const signingSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET must be set to sign upload URLs');
+  }
+  return secret;
+};
+
+const signatureFor = (key, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${key}\n${expires}`)
+  .digest('hex');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+/**
+ * Signed `/uploads/...` URL served by this API, valid for `expiresIn` seconds
+ * @param {string} key
+ * @param {number} expiresIn
+ * @returns {string}
+ */
+function signUploadUrl(key, expiresIn = DEFAULT_EXPIRES_IN) {
+  const expires = Math.floor(Date.now() / 1000) + Math.min(expiresIn, MAX_EXPIRES_IN);
+  return `/uploads/${encodeKey(key)}?expires=${expires}&signature=${signatureFor(key, expires)}`;
+}
+
+/**
+ * Check the `expires`/`signature` pair of a signed upload URL
+ * @returns {boolean}
+ */
+function verifyUploadSignature(key, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signatureFor(key, expiresAt));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  PRIVATE_PREFIX,
+  DEFAULT_EXPIRES_IN,
+  MAX_EXPIRES_IN,
+  encodeKey,
+  isPrivateKey,
+  signUploadUrl,
+  verifyUploadSignature
+};
@@ -0,0 +1,74 @@
+// src/services/streamTickets.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+
+// EventSource cannot send an Authorization header, so the stream URL carries
+// a ticket instead of the access token. URLs end up in access logs, proxies
+// and browser history, so a ticket is short-lived and works once.
+const TICKET_TTL_SECONDS = parseInt(process.env.STREAM_TICKET_TTL_SECONDS) || 30;
+
+// Only the hash is stored, so a database read does not yield usable tickets
+const hashTicket = (ticket) => crypto.createHash('sha256').update(String(ticket)).digest('hex');
+
+/**
+ * Issue a stream ticket for an authenticated user
+ * @param {string} userId
+ * @param {string|null} sessionId - Session of the access token, checked again on use
+ * @returns {Promise<{ticket: string, expiresIn: number}>}
+ */
+async function issueStreamTicket(userId, sessionId = null) {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.streamTicket.create({
+    data: {
+      tokenHash: hashTicket(ticket),
+      userId,
+      sessionId,
+      expiresAt: new Date(Date.now() + TICKET_TTL_SECONDS * 1000)
+    }
+  });
+
+  return { ticket, expiresIn: TICKET_TTL_SECONDS };
+}
+
+/**
+ * Spend a stream ticket
+ * @param {string} ticket
+ * @returns {Promise<{userId: string, sessionId: string|null}|null>} Null when unknown, expired or already used
+ */
+async function redeemStreamTicket(ticket) {
+  if (!ticket) return null;
+
+  const stored = await prisma.streamTicket.findUnique({
+    where: { tokenHash: hashTicket(ticket) },
+    select: { id: true, userId: true, sessionId: true }
+  });
+
+  if (!stored) return null;
+
+  // Deleting it is the claim: of two requests with the same ticket only one deletes the row
+  const { count } = await prisma.streamTicket.deleteMany({
+    where: { id: stored.id, expiresAt: { gt: new Date() } }
+  });
+
+  return count > 0 ? { userId: stored.userId, sessionId: stored.sessionId } : null;
+}
+
+/**
+ * Delete tickets that expired without being used
+ * @returns {Promise<number>} Tickets deleted
+ */
+async function cleanupStreamTickets() {
+  const { count } = await prisma.streamTicket.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  return count;
+}
+
+module.exports = {
+  TICKET_TTL_SECONDS,
+  issueStreamTicket,
+  redeemStreamTicket,
+  cleanupStreamTickets
+};
@@ -0,0 +1,554 @@
+// src/services/tagService.js
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+
+const MAX_TAGS_PER_ITEM = 20;
+const MAX_TAG_NAME_LENGTH = 100;
+const MAX_TAG_SLUG_LENGTH = 120;
+
+// Every taggable content type: Prisma delegates for writes, SQL names for listings
+const TAG_TARGETS = {
+  news: {
+    linkModel: 'newsArticleTag',
+    contentModel: 'newsArticle',
+    table: 'news_articles',
+    key: 'articleId',
+    linkTable: 'news_article_tags',
+    linkColumn: 'article_id',
+    select: Prisma.sql`
+      SELECT 'news' AS type, t.id, t.headline AS title, t.brief_content AS summary,
+        t.category, t.featured_image AS image_url, t.slug, t.view_count, t.published_at
+      FROM news_articles t
+      JOIN news_article_tags l ON l.article_id = t.id`,
+    visible: Prisma.sql`t.status = 'PUBLISHED' AND t.published_at <= NOW()`
+  },
+  ai: {
+    linkModel: 'aiArticleTag',
+    contentModel: 'aiArticle',
+    table: 'ai_articles',
+    key: 'articleId',
+    linkTable: 'ai_article_tags',
+    linkColumn: 'article_id',
+    select: Prisma.sql`
+      SELECT 'ai' AS type, t.id, t.headline AS title, t.brief_content AS summary,
+        t.category, t.featured_image AS image_url, NULL AS slug, t.view_count, t.published_at
+      FROM ai_articles t
+      JOIN ai_article_tags l ON l.article_id = t.id`,
+    visible: Prisma.sql`t.published_at <= NOW()`
+  },
+  timesaver: {
+    linkModel: 'timeSaverContentTag',
+    contentModel: 'timeSaverContent',
+    table: 'time_saver_content',
+    key: 'contentId',
+    linkTable: 'time_saver_content_tags',
+    linkColumn: 'content_id',
+    select: Prisma.sql`
+      SELECT 'timesaver' AS type, t.id, t.title, t.summary,
+        t.category, t.image_url, NULL AS slug, t.view_count, t.published_at
+      FROM time_saver_content t
+      JOIN time_saver_content_tags l ON l.content_id = t.id`,
+    visible: Prisma.sql`t.published_at <= NOW()`
+  },
+  breaking: {
+    linkModel: 'breakingNewsTag',
+    contentModel: 'breakingNews',
+    table: 'breaking_news',
+    key: 'breakingNewsId',
+    linkTable: 'breaking_news_tags',
+    linkColumn: 'breaking_news_id',
+    select: Prisma.sql`
+      SELECT 'breaking' AS type, t.id, t.title, t.brief AS summary,
+        NULL AS category, t.image_url, NULL AS slug, 0 AS view_count, t.timestamp AS published_at
+      FROM breaking_news t
+      JOIN breaking_news_tags l ON l.breaking_news_id = t.id`,
+    visible: Prisma.sql`t.is_active = true AND (t.expires_at IS NULL OR t.expires_at > NOW())`
+  }
+};
+
+const TAG_CONTENT_TYPES = Object.keys(TAG_TARGETS);
+
+/**
+ * URL-safe tag slug: "Machine Learning" -> "machine-learning".
+ * Must stay in line with the backfill in the add_tags migration.
+ */
+const slugifyTag = (name) => String(name)
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_TAG_SLUG_LENGTH);
+
+/**
+ * Split a comma-separated tag string (or an array of names) into unique tags
+ * @param {string|Array<string>} input
+ * @returns {Array<{name: string, slug: string}>}
+ */
+function parseTags(input) {
+  if (input === null || input === undefined) return [];
+
+  const items = Array.isArray(input) ? input : String(input).split(',');
+  const seen = new Set();
+  const tags = [];
+
+  for (const item of items) {
+    const name = String(item).trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_NAME_LENGTH);
+    const slug = slugifyTag(name);
+    if (!slug || seen.has(slug)) continue;
+
+    seen.add(slug);
+    tags.push({ name, slug });
+    if (tags.length === MAX_TAGS_PER_ITEM) break;
+  }
+
+  return tags;
+}
+
+/**
+ * Look up tags by slug, following aliases to their canonical tag
+ * @param {Array<string>} slugs
+ * @returns {Promise<Map<string, Object>>} - Requested slug -> Tag
+ */
+async function findTagsBySlugs(slugs, client = prisma) {
+  const found = new Map();
+  if (slugs.length === 0) return found;
+
+  const [tags, aliases] = await Promise.all([
+    client.tag.findMany({ where: { slug: { in: slugs } } }),
+    client.tagAlias.findMany({
+      where: { slug: { in: slugs } },
+      include: { tag: true }
+    })
+  ]);
+
+  aliases.forEach(alias => found.set(alias.slug, alias.tag));
+  tags.forEach(tag => found.set(tag.slug, tag));
+  return found;
+}
+
+/**
+ * Resolve a single slug or alias
+ * @returns {Promise<{tag: Object|null, alias: string|null}>}
+ */
+async function resolveTag(slug) {
+  const tag = await prisma.tag.findUnique({ where: { slug } });
+  if (tag) return { tag, alias: null };
+
+  const alias = await prisma.tagAlias.findUnique({
+    where: { slug },
+    include: { tag: true }
+  });
+  return alias ? { tag: alias.tag, alias: alias.slug } : { tag: null, alias: null };
+}
+
+/**
+ * Tag ids for a list of tag names or slugs, aliases included
+ * @param {Array<string>} names
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveTagIds(names) {
+  const slugs = parseTags(names).map(tag => tag.slug);
+  const found = await findTagsBySlugs(slugs);
+  return [...new Set([...found.values()].map(tag => tag.id))];
+}
+
+async function createTag(name, slug) {
+  try {
+    return await prisma.tag.create({ data: { name, slug } });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 'P2002') {
+      return prisma.tag.findUnique({ where: { slug } });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve tag input for a content write, creating tags that don't exist yet.
+ * `value` is the canonical string kept in the content's `tags` column.
+ * @param {string|Array<string>} input - Comma-separated names or an array
+ * @returns {Promise<{value: string|null, tags: Array<Object>}>}
+ */
+async function prepareTags(input) {
+  const parsed = parseTags(input);
+  if (parsed.length === 0) return { value: null, tags: [] };
+
+  const existing = await findTagsBySlugs(parsed.map(tag => tag.slug));
+  const tags = [];
+
+  for (const { name, slug } of parsed) {
+    const tag = existing.get(slug) || await createTag(name, slug);
+    // "ml" and "machine learning" can both resolve to the same tag
+    if (tag && !tags.some(added => added.id === tag.id)) {
+      tags.push(tag);
+    }
+  }
+
+  return { value: tags.map(tag => tag.name).join(', ') || null, tags };
+}
+
+// Nested writes for the `tagLinks` relation of a content model
+const tagLinksCreate = (tags) => ({
+  create: tags.map(tag => ({ tagId: tag.id }))
+});
+
+const tagLinksReplace = (tags) => ({
+  deleteMany: {},
+  create: tags.map(tag => ({ tagId: tag.id }))
+});
+
+/**
+ * Link content whose `tags` string has no tag links yet, e.g. rows written
+ * with createMany or by the seed script. Also canonicalises the string.
+ * @param {string} type - One of TAG_CONTENT_TYPES
+ * @returns {Promise<number>} - Number of content items linked
+ */
+async function syncTagLinks(type, batchSize = 200) {
+  const delegate = prisma[TAG_TARGETS[type].contentModel];
+  let cursor = null;
+  let linked = 0;
+
+  while (true) {
+    const rows = await delegate.findMany({
+      where: {
+        tags: { not: null },
+        tagLinks: { none: {} }
+      },
+      select: { id: true, tags: true },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } })
+    });
+
+    for (const row of rows) {
+      const tagSet = await prepareTags(row.tags);
+      if (tagSet.tags.length === 0) continue;
+
+      await delegate.update({
+        where: { id: row.id },
+        data: {
+          tags: tagSet.value,
+          tagLinks: tagLinksReplace(tagSet.tags)
+        }
+      });
+      linked++;
+    }
+
+    if (rows.length < batchSize) break;
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return linked;
+}
+
+/**
+ * Content linked to a tag, grouped by content type
+ * @returns {Promise<Object>} - { news: [ids], ai: [ids], ... }
+ */
+async function findLinkedContent(tagId, client = prisma) {
+  const linked = {};
+  for (const [type, target] of Object.entries(TAG_TARGETS)) {
+    const links = await client[target.linkModel].findMany({
+      where: { tagId },
+      select: { [target.key]: true }
+    });
+    linked[type] = links.map(link => link[target.key]);
+  }
+  return linked;
+}
+
+/**
+ * Rewrite the denormalized `tags` strings after a rename, merge or delete.
+ * Entries matching `fromSlugs` become `toName`, or are dropped when it is null.
+ */
+async function rewriteTagStrings(linked, fromSlugs, toName) {
+  const from = new Set(fromSlugs);
+
+  for (const [type, ids] of Object.entries(linked)) {
+    if (ids.length === 0) continue;
+    const delegate = prisma[TAG_TARGETS[type].contentModel];
+
+    const rows = await delegate.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, tags: true }
+    });
+
+    for (const row of rows) {
+      const names = parseTags(row.tags)
+        .map(tag => (from.has(tag.slug) ? toName : tag.name))
+        .filter(Boolean);
+      const value = parseTags(names).map(tag => tag.name).join(', ') || null;
+
+      if (value !== row.tags) {
+        await delegate.update({
+          where: { id: row.id },
+          data: { tags: value }
+        });
+      }
+    }
+  }
+}
+
+// A slug can only belong to one tag, either as its slug or as an alias
+async function isSlugTaken(slug, client = prisma) {
+  const [tag, alias] = await Promise.all([
+    client.tag.findUnique({ where: { slug }, select: { id: true } }),
+    client.tagAlias.findUnique({ where: { slug }, select: { id: true } })
+  ]);
+  return Boolean(tag || alias);
+}
+
+/**
+ * Rename a tag. A changed slug is kept as an alias so old links still work.
+ * @returns {Promise<Object|null>} - Updated tag, or null if the slug is taken
+ */
+async function renameTag(tag, { name, description }) {
+  const data = {};
+  if (description !== undefined) data.description = description || null;
+
+  const nameChanged = name !== undefined && name.trim() !== tag.name;
+  const slug = nameChanged ? slugifyTag(name) : tag.slug;
+
+  if (nameChanged) {
+    data.name = name.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_NAME_LENGTH);
+    data.slug = slug;
+  }
+
+  if (slug !== tag.slug) {
+    // Renaming back to one of the tag's own aliases is allowed
+    const ownAlias = await prisma.tagAlias.findFirst({ where: { slug, tagId: tag.id } });
+    if (!ownAlias && await isSlugTaken(slug)) {
+      return null;
+    }
+  }
+
+  const linked = nameChanged ? await findLinkedContent(tag.id) : {};
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (slug !== tag.slug) {
+      await tx.tagAlias.deleteMany({ where: { slug, tagId: tag.id } });
+      await tx.tagAlias.create({ data: { slug: tag.slug, tagId: tag.id } });
+    }
+    return tx.tag.update({ where: { id: tag.id }, data });
+  });
+
+  if (nameChanged) {
+    await rewriteTagStrings(linked, [tag.slug], updated.name);
+  }
+
+  return updated;
+}
+
+/**
+ * Merge `source` into `target`: links and aliases move over, the source slug
+ * becomes an alias of the target, and the source tag is deleted.
+ * @returns {Promise<Object>} - Number of content items moved per type
+ */
+async function mergeTags(source, target) {
+  const sourceAliases = await prisma.tagAlias.findMany({
+    where: { tagId: source.id },
+    select: { slug: true }
+  });
+
+  const linked = await prisma.$transaction(async (tx) => {
+    const moved = await findLinkedContent(source.id, tx);
+
+    for (const [type, ids] of Object.entries(moved)) {
+      if (ids.length === 0) continue;
+      const { linkModel, key } = TAG_TARGETS[type];
+
+      // Content tagged with both keeps a single link to the target
+      await tx[linkModel].createMany({
+        data: ids.map(id => ({ [key]: id, tagId: target.id })),
+        skipDuplicates: true
+      });
+      await tx[linkModel].deleteMany({ where: { tagId: source.id } });
+    }
+
+    await tx.tagAlias.updateMany({
+      where: { tagId: source.id },
+      data: { tagId: target.id }
+    });
+    await tx.tag.delete({ where: { id: source.id } });
+    await tx.tagAlias.create({ data: { slug: source.slug, tagId: target.id } });
+
+    return moved;
+  });
+
+  await rewriteTagStrings(linked, [source.slug, ...sourceAliases.map(alias => alias.slug)], target.name);
+
+  return Object.fromEntries(
+    Object.entries(linked).map(([type, ids]) => [type, ids.length])
+  );
+}
+
+/**
+ * Delete a tag and remove it from every content item
+ * @returns {Promise<Object>} - Number of content items untagged per type
+ */
+async function deleteTag(tag) {
+  const linked = await findLinkedContent(tag.id);
+
+  await prisma.tag.delete({ where: { id: tag.id } });
+  await rewriteTagStrings(linked, [tag.slug], null);
+
+  return Object.fromEntries(
+    Object.entries(linked).map(([type, ids]) => [type, ids.length])
+  );
+}
+
+/**
+ * Tags with usage counts
+ * @param {Object} params
+ * @param {string} params.search - Name filter (optional)
+ * @param {string} params.sortBy - popular (default) or name
+ * @returns {Promise<{tags: Array<Object>, totalCount: number}>}
+ */
+async function listTags({ search, sortBy = 'popular', page = 1, limit = 50 }) {
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+
+  const where = search
+    ? Prisma.sql`WHERE t.name LIKE ${`%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`}`
+    : Prisma.empty;
+
+  const counts = TAG_CONTENT_TYPES.map(type => {
+    const { linkTable } = TAG_TARGETS[type];
+    return Prisma.sql`(SELECT COUNT(*) FROM ${Prisma.raw(linkTable)} l WHERE l.tag_id = t.id) AS ${Prisma.raw(`${type}_count`)}`;
+  });
+
+  const orderBy = sortBy === 'name'
+    ? Prisma.sql`t.name ASC`
+    : Prisma.sql`(${Prisma.raw(TAG_CONTENT_TYPES.map(type => `${type}_count`).join(' + '))}) DESC, t.name ASC`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT t.id, t.name, t.slug, t.description, ${Prisma.join(counts)}
+      FROM tags t
+      ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*) AS total FROM tags t ${where}`
+  ]);
+
+  const tags = rows.map(row => {
+    const contentCounts = Object.fromEntries(
+      TAG_CONTENT_TYPES.map(type => [type, Number(row[`${type}_count`])])
+    );
+    return {
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      description: row.description,
+      counts: contentCounts,
+      totalCount: Object.values(contentCounts).reduce((sum, count) => sum + count, 0)
+    };
+  });
+
+  return { tags, totalCount: Number(total) };
+}
+
+/**
+ * Published content of every type carrying a tag, newest first
+ * @param {string} tagId
+ * @param {Object} params
+ * @param {Array<string>} params.types - Any of TAG_CONTENT_TYPES (default all)
+ * @returns {Promise<{items: Array<Object>, totalCount: number, counts: Object}>}
+ */
+async function getTaggedContent(tagId, { types = TAG_CONTENT_TYPES, page = 1, limit = 20 } = {}) {
+  const take = parseInt(limit);
+  const skip = (parseInt(page) - 1) * take;
+
+  const union = Prisma.join(TAG_CONTENT_TYPES.map(type => {
+    const { select, visible } = TAG_TARGETS[type];
+    return Prisma.sql`${select} WHERE l.tag_id = ${tagId} AND ${visible}`;
+  }), ' UNION ALL ');
+
+  const selectedTypes = types.filter(type => TAG_CONTENT_TYPES.includes(type));
+  const selection = Prisma.join(selectedTypes.length > 0 ? selectedTypes : TAG_CONTENT_TYPES);
+
+  const [rows, countRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT * FROM (${union}) AS r
+      WHERE r.type IN (${selection})
+      ORDER BY r.published_at DESC, r.id ASC
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      SELECT r.type, COUNT(*) AS total
+      FROM (${union}) AS r
+      GROUP BY r.type
+    `
+  ]);
+
+  // Per-type counts ignore the type filter so clients can show the other tabs
+  const counts = Object.fromEntries(TAG_CONTENT_TYPES.map(type => [type, 0]));
+  countRows.forEach(row => { counts[row.type] = Number(row.total); });
+
+  const totalCount = (selectedTypes.length > 0 ? selectedTypes : TAG_CONTENT_TYPES)
+    .reduce((sum, type) => sum + counts[type], 0);
+
+  const items = rows.map(row => ({
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    summary: row.summary,
+    category: row.category,
+    imageUrl: row.image_url,
+    slug: row.slug,
+    viewCount: Number(row.view_count),
+    publishedAt: row.published_at
+  }));
+
+  return { items, totalCount, counts };
+}
+
+/**
+ * Most used tags for one content type since a date, weighted by views
+ * @param {string} type - news, ai or timesaver
+ * @returns {Promise<Array<{name: string, slug: string, score: number, count: number}>>}
+ */
+async function getPopularTags(type, { since, limit = 20 } = {}) {
+  const { table, linkTable, linkColumn, visible } = TAG_TARGETS[type];
+
+  const rows = await prisma.$queryRaw`
+    SELECT g.name, g.slug, SUM(GREATEST(t.view_count, 1)) AS score, COUNT(*) AS total
+    FROM ${Prisma.raw(linkTable)} l
+    JOIN ${Prisma.raw(table)} t ON t.id = l.${Prisma.raw(linkColumn)}
+    JOIN tags g ON g.id = l.tag_id
+    WHERE t.published_at >= ${since} AND ${visible}
+    GROUP BY g.id, g.name, g.slug
+    ORDER BY score DESC, g.name ASC
+    LIMIT ${parseInt(limit)}
+  `;
+
+  return rows.map(row => ({
+    name: row.name,
+    slug: row.slug,
+    score: Number(row.score),
+    count: Number(row.total)
+  }));
+}
+
+module.exports = {
+  TAG_CONTENT_TYPES,
+  TAG_TARGETS,
+  MAX_TAGS_PER_ITEM,
+  slugifyTag,
+  parseTags,
+  resolveTag,
+  resolveTagIds,
+  isSlugTaken,
+  prepareTags,
+  tagLinksCreate,
+  tagLinksReplace,
+  syncTagLinks,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  listTags,
+  getTaggedContent,
+  getPopularTags
+};
@@ -0,0 +1,321 @@
+// src/services/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+const { getUserPermissions, effectiveRole } = require('./permissions');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Daily News';
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+const RECOVERY_CODE_COUNT = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+const REQUIRED_ROLES_SETTING = 'two_factor_required_roles';
+
+// RFC 6238 defaults, which every authenticator app understands
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Challenge tokens are issued before the second factor is checked, so they
+// are signed with their own key and can never pass as access tokens
+const CHALLENGE_PURPOSES = {
+  LOGIN: '2fa_login',
+  ENROLL: '2fa_enroll'
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa-secret:${process.env.JWT_SECRET}`)
+  .digest();
+
+const challengeKey = () => crypto.createHash('sha256')
+  .update(`2fa-challenge:${process.env.JWT_SECRET}`)
+  .digest('hex');
+
+/**
+ * Generate a new base32 TOTP secret (160 bits, as RFC 4226 recommends)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, base64 encoded
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * TOTP code of a secret for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Unix time / period
+ * @returns {string}
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way.
+ * Steps at or before lastUsedStep are rejected so a code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @param {number|null} lastUsedStep
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = currentStep();
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (render it as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+function provisioningUri(secret, accountName) {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<string[]>} Plain codes, shown to the user once
+ */
+async function regenerateRecoveryCodes(userId, client = prisma) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+  });
+
+  return codes;
+}
+
+/**
+ * Spend a recovery code
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+async function useRecoveryCode(userId, code) {
+  if (normalizeRecoveryCode(code).length === 0) return false;
+
+  // The usedAt guard makes concurrent use of the same code count once
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count > 0;
+}
+
+/**
+ * Verify a second factor for a user with 2FA enabled: a TOTP code or,
+ * failing that, a recovery code. Records the used TOTP step.
+ * @param {Object} user - Needs id, twoFactorSecret, twoFactorLastStep
+ * @param {Object} input
+ * @param {string} [input.code]
+ * @param {string} [input.recoveryCode]
+ * @returns {Promise<'totp'|'recovery'|null>} How the user was verified
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (code && user.twoFactorSecret) {
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastStep);
+    if (step === null) return null;
+
+    // Conditional update, so two requests racing with the same code cannot both pass
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+      },
+      data: { twoFactorLastStep: step }
+    });
+
+    return count > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode && await useRecoveryCode(user.id, recoveryCode)) {
+    return 'recovery';
+  }
+
+  return null;
+}
+
+/**
+ * Roles that must use 2FA, from the two_factor_required_roles system setting
+ * @returns {Promise<string[]>}
+ */
+async function getRequiredRoles() {
+  const setting = await prisma.systemSettings.findUnique({
+    where: { key: REQUIRED_ROLES_SETTING },
+    select: { value: true }
+  });
+
+  if (!setting || !setting.value) return [];
+
+  return setting.value
+    .split(',')
+    .map(role => role.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a user must use two-factor authentication: their effective role
+ * (see permissions.effectiveRole) is one of the required roles
+ * @param {Object} user - role and customRoleId; permissions are loaded when missing
+ * @returns {Promise<boolean>}
+ */
+async function isRequiredForUser(user) {
+  const requiredRoles = await getRequiredRoles();
+  if (requiredRoles.length === 0) return false;
+
+  const permissions = user.permissions || await getUserPermissions(user);
+  return requiredRoles.includes(effectiveRole({ ...user, permissions }));
+}
+
+/**
+ * Short-lived token standing in for a session until the second factor is given
+ * @param {string} userId
+ * @param {string} purpose - A CHALLENGE_PURPOSES value
+ * @returns {string}
+ */
+const createChallengeToken = (userId, purpose) => jwt.sign(
+  { userId, purpose },
+  challengeKey(),
+  { expiresIn: CHALLENGE_TTL_SECONDS }
+);
+
+/**
+ * @param {string} token
+ * @param {string} purpose - Expected CHALLENGE_PURPOSES value
+ * @returns {Object|null} Decoded payload, or null when invalid, expired or for another purpose
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, challengeKey());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  CHALLENGE_PURPOSES,
+  REQUIRED_ROLES_SETTING,
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  getRequiredRoles,
+  isRequiredForUser,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,43 @@
+// utils/csv.js
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV cell. Objects are written as JSON.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  // Numbers are never formulas, negative ones included
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line, including the trailing CRLF
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+module.exports = {
+  csvCell,
+  csvRow
+};
@@ -1,5 +1,7 @@
 const prisma = require('../config/database');
 const logger = require('./logger');
+const { publishEvent, userChannel } = require('../services/eventStream');
+const { usersWithPermissionWhere } = require('../services/permissions');
 
 // Notification Types
 const NOTIFICATION_TYPES = {
@@ -12,12 +14,39 @@ const NOTIFICATION_TYPES = {
   ACCOUNT_UPDATE: 'ACCOUNT_UPDATE',
   PROMOTIONAL: 'PROMOTIONAL',
   SECURITY_ALERT: 'SECURITY_ALERT',
+  BREAKING_NEWS: 'BREAKING_NEWS',
+  SAVED_SEARCH_ALERT: 'SAVED_SEARCH_ALERT',
+  EXPORT_READY: 'EXPORT_READY',
   WELCOME: 'WELCOME',
   AD_CAMPAIGN_STATUS: 'AD_CAMPAIGN_STATUS',
   COMMENT_REPLY: 'COMMENT_REPLY',
   MILESTONE_ACHIEVED: 'MILESTONE_ACHIEVED'
 };
 
+/**
+ * Push freshly created notification rows to the recipients' live streams
+ * @param {Array<string>} userIds - Recipients
+ * @param {string} type - Notification type
+ * @param {Date} createdAt - Timestamp written on every row of the batch
+ */
+async function streamNotifications(userIds, type, createdAt) {
+  try {
+    const notifications = await prisma.notification.findMany({
+      where: {
+        userId: { in: userIds },
+        type,
+        createdAt
+      }
+    });
+
+    await Promise.all(notifications.map(notification =>
+      publishEvent(userChannel(notification.userId), 'notification', notification)
+    ));
+  } catch (error) {
+    logger.error('Stream notifications error:', error);
+  }
+}
+
 /**
  * Create a notification for a user or multiple users
  * @param {Object} params - Notification parameters
@@ -70,6 +99,9 @@ async function createNotification({
       return null;
     }
 
+    // Shared timestamp lets the new rows be read back after createMany
+    const createdAt = new Date();
+
     // Create notifications for all valid users
     const notificationData = validUserIds.map(userId => ({
       userId,
@@ -77,7 +109,8 @@ async function createNotification({
       title,
       message,
       data: typeof data === 'object' ? data : {},
-      createdBy
+      createdBy,
+      createdAt
     }));
 
     const result = await prisma.notification.createMany({
@@ -85,6 +118,9 @@ async function createNotification({
     });
 
     logger.info(`Created ${result.count} notifications of type: ${type}`);
+
+    await streamNotifications(validUserIds, type, createdAt);
+
     return result;
   } catch (error) {
     logger.error('Create notification error:', error);
@@ -157,10 +193,44 @@ async function notifyArticleRejected(articleId, authorId, rejectedBy, comments =
 }
 
 /**
- * Create notification for article submission (to AD_MANAGERS)
+ * Create notification for a scheduled article going live
+ */
+async function notifyArticlePublished(articleId, authorId, publishedBy = null) {
+  try {
+    const article = await prisma.newsArticle.findUnique({
+      where: { id: articleId },
+      select: { headline: true, publishedAt: true }
+    });
+
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    return await createNotification({
+      userId: authorId,
+      type: NOTIFICATION_TYPES.ARTICLE_PUBLISHED,
+      title: 'Article Published 📰',
+      message: `Your scheduled article "${article.headline}" is now live.`,
+      data: {
+        articleId,
+        articleTitle: article.headline,
+        publishedAt: article.publishedAt,
+        action: 'published'
+      },
+      createdBy: publishedBy
+    });
+  } catch (error) {
+    logger.error('Notify article published error:', error);
+  }
+}
+
+/**
+ * Create notification for article submission (to everyone who can approve it)
  */
 async function notifyArticleSubmitted(articleId, authorId) {
   try {
+    const approverWhere = await usersWithPermissionWhere('article.publish');
+
     const [article, adManagers] = await Promise.all([
       prisma.newsArticle.findUnique({
         where: { id: articleId },
@@ -172,9 +242,9 @@ async function notifyArticleSubmitted(articleId, authorId) {
         }
       }),
       prisma.user.findMany({
-        where: { 
-          role: { in: ['AD_MANAGER', 'ADMIN'] },
-          isActive: true 
+        where: {
+          ...approverWhere,
+          isActive: true
         },
         select: { id: true }
       })
@@ -293,6 +363,202 @@ async function notifySystemAnnouncement({
   }
 }
 
+/**
+ * Fan out a breaking news alert to every active user
+ * Users are processed in batches so large audiences don't build one huge insert.
+ */
+async function notifyBreakingNews(breakingNews, createdBy = null, batchSize = 1000) {
+  try {
+    let cursor = null;
+    let notifiedCount = 0;
+
+    while (true) {
+      const users = await prisma.user.findMany({
+        where: { isActive: true },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { skip: 1, cursor: { id: cursor } })
+      });
+
+      if (users.length === 0) {
+        break;
+      }
+
+      const result = await createNotification({
+        userIds: users.map(user => user.id),
+        type: NOTIFICATION_TYPES.BREAKING_NEWS,
+        title: `🚨 ${breakingNews.title}`.substring(0, 255),
+        message: breakingNews.brief || breakingNews.title,
+        data: {
+          breakingNewsId: breakingNews.id,
+          priority: breakingNews.priority,
+          location: breakingNews.location,
+          sourceUrl: breakingNews.sourceUrl,
+          isBreaking: true
+        },
+        createdBy
+      });
+
+      notifiedCount += result?.count || 0;
+      cursor = users[users.length - 1].id;
+
+      if (users.length < batchSize) {
+        break;
+      }
+    }
+
+    logger.info(`Breaking news ${breakingNews.id} sent to ${notifiedCount} users`);
+    return notifiedCount;
+  } catch (error) {
+    logger.error('Notify breaking news error:', error);
+  }
+}
+
+/**
+ * Tell a user that new content matches one of their saved searches
+ * @param {Object} savedSearch - Saved search (id, userId, name, query)
+ * @param {Array<Object>} results - Newest matching search results
+ * @param {number} totalCount - Number of new matches
+ */
+async function notifySavedSearchMatches(savedSearch, results, totalCount) {
+  try {
+    return await createNotification({
+      userId: savedSearch.userId,
+      type: NOTIFICATION_TYPES.SAVED_SEARCH_ALERT,
+      title: `New results for "${savedSearch.name}"`.substring(0, 255),
+      message: totalCount === 1
+        ? `"${results[0].title}" matches your saved search.`
+        : `${totalCount} new items match your saved search.`,
+      data: {
+        savedSearchId: savedSearch.id,
+        query: savedSearch.query,
+        count: totalCount,
+        results: results.slice(0, 5).map(result => ({
+          type: result.type,
+          id: result.id,
+          title: result.title,
+          slug: result.slug
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Notify saved search matches error:', error);
+  }
+}
+
+/**
+ * Tell a user that their background analytics export can be downloaded
+ * @param {Object} analyticsExport - Completed export (id, userId, type, format, rowCount, expiresAt)
+ */
+async function notifyExportReady(analyticsExport) {
+  try {
+    return await createNotification({
+      userId: analyticsExport.userId,
+      type: NOTIFICATION_TYPES.EXPORT_READY,
+      title: 'Your analytics export is ready',
+      message: `The ${analyticsExport.type} export (${analyticsExport.format.toUpperCase()}, ${analyticsExport.rowCount} rows) can be downloaded until ${analyticsExport.expiresAt.toISOString().slice(0, 10)}.`,
+      data: {
+        exportId: analyticsExport.id,
+        type: analyticsExport.type,
+        format: analyticsExport.format,
+        downloadUrl: `/api/analytics/exports/${analyticsExport.id}/download`,
+        expiresAt: analyticsExport.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Notify export ready error:', error);
+  }
+}
+
+/**
+ * Tell a comment's author that someone replied to it
+ * @param {Object} parent - Comment replied to (id, authorId, articleId, aiArticleId)
+ * @param {Object} reply - New reply (id, content)
+ * @param {Object} replier - User who replied (id, fullName)
+ */
+async function notifyCommentReply(parent, reply, replier) {
+  try {
+    const excerpt = reply.content.length > 140 ? `${reply.content.substring(0, 137)}...` : reply.content;
+
+    return await createNotification({
+      userId: parent.authorId,
+      type: NOTIFICATION_TYPES.COMMENT_REPLY,
+      title: `${replier.fullName} replied to your comment`.substring(0, 255),
+      message: excerpt,
+      data: {
+        commentId: reply.id,
+        parentId: parent.id,
+        articleId: parent.articleId,
+        aiArticleId: parent.aiArticleId,
+        repliedBy: replier.id
+      }
+    });
+  } catch (error) {
+    logger.error('Notify comment reply error:', error);
+  }
+}
+
+/**
+ * Warn a user that a rotated refresh token was presented again, which means
+ * it was copied; the session it belonged to has been signed out
+ * @param {Object} session - Revoked session (id, userId, userAgent, ipAddress)
+ * @param {Object} attempt - Where the old token came from (ipAddress, userAgent)
+ */
+async function notifyRefreshTokenReuse(session, attempt = {}) {
+  try {
+    return await createNotification({
+      userId: session.userId,
+      type: NOTIFICATION_TYPES.SECURITY_ALERT,
+      title: 'Suspicious sign-in activity',
+      message: 'An old sign-in token for one of your devices was used again, so that device has been signed out. If this was not you, change your password.',
+      data: {
+        sessionId: session.id,
+        sessionUserAgent: session.userAgent,
+        sessionIpAddress: session.ipAddress,
+        attemptIpAddress: attempt.ipAddress,
+        attemptUserAgent: attempt.userAgent
+      }
+    });
+  } catch (error) {
+    logger.error('Notify refresh token reuse error:', error);
+  }
+}
+
+/**
+ * Tell a user about a login from a device or network they have not used before
+ * @param {string} userId
+ * @param {Object} login
+ * @param {string} login.device - e.g. "Chrome on Windows"
+ * @param {string|null} login.ipAddress
+ * @param {boolean} login.newDevice
+ * @param {boolean} login.newLocation
+ * @param {string} [login.sessionId] - Session to revoke if it was not them
+ */
+async function notifyNewLogin(userId, { device, ipAddress, newDevice, newLocation, sessionId }) {
+  try {
+    const what = newDevice && newLocation
+      ? 'a new device and location'
+      : newDevice ? 'a new device' : 'a new location';
+
+    return await createNotification({
+      userId,
+      type: NOTIFICATION_TYPES.SECURITY_ALERT,
+      title: `New sign-in from ${what}`,
+      message: `Your account was signed in from ${device}${ipAddress ? ` (${ipAddress})` : ''}. If this was not you, sign out that session and change your password.`,
+      data: {
+        device,
+        ipAddress,
+        newDevice,
+        newLocation,
+        sessionId
+      }
+    });
+  } catch (error) {
+    logger.error('Notify new login error:', error);
+  }
+}
+
 /**
  * Create milestone achievement notification
  */
@@ -451,11 +717,19 @@ async function cleanupOldNotifications(olderThanDays = 90) {
 module.exports = {
   NOTIFICATION_TYPES,
   createNotification,
+  streamNotifications,
   notifyArticleApproved,
   notifyArticleRejected,
+  notifyArticlePublished,
   notifyArticleSubmitted,
   notifyWelcome,
   notifySystemAnnouncement,
+  notifyBreakingNews,
+  notifySavedSearchMatches,
+  notifyExportReady,
+  notifyCommentReply,
+  notifyRefreshTokenReuse,
+  notifyNewLogin,
   notifyMilestoneAchieved,
   notifyAdCampaignStatus,
   markNotificationsAsRead,
@@ -0,0 +1,231 @@
+// utils/pdf.js - minimal PDF writer (text and tables) for generated reports
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_SIZE = 8;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Approximate Helvetica glyph widths (per 1pt of font size), enough to fit table cells
+const charWidth = (char) => {
+  if (' il.,:;\'|!()[]{}'.includes(char)) return 0.28;
+  if ('mwMW@%'.includes(char)) return 0.85;
+  if (char >= 'A' && char <= 'Z') return 0.67;
+  if (char >= '0' && char <= '9') return 0.556;
+  return 0.52;
+};
+
+const textWidth = (text, size) => {
+  let width = 0;
+  for (const char of text) width += charWidth(char);
+  return width * size;
+};
+
+// The standard fonts use WinAnsi; anything outside Latin-1 becomes '?'
+const encodeText = (text) => {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    const safe = code >= 32 && code < 256 && code !== 127 ? char : '?';
+    encoded += safe === '\\' || safe === '(' || safe === ')' ? `\\${safe}` : safe;
+  }
+  return encoded;
+};
+
+const fitText = (text, size, width) => {
+  const value = String(text);
+  if (textWidth(value, size) <= width) return value;
+
+  let fitted = value;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 16).replace('T', ' ');
+  if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(2);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Build a simple A4 PDF top to bottom: headings, paragraphs and tables.
+ * Pages break automatically and are numbered in the footer.
+ */
+class PdfDocument {
+  constructor({ title = 'Report' } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_SIZE * 2) {
+      this.addPage();
+    }
+  }
+
+  drawText(text, x, y, { size = 10, bold = false, gray = false } = {}) {
+    this.page.push(`BT ${gray ? '0.4 g ' : ''}/${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encodeText(text)}) Tj ET${gray ? ' 0 g' : ''}`);
+  }
+
+  // Wrap a paragraph to the content width
+  text(content, { size = 10, bold = false, gray = false, spacing = 4 } = {}) {
+    const words = String(content).split(/\s+/).filter(Boolean);
+    let line = '';
+
+    const flush = () => {
+      this.ensureSpace(size + spacing);
+      this.y -= size;
+      this.drawText(line, MARGIN, this.y, { size, bold, gray });
+      this.y -= spacing;
+      line = '';
+    };
+
+    for (const word of words) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size) > CONTENT_WIDTH) {
+        flush();
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) flush();
+
+    return this;
+  }
+
+  heading(content, { size = 14 } = {}) {
+    this.ensureSpace(size + 30);
+    this.y -= 10;
+    return this.text(content, { size, bold: true, spacing: 8 });
+  }
+
+  /**
+   * Draw a table; rows that don't fit continue on the next page under a repeated header
+   * @param {Array<{header: string, width?: number, align?: string}>} columns - width is a share of the row
+   * @param {Array<Array>} rows
+   */
+  table(columns, rows, { size = 8 } = {}) {
+    const rowHeight = size + 6;
+    const totalShare = columns.reduce((sum, col) => sum + (col.width || 1), 0);
+    const widths = columns.map(col => (col.width || 1) / totalShare * CONTENT_WIDTH);
+
+    const drawRow = (cells, { bold = false, shade = false } = {}) => {
+      if (shade) {
+        this.page.push(`0.93 g ${MARGIN} ${(this.y - rowHeight).toFixed(2)} ${CONTENT_WIDTH.toFixed(2)} ${rowHeight} re f 0 g`);
+      }
+
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        const cellWidth = widths[index] - 6;
+        const text = fitText(formatCell(cell), size, cellWidth);
+        const offset = columns[index].align === 'right' ? cellWidth - textWidth(text, size) : 0;
+        this.drawText(text, x + 3 + offset, this.y - size - 2, { size, bold });
+        x += widths[index];
+      });
+      this.y -= rowHeight;
+    };
+
+    const drawHeader = () => drawRow(columns.map(col => col.header), { bold: true, shade: true });
+
+    this.ensureSpace(rowHeight * 2);
+    drawHeader();
+
+    if (rows.length === 0) {
+      this.drawText('No data for this period', MARGIN + 3, this.y - size - 2, { size, gray: true });
+      this.y -= rowHeight;
+    }
+
+    for (const row of rows) {
+      if (this.y - rowHeight < MARGIN + FOOTER_SIZE * 2) {
+        this.addPage();
+        drawHeader();
+      }
+      drawRow(row);
+    }
+
+    this.y -= 8;
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = addObject(`<< /Title (${encodeText(this.title)}) /Producer (Lines Platform) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    const pageIds = this.pages.map((commands, index) => {
+      const footer = `BT 0.4 g /${FONTS.regular} ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN / 2} Td (${encodeText(`${this.title} - page ${index + 1} of ${this.pages.length}`)}) Tj ET`;
+      const stream = zlib.deflateSync(Buffer.from([...commands, footer].join('\n'), 'latin1'));
+      const contentId = addObject({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((object, index) => {
+      offsets.push(length);
+      const parts = typeof object === 'string'
+        ? [Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1')]
+        : [
+          Buffer.from(`${index + 1} 0 obj\n${object.dict}\nstream\n`, 'latin1'),
+          object.stream,
+          Buffer.from('\nendstream\nendobj\n', 'latin1')
+        ];
+      for (const part of parts) {
+        chunks.push(part);
+        length += part.length;
+      }
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument
+};
@@ -0,0 +1,205 @@
+// utils/snippets.js - Search highlighting and snippet extraction
+
+const DEFAULT_SNIPPET_LENGTH = 200;
+const MAX_TERMS = 10;
+
+const HIGHLIGHT_MODES = ['html', 'offsets'];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Article bodies are stored as HTML, snippets are cut from the visible text
+const stripHtml = (text) => String(text)
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split a search query into unique literal terms, longest first so
+ * "machine learning" prefers "learning" over a shorter overlapping term
+ * @param {string} query - Raw user input
+ * @returns {Array<string>}
+ */
+function extractTerms(query) {
+  if (!query) return [];
+
+  const terms = String(query)
+    .toLowerCase()
+    .split(/\s+/)
+    .map(term => term.replace(/^["'(]+|["'),.!?;:]+$/g, ''))
+    .filter(Boolean);
+
+  return [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MAX_TERMS);
+}
+
+/**
+ * All non-overlapping matches of the terms in the text
+ * @returns {Array<{start: number, end: number, term: string}>}
+ */
+function findMatches(text, pattern) {
+  const matches = [];
+  if (!text || !pattern) return matches;
+
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      term: match[0].toLowerCase()
+    });
+  }
+  return matches;
+}
+
+/**
+ * Pick the window covering the most distinct terms, then the most matches
+ * @returns {{start: number, end: number}}
+ */
+function bestWindow(text, matches, length) {
+  if (matches.length === 0 || text.length <= length) {
+    return { start: 0, end: Math.min(text.length, length) };
+  }
+
+  let best = { index: 0, distinct: 0, total: 0 };
+  for (let i = 0; i < matches.length; i++) {
+    const limit = matches[i].start + length;
+    const terms = new Set();
+    let total = 0;
+    for (let j = i; j < matches.length && matches[j].end <= limit; j++) {
+      terms.add(matches[j].term);
+      total++;
+    }
+    if (terms.size > best.distinct || (terms.size === best.distinct && total > best.total)) {
+      best = { index: i, distinct: terms.size, total };
+    }
+  }
+
+  // Lead in with a little context before the first match
+  let start = Math.max(0, matches[best.index].start - Math.floor(length / 4));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Do not cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matches[best.index].start) {
+      start = space + 1;
+    }
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    const lastMatch = matches.filter(match => match.start < end).pop();
+    if (space > start && (!lastMatch || space >= lastMatch.end)) {
+      end = space;
+    }
+  }
+
+  return { start, end };
+}
+
+/**
+ * Render a slice of text in the requested mode
+ * html:    escaped text with <mark> around matches
+ * offsets: plain text plus match positions relative to it
+ */
+function render(text, matches, { start, end }, mode) {
+  const inside = matches
+    .filter(match => match.start >= start && match.end <= end)
+    .map(match => ({ start: match.start - start, end: match.end - start }));
+  const slice = text.slice(start, end);
+
+  const result = {
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+
+  if (mode === 'offsets') {
+    result.text = slice;
+    result.matches = inside.map(match => ({ start: match.start, length: match.end - match.start }));
+    return result;
+  }
+
+  let html = '';
+  let cursor = 0;
+  for (const match of inside) {
+    html += escapeHtml(slice.slice(cursor, match.start));
+    html += `<mark>${escapeHtml(slice.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+  html += escapeHtml(slice.slice(cursor));
+
+  result.text = `${result.truncatedStart ? '… ' : ''}${html}${result.truncatedEnd ? ' …' : ''}`;
+  return result;
+}
+
+/**
+ * Build a highlighter for one search query.
+ * Terms are matched literally and case-insensitively, never as a regex.
+ * @param {string} query - Raw user input
+ * @param {Object} options
+ * @param {string} options.mode - 'html' (default) or 'offsets'
+ * @param {number} options.snippetLength - Snippet size in characters
+ * @returns {{terms: Array<string>, field: Function, snippet: Function}}
+ */
+function createHighlighter(query, { mode = 'html', snippetLength = DEFAULT_SNIPPET_LENGTH } = {}) {
+  const terms = extractTerms(query);
+  const pattern = terms.length > 0
+    ? new RegExp(terms.map(escapeRegExp).join('|'), 'giu')
+    : null;
+  const renderMode = HIGHLIGHT_MODES.includes(mode) ? mode : 'html';
+
+  return {
+    terms,
+
+    // Highlight a short plain-text field (headline, title) in full
+    field(text) {
+      if (text === null || text === undefined) return null;
+      const plain = String(text);
+      const matches = findMatches(plain, pattern);
+      return render(plain, matches, { start: 0, end: plain.length }, renderMode);
+    },
+
+    // Excerpt around the best match from the first source that contains one,
+    // or the opening of the first non-empty source when nothing matches
+    snippet(...sources) {
+      const texts = sources.filter(Boolean).map(stripHtml).filter(Boolean);
+      if (texts.length === 0) return null;
+
+      for (const text of texts) {
+        const matches = findMatches(text, pattern);
+        if (matches.length > 0) {
+          return render(text, matches, bestWindow(text, matches, snippetLength), renderMode);
+        }
+      }
+
+      return render(texts[0], [], bestWindow(texts[0], [], snippetLength), renderMode);
+    }
+  };
+}
+
+module.exports = {
+  HIGHLIGHT_MODES,
+  escapeHtml,
+  stripHtml,
+  extractTerms,
+  createHighlighter
+};
@@ -0,0 +1,194 @@
+// utils/tar.js - minimal gzipped ustar writer and reader for backup archives
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+const paddingFor = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+const readString = (header, offset, length) => {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+};
+
+const readOctal = (header, offset, length) => parseInt(readString(header, offset, length).trim() || '0', 8);
+
+// Names longer than 100 bytes are split into the 155 byte ustar prefix
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', name };
+
+  const slash = name.lastIndexOf('/', name.length - 1);
+  const prefix = name.slice(0, slash);
+  const base = name.slice(slash + 1);
+  if (slash <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(base) > 100) {
+    throw new Error(`Path too long for archive: ${name}`);
+  }
+  return { prefix, name: base };
+};
+
+const buildHeader = (entryName, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, name } = splitName(entryName);
+
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+};
+
+/**
+ * Write regular files into a .tar.gz, one entry at a time
+ */
+class TarWriter {
+  constructor(filePath) {
+    this.gzip = zlib.createGzip();
+    this.output = fs.createWriteStream(filePath);
+    this.done = new Promise((resolve, reject) => {
+      this.output.on('finish', resolve);
+      this.output.on('error', reject);
+      this.gzip.on('error', reject);
+    });
+    this.gzip.pipe(this.output);
+  }
+
+  async write(chunk) {
+    if (!this.gzip.write(chunk)) {
+      await once(this.gzip, 'drain');
+    }
+  }
+
+  // Add a file from disk under `name`
+  async addFile(name, filePath) {
+    const stats = await fs.promises.stat(filePath);
+    await this.addStream(name, fs.createReadStream(filePath), stats.size, stats.mtime);
+  }
+
+  // Add `size` bytes read from a stream under `name`
+  async addStream(name, stream, size, mtime = new Date()) {
+    await this.write(buildHeader(name, size, mtime));
+
+    let written = 0;
+    for await (const chunk of stream) {
+      written += chunk.length;
+      if (written > size) break;
+      await this.write(chunk);
+    }
+    if (written !== size) {
+      throw new Error(`${name} changed while it was archived`);
+    }
+    await this.write(Buffer.alloc(paddingFor(size)));
+  }
+
+  // Add an in-memory buffer or string under `name`
+  async addBuffer(name, content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    await this.write(buildHeader(name, buffer.length, new Date()));
+    await this.write(buffer);
+    await this.write(Buffer.alloc(paddingFor(buffer.length)));
+  }
+
+  async finish() {
+    await this.write(END_OF_ARCHIVE);
+    this.gzip.end();
+    await this.done;
+  }
+}
+
+/**
+ * Read a .tar.gz entry by entry. `onEntry({ name, size, type })` may return
+ * a sink `{ data: async (chunk) => {}, end: async () => {} }` to receive the
+ * content; entries without a sink are skipped.
+ * @param {string} filePath
+ * @param {Function} onEntry
+ * @returns {Promise<number>} - Entries read
+ */
+async function readTar(filePath, onEntry) {
+  let buffer = Buffer.alloc(0);
+  let entry = null;
+  let remaining = 0;
+  let padding = 0;
+  let count = 0;
+  let ended = false;
+
+  for await (const chunk of fs.createReadStream(filePath).pipe(zlib.createGunzip())) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    while (!ended) {
+      if (entry) {
+        if (remaining > 0) {
+          if (buffer.length === 0) break;
+          const part = buffer.subarray(0, Math.min(remaining, buffer.length));
+          buffer = buffer.subarray(part.length);
+          remaining -= part.length;
+          if (entry.sink) await entry.sink.data(part);
+          continue;
+        }
+
+        if (buffer.length < padding) break;
+        buffer = buffer.subarray(padding);
+        if (entry.sink?.end) await entry.sink.end();
+        entry = null;
+        continue;
+      }
+
+      if (buffer.length < BLOCK_SIZE) break;
+      const header = buffer.subarray(0, BLOCK_SIZE);
+      buffer = buffer.subarray(BLOCK_SIZE);
+
+      if (header.every(byte => byte === 0)) {
+        ended = true;
+        break;
+      }
+
+      let checksum = 0;
+      for (let i = 0; i < BLOCK_SIZE; i++) checksum += i >= 148 && i < 156 ? 32 : header[i];
+      if (checksum !== readOctal(header, 148, 8)) {
+        throw new Error('Corrupt archive: header checksum mismatch');
+      }
+
+      const prefix = readString(header, 345, 155);
+      const name = readString(header, 0, 100);
+      const size = readOctal(header, 124, 12);
+      const info = {
+        name: prefix ? `${prefix}/${name}` : name,
+        size,
+        type: String.fromCharCode(header[156] || 48) === '5' ? 'directory' : 'file'
+      };
+
+      count++;
+      entry = { ...info, sink: await onEntry(info) };
+      remaining = size;
+      padding = paddingFor(size);
+    }
+  }
+
+  if (entry || !ended) {
+    throw new Error('Corrupt archive: unexpected end of file');
+  }
+
+  return count;
+}
+
+module.exports = {
+  TarWriter,
+  readTar
+};
@@ -0,0 +1,295 @@
+// utils/xlsx.js - streaming XLSX writer without native dependencies
+const zlib = require('zlib');
+const { once } = require('events');
+
+// ==================== ZIP CONTAINER ====================
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 3: sizes and CRC follow the data, so entries can be streamed. Bit 11: UTF-8 names.
+const ZIP_FLAGS = 0x0808;
+
+/**
+ * Deflated zip entries written straight to a stream
+ */
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(chunk) {
+    this.offset += chunk.length;
+    if (!this.output.write(chunk)) {
+      await once(this.output, 'drain');
+    }
+  }
+
+  /**
+   * @param {string} name - Path inside the archive
+   * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source - Entry content
+   */
+  async addEntry(name, source) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(new Date());
+    const entry = { nameBuffer, time, date, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await this.write(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    })();
+
+    try {
+      for await (const part of source) {
+        const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await once(deflate, 'drain');
+        }
+      }
+    } finally {
+      deflate.end();
+      await pump;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  // Write the central directory; the output stream is left open
+  async finish() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(ZIP_FLAGS, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.write(end);
+  }
+}
+
+// ==================== SPREADSHEET XML ====================
+
+// Characters XML 1.0 does not allow at all
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Days since 1899-12-30, the spreadsheet epoch
+const excelDate = (date) => date.getTime() / 86400000 + 25569;
+
+// Style indexes from STYLES_XML
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+const cellXml = (value, ref, style) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'bigint') {
+    return `<c r="${ref}"${styleAttr}><v>${value.toString()}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"${styleAttr}><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (value instanceof Date) {
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${excelDate(value)}</v></c>`;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(text.substring(0, 32767))}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber, style) => `<row r="${rowNumber}">${values
+  .map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`, style))
+  .join('')}</row>`;
+
+// Rows are buffered into chunks of roughly this size before compression
+const SHEET_CHUNK_SIZE = 64 * 1024;
+
+async function* sheetXml(headers, rows) {
+  let chunk = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + '<sheetData>'
+    + rowXml(headers, 1, STYLE_HEADER);
+  let rowNumber = 1;
+
+  for await (const row of rows) {
+    rowNumber++;
+    chunk += rowXml(row, rowNumber);
+    if (chunk.length >= SHEET_CHUNK_SIZE) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+
+  yield `${chunk}</sheetData></worksheet>`;
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '</cellXfs>'
+  + '</styleSheet>';
+
+// Sheet names: at most 31 characters, none of []:*?/\ and unique
+const sheetName = (name, used) => {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().substring(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${base.substring(0, 31 - String(n).length - 1)} ${n}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Write a workbook sheet by sheet. Rows are streamed, so sheets can be large.
+ *
+ *   const workbook = new XlsxWriter(res);
+ *   await workbook.addSheet('Articles', ['Headline', 'Views'], rowsIterable);
+ *   await workbook.finish();
+ */
+class XlsxWriter {
+  constructor(output) {
+    this.zip = new ZipWriter(output);
+    this.sheets = [];
+    this.usedNames = new Set();
+  }
+
+  /**
+   * @param {string} name - Sheet name
+   * @param {Array<string>} headers - First (bold, frozen) row
+   * @param {AsyncIterable<Array>|Iterable<Array>} rows - Cell values per row
+   */
+  async addSheet(name, headers, rows) {
+    const index = this.sheets.length + 1;
+    this.sheets.push(sheetName(name, this.usedNames));
+    await this.zip.addEntry(`xl/worksheets/sheet${index}.xml`, sheetXml(headers, rows));
+  }
+
+  async finish() {
+    if (this.sheets.length === 0) {
+      await this.addSheet('Sheet1', [], []);
+    }
+
+    const sheetIds = this.sheets.map((_, i) => i + 1);
+
+    await this.zip.addEntry('[Content_Types].xml', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + sheetIds.map(id => `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+      + '</Types>']);
+
+    await this.zip.addEntry('_rels/.rels', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>']);
+
+    await this.zip.addEntry('xl/workbook.xml', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + '<sheets>'
+      + this.sheets.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+      + '</sheets></workbook>']);
+
+    await this.zip.addEntry('xl/_rels/workbook.xml.rels', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + sheetIds.map(id => `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`).join('')
+      + `<Relationship Id="rId${sheetIds.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+      + '</Relationships>']);
+
+    await this.zip.addEntry('xl/styles.xml', [STYLES_XML]);
+    await this.zip.finish();
+  }
+}
+
+module.exports = {
+  XlsxWriter
+};
@@ -0,0 +1,130 @@
+// tests/controllers/articlesController.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/stubs');
+
+// One article with its revisions and approval history, kept in memory
+const db = { article: null, revisions: [], history: [] };
+
+stubDatabase({
+  newsArticle: {
+    findUnique: async () => ({ ...db.article }),
+    update: async ({ data }) => {
+      const { tagLinks, ...fields } = data;
+      Object.assign(db.article, fields);
+      return { ...db.article };
+    }
+  },
+  articleRevision: {
+    findFirst: async ({ where }) => (where.id
+      ? db.revisions.find(revision => revision.id === where.id) || null
+      : db.revisions[db.revisions.length - 1] || null),
+    create: async ({ data }) => {
+      const revision = { id: `r${data.revisionNumber}`, ...data };
+      db.revisions.push(revision);
+      return revision;
+    }
+  },
+  approvalHistory: {
+    create: async ({ data }) => {
+      db.history.push(data);
+      return data;
+    }
+  },
+  category: {
+    findFirst: async () => ({ name: 'POLITICS', displayName: 'Politics', isActive: true }),
+    findMany: async () => [{ id: 'c1', name: 'POLITICS', displayName: 'Politics', parentId: null, isActive: true }]
+  }
+});
+
+const articlesController = require('../../src/controllers/articlesController');
+
+const author = { id: 'author', email: 'author@example.com', role: 'EDITOR', permissions: ['article.create'] };
+const publisher = { id: 'boss', email: 'boss@example.com', role: 'AD_MANAGER', permissions: ['article.create', 'article.edit_any', 'article.publish'] };
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+
+  const content = {
+    headline: 'Budget passes',
+    briefContent: 'The budget passed.',
+    fullContent: 'Line one',
+    category: 'POLITICS',
+    tags: null,
+    featuredImage: null,
+    metaTitle: 'Budget passes',
+    metaDescription: null
+  };
+  db.article = { id: 'a1', authorId: 'author', status: 'PUBLISHED', ...content };
+  db.revisions = [{ id: 'r1', articleId: 'a1', revisionNumber: 1, changeType: 'CREATED', ...content }];
+  db.history = [];
+});
+
+async function call(handler, req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params: {}, body: {}, query: {}, ...req }, res);
+  return res;
+}
+
+const edit = (user, body) => call(articlesController.updateArticle, { user, params: { id: 'a1' }, body });
+const restore = (user) => call(articlesController.restoreRevision, { user, params: { id: 'a1', revId: 'r1' }, body: {} });
+
+for (const status of ['PUBLISHED', 'APPROVED', 'SCHEDULED']) {
+  test(`an author's edit and restore of a ${status} article both go back for review`, async () => {
+    db.article.status = status;
+    const edited = await edit(author, { headline: 'Budget fails' });
+
+    assert.equal(edited.statusCode, 200);
+    assert.equal(db.article.status, 'PENDING');
+    assert.equal(db.history.length, 1);
+    assert.equal(db.history[0].action, 'REVISION_SUBMITTED');
+
+    db.article.status = status;
+    const restored = await restore(author);
+
+    assert.equal(restored.statusCode, 200);
+    assert.equal(db.article.headline, 'Budget passes');
+    assert.equal(db.article.status, 'PENDING');
+    assert.equal(db.history.length, 2);
+    assert.match(restored.body.message, /submitted for review/);
+  });
+}
+
+test('with article.publish, edits and restores stay live', async () => {
+  await edit(publisher, { headline: 'Budget fails' });
+  assert.equal(db.article.status, 'PUBLISHED');
+
+  await restore(publisher);
+  assert.equal(db.article.status, 'PUBLISHED');
+  assert.equal(db.article.headline, 'Budget passes');
+  assert.equal(db.history.length, 0);
+});
+
+test('drafts only go to review when the author asks, by edit or restore alike', async () => {
+  db.article.status = 'DRAFT';
+
+  await edit(author, { headline: 'Budget fails' });
+  await restore(author);
+  assert.equal(db.article.status, 'DRAFT');
+
+  await edit(author, { headline: 'Budget fails', submitForReview: true });
+  assert.equal(db.article.status, 'PENDING');
+
+  db.article.status = 'REJECTED';
+  await call(articlesController.restoreRevision, {
+    user: author,
+    params: { id: 'a1', revId: 'r1' },
+    body: { submitForReview: true }
+  });
+  assert.equal(db.article.status, 'PENDING');
+});
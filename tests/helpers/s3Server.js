@@ -0,0 +1,123 @@
+// tests/helpers/s3Server.js
+// In-memory stand-in for a MinIO-style S3 service: path-style requests for
+// PUT, GET, HEAD and DELETE of objects and ListObjectsV2. It checks that
+// requests are signed but not the signatures themselves.
+const http = require('http');
+const crypto = require('crypto');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const xml = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+};
+
+const errorXml = (res, status, code) => xml(res, status, `<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Start the stand-in on a free port
+ * @param {Object} options
+ * @param {string} options.bucket - The only bucket that exists
+ * @param {number} options.pageSize - Keys per ListObjectsV2 page
+ * @returns {Promise<{endpoint: string, objects: Map, requests: Array, close: Function}>}
+ */
+async function startS3Server({ bucket, pageSize = 1000 }) {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    requests.push({ method: req.method, bucket: bucketName, key, headers: req.headers, query: url.searchParams });
+
+    const signed = (req.headers.authorization || '').startsWith('AWS4-HMAC-SHA256 ')
+      || url.searchParams.has('X-Amz-Signature');
+    if (!signed) return errorXml(res, 403, 'AccessDenied');
+    if (bucketName !== bucket) return errorXml(res, 404, 'NoSuchBucket');
+
+    if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const after = url.searchParams.get('continuation-token') || '';
+      const matching = [...objects.keys()].filter(name => name.startsWith(prefix) && name > after).sort();
+      const page = matching.slice(0, pageSize);
+      const truncated = matching.length > page.length;
+
+      return xml(res, 200, '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+        + `<Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`
+        + `<MaxKeys>${pageSize}</MaxKeys><IsTruncated>${truncated}</IsTruncated>`
+        + (truncated ? `<NextContinuationToken>${escapeXml(page[page.length - 1])}</NextContinuationToken>` : '')
+        + page.map(name => {
+          const object = objects.get(name);
+          return `<Contents><Key>${escapeXml(name)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+            + `<ETag>"${object.etag}"</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+        }).join('')
+        + '</ListBucketResult>');
+    }
+
+    if (req.method === 'PUT') {
+      const body = await readBody(req);
+      const etag = crypto.createHash('md5').update(body).digest('hex');
+      objects.set(key, {
+        body,
+        etag,
+        contentType: req.headers['content-type'] || 'binary/octet-stream',
+        lastModified: new Date(Math.floor(Date.now() / 1000) * 1000)
+      });
+      res.writeHead(200, { ETag: `"${etag}"` });
+      return res.end();
+    }
+
+    const object = objects.get(key);
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      if (!object) {
+        if (req.method === 'HEAD') {
+          res.writeHead(404);
+          return res.end();
+        }
+        return errorXml(res, 404, 'NoSuchKey');
+      }
+      res.writeHead(200, {
+        'Content-Type': object.contentType,
+        'Content-Length': object.body.length,
+        'Last-Modified': object.lastModified.toUTCString(),
+        ETag: `"${object.etag}"`
+      });
+      return res.end(req.method === 'GET' ? object.body : undefined);
+    }
+
+    return errorXml(res, 405, 'MethodNotAllowed');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  startS3Server
+};
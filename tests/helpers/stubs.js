@@ -0,0 +1,46 @@
+// tests/helpers/stubs.js
+// Stand-ins for modules with side effects on load. Require this before the
+// module under test; node --test runs every test file in its own process.
+const DATABASE_MODULE = require.resolve('../../src/config/database');
+const LOGGER_MODULE = require.resolve('../../src/utils/logger');
+
+const cacheModule = (filename, exports) => {
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+// The real logger writes to logs/ in the working directory
+const quietLogger = {
+  error() {},
+  warn() {},
+  info() {},
+  http() {},
+  debug() {}
+};
+cacheModule(LOGGER_MODULE, quietLogger);
+
+/**
+ * Replace src/config/database.js, which connects to MySQL when loaded
+ * @param {Object} client - Fake Prisma client with the delegates a test needs
+ * @returns {Object} - The same client
+ */
+function stubDatabase(client = {}) {
+  cacheModule(DATABASE_MODULE, client);
+  return client;
+}
+
+/**
+ * Replace any project module, e.g. one that sends notifications
+ * @param {string} modulePath - Relative to the project root, e.g. 'src/utils/notifications'
+ * @param {Object} exports
+ * @returns {Object} - The same exports
+ */
+function stubModule(modulePath, exports) {
+  cacheModule(require.resolve(`../../${modulePath}`), exports);
+  return exports;
+}
+
+module.exports = {
+  quietLogger,
+  stubDatabase,
+  stubModule
+};
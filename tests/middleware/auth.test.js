@@ -0,0 +1,134 @@
+// tests/middleware/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/stubs');
+
+// In-memory keys and today's usage of each
+const db = { keys: [], usage: new Map() };
+
+stubDatabase({
+  apiKey: {
+    findUnique: async ({ where }) => db.keys.find(key => key.keyHash === where.keyHash) || null,
+    update: async ({ data }) => data
+  },
+  apiKeyUsage: {
+    upsert: async ({ where, update, create }) => {
+      const { apiKeyId } = where.apiKeyId_date;
+      const row = db.usage.get(apiKeyId) || { requestCount: 0, deniedCount: 0 };
+      const counts = db.usage.has(apiKeyId) ? update : { requestCount: { increment: create.requestCount || 0 }, deniedCount: { increment: create.deniedCount || 0 } };
+      for (const [field, change] of Object.entries(counts)) row[field] += change.increment;
+      db.usage.set(apiKeyId, row);
+      return { ...row };
+    },
+    update: async ({ where }) => {
+      const row = db.usage.get(where.apiKeyId_date.apiKeyId);
+      row.requestCount -= 1;
+      row.deniedCount += 1;
+      return { ...row };
+    }
+  }
+});
+
+const { generateApiKey, invalidateApiKeyCache } = require('../../src/services/apiKeyService');
+const { authenticateApiKey } = require('../../src/middleware/auth');
+
+let issued;
+test.beforeEach(() => {
+  invalidateApiKeyCache();
+  issued = generateApiKey();
+  db.keys = [{
+    id: `k-${issued.prefix}`,
+    name: 'Partner',
+    keyHash: issued.keyHash,
+    scopes: ['read:articles'],
+    rateLimitPerMinute: 2,
+    dailyQuota: null,
+    revokedAt: null,
+    expiresAt: null
+  }];
+  db.usage.clear();
+});
+
+async function call(middleware, key) {
+  const req = { ip: '203.0.113.9', header: (name) => (name === 'X-API-Key' ? key : undefined) };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('requests without a key pass through for the route to handle', async () => {
+  const { req, nextCalled } = await call(authenticateApiKey('read:articles'), undefined);
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.apiKey, undefined);
+  assert.equal(req.apiKeyRateLimited, undefined);
+});
+
+test('a valid key with the scope is accepted and held to its own limits', async () => {
+  const { req, res, nextCalled } = await call(authenticateApiKey('read:articles'), issued.key);
+
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.apiKey, { id: db.keys[0].id, name: 'Partner', scopes: ['read:articles'] });
+  assert.equal(req.apiKeyRateLimited, true);
+  assert.equal(res.headers['X-RateLimit-Limit'], 2);
+  assert.equal(res.headers['X-RateLimit-Remaining'], 1);
+  assert.equal(db.usage.get(db.keys[0].id).requestCount, 1);
+});
+
+test('unknown and revoked keys get 401, keys without the scope 403', async () => {
+  const unknown = await call(authenticateApiKey(), 'dnk_not-a-real-key');
+  assert.equal(unknown.res.statusCode, 401);
+  assert.equal(unknown.nextCalled, false);
+  assert.equal(unknown.req.apiKeyRateLimited, undefined);
+
+  const missing = await call(authenticateApiKey('read:articles', 'write:analytics-events'), issued.key);
+  assert.equal(missing.res.statusCode, 403);
+  assert.match(missing.res.body.message, /write:analytics-events/);
+
+  db.keys[0].revokedAt = new Date();
+  invalidateApiKeyCache();
+  assert.equal((await call(authenticateApiKey(), issued.key)).res.statusCode, 401);
+});
+
+test('requests over the per-minute limit get 429 and are counted as denied', async () => {
+  const middleware = authenticateApiKey('read:articles');
+  await call(middleware, issued.key);
+  await call(middleware, issued.key);
+
+  const { res, nextCalled } = await call(middleware, issued.key);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(res.headers['Retry-After'] >= 1);
+  assert.deepEqual(db.usage.get(db.keys[0].id), { requestCount: 2, deniedCount: 1 });
+});
+
+test('requests over the daily quota get 429 until the next UTC day', async () => {
+  db.keys[0].dailyQuota = 1;
+  const middleware = authenticateApiKey();
+  await call(middleware, issued.key);
+
+  const { res, nextCalled } = await call(middleware, issued.key);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.match(res.body.message, /daily quota of 1/);
+  assert.ok(res.headers['Retry-After'] <= 24 * 60 * 60);
+  assert.deepEqual(db.usage.get(db.keys[0].id), { requestCount: 1, deniedCount: 1 });
+});
@@ -0,0 +1,51 @@
+// tests/middleware/rateLimits.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createGeneralLimiter } = require('../../src/middleware/rateLimits');
+
+let server;
+let baseUrl;
+
+test.beforeEach(async () => {
+  const app = express();
+  app.use('/api/', createGeneralLimiter({ windowMs: 60 * 1000, max: 2 }));
+
+  // Stand-ins for routes behind authenticateApiKey: a key that passed, or one it refused
+  const keyed = (status) => (req, res) => {
+    req.apiKeyRateLimited = true;
+    res.status(status).json({ success: status < 400 });
+  };
+  app.get('/api/partner', keyed(200));
+  app.get('/api/partner/limited', keyed(429));
+  app.get('/api/partner/bad-key', (req, res) => res.status(401).json({ success: false }));
+  app.get('/api/articles', (req, res) => res.json({ success: true }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.afterEach(() => new Promise(resolve => server.close(resolve)));
+
+const get = async (route) => (await fetch(`${baseUrl}${route}`)).status;
+
+test('requests an API key answered for are given back to the IP', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await get('/api/partner'), 200);
+  }
+  // The key's own 429 does not use up the IP's allowance either
+  assert.equal(await get('/api/partner/limited'), 429);
+
+  assert.equal(await get('/api/articles'), 200);
+  assert.equal(await get('/api/articles'), 200);
+  assert.equal(await get('/api/articles'), 429);
+});
+
+test('requests without a valid key count, successful or not', async () => {
+  assert.equal(await get('/api/partner/bad-key'), 401);
+  assert.equal(await get('/api/articles'), 200);
+
+  assert.equal(await get('/api/partner'), 429);
+  assert.equal(await get('/api/articles'), 429);
+});
@@ -0,0 +1,85 @@
+// tests/services/analyticsExport.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubDatabase } = require('../helpers/stubs');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+process.env.EXPORT_DIR = exportDir;
+delete process.env.STORAGE_ADAPTER;
+
+// In-memory export jobs
+let jobs = [];
+
+stubDatabase({
+  analyticsExport: {
+    findMany: async () => jobs.filter(job => job.expiresAt < new Date()),
+    deleteMany: async ({ where }) => {
+      const before = jobs.length;
+      jobs = jobs.filter(job => !where.id.in.includes(job.id));
+      return { count: before - jobs.length };
+    }
+  }
+});
+
+const { openExport, cleanupExpiredExports } = require('../../src/services/analyticsExport');
+const { getExportStorage } = require('../../src/services/storage');
+
+test.after(() => fs.rmSync(exportDir, { recursive: true, force: true }));
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+const job = (id, daysLeft) => ({
+  id,
+  fileName: 'analytics-content-2026-01-01_2026-01-31.csv',
+  expiresAt: new Date(Date.now() + daysLeft * 24 * 60 * 60 * 1000)
+});
+
+test('finished exports are read back from export storage', async () => {
+  const done = job('e1', 7);
+  await getExportStorage().put(`e1-${done.fileName}`, Buffer.from('Title,Views\r\n'), { contentType: 'text/csv' });
+
+  assert.ok(fs.existsSync(path.join(exportDir, `e1-${done.fileName}`)));
+  assert.equal(await readAll(await openExport(done)), 'Title,Views\r\n');
+  assert.equal(await openExport(job('missing', 7)), null);
+});
+
+test('cleanup removes expired files and rows, and retries files it could not delete', async (t) => {
+  const storage = getExportStorage();
+  jobs = [job('old', -1), job('stuck', -1), job('fresh', 3)];
+  for (const { id, fileName } of jobs) {
+    await storage.put(`${id}-${fileName}`, Buffer.from(id));
+  }
+
+  const remove = storage.delete.bind(storage);
+  t.mock.method(storage, 'delete', async (key) => {
+    if (key.startsWith('stuck-')) throw new Error('bucket unavailable');
+    return remove(key);
+  });
+
+  assert.equal(await cleanupExpiredExports(), 1);
+  assert.deepEqual(jobs.map(({ id }) => id), ['stuck', 'fresh']);
+  assert.equal(await storage.stat(`old-${jobs[0].fileName}`), null);
+  assert.ok(await storage.stat(`stuck-${jobs[0].fileName}`));
+  assert.ok(await storage.stat(`fresh-${jobs[0].fileName}`));
+});
+
+test('on S3, exports must not land among the uploads', () => {
+  const storagePath = require.resolve('../../src/services/storage');
+  const saved = { ...process.env };
+  delete require.cache[storagePath];
+
+  try {
+    Object.assign(process.env, { STORAGE_ADAPTER: 's3', S3_BUCKET: 'news-media', S3_PREFIX: '' });
+    assert.throws(() => require(storagePath).getExportStorage(), /Exports need S3_EXPORT_BUCKET/);
+  } finally {
+    process.env = saved;
+    delete require.cache[storagePath];
+  }
+});
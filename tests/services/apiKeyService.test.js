@@ -0,0 +1,156 @@
+// tests/services/apiKeyService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { stubDatabase } = require('../helpers/stubs');
+
+// In-memory keys and usage counters, with a count of key lookups
+const db = { keys: [], usage: new Map(), lookups: 0 };
+
+const usageKey = ({ apiKeyId, date }) => `${apiKeyId}:${date.toISOString()}`;
+const applyCounts = (row, counts) => {
+  for (const [field, change] of Object.entries(counts)) {
+    row[field] = (row[field] || 0) + (change.increment || 0) - (change.decrement || 0);
+  }
+  return row;
+};
+
+stubDatabase({
+  apiKey: {
+    findUnique: async ({ where }) => {
+      db.lookups++;
+      return db.keys.find(key => key.keyHash === where.keyHash) || null;
+    },
+    update: async ({ data }) => data
+  },
+  apiKeyUsage: {
+    upsert: async ({ where, update, create }) => {
+      const id = usageKey(where.apiKeyId_date);
+      const row = db.usage.get(id);
+      if (!row) {
+        db.usage.set(id, { requestCount: 0, deniedCount: 0, ...create });
+        return { ...db.usage.get(id) };
+      }
+      return { ...applyCounts(row, update) };
+    },
+    update: async ({ where, data }) => ({ ...applyCounts(db.usage.get(usageKey(where.apiKeyId_date)), data) })
+  }
+});
+
+const {
+  hashApiKey,
+  generateApiKey,
+  findActiveApiKey,
+  invalidateApiKeyCache,
+  consumeRateLimit,
+  recordUsage,
+  formatApiKey
+} = require('../../src/services/apiKeyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let issued;
+test.beforeEach(() => {
+  invalidateApiKeyCache();
+  issued = generateApiKey();
+  db.keys = [{
+    id: `k-${issued.prefix}`,
+    keyHash: issued.keyHash,
+    scopes: ['read:articles'],
+    rateLimitPerMinute: 2,
+    dailyQuota: null,
+    revokedAt: null,
+    expiresAt: null
+  }];
+  db.usage.clear();
+  db.lookups = 0;
+});
+
+test('generated keys are stored as their SHA-256 hash with a short display prefix', () => {
+  assert.match(issued.key, /^dnk_[A-Za-z0-9_-]{32}$/);
+  assert.equal(issued.prefix, issued.key.slice(0, 10));
+  assert.equal(issued.keyHash, crypto.createHash('sha256').update(issued.key).digest('hex'));
+  assert.equal(hashApiKey(issued.key), issued.keyHash);
+  assert.notEqual(generateApiKey().key, issued.key);
+});
+
+test('keys are looked up by hash and cached until invalidated', async () => {
+  assert.equal((await findActiveApiKey(issued.key)).id, db.keys[0].id);
+  assert.equal((await findActiveApiKey(issued.key)).id, db.keys[0].id);
+  assert.equal(db.lookups, 1);
+
+  invalidateApiKeyCache();
+  await findActiveApiKey(issued.key);
+  assert.equal(db.lookups, 2);
+});
+
+test('unknown, malformed, revoked and expired keys are refused', async () => {
+  assert.equal(await findActiveApiKey(`${issued.key}x`), null);
+  assert.equal(await findActiveApiKey(undefined), null);
+
+  // Keys without the prefix never reach the database
+  const lookups = db.lookups;
+  assert.equal(await findActiveApiKey(issued.key.slice(4)), null);
+  assert.equal(db.lookups, lookups);
+
+  db.keys[0].revokedAt = new Date();
+  invalidateApiKeyCache();
+  assert.equal(await findActiveApiKey(issued.key), null);
+
+  db.keys[0].revokedAt = null;
+  db.keys[0].expiresAt = new Date(Date.now() - 1000);
+  invalidateApiKeyCache();
+  assert.equal(await findActiveApiKey(issued.key), null);
+});
+
+test('a key revoked on another instance stops working once the cache expires', async (t) => {
+  await findActiveApiKey(issued.key);
+  db.keys[0] = { ...db.keys[0], revokedAt: new Date() };
+
+  assert.ok(await findActiveApiKey(issued.key));
+
+  const later = Date.now() + 31 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal(await findActiveApiKey(issued.key), null);
+});
+
+test('the per-minute limit counts requests per key in fixed windows', (t) => {
+  const [apiKey] = db.keys;
+  const other = { ...apiKey, id: 'other' };
+  const start = Date.now();
+  t.mock.method(Date, 'now', () => start);
+
+  assert.deepEqual(
+    [consumeRateLimit(apiKey), consumeRateLimit(apiKey), consumeRateLimit(apiKey)].map(rate => [rate.allowed, rate.remaining]),
+    [[true, 1], [true, 0], [false, 0]]
+  );
+  assert.equal(consumeRateLimit(other).allowed, true);
+
+  Date.now.mock.mockImplementation(() => start + 60 * 1000);
+  const rate = consumeRateLimit(apiKey);
+  assert.equal(rate.allowed, true);
+  assert.equal(rate.resetAt.getTime(), start + 120 * 1000);
+});
+
+test('the daily quota counts requests over it as denied', async () => {
+  const apiKey = { ...db.keys[0], dailyQuota: 2 };
+  const req = { ip: '203.0.113.9' };
+
+  assert.deepEqual(await recordUsage(apiKey, req), { allowed: true, usedToday: 1 });
+  assert.deepEqual(await recordUsage(apiKey, req), { allowed: true, usedToday: 2 });
+  assert.deepEqual(await recordUsage(apiKey, req), { allowed: false, usedToday: 2 });
+  assert.deepEqual(await recordUsage(apiKey, req, { denied: true }), { allowed: false, usedToday: 2 });
+
+  const [row] = db.usage.values();
+  assert.equal(row.requestCount, 2);
+  assert.equal(row.deniedCount, 2);
+});
+
+test('formatApiKey hides the hash and reports the status', () => {
+  const [apiKey] = db.keys;
+
+  assert.equal('keyHash' in formatApiKey(apiKey), false);
+  assert.equal(formatApiKey(apiKey).status, 'active');
+  assert.equal(formatApiKey({ ...apiKey, revokedAt: new Date() }).status, 'revoked');
+  assert.equal(formatApiKey({ ...apiKey, expiresAt: new Date(Date.now() - DAY_MS) }).status, 'expired');
+});
@@ -0,0 +1,89 @@
+// tests/services/articleRevisions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/stubs');
+
+stubDatabase();
+const { REVISION_FIELDS, pickRevisionFields, diffRevisions } = require('../../src/services/articleRevisions');
+
+const revision = (fields = {}) => ({
+  headline: 'Budget passes',
+  briefContent: 'The budget passed.',
+  fullContent: 'Line one\nLine two\nLine three',
+  category: 'POLITICS',
+  tags: 'budget',
+  featuredImage: null,
+  metaTitle: 'Budget passes',
+  metaDescription: null,
+  ...fields
+});
+
+test('pickRevisionFields keeps only snapshotted fields, missing ones as null', () => {
+  const picked = pickRevisionFields({ headline: 'A', viewCount: 10, status: 'PUBLISHED' });
+
+  assert.deepEqual(Object.keys(picked), REVISION_FIELDS);
+  assert.equal(picked.headline, 'A');
+  assert.equal(picked.fullContent, null);
+  assert.equal('viewCount' in picked, false);
+});
+
+test('diffRevisions is empty for identical revisions, treating undefined as null', () => {
+  const { featuredImage, ...withoutImage } = revision();
+
+  assert.deepEqual(diffRevisions(revision(), withoutImage), []);
+});
+
+test('diffRevisions reports before and after of changed short fields without a line diff', () => {
+  const changes = diffRevisions(revision(), revision({ headline: 'Budget fails', tags: null }));
+
+  assert.deepEqual(changes, [
+    { field: 'headline', before: 'Budget passes', after: 'Budget fails' },
+    { field: 'tags', before: 'budget', after: null }
+  ]);
+});
+
+test('diffRevisions adds a line diff for long text fields, collapsing equal runs', () => {
+  const [change] = diffRevisions(
+    revision(),
+    revision({ fullContent: 'Line one\nLine 2\nLine three\nLine four' })
+  );
+
+  assert.equal(change.field, 'fullContent');
+  assert.deepEqual(change.lines, [
+    { type: 'equal', count: 1 },
+    { type: 'removed', text: 'Line two' },
+    { type: 'added', text: 'Line 2' },
+    { type: 'equal', count: 1 },
+    { type: 'added', text: 'Line four' }
+  ]);
+});
+
+test('diffRevisions treats CRLF and LF line endings alike', () => {
+  const [change] = diffRevisions(
+    revision({ briefContent: 'a\r\nb' }),
+    revision({ briefContent: 'a\nb\nc' })
+  );
+
+  assert.deepEqual(change.lines, [
+    { type: 'equal', count: 2 },
+    { type: 'added', text: 'c' }
+  ]);
+});
+
+test('diffRevisions diffs content added to an empty field line by line', () => {
+  const [change] = diffRevisions(revision({ fullContent: null }), revision({ fullContent: 'x\ny' }));
+
+  assert.deepEqual(change.lines, [
+    { type: 'removed', text: '' },
+    { type: 'added', text: 'x' },
+    { type: 'added', text: 'y' }
+  ]);
+});
+
+test('diffRevisions skips the line diff for very long texts', () => {
+  const long = Array.from({ length: 2001 }, (_, i) => `line ${i}`).join('\n');
+  const [change] = diffRevisions(revision(), revision({ fullContent: long }));
+
+  assert.equal(change.lines, null);
+  assert.equal(change.after, long);
+});
@@ -0,0 +1,156 @@
+// tests/services/backupService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubDatabase } = require('../helpers/stubs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+process.env.BACKUP_DIR = dir;
+delete process.env.STORAGE_ADAPTER;
+
+// In-memory backups and locks; the lock table rejects a second row with the same id
+const db = { backups: [], locks: new Map() };
+
+const duplicate = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+const matchesLock = (lock, where) => lock.id === where.id
+  && (!where.owner || lock.owner === where.owner)
+  && (!where.OR || where.OR.some(cond => (!cond.owner || lock.owner === cond.owner) && lock.heartbeatAt < cond.heartbeatAt.lt));
+
+stubDatabase({
+  $queryRaw: async () => [],
+  backup: {
+    findFirst: async ({ where }) => db.backups.find(backup => where.status.in.includes(backup.status)) || null,
+    count: async ({ where }) => db.backups.filter(backup => where.status.in.includes(backup.status)).length,
+    create: async ({ data }) => {
+      const backup = { id: `b${db.backups.length + 1}`, status: 'PENDING', ...data };
+      db.backups.push(backup);
+      return backup;
+    },
+    delete: async ({ where }) => {
+      db.backups = db.backups.filter(backup => backup.id !== where.id);
+    },
+    updateMany: async () => ({ count: 0 })
+  },
+  jobLock: {
+    create: async ({ data }) => {
+      if (db.locks.has(data.id)) throw duplicate();
+      db.locks.set(data.id, { ...data });
+      return data;
+    },
+    findUnique: async ({ where }) => db.locks.get(where.id) || null,
+    update: async ({ where, data }) => Object.assign(db.locks.get(where.id), data),
+    deleteMany: async ({ where }) => {
+      const lock = db.locks.get(where.id);
+      if (!lock || !matchesLock(lock, where)) return { count: 0 };
+      db.locks.delete(where.id);
+      return { count: 1 };
+    }
+  }
+});
+
+const { TarWriter } = require('../../src/utils/tar');
+const { INSTANCE_ID, STALE_AFTER_MS } = require('../../src/services/jobHeartbeat');
+const { inspectArchive, restoreBackup, startBackup, isRestoring } = require('../../src/services/backupService');
+
+test.beforeEach(() => {
+  db.backups = [];
+  db.locks.clear();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const completed = { id: 'done', status: 'COMPLETED', fileName: 'missing.tar.gz' };
+
+async function writeArchive(name, models, entries) {
+  const filePath = path.join(dir, name);
+  const writer = new TarWriter(filePath);
+  await writer.addBuffer('manifest.json', JSON.stringify({
+    format: 'daily-news-backup',
+    version: 1,
+    type: 'FULL',
+    models,
+    uploads: { files: 1, bytes: 3 }
+  }));
+  for (const [entryName, content] of entries) {
+    await writer.addBuffer(entryName, content);
+  }
+  await writer.addBuffer('uploads/a.jpg', 'jpg');
+  await writer.finish();
+  return filePath;
+}
+
+test('of two restores started at once only one runs, and the lock is released after', async () => {
+  const results = await Promise.all([restoreBackup(completed), restoreBackup(completed)]);
+
+  assert.equal(results.filter(result => result.running).length, 1);
+  assert.deepEqual(results.find(result => !result.running).errors, ['Backup archive is missing from backup storage']);
+  assert.equal(db.locks.size, 0);
+  assert.equal(await isRestoring(), false);
+});
+
+test('a restore held by another live instance blocks restores and backups', async () => {
+  db.locks.set('backup-restore', { id: 'backup-restore', owner: 'other:1', heartbeatAt: new Date() });
+
+  assert.equal(await isRestoring(), true);
+  assert.deepEqual(await restoreBackup(completed), { running: true });
+  assert.deepEqual(await startBackup({ userId: 'u1' }), { running: { status: 'RESTORING' } });
+  assert.equal(db.backups.length, 0);
+
+  // Dry runs change nothing and need no lock
+  assert.equal((await restoreBackup(completed, { dryRun: true })).dryRun, true);
+});
+
+test('a lock left by a stopped instance is taken over', async () => {
+  db.locks.set('backup-restore', {
+    id: 'backup-restore',
+    owner: 'other:1',
+    heartbeatAt: new Date(Date.now() - STALE_AFTER_MS - 1000)
+  });
+
+  assert.equal(await isRestoring(), false);
+  assert.equal((await restoreBackup(completed)).running, undefined);
+  assert.equal(db.locks.size, 0);
+});
+
+test('a restore does not start while a backup is running', async () => {
+  db.backups.push({ id: 'b0', status: 'RUNNING', owner: INSTANCE_ID, heartbeatAt: new Date() });
+
+  assert.deepEqual(await restoreBackup(completed), { running: true });
+  assert.equal(db.locks.size, 0);
+});
+
+test('inspectArchive accepts an archive whose entries match the manifest', async () => {
+  const report = await inspectArchive(await writeArchive('ok.tar.gz', {}, []));
+
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.valid, true);
+  assert.equal(report.uploads, 1);
+});
+
+test('inspectArchive rejects database entries the manifest does not list', async () => {
+  const report = await inspectArchive(await writeArchive('unlisted.tar.gz', {}, [['database/Tag.ndjson', '{"id":"t1"}\n']]));
+
+  assert.equal(report.valid, false);
+  assert.ok(report.errors.includes('database/Tag.ndjson is not listed in the manifest'));
+});
+
+test('inspectArchive rejects models that are never restored, even when listed', async () => {
+  const report = await inspectArchive(await writeArchive('history.tar.gz', {
+    Backup: { count: 1, fields: [{ name: 'id', type: 'String', isRequired: true }] }
+  }, [['database/Backup.ndjson', '{"id":"b1"}\n']]));
+
+  assert.equal(report.valid, false);
+  assert.ok(report.errors.includes('Model Backup no longer exists or is never restored'));
+});
+
+test('inspectArchive rejects a table archived twice', async () => {
+  const report = await inspectArchive(await writeArchive('twice.tar.gz', {}, [
+    ['database/Tag.ndjson', ''],
+    ['database/Tag.ndjson', '']
+  ]));
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.errors, ['Duplicate entry: database/Tag.ndjson']);
+});
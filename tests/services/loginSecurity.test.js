@@ -0,0 +1,172 @@
+// tests/services/loginSecurity.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { stubDatabase, stubModule } = require('../helpers/stubs');
+
+// One user, updated the way Prisma would (increments and a select)
+let user;
+const lockedEmails = [];
+
+const applyUpdate = (data) => {
+  for (const [field, value] of Object.entries(data)) {
+    user[field] = value && value.increment !== undefined ? user[field] + value.increment : value;
+  }
+};
+
+stubDatabase({
+  user: {
+    findUnique: async () => ({ ...user }),
+    update: async ({ data, select }) => {
+      applyUpdate(data);
+      return select ? Object.fromEntries(Object.keys(select).map(field => [field, user[field]])) : { ...user };
+    }
+  },
+  knownDevice: {
+    findMany: async () => [],
+    upsert: async () => ({})
+  }
+});
+
+stubModule('src/services/emailService', {
+  sendAccountLockedEmail: async (email, fullName, details) => {
+    lockedEmails.push({ email, ...details });
+  }
+});
+stubModule('src/services/sessionService', {
+  createSession: async () => ({ accessToken: 'access', refreshToken: 'refresh', sessionId: 's1' })
+});
+stubModule('src/services/twoFactor', {
+  CHALLENGE_PURPOSES: { LOGIN: 'login', ENROLL: 'enroll' },
+  isRequiredForUser: async () => false
+});
+stubModule('src/utils/notifications', { notifyNewLogin: async () => {} });
+
+const {
+  LOCKOUT_THRESHOLD,
+  lockoutMinutes,
+  activeLockout,
+  recordFailedLogin,
+  clearedLockout
+} = require('../../src/services/loginSecurity');
+const authController = require('../../src/controllers/authController');
+
+const MINUTE_MS = 60 * 1000;
+const passwordHash = bcrypt.hashSync('right-password', 4);
+
+test.beforeEach(() => {
+  user = {
+    id: 'u1',
+    email: 'reader@example.com',
+    fullName: 'Reader',
+    role: 'USER',
+    isActive: true,
+    emailVerified: true,
+    passwordHash,
+    twoFactorEnabled: false,
+    customRoleId: null,
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null,
+    lastFailedLoginAt: null
+  };
+  lockedEmails.length = 0;
+});
+
+async function login(password) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const req = { body: { email: user.email, password }, ip: '203.0.113.9', get: () => 'Mozilla/5.0 Firefox/120.0' };
+  await authController.login(req, res);
+  return res;
+}
+
+test('the account locks on the threshold-th failure in a row, not before', async () => {
+  assert.equal(LOCKOUT_THRESHOLD, 5);
+
+  for (let i = 1; i < LOCKOUT_THRESHOLD; i++) {
+    assert.deepEqual(await recordFailedLogin(user, { ip: '203.0.113.9' }), { locked: false });
+    assert.equal(user.failedLoginAttempts, i);
+  }
+  assert.equal(user.lockedUntil, null);
+
+  const before = Date.now();
+  const { locked, lockedUntil } = await recordFailedLogin(user, { ip: '203.0.113.9' });
+
+  assert.equal(locked, true);
+  assert.ok(lockedUntil.getTime() >= before + 15 * MINUTE_MS);
+  assert.ok(lockedUntil.getTime() <= Date.now() + 15 * MINUTE_MS);
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(user.lockoutCount, 1);
+  assert.deepEqual(lockedEmails.map(({ email, attempts }) => [email, attempts]), [['reader@example.com', 5]]);
+});
+
+test('each lockout in a row lasts twice as long, up to a day', () => {
+  assert.deepEqual([1, 2, 3, 4].map(lockoutMinutes), [15, 30, 60, 120]);
+  assert.equal(lockoutMinutes(7), 960);
+  assert.equal(lockoutMinutes(8), 24 * 60);
+  assert.equal(lockoutMinutes(20), 24 * 60);
+});
+
+test('a lockout only holds until lockedUntil', (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const lockedUntil = new Date(now + 15 * MINUTE_MS);
+
+  assert.equal(activeLockout({ lockedUntil }), lockedUntil);
+  assert.equal(activeLockout({ lockedUntil: new Date(now - 1) }), null);
+  assert.equal(activeLockout({ lockedUntil: null }), null);
+});
+
+test('a locked account is refused even with the right password until the lock ends', async () => {
+  for (let i = 0; i < LOCKOUT_THRESHOLD - 1; i++) {
+    assert.equal((await login('wrong')).statusCode, 401);
+  }
+  const locking = await login('wrong');
+  assert.equal(locking.statusCode, 423);
+  assert.equal(locking.body.code, 'ACCOUNT_LOCKED');
+
+  assert.equal((await login('right-password')).statusCode, 423);
+  // Attempts during a lock are not counted towards the next one
+  assert.equal(user.failedLoginAttempts, 0);
+
+  user.lockedUntil = new Date(Date.now() - 1000);
+  assert.equal((await login('right-password')).statusCode, 200);
+});
+
+test('a successful login resets the failure counter and the lockout streak', async () => {
+  user.lockoutCount = 2;
+  for (let i = 0; i < LOCKOUT_THRESHOLD - 1; i++) {
+    await login('wrong');
+  }
+  assert.equal(user.failedLoginAttempts, LOCKOUT_THRESHOLD - 1);
+
+  const res = await login('right-password');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.accessToken, 'access');
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(user.lockoutCount, 0);
+  assert.equal(user.lockedUntil, null);
+
+  // The next lock needs a full run of failures again and starts at the base length
+  for (let i = 0; i < LOCKOUT_THRESHOLD - 1; i++) {
+    assert.equal((await login('wrong')).statusCode, 401);
+  }
+  const before = Date.now();
+  assert.equal((await login('wrong')).statusCode, 423);
+  assert.ok(user.lockedUntil.getTime() - before <= 15 * MINUTE_MS + 1000);
+});
+
+test('clearedLockout clears attempts, the streak and any lock', () => {
+  assert.deepEqual(clearedLockout(), { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+});
@@ -0,0 +1,66 @@
+// tests/services/mediaLibrary.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { stubDatabase } = require('../helpers/stubs');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+delete process.env.STORAGE_ADAPTER;
+
+// In-memory assets, unique on hash and visibility like the table
+let assets = [];
+
+stubDatabase({
+  mediaAsset: {
+    findUnique: async ({ where }) => assets.find(asset => asset.hash === where.hash_isPrivate.hash
+      && asset.isPrivate === where.hash_isPrivate.isPrivate) || null,
+    create: async ({ data }) => {
+      if (assets.some(asset => asset.hash === data.hash && asset.isPrivate === data.isPrivate)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const asset = { id: `m${assets.length + 1}`, ...data };
+      assets.push(asset);
+      return asset;
+    }
+  }
+});
+
+const { addUpload } = require('../../src/services/mediaLibrary');
+
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+let image;
+test.before(async () => {
+  image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c00' } }).png().toBuffer();
+});
+
+const file = () => ({ buffer: image, originalname: 'red.png', mimetype: 'image/png', size: image.length });
+
+test('the same image is only stored once per visibility', async () => {
+  const publicCopy = await addUpload(file(), { userId: 'u1' });
+  const again = await addUpload(file(), { userId: 'u2' });
+
+  assert.equal(publicCopy.duplicate, false);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.asset.id, publicCopy.asset.id);
+
+  const privateCopy = await addUpload(file(), { userId: 'u1', isPrivate: true });
+
+  assert.equal(privateCopy.duplicate, false);
+  assert.equal(privateCopy.asset.isPrivate, true);
+  assert.notEqual(privateCopy.asset.id, publicCopy.asset.id);
+  assert.ok(privateCopy.asset.url.startsWith('/uploads/private/'));
+  assert.ok(fs.existsSync(path.join(uploadDir, 'private', privateCopy.asset.filename)));
+
+  const privateAgain = await addUpload(file(), { userId: 'u2', isPrivate: true });
+  assert.equal(privateAgain.duplicate, true);
+  assert.equal(privateAgain.asset.id, privateCopy.asset.id);
+
+  // A public duplicate never hands out the private asset
+  assert.equal((await addUpload(file(), { userId: 'u3' })).asset.isPrivate, false);
+  assert.equal(assets.length, 2);
+});
@@ -0,0 +1,312 @@
+// tests/services/permissions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/stubs');
+
+const systemRole = (key, permissions) => ({ id: `role-${key}`, key, name: key, isSystem: true, permissions: permissions.map(permission => ({ permission })) });
+
+const customRole = (id, permissions) => ({ id, key: id, name: id, isSystem: false, permissions: permissions.map(permission => ({ permission })) });
+
+let roles = [];
+let users = [];
+let loads = 0;
+const writes = [];
+
+const findRole = (where) => roles.find(role => (where.id ? role.id === where.id : role.key === where.key)) || null;
+
+const prisma = stubDatabase({
+  role: {
+    findMany: async () => {
+      loads++;
+      return roles;
+    },
+    findUnique: async ({ where }) => findRole(where),
+    create: async ({ data }) => {
+      writes.push(['role.create', data.key]);
+      return { id: data.key, isSystem: false, ...data, permissions: data.permissions.create, _count: { users: 0 } };
+    },
+    update: async ({ where }) => {
+      writes.push(['role.update', where.id]);
+      return { ...findRole(where), _count: { users: 0 } };
+    }
+  },
+  rolePermission: {
+    deleteMany: async () => ({ count: 0 }),
+    createMany: async ({ data }) => ({ count: data.length })
+  },
+  user: {
+    findUnique: async ({ where }) => users.find(user => user.id === where.id) || null,
+    update: async ({ where, data }) => {
+      writes.push(['user.update', where.id, data.customRoleId]);
+      return { ...users.find(user => user.id === where.id), ...data };
+    }
+  },
+  auditLog: { create: async () => ({}) },
+  $transaction: async (work) => work(prisma)
+});
+
+const {
+  PERMISSION_KEYS,
+  SYSTEM_ROLE_PERMISSIONS,
+  getUserPermissions,
+  hasPermission,
+  isSuperUser,
+  effectiveRole,
+  roleChangeDenial,
+  roleGrantDenial,
+  holdsRole,
+  usersWithPermissionWhere,
+  invalidateRoleCache,
+  formatRole
+} = require('../../src/services/permissions');
+const adminController = require('../../src/controllers/adminController');
+
+test.beforeEach(() => {
+  roles = [
+    systemRole('USER', []),
+    systemRole('EDITOR', SYSTEM_ROLE_PERMISSIONS.EDITOR),
+    systemRole('AD_MANAGER', SYSTEM_ROLE_PERMISSIONS.AD_MANAGER),
+    // Stored without rows; the super role holds everything anyway
+    systemRole('ADMIN', []),
+    {
+      id: 'analyst',
+      key: 'analyst',
+      name: 'Analyst',
+      isSystem: false,
+      permissions: [{ permission: 'analytics.view' }, { permission: 'analytics.export' }, { permission: 'no.such.permission' }]
+    },
+    customRole('ops', ['user.manage', 'analytics.view']),
+    customRole('roles', ['role.manage', 'tag.manage', 'analytics.view', 'analytics.export'])
+  ];
+  users = [
+    { id: 'admin', email: 'admin@example.com', role: 'ADMIN', customRoleId: null },
+    { id: 'demoted', email: 'demoted@example.com', role: 'ADMIN', customRoleId: 'analyst' },
+    { id: 'writer', email: 'writer@example.com', role: 'EDITOR', customRoleId: null },
+    { id: 'boss', email: 'boss@example.com', role: 'EDITOR', customRoleId: 'ops' }
+  ];
+  loads = 0;
+  writes.length = 0;
+  invalidateRoleCache();
+});
+
+test('system roles grant their stored permissions and the super role grants all', async () => {
+  assert.deepEqual(await getUserPermissions({ role: 'EDITOR' }), SYSTEM_ROLE_PERMISSIONS.EDITOR);
+  assert.deepEqual(await getUserPermissions({ role: 'USER' }), []);
+  assert.deepEqual(await getUserPermissions({ role: 'ADMIN' }), PERMISSION_KEYS);
+});
+
+test('a custom role replaces the system role and unknown permissions are dropped', async () => {
+  assert.deepEqual(await getUserPermissions({ role: 'ADMIN', customRoleId: 'analyst' }), ['analytics.view', 'analytics.export']);
+});
+
+test('a missing custom role falls back to the system role, a missing system role grants nothing', async () => {
+  assert.deepEqual(await getUserPermissions({ role: 'EDITOR', customRoleId: 'deleted' }), SYSTEM_ROLE_PERMISSIONS.EDITOR);
+
+  roles = [];
+  invalidateRoleCache();
+  assert.deepEqual(await getUserPermissions({ role: 'EDITOR' }), []);
+  assert.deepEqual(await getUserPermissions({ role: 'ADMIN' }), PERMISSION_KEYS);
+});
+
+test('roles are cached until invalidated or expired', async (t) => {
+  await getUserPermissions({ role: 'EDITOR' });
+  await getUserPermissions({ role: 'USER' });
+  assert.equal(loads, 1);
+
+  roles[1] = systemRole('EDITOR', ['article.create']);
+  assert.deepEqual(await getUserPermissions({ role: 'EDITOR' }), SYSTEM_ROLE_PERMISSIONS.EDITOR);
+
+  invalidateRoleCache();
+  assert.deepEqual(await getUserPermissions({ role: 'EDITOR' }), ['article.create']);
+  assert.equal(loads, 2);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 31 * 1000);
+  await getUserPermissions({ role: 'EDITOR' });
+  assert.equal(loads, 3);
+});
+
+test('hasPermission and isSuperUser need the user to actually hold it', () => {
+  assert.equal(hasPermission({ permissions: ['tag.manage'] }, 'tag.manage'), true);
+  assert.equal(hasPermission({ permissions: ['tag.manage'] }, 'user.manage'), false);
+  assert.equal(hasPermission({}, 'tag.manage'), false);
+  assert.equal(hasPermission(null, 'tag.manage'), false);
+
+  assert.equal(isSuperUser({ role: 'ADMIN', customRoleId: null }), true);
+  assert.equal(isSuperUser({ role: 'ADMIN', customRoleId: 'analyst' }), false);
+  assert.equal(isSuperUser({ role: 'AD_MANAGER' }), false);
+  assert.equal(isSuperUser(null), false);
+});
+
+test('effectiveRole is the system role, or the highest tier a custom role reaches', () => {
+  assert.equal(effectiveRole({ role: 'EDITOR', permissions: [] }), 'EDITOR');
+  assert.equal(effectiveRole({ role: 'USER', customRoleId: 'c', permissions: ['article.create', 'system.manage'] }), 'ADMIN');
+  assert.equal(effectiveRole({ role: 'USER', customRoleId: 'c', permissions: ['article.create', 'ad.manage'] }), 'AD_MANAGER');
+  assert.equal(effectiveRole({ role: 'USER', customRoleId: 'c', permissions: ['article.create'] }), 'EDITOR');
+  assert.equal(effectiveRole({ role: 'ADMIN', customRoleId: 'c', permissions: ['analytics.view'] }), 'USER');
+});
+
+test('role changes need role.manage, and the ADMIN role needs a super user', () => {
+  const admin = { role: 'ADMIN', customRoleId: null, permissions: PERMISSION_KEYS };
+  const roleManager = { role: 'USER', customRoleId: 'c', permissions: ['user.manage', 'role.manage'] };
+  const userManager = { role: 'USER', customRoleId: 'c', permissions: ['user.manage'] };
+
+  assert.equal(roleChangeDenial(userManager, 'EDITOR', 'EDITOR'), null);
+  assert.match(roleChangeDenial(userManager, 'USER', 'EDITOR'), /role\.manage/);
+
+  assert.equal(roleChangeDenial(roleManager, 'USER', 'AD_MANAGER'), null);
+  assert.match(roleChangeDenial(roleManager, 'USER', 'ADMIN'), /Only ADMIN users/);
+  assert.match(roleChangeDenial(roleManager, 'ADMIN', 'USER'), /Only ADMIN users/);
+
+  assert.equal(roleChangeDenial(admin, 'USER', 'ADMIN'), null);
+  assert.equal(roleChangeDenial(admin, 'ADMIN', 'EDITOR'), null);
+});
+
+test('usersWithPermissionWhere covers granting system roles, the super role and custom roles', async () => {
+  assert.deepEqual(await usersWithPermissionWhere('analytics.view'), {
+    OR: [
+      { role: { in: ['AD_MANAGER', 'ADMIN'] }, customRoleId: null },
+      { customRoleId: { in: ['analyst', 'ops', 'roles'] } }
+    ]
+  });
+  assert.deepEqual(await usersWithPermissionWhere('article.publish'), {
+    OR: [
+      { role: { in: ['AD_MANAGER', 'ADMIN'] }, customRoleId: null },
+      { customRoleId: { in: [] } }
+    ]
+  });
+});
+
+test('formatRole lists effective permissions and marks the super role read-only', () => {
+  const [, editor, , admin, analyst] = roles;
+
+  assert.deepEqual(formatRole({ ...analyst, _count: { users: 3 } }), {
+    id: 'analyst',
+    key: 'analyst',
+    name: 'Analyst',
+    isSystem: false,
+    editable: true,
+    permissions: ['analytics.view', 'analytics.export'],
+    userCount: 3
+  });
+  assert.equal(formatRole(editor).editable, true);
+  assert.equal('userCount' in formatRole(editor), false);
+  assert.equal(formatRole(admin).editable, false);
+  assert.deepEqual(formatRole(admin).permissions, PERMISSION_KEYS);
+});
+
+// ==================== ROLE MANAGEMENT ====================
+
+const superAdmin = { id: 'admin', email: 'admin@example.com', role: 'ADMIN', customRoleId: null, permissions: PERMISSION_KEYS };
+// Holds role.manage through a custom role, so it is admin-tier without being a super user
+const roleManager = {
+  id: 'rm',
+  email: 'rm@example.com',
+  role: 'USER',
+  customRoleId: 'roles',
+  permissions: ['role.manage', 'tag.manage', 'analytics.view', 'analytics.export']
+};
+
+async function call(handler, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params: {}, body: {}, ...req }, res);
+  return res;
+}
+
+test('roleGrantDenial keeps non-super users to non-admin permissions they hold', () => {
+  assert.equal(roleGrantDenial(superAdmin, ['system.manage', 'role.manage']), null);
+  assert.equal(roleGrantDenial(roleManager, ['tag.manage', 'analytics.view']), null);
+  assert.equal(roleGrantDenial(roleManager, []), null);
+  assert.match(roleGrantDenial(roleManager, ['tag.manage', 'backup.manage']), /Only ADMIN users .* backup\.manage/);
+  // role.manage is admin-tier too, so a role manager cannot make another
+  assert.match(roleGrantDenial(roleManager, ['role.manage']), /Only ADMIN users/);
+  assert.match(roleGrantDenial(roleManager, ['audit.view']), /do not hold: audit\.view/);
+  assert.match(roleGrantDenial({ ...superAdmin, customRoleId: 'roles' }, ['system.manage']), /Only ADMIN users/);
+});
+
+test('holdsRole matches the custom role, or the system role without one', () => {
+  assert.equal(holdsRole(roleManager, { id: 'roles', key: 'roles', isSystem: false }), true);
+  assert.equal(holdsRole(roleManager, { id: 'role-USER', key: 'USER', isSystem: true }), false);
+  assert.equal(holdsRole({ role: 'EDITOR', customRoleId: null }, { id: 'role-EDITOR', key: 'EDITOR', isSystem: true }), true);
+  assert.equal(holdsRole({ role: 'EDITOR', customRoleId: null }, { id: 'EDITOR', key: 'EDITOR', isSystem: false }), false);
+});
+
+test('updateRole refuses edits to the role the actor holds', async () => {
+  const res = await call(adminController.updateRole, {
+    user: roleManager,
+    params: { id: 'roles' },
+    body: { permissions: PERMISSION_KEYS }
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(writes, []);
+
+  const editor = { id: 'w', email: 'w@example.com', role: 'EDITOR', customRoleId: null, permissions: ['role.manage', ...SYSTEM_ROLE_PERMISSIONS.EDITOR] };
+  assert.equal((await call(adminController.updateRole, { user: editor, params: { id: 'role-EDITOR' }, body: { name: 'Writers' } })).statusCode, 403);
+});
+
+test('updateRole keeps non-super users from adding admin-tier or unheld permissions', async () => {
+  const update = (user, id, body) => call(adminController.updateRole, { user, params: { id }, body });
+
+  assert.equal((await update(roleManager, 'analyst', { permissions: ['analytics.view', 'system.manage'] })).statusCode, 403);
+  assert.equal((await update(roleManager, 'analyst', { permissions: ['analytics.view', 'audit.view'] })).statusCode, 403);
+  // A role that already grants admin-tier permissions is out of reach, even for a rename
+  assert.equal((await update(roleManager, 'ops', { name: 'Operations' })).statusCode, 403);
+  assert.deepEqual(writes, []);
+
+  assert.equal((await update(roleManager, 'analyst', { permissions: ['analytics.view', 'tag.manage'] })).statusCode, 200);
+  assert.equal((await update(superAdmin, 'analyst', { permissions: ['system.manage'] })).statusCode, 200);
+  assert.deepEqual(writes, [['role.update', 'analyst'], ['role.update', 'analyst']]);
+});
+
+test('createRole keeps non-super users from creating admin-tier or unheld roles', async () => {
+  const create = (user, key, permissions) => call(adminController.createRole, { user, body: { key, name: key, permissions } });
+
+  assert.equal((await create(roleManager, 'backups', ['backup.manage'])).statusCode, 403);
+  assert.equal((await create(roleManager, 'auditors', ['audit.view'])).statusCode, 403);
+  assert.deepEqual(writes, []);
+
+  assert.equal((await create(roleManager, 'taggers', ['tag.manage'])).statusCode, 201);
+  assert.equal((await create(superAdmin, 'backups', ['backup.manage'])).statusCode, 201);
+  assert.deepEqual(writes, [['role.create', 'taggers'], ['role.create', 'backups']]);
+});
+
+test('assignUserRole keeps non-super users from handing out or taking away admin-tier roles', async () => {
+  const assign = (user, id, roleId) => call(adminController.assignUserRole, { user, params: { id }, body: { roleId } });
+
+  assert.equal((await assign(roleManager, 'writer', 'ops')).statusCode, 403);
+  // Replacing or clearing a role the actor could not grant is refused as well
+  assert.equal((await assign(roleManager, 'boss', 'analyst')).statusCode, 403);
+  assert.equal((await assign(roleManager, 'boss', null)).statusCode, 403);
+  assert.deepEqual(writes, []);
+
+  assert.equal((await assign(roleManager, 'writer', 'analyst')).statusCode, 200);
+  assert.equal((await assign(superAdmin, 'writer', 'ops')).statusCode, 200);
+  assert.deepEqual(writes, [['user.update', 'writer', 'analyst'], ['user.update', 'writer', 'ops']]);
+});
+
+test('assignUserRole leaves the roles of ADMIN users to super users', async () => {
+  const assign = (user, id, roleId) => call(adminController.assignUserRole, { user, params: { id }, body: { roleId } });
+
+  // A custom role would demote the admin
+  const demote = await assign(roleManager, 'admin', 'analyst');
+  assert.equal(demote.statusCode, 403);
+  assert.match(demote.body.message, /Only ADMIN users can change the roles of ADMIN users/);
+  // Clearing the custom role of a demoted admin would make them ADMIN again
+  assert.equal((await assign(roleManager, 'demoted', null)).statusCode, 403);
+  assert.deepEqual(writes, []);
+
+  assert.equal((await assign(superAdmin, 'demoted', null)).statusCode, 200);
+  assert.deepEqual(writes, [['user.update', 'demoted', null]]);
+});
@@ -0,0 +1,174 @@
+// tests/services/publishingScheduler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase, stubModule } = require('../helpers/stubs');
+
+// Articles in memory, with the conditional updateMany the publisher claims with
+const db = { articles: [], revisions: [] };
+const notified = [];
+const announced = [];
+
+const matches = (article, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition && condition.lte) return article[field] !== null && article[field] <= condition.lte;
+  return article[field] === condition;
+});
+const find = (where) => db.articles.find(article => (where.id ? article.id === where.id : article.slug === where.slug));
+const withRelations = (article) => article && { ...article, author: { id: article.authorId }, approver: null };
+
+stubDatabase({
+  newsArticle: {
+    findUnique: async ({ where }) => withRelations(find(where)),
+    findFirst: async ({ where }) => withRelations(db.articles.find(article => matches(article, where))),
+    findMany: async ({ where, take }) => db.articles
+      .filter(article => matches(article, where))
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)
+      .slice(0, take)
+      .map(article => ({ ...article })),
+    update: async ({ where, data }) => {
+      const article = find(where);
+      for (const [field, value] of Object.entries(data)) {
+        article[field] = value && value.increment ? article[field] + value.increment : value;
+      }
+      return { ...article };
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = db.articles.filter(article => matches(article, where));
+      rows.forEach(article => Object.assign(article, data));
+      return { count: rows.length };
+    }
+  },
+  articleRevision: {
+    findFirst: async () => db.revisions[0] || null,
+    create: async ({ data }) => {
+      db.revisions.push({ id: 'r1', ...data });
+      return db.revisions[0];
+    }
+  },
+  category: {
+    findFirst: async () => ({ name: 'POLITICS', displayName: 'Politics' }),
+    findMany: async () => [{ id: 'c1', name: 'POLITICS', displayName: 'Politics', parentId: null, isActive: true }]
+  },
+  approvalHistory: { create: async ({ data }) => data },
+  auditLog: { create: async ({ data }) => data }
+});
+
+stubModule('src/utils/notifications', {
+  notifyArticlePublished: async (articleId) => {
+    notified.push(articleId);
+  }
+});
+stubModule('src/services/eventStream', {
+  CHANNELS: { ARTICLES: 'articles' },
+  publishEvent: async (channel, type, article) => {
+    announced.push(article.id);
+  }
+});
+
+const { publishDueArticles } = require('../../src/services/publishingScheduler');
+const articlesController = require('../../src/controllers/articlesController');
+
+const approver = { id: 'boss', email: 'boss@example.com', role: 'AD_MANAGER', permissions: ['article.publish'] };
+const NOW = new Date('2026-03-02T08:00:00Z');
+const PUBLISH_AT = new Date('2026-03-02T09:00:00Z');
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  db.articles = [{
+    id: 'a1',
+    slug: 'budget-passes',
+    headline: 'Budget passes',
+    briefContent: 'The budget passed.',
+    fullContent: 'Line one',
+    category: 'POLITICS',
+    tags: null,
+    featuredImage: null,
+    metaTitle: null,
+    metaDescription: null,
+    authorId: 'author',
+    approvedBy: null,
+    status: 'PENDING',
+    scheduledAt: PUBLISH_AT,
+    publishedAt: null,
+    viewCount: 0
+  }];
+  db.revisions = [];
+  notified.length = 0;
+  announced.length = 0;
+});
+
+async function call(handler, req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params: {}, body: {}, query: {}, ...req }, res);
+  return res;
+}
+
+const readPublicly = () => call(articlesController.getArticleById, {
+  params: { identifier: 'budget-passes' },
+  query: { trackView: 'false', includeTimeSaver: 'false' }
+});
+
+const approve = () => call(articlesController.approveRejectArticle, {
+  user: approver,
+  params: { id: 'a1' },
+  body: { action: 'APPROVED' }
+});
+
+test('approving an article scheduled for later keeps it hidden until then', async (t) => {
+  assert.equal((await approve()).statusCode, 200);
+
+  const [article] = db.articles;
+  assert.equal(article.status, 'SCHEDULED');
+  assert.equal(article.publishedAt, null);
+  assert.deepEqual(announced, []);
+
+  assert.equal((await readPublicly()).statusCode, 404);
+
+  // One minute early the publisher leaves it alone
+  t.mock.timers.setTime(PUBLISH_AT.getTime() - 60 * 1000);
+  assert.equal(await publishDueArticles(), 0);
+  assert.equal(article.status, 'SCHEDULED');
+  assert.equal((await readPublicly()).statusCode, 404);
+});
+
+test('once scheduledAt passes the article is published exactly once', async (t) => {
+  await approve();
+  t.mock.timers.setTime(PUBLISH_AT.getTime() + 30 * 1000);
+
+  // Two instances running the cron at the same moment, then a later run
+  const counts = await Promise.all([publishDueArticles(), publishDueArticles()]);
+  const later = await publishDueArticles();
+
+  assert.deepEqual(counts.sort(), [0, 1]);
+  assert.equal(later, 0);
+
+  const [article] = db.articles;
+  assert.equal(article.status, 'PUBLISHED');
+  assert.equal(article.publishedAt.getTime(), PUBLISH_AT.getTime());
+  assert.deepEqual(notified, ['a1']);
+  assert.deepEqual(announced, ['a1']);
+
+  const read = await readPublicly();
+  assert.equal(read.statusCode, 200);
+  assert.equal(read.body.data.article.id, 'a1');
+});
+
+test('approving after scheduledAt has passed publishes right away', async (t) => {
+  t.mock.timers.setTime(PUBLISH_AT.getTime() + 1000);
+
+  await approve();
+
+  assert.equal(db.articles[0].status, 'PUBLISHED');
+  assert.equal(await publishDueArticles(), 0);
+  assert.deepEqual(notified, []);
+});
@@ -0,0 +1,141 @@
+// tests/services/s3Adapter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { startS3Server } = require('../helpers/s3Server');
+const S3StorageAdapter = require('../../src/services/storage/s3Adapter');
+
+const BUCKET = 'news-media';
+
+let s3;
+let adapter;
+
+test.before(async () => {
+  s3 = await startS3Server({ bucket: BUCKET, pageSize: 2 });
+  adapter = new S3StorageAdapter({
+    bucket: BUCKET,
+    prefix: '/uploads/',
+    endpoint: s3.endpoint,
+    forcePathStyle: true,
+    region: 'us-east-1',
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio-secret',
+    publicUrl: 'https://cdn.example.com/'
+  });
+});
+
+test.after(async () => {
+  adapter.client.destroy();
+  await s3.close();
+});
+
+test.beforeEach(() => {
+  s3.objects.clear();
+  s3.requests.length = 0;
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+test('put stores buffers and sized streams under the prefix with path-style, signed requests', async () => {
+  await adapter.put('image-1.jpg', Buffer.from('jpeg bytes'), { contentType: 'image/jpeg' });
+  await adapter.put('private/report.pdf', Readable.from([Buffer.from('pdf '), Buffer.from('bytes')]), { contentType: 'application/pdf', size: 9 });
+
+  assert.equal(s3.objects.get('uploads/image-1.jpg').body.toString(), 'jpeg bytes');
+  assert.equal(s3.objects.get('uploads/image-1.jpg').contentType, 'image/jpeg');
+  assert.equal(s3.objects.get('uploads/private/report.pdf').body.toString(), 'pdf bytes');
+
+  for (const request of s3.requests) {
+    assert.equal(request.bucket, BUCKET);
+    assert.match(request.headers.authorization, /^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request/);
+    assert.doesNotMatch(request.headers['content-encoding'] || '', /aws-chunked/);
+  }
+});
+
+test('get and stat return the object, or null when it is missing', async () => {
+  await adapter.put('dir/a file é.txt', Buffer.from('hello'), { contentType: 'text/plain' });
+
+  assert.equal((await readAll(await adapter.get('dir/a file é.txt'))).toString(), 'hello');
+
+  const stats = await adapter.stat('dir/a file é.txt');
+  assert.equal(stats.size, 5);
+  assert.equal(stats.contentType, 'text/plain');
+  assert.ok(stats.lastModified instanceof Date);
+
+  assert.equal(await adapter.get('missing.txt'), null);
+  assert.equal(await adapter.stat('missing.txt'), null);
+});
+
+test('list pages through every matching key and strips the prefix', async () => {
+  for (const key of ['a.jpg', 'b.jpg', 'c.jpg', 'private/d.pdf', 'private/e.pdf']) {
+    await adapter.put(key, Buffer.from(key));
+  }
+  s3.objects.set('other/outside.jpg', { body: Buffer.alloc(1), etag: 'x', lastModified: new Date() });
+
+  const all = [];
+  for await (const entry of adapter.list()) all.push(entry);
+  const privateKeys = [];
+  for await (const entry of adapter.list('private/')) privateKeys.push(entry.key);
+
+  assert.deepEqual(all.map(entry => entry.key), ['a.jpg', 'b.jpg', 'c.jpg', 'private/d.pdf', 'private/e.pdf']);
+  assert.equal(all[3].size, 13);
+  assert.ok(all[0].lastModified instanceof Date);
+  assert.deepEqual(privateKeys, ['private/d.pdf', 'private/e.pdf']);
+  assert.equal(s3.requests.filter(request => request.query.get('list-type') === '2').length, 3 + 1);
+});
+
+test('delete removes the object and ignores missing ones', async () => {
+  await adapter.put('gone.jpg', Buffer.from('x'));
+
+  await adapter.delete('gone.jpg');
+  await adapter.delete('gone.jpg');
+
+  assert.equal(s3.objects.has('uploads/gone.jpg'), false);
+});
+
+test('signed URLs fetch the object without credentials', async () => {
+  await adapter.put('private/secret.txt', Buffer.from('classified'));
+
+  const url = await adapter.signedUrl('private/secret.txt', 60);
+  assert.match(url, /^http:\/\/127\.0\.0\.1:\d+\/news-media\/uploads\/private\/secret\.txt\?/);
+  assert.match(url, /X-Amz-Expires=60/);
+
+  const response = await fetch(url);
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'classified');
+});
+
+test('public URLs use the public base with encoded keys', () => {
+  assert.equal(adapter.publicUrl('dir/a file.jpg'), 'https://cdn.example.com/uploads/dir/a%20file.jpg');
+  assert.equal(new S3StorageAdapter({ bucket: BUCKET, region: 'us-east-1' }).publicUrl('a.jpg'), null);
+});
+
+test('server errors other than not found are raised', async () => {
+  const wrongBucket = new S3StorageAdapter({
+    bucket: 'missing-bucket',
+    endpoint: s3.endpoint,
+    forcePathStyle: true,
+    region: 'us-east-1',
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio-secret'
+  });
+
+  try {
+    await assert.rejects(wrongBucket.put('a.jpg', Buffer.from('x')), { name: 'NoSuchBucket' });
+  } finally {
+    wrongBucket.client.destroy();
+  }
+});
+
+test('a bucket is required', () => {
+  const previous = process.env.S3_BUCKET;
+  delete process.env.S3_BUCKET;
+  try {
+    assert.throws(() => new S3StorageAdapter({}), /S3_BUCKET must be set/);
+  } finally {
+    if (previous !== undefined) process.env.S3_BUCKET = previous;
+  }
+});
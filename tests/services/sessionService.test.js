@@ -0,0 +1,146 @@
+// tests/services/sessionService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubDatabase, stubModule } = require('../helpers/stubs');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+// In-memory sessions and refresh tokens, enough for the queries sessionService makes
+const db = { sessions: [], tokens: [], users: [] };
+let nextId = 1;
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+
+stubDatabase({
+  userSession: {
+    create: async ({ data }) => {
+      const session = { id: `s${nextId++}`, revokedAt: null, revokedReason: null, ...data };
+      db.sessions.push(session);
+      return session;
+    },
+    update: async ({ where, data }) => Object.assign(db.sessions.find(session => session.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = db.sessions.filter(session => matches(session, where));
+      rows.forEach(session => Object.assign(session, data));
+      return { count: rows.length };
+    }
+  },
+  refreshToken: {
+    create: async ({ data }) => {
+      const token = { id: `t${nextId++}`, rotatedAt: null, ...data };
+      db.tokens.push(token);
+      return token;
+    },
+    findUnique: async ({ where }) => {
+      const token = db.tokens.find(row => row.token === where.token);
+      return token ? { ...token, session: { ...db.sessions.find(session => session.id === token.sessionId) } } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = db.tokens.filter(token => matches(token, where));
+      rows.forEach(token => Object.assign(token, data));
+      return { count: rows.length };
+    }
+  },
+  user: {
+    findUnique: async ({ where }) => db.users.find(user => user.id === where.id) || null
+  },
+  $transaction: async (operations) => Promise.all(operations)
+});
+
+const reuseAlerts = [];
+stubModule('src/utils/notifications', {
+  notifyRefreshTokenReuse: async (session, attempt) => { reuseAlerts.push({ session, attempt }); }
+});
+
+const { createSession, rotateRefreshToken } = require('../../src/services/sessionService');
+
+const request = (ip = '203.0.113.5', userAgent = 'TestAgent/1.0') => ({ ip, get: header => (header === 'User-Agent' ? userAgent : undefined) });
+
+test.beforeEach(() => {
+  db.sessions.length = 0;
+  db.tokens.length = 0;
+  db.users.length = 0;
+  db.users.push({ id: 'u1', email: 'ed@example.com', role: 'EDITOR', isActive: true });
+  reuseAlerts.length = 0;
+});
+
+test('createSession records the device and issues tokens bound to the session', async () => {
+  const { accessToken, refreshToken, sessionId } = await createSession('u1', request());
+
+  assert.equal(db.sessions[0].ipAddress, '203.0.113.5');
+  assert.equal(db.sessions[0].userAgent, 'TestAgent/1.0');
+  assert.deepEqual(db.tokens.map(token => [token.token, token.sessionId]), [[refreshToken, sessionId]]);
+  assert.equal(jwt.verify(accessToken, process.env.JWT_SECRET).sessionId, sessionId);
+  assert.equal(jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET).sessionId, sessionId);
+});
+
+test('rotation issues a new pair in the same session and spends the old token', async () => {
+  const first = await createSession('u1', request());
+
+  const rotated = await rotateRefreshToken(first.refreshToken, request('198.51.100.7'));
+
+  assert.equal(rotated.status, 'ok');
+  assert.equal(rotated.user.id, 'u1');
+  assert.notEqual(rotated.refreshToken, first.refreshToken);
+  assert.equal(jwt.verify(rotated.refreshToken, process.env.JWT_REFRESH_SECRET).sessionId, first.sessionId);
+  assert.ok(db.tokens[0].rotatedAt instanceof Date);
+  assert.equal(db.tokens[1].rotatedAt, null);
+  assert.equal(db.sessions[0].ipAddress, '198.51.100.7');
+  assert.ok(db.sessions[0].lastUsedAt instanceof Date);
+
+  assert.equal((await rotateRefreshToken(rotated.refreshToken, request())).status, 'ok');
+});
+
+test('presenting a rotated token again revokes the session and alerts the user', async () => {
+  const first = await createSession('u1', request());
+  const rotated = await rotateRefreshToken(first.refreshToken, request());
+
+  const replay = await rotateRefreshToken(first.refreshToken, request('192.0.2.66', 'Thief/2.0'));
+
+  assert.deepEqual(replay, { status: 'reused' });
+  assert.equal(db.sessions[0].revokedReason, 'token_reuse');
+  assert.equal(reuseAlerts.length, 1);
+  assert.equal(reuseAlerts[0].session.id, first.sessionId);
+  assert.deepEqual(reuseAlerts[0].attempt, { userAgent: 'Thief/2.0', ipAddress: '192.0.2.66' });
+
+  // The whole family is dead, including the token the legitimate client holds
+  assert.equal((await rotateRefreshToken(rotated.refreshToken, request())).status, 'invalid');
+});
+
+test('of two concurrent rotations of one token, one wins and the other counts as reuse', async () => {
+  const { refreshToken } = await createSession('u1', request());
+
+  const results = await Promise.all([rotateRefreshToken(refreshToken, request()), rotateRefreshToken(refreshToken, request())]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['ok', 'reused']);
+  assert.equal(db.sessions[0].revokedReason, 'token_reuse');
+});
+
+test('unknown, forged, expired and revoked tokens are invalid', async () => {
+  const { refreshToken, sessionId } = await createSession('u1', request());
+
+  assert.equal((await rotateRefreshToken('not-a-jwt', request())).status, 'invalid');
+  assert.equal((await rotateRefreshToken(jwt.sign({ userId: 'u1', sessionId }, 'wrong-secret'), request())).status, 'invalid');
+  assert.equal((await rotateRefreshToken(jwt.sign({ userId: 'u1', sessionId }, process.env.JWT_REFRESH_SECRET), request())).status, 'invalid');
+
+  db.tokens[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await rotateRefreshToken(refreshToken, request())).status, 'invalid');
+
+  db.tokens[0].expiresAt = new Date(Date.now() + 60000);
+  db.sessions[0].revokedAt = new Date();
+  assert.equal((await rotateRefreshToken(refreshToken, request())).status, 'invalid');
+
+  assert.equal(reuseAlerts.length, 0);
+  assert.equal(db.tokens[0].rotatedAt, null);
+});
+
+test('a deactivated user cannot rotate and loses the session', async () => {
+  const { refreshToken } = await createSession('u1', request());
+  db.users[0].isActive = false;
+
+  assert.deepEqual(await rotateRefreshToken(refreshToken, request()), { status: 'inactive' });
+  assert.equal(db.sessions[0].revokedReason, 'deactivated');
+  assert.equal(db.tokens.length, 1);
+});
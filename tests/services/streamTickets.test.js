@@ -0,0 +1,119 @@
+// tests/services/streamTickets.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/stubs');
+
+// In-memory tickets, users and sessions
+const db = { tickets: [], users: [], sessions: [] };
+let nextId = 1;
+
+stubDatabase({
+  streamTicket: {
+    create: async ({ data }) => {
+      db.tickets.push({ id: `t${nextId++}`, ...data });
+      return data;
+    },
+    findUnique: async ({ where }) => db.tickets.find(ticket => ticket.tokenHash === where.tokenHash) || null,
+    deleteMany: async ({ where }) => {
+      const doomed = db.tickets.filter(ticket => (where.id ? ticket.id === where.id : true)
+        && (!where.expiresAt?.gt || ticket.expiresAt > where.expiresAt.gt)
+        && (!where.expiresAt?.lt || ticket.expiresAt < where.expiresAt.lt));
+      db.tickets = db.tickets.filter(ticket => !doomed.includes(ticket));
+      return { count: doomed.length };
+    }
+  },
+  user: {
+    findUnique: async ({ where }) => db.users.find(user => user.id === where.id) || null
+  },
+  userSession: {
+    findUnique: async ({ where }) => db.sessions.find(session => session.id === where.id) || null
+  },
+  role: { findMany: async () => [] }
+});
+
+const { issueStreamTicket, redeemStreamTicket, cleanupStreamTickets } = require('../../src/services/streamTickets');
+const { authenticateStreamTicket } = require('../../src/middleware/auth');
+
+test.beforeEach(() => {
+  db.tickets = [];
+  db.users = [{ id: 'u1', email: 'ed@example.com', role: 'EDITOR', customRoleId: null, isActive: true }];
+  db.sessions = [{ id: 's1', revokedAt: null, expiresAt: new Date(Date.now() + 60000) }];
+});
+
+async function authenticate(ticket) {
+  const req = { query: { ticket } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await authenticateStreamTicket(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('tickets are stored hashed, short-lived and work once', async () => {
+  const { ticket, expiresIn } = await issueStreamTicket('u1', 's1');
+
+  assert.equal(expiresIn, 30);
+  assert.equal(db.tickets.length, 1);
+  assert.notEqual(db.tickets[0].tokenHash, ticket);
+  assert.ok(db.tickets[0].expiresAt - Date.now() <= 30 * 1000);
+
+  assert.deepEqual(await redeemStreamTicket(ticket), { userId: 'u1', sessionId: 's1' });
+  assert.equal(await redeemStreamTicket(ticket), null);
+  assert.equal(await redeemStreamTicket('made-up'), null);
+  assert.equal(await redeemStreamTicket(undefined), null);
+});
+
+test('of two concurrent redemptions only one succeeds', async () => {
+  const { ticket } = await issueStreamTicket('u1', 's1');
+
+  const results = await Promise.all([redeemStreamTicket(ticket), redeemStreamTicket(ticket)]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test('expired tickets are refused and cleaned up', async () => {
+  const { ticket } = await issueStreamTicket('u1', 's1');
+  await issueStreamTicket('u1', 's1');
+  db.tickets[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal(await redeemStreamTicket(ticket), null);
+  assert.equal(await cleanupStreamTickets(), 1);
+  assert.equal(db.tickets.length, 1);
+});
+
+test('authenticateStreamTicket signs the ticket holder in', async () => {
+  const { ticket } = await issueStreamTicket('u1', 's1');
+
+  const { req, nextCalled } = await authenticate(ticket);
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.user.id, 'u1');
+  assert.equal(req.sessionId, 's1');
+  assert.ok(Array.isArray(req.user.permissions));
+});
+
+test('authenticateStreamTicket refuses reused tickets, signed-out sessions and inactive users', async () => {
+  const used = (await issueStreamTicket('u1', 's1')).ticket;
+  await authenticate(used);
+  const reuse = await authenticate(used);
+  assert.equal(reuse.res.statusCode, 401);
+  assert.equal(reuse.nextCalled, false);
+
+  db.sessions[0].revokedAt = new Date();
+  assert.equal((await authenticate((await issueStreamTicket('u1', 's1')).ticket)).res.statusCode, 401);
+
+  db.sessions[0].revokedAt = null;
+  db.users[0].isActive = false;
+  assert.equal((await authenticate((await issueStreamTicket('u1', 's1')).ticket)).res.statusCode, 401);
+
+  assert.equal((await authenticate(undefined)).res.statusCode, 401);
+});
@@ -0,0 +1,164 @@
+// tests/services/twoFactor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubDatabase } = require('../helpers/stubs');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const prisma = stubDatabase({
+  role: { findMany: async () => [] },
+  systemSettings: { findUnique: async () => null },
+  user: { updateMany: async () => ({ count: 0 }) },
+  twoFactorRecoveryCode: {
+    deleteMany: async () => ({ count: 0 }),
+    createMany: async () => ({ count: 0 }),
+    updateMany: async () => ({ count: 0 })
+  }
+});
+const twoFactor = require('../../src/services/twoFactor');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Six-digit tails of the RFC's eight-digit SHA-1 codes
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const at = (t, seconds) => t.mock.method(Date, 'now', () => seconds * 1000);
+
+test('generateCode matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(twoFactor.generateCode(RFC_SECRET, Math.floor(seconds / 30)), code, `T=${seconds}`);
+  }
+});
+
+test('verifyCode accepts one step of drift either way and returns the step', (t) => {
+  at(t, 1111111111);
+  const step = Math.floor(1111111111 / 30);
+
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, '050471'), step);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step - 1)), step - 1);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 1)), step + 1);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, step + 2)), null);
+});
+
+test('verifyCode rejects replays and malformed codes', (t) => {
+  at(t, 1111111111);
+  const step = Math.floor(1111111111 / 30);
+
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, '050471', step), null);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, '050 471', step - 1), step);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, '50471'), null);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, '05047a'), null);
+  assert.equal(twoFactor.verifyCode(RFC_SECRET, null), null);
+});
+
+test('generated secrets are 160-bit base32 and usable for codes', () => {
+  const secret = twoFactor.generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(twoFactor.generateCode(secret), /^\d{6}$/);
+});
+
+test('secrets are encrypted with a fresh IV and tamper-checked', () => {
+  const first = twoFactor.encryptSecret(RFC_SECRET);
+  const second = twoFactor.encryptSecret(RFC_SECRET);
+
+  assert.notEqual(first, second);
+  assert.equal(twoFactor.decryptSecret(first), RFC_SECRET);
+
+  const [iv, tag, data] = first.split(':');
+  const tampered = Buffer.from(data, 'base64');
+  tampered[0] ^= 1;
+  assert.throws(() => twoFactor.decryptSecret([iv, tag, tampered.toString('base64')].join(':')));
+});
+
+test('provisioningUri describes the secret for authenticator apps', () => {
+  const uri = new URL(twoFactor.provisioningUri(RFC_SECRET, 'ed@example.com'));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Daily News:ed@example.com');
+  assert.deepEqual(Object.fromEntries(uri.searchParams), {
+    secret: RFC_SECRET,
+    issuer: 'Daily News',
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+});
+
+test('verifySecondFactor records the TOTP step and loses a race for the same step', async (t) => {
+  at(t, 1111111111);
+  const step = Math.floor(1111111111 / 30);
+  const updates = [];
+  let won = true;
+  t.mock.method(prisma.user, 'updateMany', async (args) => {
+    updates.push(args);
+    return { count: won ? 1 : 0 };
+  });
+  const user = { id: 'u1', twoFactorSecret: twoFactor.encryptSecret(RFC_SECRET), twoFactorLastStep: null };
+
+  assert.equal(await twoFactor.verifySecondFactor(user, { code: '050471' }), 'totp');
+  assert.deepEqual(updates[0].data, { twoFactorLastStep: step });
+  assert.deepEqual(updates[0].where.OR, [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]);
+
+  won = false;
+  assert.equal(await twoFactor.verifySecondFactor(user, { code: '050471' }), null);
+  assert.equal(await twoFactor.verifySecondFactor(user, { code: '000000' }), null);
+});
+
+test('recovery codes are stored hashed and each can be spent once', async (t) => {
+  const stored = [];
+  t.mock.method(prisma.twoFactorRecoveryCode, 'deleteMany', async () => ({ count: stored.splice(0).length }));
+  t.mock.method(prisma.twoFactorRecoveryCode, 'createMany', async ({ data }) => {
+    stored.push(...data.map(row => ({ ...row, usedAt: null })));
+    return { count: data.length };
+  });
+  t.mock.method(prisma.twoFactorRecoveryCode, 'updateMany', async ({ where, data }) => {
+    const rows = stored.filter(row => row.userId === where.userId && row.codeHash === where.codeHash && row.usedAt === null);
+    rows.forEach(row => { row.usedAt = data.usedAt; });
+    return { count: rows.length };
+  });
+
+  const codes = await twoFactor.regenerateRecoveryCodes('u1');
+
+  assert.equal(codes.length, 10);
+  assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.equal(new Set(codes).size, 10);
+  assert.ok(stored.every(row => row.userId === 'u1' && /^[0-9a-f]{64}$/.test(row.codeHash)));
+
+  const user = { id: 'u1', twoFactorSecret: null };
+  assert.equal(await twoFactor.verifySecondFactor(user, { recoveryCode: ` ${codes[0].toUpperCase().replace('-', '')} ` }), 'recovery');
+  assert.equal(await twoFactor.verifySecondFactor(user, { recoveryCode: codes[0] }), null);
+  assert.equal(await twoFactor.verifySecondFactor(user, { recoveryCode: '---' }), null);
+});
+
+test('the policy applies by effective role, so custom admin roles need 2FA', async (t) => {
+  t.mock.method(prisma.systemSettings, 'findUnique', async () => ({ value: ' admin , editor ' }));
+
+  assert.deepEqual(await twoFactor.getRequiredRoles(), ['ADMIN', 'EDITOR']);
+  assert.equal(await twoFactor.isRequiredForUser({ role: 'ADMIN', customRoleId: null }), true);
+  assert.equal(await twoFactor.isRequiredForUser({ role: 'AD_MANAGER', customRoleId: null }), false);
+  assert.equal(await twoFactor.isRequiredForUser({ role: 'USER', customRoleId: 'r1', permissions: ['backup.manage'] }), true);
+  assert.equal(await twoFactor.isRequiredForUser({ role: 'USER', customRoleId: 'r1', permissions: ['analytics.view'] }), false);
+});
+
+test('challenge tokens carry their purpose and never verify as other tokens', () => {
+  const token = twoFactor.createChallengeToken('u1', twoFactor.CHALLENGE_PURPOSES.LOGIN);
+
+  assert.equal(twoFactor.verifyChallengeToken(token, twoFactor.CHALLENGE_PURPOSES.LOGIN).userId, 'u1');
+  assert.equal(twoFactor.verifyChallengeToken(token, twoFactor.CHALLENGE_PURPOSES.ENROLL), null);
+  assert.equal(twoFactor.verifyChallengeToken('garbage', twoFactor.CHALLENGE_PURPOSES.LOGIN), null);
+
+  const accessToken = jwt.sign({ userId: 'u1', purpose: twoFactor.CHALLENGE_PURPOSES.LOGIN }, process.env.JWT_SECRET);
+  assert.equal(twoFactor.verifyChallengeToken(accessToken, twoFactor.CHALLENGE_PURPOSES.LOGIN), null);
+  assert.throws(() => jwt.verify(token, process.env.JWT_SECRET));
+});
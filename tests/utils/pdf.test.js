@@ -0,0 +1,107 @@
+// tests/utils/pdf.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PdfDocument } = require('../../src/utils/pdf');
+
+// Follow startxref and the xref table to every object, and return the
+// decompressed content stream of each page in order
+function parsePdf(buffer) {
+  const pdf = buffer.toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.equal(pdf.slice(startxref, startxref + 5), 'xref\n');
+
+  const [, size] = pdf.slice(startxref).match(/^xref\n0 (\d+)\n/);
+  const entries = pdf.slice(startxref).split('\n').slice(2, 2 + Number(size));
+  const objects = new Map();
+  entries.slice(1).forEach((entry, index) => {
+    assert.equal(entry.length, 19, 'xref entries are 20 bytes with their newline');
+    const offset = Number(entry.slice(0, 10));
+    const id = index + 1;
+    const end = pdf.indexOf('\nendobj\n', offset);
+    assert.equal(pdf.slice(offset, offset + `${id} 0 obj\n`.length), `${id} 0 obj\n`, `offset of object ${id}`);
+    objects.set(id, { offset, body: pdf.slice(offset, end) });
+  });
+
+  const streamOf = ({ offset, body }) => {
+    const length = Number(body.match(/\/Length (\d+)/)[1]);
+    const start = offset + body.indexOf('\nstream\n') + '\nstream\n'.length;
+    assert.equal(pdf.slice(start + length, start + length + '\nendstream'.length), '\nendstream');
+    return zlib.inflateSync(buffer.subarray(start, start + length)).toString('latin1');
+  };
+
+  const root = Number(pdf.match(/\/Root (\d+) 0 R/)[1]);
+  const pagesId = Number(objects.get(root).body.match(/\/Pages (\d+) 0 R/)[1]);
+  const pagesBody = objects.get(pagesId).body;
+  const kids = [...pagesBody.match(/\/Kids \[([^\]]*)\]/)[1].matchAll(/(\d+) 0 R/g)].map(match => Number(match[1]));
+  assert.equal(Number(pagesBody.match(/\/Count (\d+)/)[1]), kids.length);
+
+  return kids.map(id => {
+    const contents = Number(objects.get(id).body.match(/\/Contents (\d+) 0 R/)[1]);
+    return streamOf(objects.get(contents));
+  });
+}
+
+// Strings drawn with Tj on a page
+const textsOf = (page) => [...page.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)].map(match => match[1]);
+
+test('a document has a valid structure and numbered footers', () => {
+  const pages = parsePdf(new PdfDocument({ title: 'Weekly report' }).heading('Summary').text('All good.').toBuffer());
+
+  assert.equal(pages.length, 1);
+  assert.deepEqual(textsOf(pages[0]), ['Summary', 'All good.', 'Weekly report - page 1 of 1']);
+  assert.match(pages[0], /\/F2 14 Tf/);
+});
+
+test('text escapes PDF delimiters and replaces characters outside Latin-1', () => {
+  const pages = parsePdf(new PdfDocument().text('Costs (net) \\ café 日本').toBuffer());
+
+  assert.equal(textsOf(pages[0])[0], 'Costs \\(net\\) \\\\ caf\xE9 ??');
+});
+
+test('long paragraphs wrap within the content width', () => {
+  const pages = parsePdf(new PdfDocument().text('word '.repeat(200)).toBuffer());
+  const lines = textsOf(pages[0]).slice(0, -1);
+
+  assert.ok(lines.length > 1);
+  assert.equal(lines.join(' '), 'word '.repeat(200).trim());
+});
+
+test('tables fit cells, align numbers and repeat the header on new pages', () => {
+  const rows = Array.from({ length: 80 }, (_, i) => [`Headline ${i} ${'x'.repeat(100)}`, 1234 + i, null]);
+  const pages = parsePdf(new PdfDocument({ title: 'Top' })
+    .table([{ header: 'Headline', width: 3 }, { header: 'Views', align: 'right' }, { header: 'Note' }], rows)
+    .toBuffer());
+
+  assert.equal(pages.length, 2);
+  for (const [index, page] of pages.entries()) {
+    const texts = textsOf(page);
+    assert.deepEqual(texts.slice(0, 3), ['Headline', 'Views', 'Note']);
+    assert.equal(texts[texts.length - 1], `Top - page ${index + 1} of 2`);
+  }
+
+  const first = textsOf(pages[0]);
+  assert.match(first[3], /^Headline 0 x+\.\.\.$/);
+  assert.equal(first[4], '1,234');
+  // Views spans x 347-446; right-aligned, its text ends near the right edge
+  const viewsX = Number(pages[0].match(/ ([\d.]+) [\d.]+ Td \(1,234\) Tj/)[1]);
+  assert.ok(viewsX > 400 && viewsX < 443, `x ${viewsX}`);
+  assert.equal(textsOf(pages[0]).length + textsOf(pages[1]).length, 3 * 2 + 80 * 3 + 2);
+});
+
+test('an empty table says there is no data', () => {
+  const pages = parsePdf(new PdfDocument().table([{ header: 'Name' }], []).toBuffer());
+
+  assert.deepEqual(textsOf(pages[0]).slice(0, 2), ['Name', 'No data for this period']);
+});
+
+test('cells format dates, decimals and objects', () => {
+  const pages = parsePdf(new PdfDocument()
+    .table([{ header: 'A' }, { header: 'B' }, { header: 'C' }], [[new Date(Date.UTC(2024, 4, 1, 9, 30)), 2.5, { a: 1 }]])
+    .toBuffer());
+
+  assert.deepEqual(textsOf(pages[0]).slice(3, 6), ['2024-05-01 09:30', '2.50', '{"a":1}']);
+});
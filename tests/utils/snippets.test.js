@@ -0,0 +1,82 @@
+// tests/utils/snippets.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stripHtml, extractTerms, createHighlighter } = require('../../src/utils/snippets');
+
+test('extractTerms lowercases, strips punctuation, dedupes and sorts longest first', () => {
+  assert.deepEqual(extractTerms('"Machine" learning, machine AI!'), ['learning', 'machine', 'ai']);
+  assert.deepEqual(extractTerms(''), []);
+});
+
+test('stripHtml drops tags, scripts and entities', () => {
+  assert.equal(
+    stripHtml('<p>Tom &amp; Jerry</p><script>alert(1)</script><b>run</b>&nbsp;away'),
+    'Tom & Jerry run away'
+  );
+});
+
+test('field marks every match case-insensitively and escapes the rest', () => {
+  const { field } = createHighlighter('budget');
+
+  assert.deepEqual(field('Budget <vote> on the budget'), {
+    truncatedStart: false,
+    truncatedEnd: false,
+    text: '<mark>Budget</mark> &lt;vote&gt; on the <mark>budget</mark>'
+  });
+  assert.equal(field(null), null);
+});
+
+test('terms are matched literally, not as a regular expression', () => {
+  const { field } = createHighlighter('a.b c+d');
+
+  assert.equal(field('axb a.b ccd c+d').text, 'axb <mark>a.b</mark> ccd <mark>c+d</mark>');
+});
+
+test('offsets mode returns plain text with match positions', () => {
+  const { field } = createHighlighter('tax', { mode: 'offsets' });
+
+  assert.deepEqual(field('New tax & old tax'), {
+    truncatedStart: false,
+    truncatedEnd: false,
+    text: 'New tax & old tax',
+    matches: [{ start: 4, length: 3 }, { start: 14, length: 3 }]
+  });
+});
+
+test('an unknown mode falls back to html', () => {
+  const { field } = createHighlighter('tax', { mode: 'bogus' });
+
+  assert.equal(field('tax').text, '<mark>tax</mark>');
+});
+
+test('snippet picks the window with the most distinct terms without cutting words', () => {
+  const filler = 'lorem ipsum dolor sit amet '.repeat(8);
+  const body = `${filler}rates rose ${filler}rates and inflation rose together ${filler}`;
+  const { snippet } = createHighlighter('rates inflation', { mode: 'offsets', snippetLength: 60 });
+
+  const result = snippet(body);
+
+  assert.equal(result.truncatedStart, true);
+  assert.equal(result.truncatedEnd, true);
+  assert.ok(result.text.length <= 60);
+  assert.ok(result.text.includes('rates and inflation'));
+  assert.deepEqual(result.matches.map(({ start, length }) => result.text.substr(start, length)), ['rates', 'inflation']);
+  assert.equal(body.includes(` ${result.text} `), true);
+});
+
+test('snippet uses the first source with a match and strips its HTML', () => {
+  const { snippet } = createHighlighter('storm');
+
+  assert.equal(snippet('<p>No match here</p>', '<p>A <i>storm</i> is coming</p>').text, 'A <mark>storm</mark> is coming');
+});
+
+test('snippet falls back to the opening of the first non-empty source', () => {
+  const { snippet } = createHighlighter('absent', { snippetLength: 10 });
+
+  assert.deepEqual(snippet(null, '', 'One two three four'), {
+    truncatedStart: false,
+    truncatedEnd: true,
+    text: 'One two th …'
+  });
+  assert.equal(snippet(null, ''), null);
+});
@@ -0,0 +1,123 @@
+// tests/utils/tar.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { TarWriter, readTar } = require('../../src/utils/tar');
+
+const systemTar = spawnSync('tar', ['--version']).status === 0;
+
+let dir;
+test.before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tar-test-'));
+});
+test.after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const LONG_NAME = `${'uploads/'.repeat(15)}${'n'.repeat(90)}.jpg`;
+
+async function writeSample(filePath) {
+  const onDisk = path.join(dir, 'on-disk.bin');
+  await fs.promises.writeFile(onDisk, Buffer.alloc(513, 7));
+
+  const writer = new TarWriter(filePath);
+  await writer.addBuffer('manifest.json', '{"version":1}');
+  await writer.addBuffer('empty.txt', '');
+  await writer.addBuffer('block.bin', Buffer.alloc(512, 1));
+  await writer.addFile('files/on-disk.bin', onDisk);
+  await writer.addStream('stream.txt', Readable.from([Buffer.from('chunk one, '), Buffer.from('chunk two')]), 20);
+  await writer.addBuffer(LONG_NAME, 'long');
+  await writer.finish();
+}
+
+// Collect every entry's content by name
+async function readAll(filePath) {
+  const entries = new Map();
+  const count = await readTar(filePath, ({ name, size, type }) => {
+    const chunks = [];
+    return {
+      data: async (chunk) => { chunks.push(chunk); },
+      end: async () => { entries.set(name, { size, type, content: Buffer.concat(chunks) }); }
+    };
+  });
+  return { count, entries };
+}
+
+test('readTar reads back what TarWriter wrote, across block boundaries', async () => {
+  const archive = path.join(dir, 'roundtrip.tar.gz');
+  await writeSample(archive);
+
+  const { count, entries } = await readAll(archive);
+
+  assert.equal(count, 6);
+  assert.equal(entries.get('manifest.json').content.toString(), '{"version":1}');
+  assert.equal(entries.get('empty.txt').size, 0);
+  assert.deepEqual(entries.get('block.bin').content, Buffer.alloc(512, 1));
+  assert.deepEqual(entries.get('files/on-disk.bin').content, Buffer.alloc(513, 7));
+  assert.equal(entries.get('stream.txt').content.toString(), 'chunk one, chunk two');
+  assert.equal(entries.get(LONG_NAME).content.toString(), 'long');
+  assert.equal(entries.get('manifest.json').type, 'file');
+});
+
+test('entries without a sink are skipped', async () => {
+  const archive = path.join(dir, 'skip.tar.gz');
+  await writeSample(archive);
+
+  const seen = [];
+  const count = await readTar(archive, ({ name }) => {
+    seen.push(name);
+    if (name !== 'stream.txt') return null;
+    return { data: async (chunk) => seen.push(chunk.toString()) };
+  });
+
+  assert.equal(count, 6);
+  assert.deepEqual(seen.slice(4, 6), ['stream.txt', 'chunk one, chunk two']);
+});
+
+test('archives are readable by the system tar', { skip: !systemTar && 'tar is not installed' }, async () => {
+  const archive = path.join(dir, 'system.tar.gz');
+  await writeSample(archive);
+
+  const listing = spawnSync('tar', ['-tzf', archive], { encoding: 'utf8' });
+
+  assert.equal(listing.status, 0, listing.stderr);
+  assert.deepEqual(listing.stdout.trim().split('\n'), [
+    'manifest.json', 'empty.txt', 'block.bin', 'files/on-disk.bin', 'stream.txt', LONG_NAME
+  ]);
+});
+
+test('TarWriter rejects names that do not fit a ustar header', async () => {
+  const writer = new TarWriter(path.join(dir, 'long.tar.gz'));
+
+  await assert.rejects(writer.addBuffer('x'.repeat(101), 'a'), /Path too long/);
+});
+
+test('TarWriter fails when a stream is not the size it was announced as', async () => {
+  const writer = new TarWriter(path.join(dir, 'size.tar.gz'));
+
+  await assert.rejects(writer.addStream('short.txt', Readable.from([Buffer.from('abc')]), 10), /changed while it was archived/);
+});
+
+test('readTar rejects a truncated archive', async () => {
+  const archive = path.join(dir, 'truncated.tar.gz');
+  await writeSample(archive);
+  const tar = zlib.gunzipSync(await fs.promises.readFile(archive));
+  await fs.promises.writeFile(archive, zlib.gzipSync(tar.subarray(0, 1024 + 100)));
+
+  await assert.rejects(readAll(archive), /unexpected end of file/);
+});
+
+test('readTar rejects a header with a bad checksum', async () => {
+  const archive = path.join(dir, 'corrupt.tar.gz');
+  await writeSample(archive);
+  const tar = zlib.gunzipSync(await fs.promises.readFile(archive));
+  tar[0] ^= 1;
+  await fs.promises.writeFile(archive, zlib.gzipSync(tar));
+
+  await assert.rejects(readAll(archive), /checksum mismatch/);
+});
@@ -0,0 +1,143 @@
+// tests/utils/xlsx.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Writable } = require('stream');
+const { XlsxWriter } = require('../../src/utils/xlsx');
+
+// Reference CRC-32, independent of the writer's table
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Write a workbook into memory
+async function buildWorkbook(build) {
+  const chunks = [];
+  const output = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+
+  const workbook = new XlsxWriter(output);
+  await build(workbook);
+  await workbook.finish();
+  // The writer leaves the output open; analyticsExport ends it itself
+  output.end();
+  await once(output, 'finish');
+  return Buffer.concat(chunks);
+}
+
+// Read a zip through its central directory, checking each local header,
+// data descriptor and CRC against it
+function unzip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  const directorySize = zip.readUInt32LE(end + 12);
+  let offset = zip.readUInt32LE(end + 16);
+  assert.equal(offset + directorySize, end);
+
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(offset), 0x02014b50, 'central directory header');
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const local = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength;
+
+    assert.equal(zip.readUInt32LE(local), 0x04034b50, `local header of ${name}`);
+    assert.equal(zip.readUInt16LE(local + 8), 8, 'deflated');
+    assert.equal(zip.toString('utf8', local + 30, local + 30 + nameLength), name);
+    const dataStart = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const descriptor = dataStart + compressedSize;
+    assert.equal(zip.readUInt32LE(descriptor), 0x08074b50, `data descriptor of ${name}`);
+    assert.deepEqual([zip.readUInt32LE(descriptor + 4), zip.readUInt32LE(descriptor + 8), zip.readUInt32LE(descriptor + 12)], [crc, compressedSize, size]);
+
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, descriptor));
+    assert.equal(content.length, size);
+    assert.equal(crc32(content), crc, `CRC of ${name}`);
+    files.set(name, content.toString('utf8'));
+  }
+  return files;
+}
+
+test('a workbook is a valid zip with the parts spreadsheet apps need', async () => {
+  const files = unzip(await buildWorkbook(workbook => workbook.addSheet('Articles', ['Headline'], [['One']])));
+
+  assert.deepEqual([...files.keys()].sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(files.get('[Content_Types].xml'), /PartName="\/xl\/worksheets\/sheet1\.xml"/);
+  assert.match(files.get('xl/workbook.xml'), /<sheet name="Articles" sheetId="1" r:id="rId1"\/>/);
+  assert.match(files.get('xl/_rels/workbook.xml.rels'), /Id="rId2" [^>]*Target="styles\.xml"/);
+});
+
+test('cells are typed and escaped, with bold headers', async () => {
+  const date = new Date(Date.UTC(2024, 0, 1));
+  const files = unzip(await buildWorkbook(workbook => workbook.addSheet('Data', ['Name', 'Count'], [
+    ['A & <B>', 3, true, date, 10n, null, { id: 1 }, 'bad\u0001char']
+  ])));
+  const sheet = files.get('xl/worksheets/sheet1.xml');
+
+  assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr" s="2"><is><t xml:space="preserve">Name<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; &lt;B&gt;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>3<\/v><\/c>/);
+  assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+  assert.match(sheet, new RegExp(`<c r="D2" s="1"><v>${date.getTime() / 86400000 + 25569}</v></c>`));
+  assert.match(sheet, /<c r="E2"><v>10<\/v><\/c>/);
+  assert.doesNotMatch(sheet, /r="F2"/);
+  assert.match(sheet, /<c r="G2" t="inlineStr"><is><t xml:space="preserve">\{&quot;id&quot;:1\}<\/t>/);
+  assert.match(sheet, /badchar/);
+});
+
+test('columns past Z are named AA, AB and so on', async () => {
+  const row = Array.from({ length: 28 }, (_, i) => i);
+  const files = unzip(await buildWorkbook(workbook => workbook.addSheet('Wide', [], [row])));
+
+  assert.match(files.get('xl/worksheets/sheet1.xml'), /<c r="Z2"><v>25<\/v><\/c><c r="AA2"><v>26<\/v><\/c><c r="AB2"><v>27<\/v><\/c>/);
+});
+
+test('sheet names are cleaned, shortened and made unique', async () => {
+  const files = unzip(await buildWorkbook(async (workbook) => {
+    await workbook.addSheet('Views: daily/weekly', [], []);
+    await workbook.addSheet('views: daily/weekly', [], []);
+    await workbook.addSheet('x'.repeat(40), [], []);
+  }));
+  const names = [...files.get('xl/workbook.xml').matchAll(/<sheet name="([^"]*)"/g)].map(match => match[1]);
+
+  assert.deepEqual(names, ['Views  daily weekly', 'views  daily weekly 2', 'x'.repeat(31)]);
+});
+
+test('large sheets stream from async rows in several chunks', async () => {
+  async function* rows() {
+    for (let i = 0; i < 5000; i++) yield [`Headline ${i}`, i];
+  }
+  const files = unzip(await buildWorkbook(workbook => workbook.addSheet('Big', ['Headline', 'Views'], rows())));
+  const sheet = files.get('xl/worksheets/sheet1.xml');
+
+  assert.equal((sheet.match(/<row /g) || []).length, 5001);
+  assert.match(sheet, /<row r="5001"><c r="A5001" t="inlineStr"><is><t xml:space="preserve">Headline 4999<\/t><\/is><\/c><c r="B5001"><v>4999<\/v><\/c><\/row><\/sheetData><\/worksheet>$/);
+});
+
+test('an empty workbook still gets one sheet', async () => {
+  const files = unzip(await buildWorkbook(() => {}));
+
+  assert.match(files.get('xl/workbook.xml'), /<sheet name="Sheet1" sheetId="1"/);
+});